@@ -0,0 +1,54 @@
+// ./app.js
+// Monta a aplicação Express sem abrir a porta: usado por server.js e pelos testes de integração.
+const express = require('express');
+const dotenv = require('dotenv');
+
+// Deve ser executado antes de carregar as rotas (e, com elas, config/db.js e config/app.js)!
+dotenv.config(); 
+
+const healthRoutes = require('./routes/HealthRoutes');
+const docsRoutes = require('./routes/DocsRoutes');
+const metricsRoutes = require('./routes/MetricsRoutes');
+const orderRoutes = require('./routes/OrderRoutes');
+const reportRoutes = require('./routes/ReportRoutes');
+const webhookRoutes = require('./routes/WebhookRoutes');
+const customerRoutes = require('./routes/CustomerRoutes');
+const productRoutes = require('./routes/ProductRoutes');
+const { authenticate } = require('./middlewares/auth');
+const { requestId } = require('./middlewares/requestId');
+const { requestLogger } = require('./middlewares/requestLogger');
+const { closeConnectionOnShutdown } = require('./utils/gracefulShutdown');
+const { notFoundHandler, errorHandler } = require('./middlewares/errorHandler');
+const { assertRoutesDocumented } = require('./openapi/validateRequest');
+
+const app = express();
+
+// Routers montados (e o ponto de montagem de cada um), conferidos contra a especificação OpenAPI
+const mountedRouters = [];
+const mountRouter = (path, router) => {
+  mountedRouters.push([path, router]);
+  app.use(path, router);
+};
+
+app.use(requestId); // X-Request-Id recebido ou gerado, repassado aos logs e às consultas SQL
+app.use(requestLogger); // Log JSON e métricas de cada requisição
+app.use(closeConnectionOnShutdown); // Durante o encerramento, não reaproveita conexões (keep-alive)
+mountRouter('/', healthRoutes); // GET /health e GET /ready, sem autenticação (verificações do orquestrador)
+mountRouter('/', docsRoutes); // GET /openapi.json e GET /docs, sem autenticação (a especificação também valida as requisições)
+app.use(authenticate); // Chave de API ou JWT em todas as rotas (antes de ler o corpo)
+mountRouter('/', metricsRoutes); // GET /metrics (formato de texto do Prometheus)
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '5mb' })); // Middleware para parsear JSON (lotes de pedidos podem ser grandes)
+mountRouter('/order/reports', reportRoutes); // Relatórios de vendas (antes de /order, para não cair em /order/:orderId)
+mountRouter('/order', orderRoutes); // Rota base
+mountRouter('/channels/:channel/order', orderRoutes); // Mesmas rotas, com o canal de vendas (mapeador) fixado na URL
+mountRouter('/webhooks', webhookRoutes); // Assinaturas de eventos de pedidos
+mountRouter('/customer', customerRoutes); // Clientes e os pedidos de cada um
+mountRouter('/product', productRoutes); // Catálogo de produtos e estoque
+
+// Toda rota precisa estar descrita na especificação OpenAPI: a falta é detectada aqui, e não na requisição
+assertRoutesDocumented(mountedRouters);
+
+app.use(notFoundHandler); // Rotas inexistentes
+app.use(errorHandler); // Converte qualquer erro em application/problem+json (RFC 7807)
+
+module.exports = app;
@@ -0,0 +1,152 @@
+/**
+ * Cache de leitura (read-through) com backend plugável: memory (LRU no processo, padrão),
+ * redis (compartilhado entre as instâncias) ou none (desligado), escolhido por ORDER_CACHE_BACKEND.
+ *
+ * Todo backend implementa a mesma interface assíncrona, com valores em texto:
+ * get(key), set(key, value, ttlSeconds), delete(keys), clear() e close().
+ *
+ * O cache nunca derruba uma requisição: se o backend falhar, a leitura vai direto ao banco e o
+ * problema fica no log. Uma invalidação perdida é corrigida pelo TTL.
+ */
+const crypto = require('crypto');
+const { createLruCache } = require('./lruCache');
+const { createRedisCache } = require('./redisCache');
+const logger = require('../utils/logger');
+const { createCounter } = require('../utils/metrics');
+const {
+  orderCacheBackend,
+  orderCacheTtlSeconds,
+  orderCacheMaxEntries,
+  redisUrl,
+  redisTimeoutMs,
+} = require('../config/app');
+
+const cacheRequests = createCounter({
+  name: 'cache_requests_total',
+  help: 'Leituras do cache, por cache e resultado (hit, miss ou error).',
+  labelNames: ['cache', 'result'],
+});
+
+// Backend que não guarda nada (ORDER_CACHE_BACKEND=none)
+const createNoCache = () => ({
+  name: 'none',
+  get: async () => undefined,
+  set: async () => {},
+  delete: async () => {},
+  clear: async () => {},
+  close: async () => {},
+});
+
+/**
+ * Cria o backend pelo nome.
+ *
+ * @param {string} backend - memory, redis ou none.
+ * @param {object} options - maxEntries (memory); url e timeoutMs (redis).
+ * @returns {object} Backend.
+ * @throws {Error} Quando o backend não existe.
+ */
+const createCacheBackend = (backend, options) => {
+  if (backend === 'memory') return createLruCache(options);
+  if (backend === 'redis') return createRedisCache(options);
+  if (backend === 'none') return createNoCache();
+
+  throw new Error(`Backend de cache desconhecido: "${backend}".`);
+};
+
+/**
+ * Cache de leitura sobre um backend. Os valores são guardados como JSON; `null` e `undefined`
+ * devolvidos pela carga (ex: registro inexistente) não são guardados.
+ *
+ * Uma leitura pode carregar o registro antigo, o escritor fazer COMMIT e invalidar, e só então
+ * a leitura gravar no cache o valor que carregou. Para que esse valor não seja servido até o TTL,
+ * cada chave tem uma geração (um token aleatório, trocado a cada invalidação): a leitura anota a
+ * geração antes de carregar e grava o valor com ela, e um valor de outra geração é ignorado.
+ *
+ * @param {{name: string, backend: object, ttlSeconds: number}} options
+ * @returns {{getOrLoad: function(string, function(): Promise<*>): Promise<*>, invalidate: function(...string): Promise<void>, clear: function(): Promise<void>, close: function(): Promise<void>}}
+ */
+const createReadThroughCache = ({ name, backend, ttlSeconds }) => {
+  const entryKeyOf = (key) => `${name}:entry:${key}`;
+  const generationKeyOf = (key) => `${name}:generation:${key}`;
+
+  // A geração precisa sobreviver aos valores gravados com a anterior, inclusive os gravados
+  // logo após a invalidação (que ainda vivem por ttlSeconds a partir daí)
+  const generationTtlSeconds = ttlSeconds * 2;
+
+  const getOrLoad = async (key, load) => {
+    // undefined: a geração atual não pôde ser lida, e o valor carregado não é gravado
+    let generation;
+
+    try {
+      const [cached, currentGeneration] = await Promise.all([
+        backend.get(entryKeyOf(key)),
+        backend.get(generationKeyOf(key)),
+      ]);
+      generation = currentGeneration ?? null;
+
+      if (cached !== undefined) {
+        const entry = JSON.parse(cached);
+
+        if (entry.generation === generation) {
+          cacheRequests.inc({ cache: name, result: 'hit' });
+          return entry.value;
+        }
+      }
+      cacheRequests.inc({ cache: name, result: 'miss' });
+    } catch (error) {
+      cacheRequests.inc({ cache: name, result: 'error' });
+      logger.warn('Falha na leitura do cache: consultando o banco', { cache: name, backend: backend.name, error });
+    }
+
+    const value = await load();
+
+    if (value !== null && value !== undefined && generation !== undefined) {
+      try {
+        await backend.set(entryKeyOf(key), JSON.stringify({ generation, value }), ttlSeconds);
+      } catch (error) {
+        logger.warn('Falha na gravação do cache', { cache: name, backend: backend.name, error });
+      }
+    }
+    return value;
+  };
+
+  // Chamada depois do COMMIT: a próxima leitura busca a versão gravada, e as leituras que
+  // carregaram a versão anterior não conseguem mais gravá-la (a geração mudou)
+  const invalidate = async (...keys) => {
+    try {
+      await Promise.all(keys.map(key => backend.set(generationKeyOf(key), crypto.randomUUID(), generationTtlSeconds)));
+      await backend.delete(keys.map(entryKeyOf));
+    } catch (error) {
+      logger.error(`Falha na invalidação do cache: valores antigos podem ser lidos por até ${ttlSeconds} s`, {
+        cache: name,
+        backend: backend.name,
+        keys,
+        error,
+      });
+    }
+  };
+
+  return {
+    getOrLoad,
+    invalidate,
+    clear: () => backend.clear(),
+    close: () => backend.close(),
+  };
+};
+
+// Cache de GET /order/:orderId (chave: orderId), invalidado pelas alterações em OrderService
+const orderCache = createReadThroughCache({
+  name: 'order',
+  backend: createCacheBackend(orderCacheBackend, {
+    maxEntries: orderCacheMaxEntries,
+    url: redisUrl,
+    timeoutMs: redisTimeoutMs,
+  }),
+  ttlSeconds: orderCacheTtlSeconds,
+});
+
+module.exports = {
+  createCacheBackend,
+  createReadThroughCache,
+  orderCache,
+};
@@ -0,0 +1,57 @@
+/**
+ * Backend de cache em memória (padrão): LRU limitado em quantidade de entradas, com expiração
+ * por entrada. Cada processo tem o seu; com várias instâncias da API, use o backend redis para
+ * que a invalidação feita por uma instância valha para as demais.
+ */
+
+/**
+ * Cria um cache LRU em memória.
+ *
+ * O Map mantém a ordem de inserção: a entrada lida é reinserida no fim, e a mais antiga
+ * (a primeira) é descartada quando o limite é atingido. Entradas vencidas são removidas
+ * quando lidas, sem timers.
+ *
+ * @param {{maxEntries: number}} options
+ * @returns {object} Backend com get, set, delete, clear e close.
+ */
+const createLruCache = ({ maxEntries }) => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return undefined;
+
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set: async (key, value, ttlSeconds) => {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    delete: async (keys) => {
+      keys.forEach(key => entries.delete(key));
+    },
+
+    clear: async () => {
+      entries.clear();
+    },
+
+    close: async () => {},
+  };
+};
+
+module.exports = {
+  createLruCache,
+};
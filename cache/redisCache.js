@@ -0,0 +1,77 @@
+/**
+ * Backend de cache em um servidor compatível com Redis, compartilhado entre as instâncias da API:
+ * uma invalidação feita por qualquer instância vale para todas.
+ *
+ * A conexão fica a cargo do `ioredis` (reconexão, AUTH/SELECT a partir da URL, TLS com rediss://).
+ */
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+
+// Quantidade de chaves pedida a cada SCAN ao limpar o cache
+const SCAN_BATCH_SIZE = 100;
+
+/**
+ * Cria o backend Redis. As chaves recebem um prefixo, para que o banco do Redis possa ser
+ * compartilhado com outras aplicações; clear() remove apenas as chaves com esse prefixo.
+ *
+ * Nenhuma conexão é aberta até o primeiro comando. Com o Redis fora do ar, os comandos falham
+ * em até `timeoutMs` (sem fila de retentativas), e o cache de leitura segue direto para o banco.
+ *
+ * @param {{url: string, timeoutMs: number, keyPrefix?: string}} options - URL no formato
+ * redis[s]://[usuário:senha@]host[:porta][/banco] e prazo de cada comando (inclui a conexão).
+ * @returns {object} Backend com get, set, delete, clear e close.
+ */
+const createRedisCache = ({ url, timeoutMs, keyPrefix = 'gerenciador-pedidos:' }) => {
+  const client = new Redis(url, {
+    lazyConnect: true,
+    connectTimeout: timeoutMs,
+    commandTimeout: timeoutMs,
+    disconnectTimeout: timeoutMs,
+    maxRetriesPerRequest: 0,
+  });
+  const prefixed = (key) => `${keyPrefix}${key}`;
+
+  // As falhas de cada comando já chegam ao cache de leitura; aqui ficam as da conexão
+  client.on('error', (error) => {
+    logger.debug('Falha na conexão com o Redis', { error });
+  });
+
+  return {
+    name: 'redis',
+
+    get: async (key) => {
+      const value = await client.get(prefixed(key));
+      return value ?? undefined;
+    },
+
+    set: async (key, value, ttlSeconds) => {
+      await client.set(prefixed(key), value, 'EX', ttlSeconds);
+    },
+
+    delete: async (keys) => {
+      if (keys.length > 0) await client.del(...keys.map(prefixed));
+    },
+
+    clear: async () => {
+      let cursor = '0';
+      do {
+        const [nextCursor, keys] = await client.scan(cursor, 'MATCH', `${keyPrefix}*`, 'COUNT', SCAN_BATCH_SIZE);
+        if (keys.length > 0) await client.del(...keys);
+        cursor = nextCursor;
+      } while (cursor !== '0');
+    },
+
+    // QUIT só com a conexão pronta; conectando ou reconectando, encerra sem esperar o servidor
+    close: async () => {
+      if (client.status !== 'ready') {
+        client.disconnect();
+        return;
+      }
+      await client.quit().catch(() => client.disconnect());
+    },
+  };
+};
+
+module.exports = {
+  createRedisCache,
+};
@@ -0,0 +1,196 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+// Políticas aceitas para divergência entre valorTotal e a soma dos itens
+const ORDER_TOTAL_POLICIES = ['reject', 'recompute', 'warn'];
+
+const orderTotalPolicy = (process.env.ORDER_TOTAL_POLICY || 'warn').toLowerCase();
+
+if (!ORDER_TOTAL_POLICIES.includes(orderTotalPolicy)) {
+  throw new Error(
+    `ORDER_TOTAL_POLICY inválida: "${orderTotalPolicy}". Valores aceitos: ${ORDER_TOTAL_POLICIES.join(', ')}.`
+  );
+}
+
+// Políticas aceitas para itens com preço diferente do preço de catálogo do produto
+const CATALOG_PRICE_POLICIES = ['reject', 'warn', 'ignore'];
+
+const catalogPricePolicy = (process.env.CATALOG_PRICE_POLICY || 'warn').toLowerCase();
+
+if (!CATALOG_PRICE_POLICIES.includes(catalogPricePolicy)) {
+  throw new Error(
+    `CATALOG_PRICE_POLICY inválida: "${catalogPricePolicy}". Valores aceitos: ${CATALOG_PRICE_POLICIES.join(', ')}.`
+  );
+}
+
+// Nível mínimo dos logs (JSON, um por linha): debug inclui o tempo de cada consulta ao banco
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const logLevel = (process.env.LOG_LEVEL || 'info').toLowerCase();
+
+if (!LOG_LEVELS.includes(logLevel)) {
+  throw new Error(`LOG_LEVEL inválido: "${logLevel}". Valores aceitos: ${LOG_LEVELS.join(', ')}.`);
+}
+
+// Dias que um pedido removido logicamente é mantido antes de poder ser expurgado
+const orderRetentionDays = parseInt(process.env.ORDER_RETENTION_DAYS || '30', 10);
+
+if (isNaN(orderRetentionDays) || orderRetentionDays < 0) {
+  throw new Error(`ORDER_RETENTION_DAYS inválido: "${process.env.ORDER_RETENTION_DAYS}".`);
+}
+
+// Horas durante as quais uma Idempotency-Key de POST /order é lembrada
+const idempotencyKeyTtlHours = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10);
+
+if (isNaN(idempotencyKeyTtlHours) || idempotencyKeyTtlHours <= 0) {
+  throw new Error(`IDEMPOTENCY_KEY_TTL_HOURS inválido: "${process.env.IDEMPOTENCY_KEY_TTL_HOURS}".`);
+}
+
+// Arquivo JSON com os mapeadores declarativos dos canais de vendas (opcional)
+const orderMappersConfigPath = process.env.ORDER_MAPPERS_CONFIG
+  ? path.resolve(process.env.ORDER_MAPPERS_CONFIG)
+  : path.join(__dirname, 'mappers.json');
+
+// Recusa iniciar o servidor quando há migrações do banco pendentes (ver npm run migrate)
+const checkMigrationsOnStartup = (process.env.CHECK_MIGRATIONS_ON_STARTUP || 'false').toLowerCase() === 'true';
+
+// Inteiro positivo lido do ambiente (valor padrão quando a variável não está definida)
+const readPositiveInteger = (name, defaultValue) => {
+  const value = parseInt(process.env[name] || String(defaultValue), 10);
+
+  if (isNaN(value) || value <= 0) {
+    throw new Error(`${name} inválido: "${process.env[name]}".`);
+  }
+  return value;
+};
+
+// GET /ready responde 503 quando o banco não responde a uma consulta simples dentro deste prazo
+const readinessTimeoutMs = readPositiveInteger('READINESS_TIMEOUT_MS', 2000);
+
+// Prazo para as requisições (e transações) em andamento terminarem após SIGTERM/SIGINT;
+// esgotado, as conexões restantes são encerradas à força
+const shutdownTimeoutMs = readPositiveInteger('SHUTDOWN_TIMEOUT_MS', 10000);
+
+// Cache de leitura de GET /order/:orderId: memory (LRU no processo), redis ou none (desligado)
+const ORDER_CACHE_BACKENDS = ['memory', 'redis', 'none'];
+
+const orderCacheBackend = (process.env.ORDER_CACHE_BACKEND || 'memory').toLowerCase();
+
+if (!ORDER_CACHE_BACKENDS.includes(orderCacheBackend)) {
+  throw new Error(
+    `ORDER_CACHE_BACKEND inválido: "${orderCacheBackend}". Valores aceitos: ${ORDER_CACHE_BACKENDS.join(', ')}.`
+  );
+}
+
+// Tempo máximo que um pedido fica no cache (limita a defasagem quando uma invalidação se perde)
+const orderCacheTtlSeconds = readPositiveInteger('ORDER_CACHE_TTL_SECONDS', 60);
+// Pedidos mantidos pelo LRU em memória; os menos lidos recentemente saem primeiro
+const orderCacheMaxEntries = readPositiveInteger('ORDER_CACHE_MAX_ENTRIES', 1000);
+
+// Servidor compatível com Redis (redis[s]://[usuário:senha@]host:porta[/banco]) e prazo de cada comando
+const redisUrl = process.env.REDIS_URL || null;
+const redisTimeoutMs = readPositiveInteger('REDIS_TIMEOUT_MS', 500);
+
+if (orderCacheBackend === 'redis' && !redisUrl) {
+  throw new Error('ORDER_CACHE_BACKEND=redis exige REDIS_URL.');
+}
+
+// Envio de webhooks: o despachante roda no próprio servidor, consultando o outbox periodicamente
+const webhookDispatcherEnabled = (process.env.WEBHOOK_DISPATCHER_ENABLED || 'true').toLowerCase() === 'true';
+const webhookPollIntervalMs = readPositiveInteger('WEBHOOK_POLL_INTERVAL_MS', 5000);
+const webhookTimeoutMs = readPositiveInteger('WEBHOOK_TIMEOUT_MS', 10000);
+
+// Retentativas com backoff exponencial: base × 2^(tentativa - 1), limitado ao máximo;
+// depois de WEBHOOK_MAX_ATTEMPTS falhas a entrega vai para o estado "dead"
+const webhookMaxAttempts = readPositiveInteger('WEBHOOK_MAX_ATTEMPTS', 8);
+const webhookRetryBaseSeconds = readPositiveInteger('WEBHOOK_RETRY_BASE_SECONDS', 30);
+const webhookRetryMaxSeconds = readPositiveInteger('WEBHOOK_RETRY_MAX_SECONDS', 6 * 60 * 60);
+
+// Por padrão os webhooks só apontam para URLs https de endereços públicos (proteção contra SSRF);
+// true aceita http e endereços internos (loopback, rede local), apenas em desenvolvimento e testes
+const webhookAllowPrivateUrls = (process.env.WEBHOOK_ALLOW_PRIVATE_URLS || 'false').toLowerCase() === 'true';
+
+// Papéis de acesso, do menor para o maior: cada papel inclui as permissões dos anteriores
+const AUTH_ROLES = ['reader', 'operator', 'admin'];
+
+// Sem autenticação (AUTH_ENABLED=false), toda requisição é tratada como admin: apenas para desenvolvimento local
+const authEnabled = (process.env.AUTH_ENABLED || 'true').toLowerCase() === 'true';
+
+// Tamanho mínimo de uma chave de API
+const API_KEY_MIN_LENGTH = 16;
+
+/**
+ * Lê as chaves de API de API_KEYS, no formato "nome:papel:chave" separado por vírgulas.
+ * A chave fica por último e pode conter ":".
+ */
+const parseApiKeys = (value) => {
+  const apiKeys = value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [name, role, ...keyParts] = entry.split(':');
+    const key = keyParts.join(':');
+
+    if (!name || !AUTH_ROLES.includes(role) || key.length < API_KEY_MIN_LENGTH) {
+      throw new Error(
+        `API_KEYS inválida: "${name}:${role || ''}:…". Formato: nome:papel:chave, com papel em ${AUTH_ROLES.join(', ')} ` +
+        `e chave com pelo menos ${API_KEY_MIN_LENGTH} caracteres.`
+      );
+    }
+    return { name, role, key };
+  });
+
+  if (new Set(apiKeys.map(apiKey => apiKey.key)).size !== apiKeys.length) {
+    throw new Error('API_KEYS inválida: a mesma chave aparece mais de uma vez.');
+  }
+  return apiKeys;
+};
+
+const apiKeys = parseApiKeys(process.env.API_KEYS || '');
+
+// JWT: HS256/384/512 assinados com JWT_SECRET e/ou RS*/ES* verificados com a chave pública do arquivo JWT_PUBLIC_KEY_FILE
+const jwtSecret = process.env.JWT_SECRET || null;
+const jwtPublicKey = process.env.JWT_PUBLIC_KEY_FILE
+  ? fs.readFileSync(path.resolve(process.env.JWT_PUBLIC_KEY_FILE), 'utf8')
+  : null;
+
+// Quando definidos, os tokens precisam trazer exatamente este emissor (iss) e incluir este público (aud)
+const jwtIssuer = process.env.JWT_ISSUER || null;
+const jwtAudience = process.env.JWT_AUDIENCE || null;
+
+// Claim do token com o papel do principal
+const jwtRoleClaim = process.env.JWT_ROLE_CLAIM || 'role';
+
+module.exports = {
+  ORDER_TOTAL_POLICIES,
+  orderTotalPolicy,
+  CATALOG_PRICE_POLICIES,
+  catalogPricePolicy,
+  LOG_LEVELS,
+  logLevel,
+  orderRetentionDays,
+  idempotencyKeyTtlHours,
+  orderMappersConfigPath,
+  checkMigrationsOnStartup,
+  readinessTimeoutMs,
+  shutdownTimeoutMs,
+  ORDER_CACHE_BACKENDS,
+  orderCacheBackend,
+  orderCacheTtlSeconds,
+  orderCacheMaxEntries,
+  redisUrl,
+  redisTimeoutMs,
+  webhookDispatcherEnabled,
+  webhookPollIntervalMs,
+  webhookTimeoutMs,
+  webhookMaxAttempts,
+  webhookRetryBaseSeconds,
+  webhookRetryMaxSeconds,
+  webhookAllowPrivateUrls,
+  AUTH_ROLES,
+  authEnabled,
+  apiKeys,
+  jwtSecret,
+  jwtPublicKey,
+  jwtIssuer,
+  jwtAudience,
+  jwtRoleClaim,
+};
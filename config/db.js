@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { instrumentPool } = require('../utils/dbInstrumentation');
 require('dotenv').config();
 
 const pool = new Pool({
@@ -9,9 +10,5 @@ const pool = new Pool({
   port: process.env.DB_PORT,
 });
 
-const query = (text, params) => pool.query(text, params);
-
-module.exports = {
-  query,
-  pool 
-};
\ No newline at end of file
+// query e pool com as consultas marcadas com o X-Request-Id, medidas e registradas (utils/dbInstrumentation.js)
+module.exports = instrumentPool(pool);
@@ -0,0 +1,126 @@
+const CustomerService = require('../services/CustomerService');
+const { getRequestContext } = require('../utils/requestContext');
+const { resolveResponseFormat, sendInFormat } = require('../utils/responseFormat');
+
+/*
+ * Cadastro de clientes e consulta dos pedidos de cada um. Os erros seguem para o
+ * middleware de erros (middlewares/errorHandler.js).
+ */
+
+/**
+ * Cadastra um cliente.
+ *
+ * Códigos de resposta:
+ * - 201: Cliente cadastrado
+ * - 400: Dados do cliente inválidos
+ * - 409: customerId já existente
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP com `customerId`, `name` e, opcionalmente, `email` e `document`.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Cliente cadastrado.
+ */
+const createCustomer = async (req, res) => {
+  const customer = await CustomerService.createCustomer(req.body);
+  return res.status(201).json(customer);
+};
+
+/**
+ * Lista os clientes, com paginação por cursor (`limit` e `cursor`).
+ *
+ * Códigos de resposta:
+ * - 200: Página de clientes
+ * - 400: Parâmetros inválidos
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Clientes e o cursor da próxima página.
+ */
+const listCustomers = async (req, res) => {
+  const page = await CustomerService.listCustomers(req.query);
+  return res.status(200).json(page);
+};
+
+/**
+ * Obtém um cliente.
+ *
+ * Códigos de resposta:
+ * - 200: Cliente encontrado
+ * - 404: Cliente não encontrado
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP com o customerId nos parâmetros.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Cliente encontrado.
+ */
+const getCustomer = async (req, res) => {
+  const customer = await CustomerService.getCustomer(req.params.customerId);
+  return res.status(200).json(customer);
+};
+
+/**
+ * Substitui os dados cadastrais de um cliente.
+ *
+ * Códigos de resposta:
+ * - 200: Cliente atualizado
+ * - 400: Dados inválidos
+ * - 404: Cliente não encontrado
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP com o customerId e os novos dados.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Cliente atualizado.
+ */
+const updateCustomer = async (req, res) => {
+  const customer = await CustomerService.updateCustomer(req.params.customerId, req.body);
+  return res.status(200).json(customer);
+};
+
+/**
+ * Exclui um cliente sem pedidos.
+ *
+ * Códigos de resposta:
+ * - 204: Cliente excluído
+ * - 404: Cliente não encontrado
+ * - 409: O cliente ainda tem pedidos (inclusive removidos aguardando expurgo)
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP com o customerId nos parâmetros.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Resposta vazia.
+ */
+const deleteCustomer = async (req, res) => {
+  await CustomerService.deleteCustomer(req.params.customerId);
+  return res.status(204).send();
+};
+
+/**
+ * Lista os pedidos do cliente, com os mesmos parâmetros e formatos de resposta de GET /order/list.
+ *
+ * Códigos de resposta:
+ * - 200: Página de pedidos do cliente
+ * - 400: Parâmetros inválidos
+ * - 403: includeDeleted sem o papel admin
+ * - 404: Cliente não encontrado
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP com o customerId e os parâmetros da listagem.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Pedidos do cliente e o cursor da próxima página.
+ */
+const listCustomerOrders = async (req, res) => {
+  const format = resolveResponseFormat(req);
+  const page = await CustomerService.listCustomerOrders(req.params.customerId, req.query, getRequestContext(req));
+
+  return sendInFormat(res, format, 200, { ...page, data: page.data.map(format.mapOrder) });
+};
+
+module.exports = {
+  createCustomer,
+  listCustomers,
+  getCustomer,
+  updateCustomer,
+  deleteCustomer,
+  listCustomerOrders,
+};
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+const { getOpenApiDocument } = require('../openapi');
+
+// Página da documentação interativa (Swagger UI servido pela própria API, sem CDN): lida uma única vez
+const DOCS_PAGE = fs.readFileSync(path.join(__dirname, '../openapi/docs.html'), 'utf8');
+
+/**
+ * Especificação OpenAPI 3.1 da API.
+ *
+ * Códigos de resposta:
+ * - 200: Documento OpenAPI (JSON)
+ *
+ * @param {import('express').Request} req - Requisição HTTP.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {import('express').Response}
+ */
+const getOpenApiSpec = (req, res) => {
+  return res.status(200).json(getOpenApiDocument());
+};
+
+/**
+ * Documentação interativa: lê /openapi.json no navegador e permite testar as rotas.
+ *
+ * Códigos de resposta:
+ * - 200: Página HTML
+ *
+ * @param {import('express').Request} req - Requisição HTTP.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {import('express').Response}
+ */
+const getDocsPage = (req, res) => {
+  return res.status(200).type('html').send(DOCS_PAGE);
+};
+
+module.exports = {
+  getOpenApiSpec,
+  getDocsPage,
+};
@@ -0,0 +1,41 @@
+const HealthService = require('../services/HealthService');
+
+/*
+ * Verificações usadas pelo orquestrador (liveness e readiness). As rotas são públicas:
+ * ficam antes da autenticação em app.js.
+ */
+
+/**
+ * Liveness: o processo está respondendo.
+ *
+ * Códigos de resposta:
+ * - 200: Processo de pé
+ *
+ * @param {import('express').Request} req - Requisição HTTP.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {import('express').Response} Status e tempo de atividade.
+ */
+const getHealth = (req, res) => {
+  return res.status(200).json(HealthService.getLiveness());
+};
+
+/**
+ * Readiness: o banco responde e o servidor não está em encerramento.
+ *
+ * Códigos de resposta:
+ * - 200: Pronto para receber tráfego
+ * - 503: Banco indisponível ou servidor em encerramento
+ *
+ * @param {import('express').Request} req - Requisição HTTP.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Situação do banco e estatísticas do pool.
+ */
+const getReadiness = async (req, res) => {
+  const { ready, report } = await HealthService.checkReadiness();
+  return res.status(ready ? 200 : 503).set('Cache-Control', 'no-store').json(report);
+};
+
+module.exports = {
+  getHealth,
+  getReadiness,
+};
@@ -0,0 +1,24 @@
+const MetricsService = require('../services/MetricsService');
+
+// Content-Type do formato de texto do Prometheus
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Métricas da API para o Prometheus: requisições e latência por rota, duração das
+ * consultas ao banco, saturação do pool e pedidos criados, alterados e removidos.
+ *
+ * Códigos de resposta:
+ * - 200: Métricas
+ * - 401: Credencial ausente ou inválida
+ *
+ * @param {import('express').Request} req - Requisição HTTP.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {import('express').Response} Métricas no formato de texto do Prometheus.
+ */
+const getMetrics = (req, res) => {
+  return res.status(200).set('Content-Type', PROMETHEUS_CONTENT_TYPE).set('Cache-Control', 'no-store').send(MetricsService.getMetrics());
+};
+
+module.exports = {
+  getMetrics,
+};
@@ -1,15 +1,34 @@
+const { once } = require('events');
 const OrderService = require('../services/OrderService');
+const { getRequestContext } = require('../utils/requestContext');
+const { toETag } = require('../utils/etag');
+const { resolveResponseFormat, sendInFormat } = require('../utils/responseFormat');
+const { toCsvLine } = require('../utils/csv');
+const logger = require('../utils/logger');
+const ValidationException = require('../exceptions/ValidationException');
 
-// Código de erro PostgreSQL para IDs duplicados
-const PG_DUPLICATE_KEY_CODE = '23505'; 
+// Canal de vendas (mapeador) do payload: rota /channels/:channel ou header X-Order-Channel
+const getChannel = (req) => req.params.channel || req.get('X-Order-Channel');
+
+/*
+ * Os handlers não tratam erros localmente: exceções lançadas pelo Service (ou pelo banco)
+ * seguem para o middleware de erros (middlewares/errorHandler.js), que monta a resposta
+ * application/problem+json com o status adequado.
+ */
 
 /**
  * Cria um novo pedido no sistema.
+ *
+ * Aceita o header opcional `Idempotency-Key`: uma retentativa com a mesma chave e o mesmo corpo
+ * recebe a resposta original (com o header `Idempotent-Replayed: true`) sem criar outro pedido.
+ * O formato do corpo segue o canal de vendas da rota (/channels/:channel), do header
+ * `X-Order-Channel` ou, sem nenhum dos dois, o detectado a partir do próprio corpo.
  * 
  * Códigos de resposta:
- * - 201: Pedido criado com sucesso
+ * - 201: Pedido criado com sucesso (ou resposta original de uma retentativa)
  * - 400: Dados inválidos ou faltantes
  * - 409: orderId já existente (violação de chave única)
+ * - 422: Idempotency-Key já utilizada com um corpo diferente
  * - 500: Erro interno do servidor
  * 
  * @param {Request} req - Objeto de requisição HTTP contendo os dados do pedido.
@@ -17,39 +36,62 @@ const PG_DUPLICATE_KEY_CODE = '23505';
  * @returns {Response} JSON com confirmação de criação ou erro.
  */
 const createNewOrder = async (req, res) => {
-  try {
-    const result = await OrderService.createOrder(req.body);
+  const idempotencyKey = req.get('Idempotency-Key');
 
-    return res.status(201).json({
-      message: 'Pedido criado com sucesso.',
-      orderId: result.orderId,
-      data: result.data,
-    });
-  } catch (error) {
-    console.error('Erro ao criar pedido:', error);
-    // Verificando se o erro informado coincide com Ids duplicados do Postgre
-    if (error.code === PG_DUPLICATE_KEY_CODE) { 
-        // 409 Conflict: Pedido com o mesmo orderId já existe
-        return res.status(409).json({ 
-            message: 'Erro: O número de pedido já existe.',
-            error: error.message
-        });
-    }
-    if (error.message && error.message.includes('inválidos')) {
-        return res.status(400).json({ message: error.message });
-    }
-    return res.status(500).json({
-      message: 'Erro interno do servidor ao criar o pedido.',
-      error: error.message,
-    });
+  const result = await OrderService.createOrder(req.body, { idempotencyKey, channel: getChannel(req) }, getRequestContext(req));
+
+  if (result.replayed) {
+    res.set('Idempotent-Replayed', 'true');
   }
+
+  return res.status(201).json({
+    message: 'Pedido criado com sucesso.',
+    orderId: result.orderId,
+    data: result.data,
+    ...(result.warnings.length > 0 && { warnings: result.warnings }),
+  });
+};
+
+/**
+ * Importa um lote de pedidos no formato de entrada, com resultado individual por registro.
+ *
+ * O corpo é uma lista de pedidos. Com `?atomic=true`, o lote é tudo ou nada; caso contrário,
+ * os pedidos válidos são criados e os demais reportados (best-effort).
+ *
+ * Códigos de resposta:
+ * - 200: Lote processado em modo best-effort (ver `results` e `summary`)
+ * - 201: Lote atômico criado integralmente
+ * - 400: Corpo não é uma lista de pedidos ou excede o tamanho máximo
+ * - 422: Lote atômico cancelado por pedidos inválidos ou duplicados
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP contendo a lista de pedidos no corpo.
+ * @param {import('express').Response} res - Objeto de resposta HTTP utilizado para retornar o resultado ao cliente.
+ * @returns {Promise<import('express').Response>} Resultado por registro ou mensagem de erro.
+ */
+const createOrdersBulk = async (req, res) => {
+  const atomic = req.query.atomic === 'true';
+
+  const result = await OrderService.createOrdersBulk(req.body, { atomic, channel: getChannel(req) }, getRequestContext(req));
+
+  let status = 200;
+  if (atomic) status = result.committed ? 201 : 422;
+
+  return res.status(status).json(result);
 };
 
 /**
  * Recupera os detalhes de um pedido específico com base no orderId informado.
+ * Pedidos removidos logicamente só são retornados com `?includeDeleted=true`.
+ * A versão atual do pedido é devolvida no header `ETag` (um por representação), para uso em
+ * `If-Match` nas alterações, e a data da última alteração em `Last-Modified`. Com `If-None-Match` ainda
+ * válido, a resposta é 304 sem corpo; `If-Modified-Since` é ignorado.
+ * A representação (interna ou de entrada) é escolhida por `?format=` ou pelo header `Accept`.
  * 
  * Códigos de resposta:
  * - 200: Pedido encontrado e retornado com sucesso
+ * - 304: O cliente já tem a versão atual do pedido
+ * - 400: Parâmetros de consulta inválidos (inclusive `format` desconhecido)
  * - 404: Nenhum pedido encontrado com o orderId informado
  * - 500: Erro interno do servidor ao processar a busca
  * 
@@ -58,58 +100,134 @@ const createNewOrder = async (req, res) => {
  * @returns {Promise<import('express').Response>} Resposta HTTP com o pedido encontrado ou mensagem de erro.
  */
 const getOrder = async (req, res) => {
-  try {
-    const { orderId } = req.params;
-    const order = await OrderService.getOrderDetails(orderId);
+  const { orderId } = req.params;
+  const format = resolveResponseFormat(req);
+  const order = await OrderService.getOrderDetails(orderId, req.query, getRequestContext(req));
 
-    if (!order) {
-      return res.status(404).json({
-        message: `Pedido com orderId ${orderId} não encontrado.`,
-      });
-    }
+  // Um ETag por representação: a 304 só vale para o mesmo formato que o cliente guardou
+  res.set('ETag', toETag(order.version, format.name));
+  if (order.updatedAt) res.set('Last-Modified', new Date(order.updatedAt).toUTCString());
+  // Sempre revalidado: o cliente guarda a resposta, mas pergunta a cada uso se ela mudou
+  res.set('Cache-Control', 'private, no-cache');
+  res.vary('Accept');
 
-    return res.status(200).json(order);
-  } catch (error) {
-    console.error('Erro ao buscar pedido:', error);
-    return res.status(500).json({
-      message: 'Erro interno do servidor ao buscar o pedido.',
-      error: error.message,
-    });
+  // Só o ETag decide a 304: o Last-Modified tem resolução de um segundo e não distingue duas alterações
+  // no mesmo segundo. Sem If-Modified-Since, req.fresh (consultado também pelo res.send) compara apenas If-None-Match
+  delete req.headers['if-modified-since'];
+  if (req.fresh) {
+    return res.status(304).end();
   }
+
+  return sendInFormat(res, format, 200, format.mapOrder(order));
 };
 
 /**
- * Lista todos os pedidos cadastrados no sistema.
+ * Lista os pedidos cadastrados no sistema, com paginação por cursor, filtros e ordenação.
  *
+ * Query string: limit, cursor, from, to, minValue, maxValue, productId, sort, order, includeTotal e format.
+ * Os pedidos de `data` seguem a representação escolhida por `?format=` ou pelo header `Accept`.
  *
  * Códigos de resposta:
- * - 200: Lista de pedidos retornada com sucesso
+ * - 200: Página de pedidos retornada com sucesso (`data`, `nextCursor` e, opcionalmente, `total`)
+ * - 400: Parâmetros de listagem inválidos
  * - 500: Erro interno ao tentar listar os pedidos
  *
- * @param {import('express').Request} req - Objeto da requisição HTTP.
+ * @param {import('express').Request} req - Objeto da requisição HTTP com os parâmetros na query string.
  * @param {import('express').Response} res - Objeto da resposta HTTP usado para enviar a lista de pedidos.
- * @returns {Promise<import('express').Response>} Resposta contendo a lista de pedidos ou mensagem de erro.
+ * @returns {Promise<import('express').Response>} Resposta contendo a página de pedidos ou mensagem de erro.
  */
 const listAllOrders = async (req, res) => {
+  const format = resolveResponseFormat(req);
+  const page = await OrderService.listAllOrders(req.query, getRequestContext(req));
+
+  return sendInFormat(res, format, 200, { ...page, data: page.data.map(format.mapOrder) });
+};
+
+// Colunas do CSV de exportação: os campos do pedido se repetem em cada linha de item
+const EXPORT_CSV_COLUMNS = ['orderId', 'numeroPedido', 'creationDate', 'status', 'value', 'deletedAt', 'productId', 'quantity', 'price'];
+
+const EXPORT_MEDIA_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+// Linhas CSV de um pedido (uma por item; pedidos sem itens geram uma linha com o item vazio)
+const toExportCsvRows = (order) => {
+  const header = [order.orderId, order.externalOrderNumber, order.creationDate, order.status, order.value, order.deletedAt];
+  const items = order.items.length > 0 ? order.items : [{}];
+
+  return items.map(item => toCsvLine([...header, item.productId, item.quantity, item.price])).join('');
+};
+
+/**
+ * Exporta os pedidos filtrados, com seus itens, como arquivo CSV (uma linha por item)
+ * ou NDJSON (um pedido por linha), enviado aos poucos conforme é lido do banco.
+ *
+ * Query string: os mesmos filtros e ordenação de GET /order/list (sem paginação) e
+ * `format` (csv | ndjson). Sem `format`, o header `Accept` decide (text/csv ou
+ * application/x-ndjson); o padrão é CSV.
+ *
+ * Códigos de resposta:
+ * - 200: Arquivo enviado em streaming
+ * - 400: Parâmetros de exportação inválidos
+ * - 500: Erro interno do servidor (se ocorrer durante o envio, a conexão é encerrada sem o fim
+ *   da resposta, para que o cliente perceba que o arquivo está incompleto)
+ *
+ * @param {import('express').Request} req - Requisição HTTP com os filtros na query string.
+ * @param {import('express').Response} res - Resposta HTTP, escrita em streaming.
+ * @returns {Promise<void>}
+ */
+const exportOrders = async (req, res) => {
+  const format = req.query.format
+    ?? (req.accepts(['text/csv', 'application/x-ndjson']) === 'application/x-ndjson' ? 'ndjson' : 'csv');
+
+  const { orders } = await OrderService.exportOrders({ ...req.query, format }, getRequestContext(req));
+
+  // Cliente desconectado: a leitura do cursor é interrompida (o que libera a conexão com o banco)
+  let aborted = false;
+  res.on('close', () => { aborted = true; });
+
+  // Respeita o controle de fluxo do socket, para não acumular o arquivo em memória
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  };
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.status(200);
+  res.vary('Accept');
+  res.set('Content-Type', EXPORT_MEDIA_TYPES[format]);
+  res.set('Content-Disposition', `attachment; filename="pedidos-${date}.${format}"`);
+
+  // BOM para que planilhas reconheçam o arquivo como UTF-8
+  if (format === 'csv') await write(`\uFEFF${toCsvLine(EXPORT_CSV_COLUMNS)}`);
+
   try {
-    const orders = await OrderService.listAllOrders();
-    return res.status(200).json(orders);
+    for await (const order of orders) {
+      if (aborted) break;
+      await write(format === 'csv' ? toExportCsvRows(order) : `${JSON.stringify(order)}\n`);
+    }
   } catch (error) {
-    console.error('Erro ao listar pedidos:', error);
-    return res.status(500).json({
-      message: 'Erro interno do servidor ao listar os pedidos.',
-      error: error.message,
-    });
+    // O status 200 já foi enviado: encerrar a conexão sem o último chunk sinaliza o arquivo truncado
+    logger.error('Exportação interrompida por erro', { method: req.method, path: req.originalUrl, error });
+    res.destroy(error);
+    return;
   }
+
+  res.end();
 };
 
 /**
  * Atualiza um pedido existente com base no orderId fornecido.
  *
+ * Com `?replaceItems=true`, os itens do pedido são substituídos pelos itens do corpo
+ * na mesma transação do cabeçalho; sem ele, itens enviados no corpo são ignorados (com aviso).
+ *
  * Códigos de resposta:
  * - 200: Pedido atualizado com sucesso
  * - 400: Dados inválidos ou ausentes no corpo da requisição
  * - 404: Pedido não encontrado para atualização
+ * - 409: Pedido em status terminal (entregue ou cancelado)
+ * - 412: `If-Match` informado não corresponde à versão atual do pedido
  * - 500: Erro interno ao processar a atualização
  *
  * @param {import('express').Request} req - Requisição HTTP contendo o orderId nos parâmetros e os dados no corpo.
@@ -117,32 +235,17 @@ const listAllOrders = async (req, res) => {
  * @returns {Promise<import('express').Response>} Resultado da atualização do pedido.
  */
 const updateExistingOrder = async (req, res) => {
-    try {
-        const { orderId } = req.params;
-        
-        await OrderService.updateOrderHeaderOnly(orderId, req.body);
-
-        return res.status(200).json({
-            message: `Cabeçalho do Pedido ${orderId} atualizado com sucesso.`,
-        });
-
-    } catch (error) {
-        console.error('Erro ao atualizar cabeçalho do pedido:', error);
-        if (error instanceof ResourceNotFoundException) {
-            return res.status(error.statusCode).json({
-                message: error.message,
-            });
-        }
-        
-        if (error.message && error.message.includes('inválidos')) {
-            return res.status(400).json({ message: error.message });
-        }
-        
-        return res.status(500).json({
-            message: 'Erro interno do servidor ao atualizar o cabeçalho.',
-            error: error.message,
-        });
-    }
+    const { orderId } = req.params;
+    
+    const replaceItems = req.query.replaceItems === 'true';
+
+    const result = await OrderService.updateOrder(orderId, req.body, { replaceItems, ifMatch: req.get('If-Match'), channel: getChannel(req) }, getRequestContext(req));
+
+    res.set('ETag', toETag(result.version));
+    return res.status(200).json({
+        message: `Cabeçalho do Pedido ${orderId} atualizado com sucesso.`,
+        ...(result.warnings.length > 0 && { warnings: result.warnings }),
+    });
 };
 
 /**
@@ -152,6 +255,8 @@ const updateExistingOrder = async (req, res) => {
  * - 200: Item atualizado com sucesso.
  * - 400: Dados inválidos ou `productId` não numérico.
  * - 404: Pedido ou item não encontrado.
+ * - 409: Pedido em status terminal.
+ * - 412: `If-Match` informado não corresponde à versão atual do pedido.
  * - 500: Erro interno no servidor.
  *
  * @param {import('express').Request} req - Requisição HTTP contendo parâmetros e payload do item.
@@ -160,46 +265,152 @@ const updateExistingOrder = async (req, res) => {
  * @returns {Promise<import('express').Response>} Resposta HTTP indicando sucesso ou erro.
  */
 const updateOrderItem = async (req, res) => {
-    try {
-        const { orderId, productId } = req.params;
-        
-        // Converte productId para o formato esperado (Integer)
-        const numericProductId = parseInt(productId, 10);
-        if (isNaN(numericProductId)) {
-            return res.status(400).json({ message: "O ID do produto deve ser um número válido." });
-        }
-        
-        await OrderService.updateItemOrder(orderId, numericProductId, req.body); 
-
-        return res.status(200).json({
-            message: `Item ${productId} do Pedido ${orderId} atualizado com sucesso.`,
-        });
-
-    } catch (error) {
-        console.error('Erro ao atualizar item do pedido:', error);
-        if (error instanceof ResourceNotFoundException) {
-            return res.status(404).json({
-                message: error.message,
-            });
-        }
-        
-        if (error.message && error.message.includes('inválidos')) {
-            return res.status(400).json({ message: error.message });
-        }
-        
-        return res.status(500).json({
-            message: 'Erro interno do servidor ao atualizar o item.',
-            error: error.message,
-        });
+    const { orderId, productId } = req.params;
+    
+    // Converte productId para o formato esperado (Integer)
+    const numericProductId = parseInt(productId, 10);
+    if (isNaN(numericProductId)) {
+        throw new ValidationException('O ID do produto deve ser um número válido.', [
+            { field: 'productId', message: 'deve ser um número inteiro' },
+        ]);
+    }
+    
+    const result = await OrderService.updateItemOrder(orderId, numericProductId, req.body, { ifMatch: req.get('If-Match') }, getRequestContext(req)); 
+
+    res.set('ETag', toETag(result.version));
+    return res.status(200).json({
+        message: `Item ${productId} do Pedido ${orderId} atualizado com sucesso.`,
+        ...(result.warnings.length > 0 && { warnings: result.warnings }),
+    });
+};
+
+/**
+ * Adiciona um novo item a um pedido existente.
+ *
+ * Possíveis respostas:
+ * - 201: Item adicionado com sucesso.
+ * - 400: Dados do item inválidos.
+ * - 404: Pedido não encontrado.
+ * - 409: O pedido já possui um item com o mesmo produto ou está em status terminal.
+ * - 412: `If-Match` informado não corresponde à versão atual do pedido.
+ * - 500: Erro interno no servidor.
+ *
+ * @param {import('express').Request} req - Requisição HTTP contendo o orderId e o item no formato de entrada.
+ * @param {import('express').Response} res - Objeto de resposta HTTP utilizado para retornar o resultado ao cliente.
+ *
+ * @returns {Promise<import('express').Response>} Resposta HTTP indicando sucesso ou erro.
+ */
+const addOrderItem = async (req, res) => {
+    const { orderId } = req.params;
+
+    const result = await OrderService.addItemOrder(orderId, req.body, { ifMatch: req.get('If-Match') }, getRequestContext(req));
+
+    res.set('ETag', toETag(result.version));
+    return res.status(201).json({
+        message: `Item ${result.item.productId} adicionado ao Pedido ${orderId} com sucesso.`,
+        data: result.item,
+        ...(result.warnings.length > 0 && { warnings: result.warnings }),
+    });
+};
+
+/**
+ * Remove um item específico de um pedido existente.
+ *
+ * Possíveis respostas:
+ * - 200: Item removido com sucesso.
+ * - 400: `productId` não numérico ou valor total inconsistente (política `reject`).
+ * - 404: Pedido ou item não encontrado.
+ * - 409: Pedido em status terminal.
+ * - 412: `If-Match` informado não corresponde à versão atual do pedido.
+ * - 500: Erro interno no servidor.
+ *
+ * @param {import('express').Request} req - Requisição HTTP contendo orderId e productId nos parâmetros.
+ * @param {import('express').Response} res - Objeto de resposta HTTP utilizado para retornar o resultado ao cliente.
+ *
+ * @returns {Promise<import('express').Response>} Resposta HTTP indicando sucesso ou erro.
+ */
+const deleteOrderItem = async (req, res) => {
+    const { orderId, productId } = req.params;
+
+    const numericProductId = parseInt(productId, 10);
+    if (isNaN(numericProductId)) {
+        throw new ValidationException('O ID do produto deve ser um número válido.', [
+            { field: 'productId', message: 'deve ser um número inteiro' },
+        ]);
     }
+
+    const result = await OrderService.removeItemOrder(orderId, numericProductId, { ifMatch: req.get('If-Match') }, getRequestContext(req));
+
+    res.set('ETag', toETag(result.version));
+    return res.status(200).json({
+        message: `Item ${productId} removido do Pedido ${orderId} com sucesso.`,
+        ...(result.warnings.length > 0 && { warnings: result.warnings }),
+    });
+};
+
+/**
+ * Altera o status de um pedido, respeitando as transições permitidas pela máquina de estados.
+ *
+ * Códigos de resposta:
+ * - 200: Status alterado com sucesso
+ * - 400: Status ausente ou desconhecido
+ * - 404: Pedido não encontrado
+ * - 409: Transição não permitida a partir do status atual
+ * - 412: `If-Match` informado não corresponde à versão atual do pedido
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP contendo o orderId e o novo `status` no corpo.
+ * @param {import('express').Response} res - Objeto de resposta HTTP utilizado para retornar o resultado ao cliente.
+ * @returns {Promise<import('express').Response>} Resposta HTTP indicando sucesso ou erro.
+ */
+const changeOrderStatus = async (req, res) => {
+  const { orderId } = req.params;
+
+  const result = await OrderService.changeOrderStatus(orderId, req.body, { ifMatch: req.get('If-Match') }, getRequestContext(req));
+
+  res.set('ETag', toETag(result.version));
+  return res.status(200).json({
+    message: `Status do Pedido ${orderId} alterado para "${result.status}".`,
+    data: result,
+  });
 };
 
 /**
- * Remove um pedido do sistema com base no orderId informado.
+ * Retorna o histórico de alterações de um pedido (inclusive de pedidos já removidos).
+ * Os estados `before`/`after` seguem a representação escolhida por `?format=` ou pelo header `Accept`.
+ *
+ * Códigos de resposta:
+ * - 200: Histórico retornado com sucesso
+ * - 400: `format` desconhecido
+ * - 404: Pedido inexistente e sem histórico
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP contendo o orderId nos parâmetros.
+ * @param {import('express').Response} res - Objeto de resposta HTTP utilizado para retornar o histórico.
+ * @returns {Promise<import('express').Response>} Lista de entradas do histórico ou mensagem de erro.
+ */
+const getOrderHistory = async (req, res) => {
+  const { orderId } = req.params;
+
+  const format = resolveResponseFormat(req);
+  const history = await OrderService.getOrderHistory(orderId);
+
+  return sendInFormat(res, format, 200, history.map(entry => ({
+    ...entry,
+    before: entry.before && format.mapOrder(entry.before),
+    after: entry.after && format.mapOrder(entry.after),
+  })));
+};
+
+/**
+ * Remove logicamente um pedido do sistema com base no orderId informado.
+ * O pedido pode ser restaurado até ser expurgado (POST /order/purge).
  *
  * Códigos de resposta:
  * - 204: Pedido removido com sucesso
  * - 404: Pedido não encontrado para exclusão
+ * - 409: Pedido em status terminal (entregue ou cancelado)
+ * - 412: `If-Match` informado não corresponde à versão atual do pedido
  * - 500: Erro interno durante a exclusão
  *
  * @param {import('express').Request} req - Objeto da requisição HTTP contendo o orderId nos parâmetros.
@@ -207,31 +418,75 @@ const updateOrderItem = async (req, res) => {
  * @returns {Promise<import('express').Response>} Resposta HTTP indicando sucesso ou erro.
  */
 const deleteExistingOrder = async (req, res) => {
-  try {
-    const { orderId } = req.params;
+  const { orderId } = req.params;
 
-    await OrderService.deleteOrder(orderId);
+  await OrderService.deleteOrder(orderId, { ifMatch: req.get('If-Match') }, getRequestContext(req));
 
-    return res.status(204).send();
+  return res.status(204).send();
+};
 
-  } catch (error) {
-    if (error instanceof ResourceNotFoundException) {
-      return res.status(404).json({ message: error.message });
-    }
 
-    return res.status(500).json({
-      message: "Erro interno do servidor ao deletar o pedido.",
-      error: error.message,
-    });
-  }
+/**
+ * Restaura um pedido removido logicamente.
+ *
+ * Códigos de resposta:
+ * - 200: Pedido restaurado com sucesso
+ * - 404: Pedido não encontrado (ou já expurgado)
+ * - 409: O pedido não está removido
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP contendo o orderId nos parâmetros.
+ * @param {import('express').Response} res - Objeto de resposta HTTP utilizado para retornar o resultado ao cliente.
+ * @returns {Promise<import('express').Response>} Pedido restaurado ou mensagem de erro.
+ */
+const restoreDeletedOrder = async (req, res) => {
+  const { orderId } = req.params;
+
+  const order = await OrderService.restoreDeletedOrder(orderId, getRequestContext(req));
+
+  res.set('ETag', toETag(order.version));
+  return res.status(200).json({
+    message: `Pedido ${orderId} restaurado com sucesso.`,
+    data: order,
+  });
 };
 
+/**
+ * Expurga definitivamente os pedidos removidos logicamente há mais tempo que o período de retenção.
+ *
+ * Corpo opcional: `{ "retentionDays": 30 }` (padrão: ORDER_RETENTION_DAYS).
+ *
+ * Códigos de resposta:
+ * - 200: Expurgo executado (retorna a quantidade e os pedidos expurgados)
+ * - 400: retentionDays inválido
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP.
+ * @param {import('express').Response} res - Objeto de resposta HTTP utilizado para retornar o resultado ao cliente.
+ * @returns {Promise<import('express').Response>} Resultado do expurgo ou mensagem de erro.
+ */
+const purgeDeletedOrders = async (req, res) => {
+  const result = await OrderService.purgeDeletedOrders(req.body, getRequestContext(req));
+
+  return res.status(200).json({
+    message: `${result.purged} pedido(s) expurgado(s).`,
+    data: result,
+  });
+};
 
 module.exports = {
   createNewOrder,
+  createOrdersBulk,
   getOrder,
   listAllOrders,
+  exportOrders,
   updateExistingOrder,
   deleteExistingOrder,
-  updateOrderItem
+  updateOrderItem,
+  addOrderItem,
+  deleteOrderItem,
+  changeOrderStatus,
+  getOrderHistory,
+  restoreDeletedOrder,
+  purgeDeletedOrders
 };
\ No newline at end of file
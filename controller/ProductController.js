@@ -0,0 +1,122 @@
+const ProductService = require('../services/ProductService');
+
+/*
+ * Catálogo de produtos e ajustes de estoque. Os erros seguem para o middleware de
+ * erros (middlewares/errorHandler.js).
+ */
+
+/**
+ * Cadastra um produto.
+ *
+ * Códigos de resposta:
+ * - 201: Produto cadastrado
+ * - 400: Dados do produto inválidos
+ * - 409: productId já existente
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP com `productId`, `name`, `listPrice` e, opcionalmente, `stockOnHand`.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Produto cadastrado.
+ */
+const createProduct = async (req, res) => {
+  const product = await ProductService.createProduct(req.body);
+  return res.status(201).json(product);
+};
+
+/**
+ * Lista os produtos, com paginação por cursor (`limit` e `cursor`).
+ *
+ * Códigos de resposta:
+ * - 200: Página de produtos
+ * - 400: Parâmetros inválidos
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Produtos e o cursor da próxima página.
+ */
+const listProducts = async (req, res) => {
+  const page = await ProductService.listProducts(req.query);
+  return res.status(200).json(page);
+};
+
+/**
+ * Obtém um produto, com o estoque disponível.
+ *
+ * Códigos de resposta:
+ * - 200: Produto encontrado
+ * - 404: Produto não encontrado
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP com o productId nos parâmetros.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Produto encontrado.
+ */
+const getProduct = async (req, res) => {
+  const product = await ProductService.getProduct(req.params.productId);
+  return res.status(200).json(product);
+};
+
+/**
+ * Substitui o nome e o preço de catálogo de um produto.
+ *
+ * Códigos de resposta:
+ * - 200: Produto atualizado
+ * - 400: Dados inválidos
+ * - 404: Produto não encontrado
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP com o productId e os novos dados.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Produto atualizado.
+ */
+const updateProduct = async (req, res) => {
+  const product = await ProductService.updateProduct(req.params.productId, req.body);
+  return res.status(200).json(product);
+};
+
+/**
+ * Registra uma entrada ou baixa de estoque.
+ *
+ * Códigos de resposta:
+ * - 200: Estoque ajustado
+ * - 400: Ajuste inválido
+ * - 404: Produto não encontrado
+ * - 409: A baixa deixaria o estoque negativo
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP com o productId e a `quantity` do ajuste.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Produto com o novo saldo.
+ */
+const adjustStock = async (req, res) => {
+  const product = await ProductService.adjustStock(req.params.productId, req.body);
+  return res.status(200).json(product);
+};
+
+/**
+ * Exclui um produto que não está em nenhum pedido.
+ *
+ * Códigos de resposta:
+ * - 204: Produto excluído
+ * - 404: Produto não encontrado
+ * - 409: O produto está em pedidos (inclusive removidos aguardando expurgo)
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP com o productId nos parâmetros.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Resposta vazia.
+ */
+const deleteProduct = async (req, res) => {
+  await ProductService.deleteProduct(req.params.productId);
+  return res.status(204).send();
+};
+
+module.exports = {
+  createProduct,
+  listProducts,
+  getProduct,
+  updateProduct,
+  adjustStock,
+  deleteProduct,
+};
@@ -0,0 +1,69 @@
+const ReportService = require('../services/ReportService');
+
+/*
+ * Relatórios de vendas. Assim como em OrderController, os erros seguem para o
+ * middleware de erros (middlewares/errorHandler.js).
+ */
+
+/**
+ * Retorna o faturamento e a quantidade de pedidos agrupados por dia, semana ou mês.
+ *
+ * Query string: from, to, timezone e groupBy.
+ *
+ * Códigos de resposta:
+ * - 200: Relatório calculado com sucesso
+ * - 400: Parâmetros do relatório inválidos
+ * - 500: Erro interno ao calcular o relatório
+ *
+ * @param {import('express').Request} req - Requisição HTTP com os parâmetros na query string.
+ * @param {import('express').Response} res - Resposta HTTP usada para enviar o relatório.
+ * @returns {Promise<import('express').Response>} Resposta contendo o relatório.
+ */
+const getRevenueReport = async (req, res) => {
+  const report = await ReportService.getRevenueReport(req.query);
+  return res.status(200).json(report);
+};
+
+/**
+ * Retorna o ranking dos produtos mais vendidos, por quantidade ou por faturamento.
+ *
+ * Query string: from, to, timezone, by e limit.
+ *
+ * Códigos de resposta:
+ * - 200: Relatório calculado com sucesso
+ * - 400: Parâmetros do relatório inválidos
+ * - 500: Erro interno ao calcular o relatório
+ *
+ * @param {import('express').Request} req - Requisição HTTP com os parâmetros na query string.
+ * @param {import('express').Response} res - Resposta HTTP usada para enviar o relatório.
+ * @returns {Promise<import('express').Response>} Resposta contendo o relatório.
+ */
+const getTopProductsReport = async (req, res) => {
+  const report = await ReportService.getTopProductsReport(req.query);
+  return res.status(200).json(report);
+};
+
+/**
+ * Retorna a quantidade de pedidos, o faturamento e o ticket médio do período.
+ *
+ * Query string: from, to e timezone.
+ *
+ * Códigos de resposta:
+ * - 200: Relatório calculado com sucesso
+ * - 400: Parâmetros do relatório inválidos
+ * - 500: Erro interno ao calcular o relatório
+ *
+ * @param {import('express').Request} req - Requisição HTTP com os parâmetros na query string.
+ * @param {import('express').Response} res - Resposta HTTP usada para enviar o relatório.
+ * @returns {Promise<import('express').Response>} Resposta contendo o relatório.
+ */
+const getAverageOrderValueReport = async (req, res) => {
+  const report = await ReportService.getAverageOrderValueReport(req.query);
+  return res.status(200).json(report);
+};
+
+module.exports = {
+  getRevenueReport,
+  getTopProductsReport,
+  getAverageOrderValueReport,
+};
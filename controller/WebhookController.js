@@ -0,0 +1,155 @@
+const WebhookService = require('../services/WebhookService');
+const ValidationException = require('../exceptions/ValidationException');
+
+/*
+ * Cadastro de webhooks e consulta/reenvio das entregas. Os erros seguem para o
+ * middleware de erros (middlewares/errorHandler.js).
+ */
+
+// Converte o :webhookId da rota para inteiro
+const parseWebhookId = (req) => {
+  const webhookId = parseInt(req.params.webhookId, 10);
+
+  if (isNaN(webhookId)) {
+    throw new ValidationException('O ID do webhook deve ser um número válido.', [
+      { field: 'webhookId', message: 'deve ser um número inteiro' },
+    ]);
+  }
+  return webhookId;
+};
+
+/**
+ * Cadastra um webhook para receber eventos de pedidos.
+ *
+ * Códigos de resposta:
+ * - 201: Webhook cadastrado (a resposta traz o `secret`, que não é exibido novamente)
+ * - 400: Dados do webhook inválidos
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP com `url`, `events` e, opcionalmente, `secret` e `active`.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Webhook cadastrado.
+ */
+const createWebhook = async (req, res) => {
+  const webhook = await WebhookService.createWebhook(req.body);
+  return res.status(201).json(webhook);
+};
+
+/**
+ * Lista os webhooks cadastrados.
+ *
+ * Códigos de resposta:
+ * - 200: Lista de webhooks (sem os secrets)
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Webhooks cadastrados.
+ */
+const listWebhooks = async (req, res) => {
+  const webhooks = await WebhookService.listWebhooks();
+  return res.status(200).json(webhooks);
+};
+
+/**
+ * Obtém um webhook.
+ *
+ * Códigos de resposta:
+ * - 200: Webhook encontrado (sem o secret)
+ * - 400: `webhookId` não numérico
+ * - 404: Webhook não encontrado
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP com o webhookId nos parâmetros.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Webhook encontrado.
+ */
+const getWebhook = async (req, res) => {
+  const webhook = await WebhookService.getWebhook(parseWebhookId(req));
+  return res.status(200).json(webhook);
+};
+
+/**
+ * Substitui a configuração de um webhook (URL, eventos, ativo e, opcionalmente, o secret).
+ *
+ * Códigos de resposta:
+ * - 200: Webhook atualizado
+ * - 400: Dados inválidos ou `webhookId` não numérico
+ * - 404: Webhook não encontrado
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP com o webhookId e a nova configuração.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Webhook atualizado.
+ */
+const updateWebhook = async (req, res) => {
+  const webhook = await WebhookService.updateWebhook(parseWebhookId(req), req.body);
+  return res.status(200).json(webhook);
+};
+
+/**
+ * Remove um webhook e suas entregas.
+ *
+ * Códigos de resposta:
+ * - 204: Webhook removido
+ * - 400: `webhookId` não numérico
+ * - 404: Webhook não encontrado
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP com o webhookId nos parâmetros.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Resposta vazia.
+ */
+const deleteWebhook = async (req, res) => {
+  await WebhookService.deleteWebhook(parseWebhookId(req));
+  return res.status(204).send();
+};
+
+/**
+ * Lista as entregas mais recentes de um webhook, com a situação de cada uma.
+ *
+ * Query string: status (pending | delivered | dead) e limit.
+ *
+ * Códigos de resposta:
+ * - 200: Lista de entregas
+ * - 400: Parâmetros inválidos
+ * - 404: Webhook não encontrado
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP com o webhookId e os filtros.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Entregas do webhook.
+ */
+const listDeliveries = async (req, res) => {
+  const deliveries = await WebhookService.listDeliveries(parseWebhookId(req), req.query);
+  return res.status(200).json(deliveries);
+};
+
+/**
+ * Reenvia as entregas que esgotaram as tentativas (todas ou as de `deliveryIds`).
+ * O envio acontece na próxima rodada do despachante.
+ *
+ * Códigos de resposta:
+ * - 202: Entregas colocadas de volta na fila
+ * - 400: Parâmetros inválidos
+ * - 404: Webhook não encontrado
+ * - 500: Erro interno do servidor
+ *
+ * @param {import('express').Request} req - Requisição HTTP com o webhookId e, opcionalmente, `deliveryIds`.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @returns {Promise<import('express').Response>} Quantidade e IDs das entregas reenfileiradas.
+ */
+const replayDeliveries = async (req, res) => {
+  const result = await WebhookService.replayDeliveries(parseWebhookId(req), req.body);
+  return res.status(202).json(result);
+};
+
+module.exports = {
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  replayDeliveries,
+};
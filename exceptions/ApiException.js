@@ -0,0 +1,16 @@
+/**
+ * Base das exceções de domínio da API.
+ *
+ * Cada subclasse define o status HTTP e o título do problema (RFC 7807) que o
+ * middleware de erros utiliza para montar a resposta `application/problem+json`.
+ */
+class ApiException extends Error {
+    constructor(message, statusCode = 500, title = 'Erro interno do servidor') {
+        super(message);
+        this.name = "ApiException";
+        this.statusCode = statusCode;
+        this.title = title;
+    }
+}
+
+module.exports = ApiException;
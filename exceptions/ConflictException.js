@@ -0,0 +1,10 @@
+const ApiException = require('./ApiException');
+
+class ConflictException extends ApiException {
+    constructor(message) {
+        super(message, 409, 'Conflito');
+        this.name = "ConflictException";
+    }
+}
+
+module.exports = ConflictException;
@@ -0,0 +1,12 @@
+const ApiException = require('./ApiException');
+
+class DatabaseException extends ApiException {
+    constructor(message = 'Banco de dados indisponível no momento. Tente novamente em instantes.', cause) {
+        super(message, 503, 'Banco de dados indisponível');
+        this.name = "DatabaseException";
+        // Erro original do driver (pg), mantido apenas para log
+        this.cause = cause;
+    }
+}
+
+module.exports = DatabaseException;
@@ -0,0 +1,10 @@
+const ApiException = require('./ApiException');
+
+class ForbiddenException extends ApiException {
+    constructor(message) {
+        super(message, 403, 'Acesso negado');
+        this.name = "ForbiddenException";
+    }
+}
+
+module.exports = ForbiddenException;
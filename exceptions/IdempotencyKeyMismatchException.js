@@ -0,0 +1,10 @@
+const ApiException = require('./ApiException');
+
+class IdempotencyKeyMismatchException extends ApiException {
+    constructor(idempotencyKey) {
+        super(`A Idempotency-Key "${idempotencyKey}" já foi utilizada com um corpo de requisição diferente.`, 422, 'Idempotency-Key reutilizada');
+        this.name = "IdempotencyKeyMismatchException";
+    }
+}
+
+module.exports = IdempotencyKeyMismatchException;
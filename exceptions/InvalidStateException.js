@@ -0,0 +1,10 @@
+const ApiException = require('./ApiException');
+
+class InvalidStateException extends ApiException {
+    constructor(message) {
+        super(message, 409, 'Estado inválido');
+        this.name = "InvalidStateException";
+    }
+}
+
+module.exports = InvalidStateException;
@@ -0,0 +1,10 @@
+const ApiException = require('./ApiException');
+
+class PreconditionFailedException extends ApiException {
+    constructor(message) {
+        super(message, 412, 'Pré-condição não atendida');
+        this.name = "PreconditionFailedException";
+    }
+}
+
+module.exports = PreconditionFailedException;
@@ -1,8 +1,9 @@
-class ResourceNotFoundException extends Error {
+const ApiException = require('./ApiException');
+
+class ResourceNotFoundException extends ApiException {
     constructor(resourceName, identifier) {
-        super(`${resourceName} com identificador "${identifier}" não foi encontrado.`);
+        super(`${resourceName} com identificador "${identifier}" não foi encontrado.`, 404, 'Recurso não encontrado');
         this.name = "ResourceNotFoundException";
-        this.statusCode = 404;
     }
 }
 
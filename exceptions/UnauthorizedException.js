@@ -0,0 +1,12 @@
+const ApiException = require('./ApiException');
+
+class UnauthorizedException extends ApiException {
+    constructor(message) {
+        super(message, 401, 'Não autenticado');
+        this.name = "UnauthorizedException";
+        // Esquemas aceitos, informados ao cliente junto do 401 (RFC 9110)
+        this.headers = { 'WWW-Authenticate': 'Bearer, ApiKey' };
+    }
+}
+
+module.exports = UnauthorizedException;
@@ -0,0 +1,12 @@
+const ApiException = require('./ApiException');
+
+class ValidationException extends ApiException {
+    constructor(message, errors = []) {
+        super(message, 400, 'Dados inválidos');
+        this.name = "ValidationException";
+        // Lista de violações no formato { field, message }
+        this.errors = errors;
+    }
+}
+
+module.exports = ValidationException;
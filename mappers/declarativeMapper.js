@@ -0,0 +1,190 @@
+/**
+ * Mapeadores criados a partir de configuração (sem código), para canais de vendas
+ * cujo payload só difere do formato interno nos nomes, caminhos e formatos dos campos.
+ *
+ * A partir da configuração são gerados a regra de detecção, o JSON Schema de validação
+ * do payload do canal e as conversões nos dois sentidos (canal <-> formato interno).
+ */
+const { validate } = require('../utils/validator');
+const { getPath, setPath } = require('../utils/objectPath');
+const { patternToRegex, parseDate, formatDate } = require('../utils/dateFormat');
+const { toCents, fromCents } = require('../utils/decimal');
+const { customerIdSchema } = require('../schemas/CustomerSchema');
+
+const BUILT_IN_DATE_FORMATS = ['iso', 'epoch', 'epochMillis'];
+
+// Maior instante representável por Date (8,64e15 ms após 1970): além dele, toISOString lança RangeError
+const MAX_EPOCH_MILLIS = 8.64e15;
+
+// Número decimal não negativo, aceito também como texto (ex: "10.50")
+const decimalSchema = { type: ['number', 'string'], minimum: 0, pattern: '^\\d+(\\.\\d+)?$' };
+// Inteiro não negativo, aceito também como texto (ex: "1050")
+const integerSchema = { type: ['integer', 'string'], minimum: 0, pattern: '^\\d+$' };
+
+const moneySchema = (field) => (field.unit === 'cents' ? integerSchema : decimalSchema);
+
+const dateSchema = ({ dateFormat = 'iso' }) => {
+  if (dateFormat === 'iso') return { type: 'string', format: 'parseable-date' };
+  if (dateFormat === 'epoch') return { type: 'integer', minimum: 0, maximum: MAX_EPOCH_MILLIS / 1000 };
+  if (dateFormat === 'epochMillis') return { type: 'integer', minimum: 0, maximum: MAX_EPOCH_MILLIS };
+  return { type: 'string', pattern: patternToRegex(dateFormat) };
+};
+
+// Inclui um campo obrigatório no schema, criando os objetos intermediários do caminho
+const addRequiredField = (schema, path, fieldSchema) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+
+  const parent = keys.reduce((current, key) => {
+    if (!current.properties[key]) {
+      current.properties[key] = { type: 'object', required: [], properties: {} };
+      current.required.push(key);
+    }
+    return current.properties[key];
+  }, schema);
+
+  parent.properties[last] = fieldSchema;
+  parent.required.push(last);
+};
+
+// Inclui um campo opcional; objetos intermediários criados aqui também são opcionais
+const addOptionalField = (schema, path, fieldSchema) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+
+  const parent = keys.reduce((current, key) => {
+    if (!current.properties[key]) {
+      current.properties[key] = { type: 'object', required: [], properties: {} };
+    }
+    return current.properties[key];
+  }, schema);
+
+  parent.properties[last] = fieldSchema;
+};
+
+const emptyObjectSchema = () => ({ type: 'object', required: [], properties: {} });
+
+/**
+ * Gera o JSON Schema do payload do canal a partir dos campos configurados.
+ * Com `withItems: false`, apenas o cabeçalho (PUT sem replaceItems).
+ */
+const buildInputSchema = (config, { withItems = true } = {}) => {
+  const itemSchema = emptyObjectSchema();
+  addRequiredField(itemSchema, config.items.productId.from, {
+    type: ['integer', 'string'], minimum: 1, maximum: 2147483647, pattern: '^[1-9][0-9]*$', format: 'int32',
+  });
+  addRequiredField(itemSchema, config.items.quantity.from, integerSchema);
+  addRequiredField(itemSchema, config.items.price.from, moneySchema(config.items.price));
+
+  const schema = emptyObjectSchema();
+  addRequiredField(schema, config.order.orderId.from, { type: ['string', 'integer'], minLength: 1 });
+  addRequiredField(schema, config.order.value.from, moneySchema(config.order.value));
+  addRequiredField(schema, config.order.creationDate.from, dateSchema(config.order.creationDate));
+  if (withItems) addRequiredField(schema, config.items.from, { type: 'array', minItems: 1, items: itemSchema });
+  if (config.order.customerId) addOptionalField(schema, config.order.customerId.from, customerIdSchema);
+
+  return schema;
+};
+
+// Valor monetário do canal -> número decimal interno
+const readMoney = (value, { unit }) => {
+  if (unit === 'cents') return Number(fromCents(BigInt(value)));
+  return Number(value);
+};
+
+// Valor monetário interno -> formato do canal
+const writeMoney = (value, { unit }) => {
+  if (unit === 'cents') return Number(toCents(value));
+  return value;
+};
+
+/**
+ * Cria um mapeador a partir de uma entrada (já validada) do arquivo de configuração.
+ *
+ * @param {object} config - Configuração do canal (ver schemas/MapperConfigSchema.js).
+ * @returns {{ name: string, mediaType: string, schema: object, itemsPath: string, detect: Function, validate: Function, toInternal: Function, toExternal: Function }}
+ * @throws {Error} Quando o formato de data configurado não é reconhecido.
+ */
+const createDeclarativeMapper = (config) => {
+  const { order, items, detect } = config;
+  const dateFormat = order.creationDate.dateFormat || 'iso';
+
+  if (!BUILT_IN_DATE_FORMATS.includes(dateFormat) && !/YYYY|MM|DD|HH|mm|ss/.test(dateFormat)) {
+    throw new Error(`Mapeador "${config.name}": dateFormat inválido "${dateFormat}".`);
+  }
+
+  const inputSchema = buildInputSchema(config);
+  const headerSchema = buildInputSchema(config, { withItems: false });
+  const orderIdPattern = order.orderId.pattern && new RegExp(order.orderId.pattern);
+  const customerIdPath = order.customerId && order.customerId.from;
+
+  return {
+    name: config.name,
+    mediaType: config.mediaType || `application/vnd.${config.name}+json`,
+    // JSON Schema do payload do canal, publicado também na especificação OpenAPI
+    schema: inputSchema,
+
+    detect: (body) => {
+      if (body === null || typeof body !== 'object') return false;
+
+      const hasFields = (detect.hasFields || []).every(path => getPath(body, path) !== undefined);
+      const equals = Object.entries(detect.equals || {}).every(([path, expected]) => getPath(body, path) === expected);
+
+      return hasFields && equals;
+    },
+
+    itemsPath: items.from,
+
+    validate: (body, { withItems = true } = {}) => {
+      validate(withItems ? inputSchema : headerSchema, body, `Dados do pedido inválidos para o canal "${config.name}".`);
+    },
+
+    toInternal: (body, { withItems = true } = {}) => {
+      const externalOrderNumber = String(getPath(body, order.orderId.from));
+      const match = orderIdPattern && orderIdPattern.exec(externalOrderNumber);
+
+      return {
+        orderId: match && match[1] ? match[1] : externalOrderNumber,
+        value: readMoney(getPath(body, order.value.from), order.value),
+        creationDate: parseDate(getPath(body, order.creationDate.from), order.creationDate).toISOString(),
+        ...(withItems && {
+          items: getPath(body, items.from).map(item => ({
+            productId: parseInt(getPath(item, items.productId.from), 10),
+            quantity: Number(getPath(item, items.quantity.from)),
+            price: readMoney(getPath(item, items.price.from), items.price),
+          })),
+        }),
+        externalOrderNumber,
+        ...(customerIdPath && getPath(body, customerIdPath) !== undefined && {
+          customerId: getPath(body, customerIdPath) === null ? null : String(getPath(body, customerIdPath)),
+        }),
+      };
+    },
+
+    toExternal: (orderData) => {
+      const external = {};
+      // Constantes da regra de detecção (ex: "origem": "PDV") fazem parte do formato do canal
+      Object.entries(detect.equals || {}).forEach(([path, value]) => setPath(external, path, value));
+      setPath(external, order.orderId.from, orderData.externalOrderNumber || orderData.orderId);
+      setPath(external, order.value.from, writeMoney(orderData.value, order.value));
+      setPath(external, order.creationDate.from, formatDate(orderData.creationDate, order.creationDate));
+      if (customerIdPath && orderData.customerId) setPath(external, customerIdPath, orderData.customerId);
+
+      if (orderData.items) {
+        setPath(external, items.from, orderData.items.map(item => {
+          const externalItem = {};
+          setPath(externalItem, items.productId.from, item.productId);
+          setPath(externalItem, items.quantity.from, item.quantity);
+          setPath(externalItem, items.price.from, writeMoney(item.price, items.price));
+          return externalItem;
+        }));
+      }
+
+      return external;
+    },
+  };
+};
+
+module.exports = {
+  createDeclarativeMapper,
+};
@@ -0,0 +1,106 @@
+/**
+ * Registro dos mapeadores de pedidos (um por canal de vendas).
+ *
+ * Cada mapeador sabe reconhecer (detect), validar (validate, contra o seu `schema`) e converter o payload do seu canal
+ * para o formato interno (toInternal) e de volta (toExternal). validate e toInternal aceitam `{ withItems: false }`
+ * para tratar só o cabeçalho, ignorando a lista de itens que fica em `itemsPath`. O mapeador é escolhido pelo nome
+ * (rota /channels/:channel ou header X-Order-Channel) ou, na ausência dele, pela primeira regra
+ * de detecção atendida; se nenhuma for, vale o formato de entrada original.
+ */
+const fs = require('fs');
+const inputMapper = require('./inputMapper');
+const { createDeclarativeMapper } = require('./declarativeMapper');
+const { validate } = require('../utils/validator');
+const { mappersConfigSchema } = require('../schemas/MapperConfigSchema');
+const { orderMappersConfigPath } = require('../config/app');
+const ValidationException = require('../exceptions/ValidationException');
+
+const DEFAULT_MAPPER_NAME = inputMapper.name;
+
+const mappers = new Map();
+
+/**
+ * Registra um mapeador. A ordem de registro é a ordem usada na detecção automática.
+ *
+ * @param {object} mapper - Mapeador com name, mediaType, schema, itemsPath, detect, validate, toInternal e toExternal.
+ * @throws {Error} Quando já existe um mapeador com o mesmo nome.
+ */
+const registerMapper = (mapper) => {
+  if (mappers.has(mapper.name)) {
+    throw new Error(`Já existe um mapeador de pedidos chamado "${mapper.name}".`);
+  }
+  mappers.set(mapper.name, mapper);
+};
+
+/**
+ * Lista os mapeadores registrados, na ordem de detecção.
+ *
+ * @returns {Array<object>}
+ */
+const listMappers = () => [...mappers.values()];
+
+/**
+ * Busca um mapeador pelo nome do canal.
+ *
+ * @param {string} name - Nome do canal.
+ * @returns {object} Mapeador.
+ * @throws {ValidationException} Quando não existe mapeador com esse nome.
+ */
+const getMapper = (name) => {
+  const mapper = mappers.get(name);
+
+  if (!mapper) {
+    throw new ValidationException('Canal de vendas desconhecido.', [
+      { field: 'channel', message: `deve ser um dos valores permitidos: ${[...mappers.keys()].join(', ')}` },
+    ]);
+  }
+
+  return mapper;
+};
+
+/**
+ * Escolhe o mapeador de um payload: pelo nome, quando informado, ou por detecção automática.
+ *
+ * @param {object} body - Payload recebido.
+ * @param {string} [name] - Nome do canal informado pelo cliente.
+ * @returns {object} Mapeador.
+ * @throws {ValidationException} Quando o nome informado não existe.
+ */
+const resolveMapper = (body, name) => {
+  if (name !== undefined) return getMapper(name);
+
+  return listMappers().find(mapper => mapper.detect(body)) || mappers.get(DEFAULT_MAPPER_NAME);
+};
+
+// Carrega os canais declarados em ORDER_MAPPERS_CONFIG (ou config/mappers.json, se existir)
+const loadDeclarativeMappers = (configPath) => {
+  if (!fs.existsSync(configPath)) {
+    if (process.env.ORDER_MAPPERS_CONFIG) {
+      throw new Error(`ORDER_MAPPERS_CONFIG não encontrado: "${configPath}".`);
+    }
+    return;
+  }
+
+  const configs = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  try {
+    validate(mappersConfigSchema, configs, `Configuração de mapeadores inválida em "${configPath}".`);
+  } catch (error) {
+    const details = (error.errors || []).map(violation => `${violation.field}: ${violation.message}`).join('; ');
+    throw new Error(`${error.message} ${details}`);
+  }
+
+  configs.forEach(config => registerMapper(createDeclarativeMapper(config)));
+};
+
+// Canais configurados são detectados antes do formato de entrada original, que é o mais genérico
+loadDeclarativeMappers(orderMappersConfigPath);
+registerMapper(inputMapper);
+
+module.exports = {
+  DEFAULT_MAPPER_NAME,
+  registerMapper,
+  listMappers,
+  getMapper,
+  resolveMapper,
+};
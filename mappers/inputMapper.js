@@ -0,0 +1,22 @@
+/**
+ * Mapeador do formato de entrada original (numeroPedido/valorTotal/dataCriacao/items).
+ *
+ * É também o mapeador padrão: pedidos que não são reconhecidos por nenhuma regra
+ * de detecção são validados e convertidos por ele.
+ */
+const { mapToDatabaseFormat, mapToInputFormat } = require('../utils/mapper');
+const { validate } = require('../utils/validator');
+const { orderInputSchema, orderHeaderInputSchema } = require('../schemas/OrderSchema');
+
+module.exports = {
+  name: 'input',
+  mediaType: 'application/vnd.pedido+json',
+  schema: orderInputSchema,
+  detect: (body) => body !== null && typeof body === 'object' && 'numeroPedido' in body,
+  itemsPath: 'items',
+  validate: (body, { withItems = true } = {}) => {
+    validate(withItems ? orderInputSchema : orderHeaderInputSchema, body, 'Dados do pedido inválidos.');
+  },
+  toInternal: mapToDatabaseFormat,
+  toExternal: mapToInputFormat,
+};
@@ -0,0 +1,181 @@
+/**
+ * Autenticação e autorização das rotas.
+ *
+ * A autenticação é composta por estratégias: cada uma reconhece o seu tipo de credencial
+ * e devolve o principal ({ id, role, authMethod }) ou `null` quando a requisição não a traz.
+ * O principal fica em `req.principal` e chega aos Services pelo contexto da requisição
+ * (utils/requestContext.js). A autorização por papel é declarada em cada rota (requireRole).
+ */
+const crypto = require('crypto');
+const {
+  authEnabled,
+  apiKeys,
+  jwtSecret,
+  jwtPublicKey,
+  jwtIssuer,
+  jwtAudience,
+  jwtRoleClaim,
+  AUTH_ROLES,
+} = require('../config/app');
+const { verifyJwt } = require('../utils/jwt');
+const { assertRole } = require('../utils/roles');
+const { recordRoutePattern } = require('../utils/routePattern');
+const UnauthorizedException = require('../exceptions/UnauthorizedException');
+
+// As chaves são comparadas pelo hash, sem manter o texto original em memória
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Estratégia de chave de API, enviada no header `X-API-Key`.
+ *
+ * @param {Array<{name: string, role: string, key: string}>} keys - Chaves aceitas.
+ * @returns {function(import('express').Request): object|null}
+ */
+const apiKeyStrategy = (keys) => {
+  const principalsByHash = new Map(
+    keys.map(({ name, role, key }) => [hashApiKey(key), { id: name, role, authMethod: 'api-key' }])
+  );
+
+  return (req) => {
+    const key = req.get('X-API-Key');
+    if (key === undefined) return null;
+
+    const principal = principalsByHash.get(hashApiKey(key));
+    if (!principal) {
+      throw new UnauthorizedException('Chave de API inválida.');
+    }
+    return principal;
+  };
+};
+
+/**
+ * Estratégia de JWT, enviado em `Authorization: Bearer <token>`. O principal é o `sub`
+ * do token, e o papel vem da claim configurada (JWT_ROLE_CLAIM).
+ *
+ * @param {object} options - `secret` e/ou `publicKey` (PEM), `issuer`, `audience` e `roleClaim`.
+ * @returns {function(import('express').Request): object|null}
+ */
+const jwtStrategy = ({ secret, publicKey, issuer, audience, roleClaim }) => {
+  const verifyOptions = {
+    secret,
+    publicKey: publicKey ? crypto.createPublicKey(publicKey) : null,
+    issuer,
+    audience,
+  };
+
+  return (req) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    if (!match) return null;
+
+    let claims;
+    try {
+      claims = verifyJwt(match[1], verifyOptions);
+    } catch (error) {
+      throw new UnauthorizedException(`Token inválido: ${error.message}`);
+    }
+
+    if (typeof claims.sub !== 'string' || claims.sub === '') {
+      throw new UnauthorizedException('Token inválido: claim "sub" ausente.');
+    }
+    if (!AUTH_ROLES.includes(claims[roleClaim])) {
+      throw new UnauthorizedException(
+        `Token inválido: a claim "${roleClaim}" deve ser um dos papéis ${AUTH_ROLES.join(', ')}.`
+      );
+    }
+
+    return { id: claims.sub, role: claims[roleClaim], authMethod: 'jwt' };
+  };
+};
+
+/**
+ * Monta o middleware de autenticação a partir das estratégias, testadas na ordem informada.
+ * A primeira que reconhecer uma credencial decide: credencial inválida responde 401 sem
+ * tentar as demais, e requisições sem nenhuma credencial reconhecida também recebem 401.
+ *
+ * @param {Array<function>} strategies - Estratégias (ver apiKeyStrategy e jwtStrategy).
+ * @returns {import('express').RequestHandler}
+ */
+const createAuthenticator = (strategies) => (req, res, next) => {
+  try {
+    for (const strategy of strategies) {
+      const principal = strategy(req);
+
+      if (principal) {
+        req.principal = principal;
+        return next();
+      }
+    }
+    throw new UnauthorizedException('Credenciais ausentes: informe o header X-API-Key ou Authorization: Bearer <token>.');
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Principal das requisições com AUTH_ENABLED=false
+const ANONYMOUS_PRINCIPAL = Object.freeze({ id: 'anonymous', role: 'admin', authMethod: 'none' });
+
+// Estratégias habilitadas pela configuração (API_KEYS, JWT_SECRET, JWT_PUBLIC_KEY_FILE)
+const buildConfiguredAuthenticator = () => {
+  if (!authEnabled) {
+    return (req, res, next) => {
+      req.principal = ANONYMOUS_PRINCIPAL;
+      next();
+    };
+  }
+
+  const strategies = [];
+  if (apiKeys.length > 0) strategies.push(apiKeyStrategy(apiKeys));
+  if (jwtSecret || jwtPublicKey) {
+    strategies.push(jwtStrategy({
+      secret: jwtSecret,
+      publicKey: jwtPublicKey,
+      issuer: jwtIssuer,
+      audience: jwtAudience,
+      roleClaim: jwtRoleClaim,
+    }));
+  }
+
+  if (strategies.length === 0) {
+    throw new Error(
+      'Autenticação habilitada sem credenciais: configure API_KEYS, JWT_SECRET ou JWT_PUBLIC_KEY_FILE ' +
+      '(ou AUTH_ENABLED=false para desenvolvimento local).'
+    );
+  }
+
+  return createAuthenticator(strategies);
+};
+
+/**
+ * Middleware de autenticação conforme a configuração (deve ser registrado antes das rotas).
+ */
+const authenticate = buildConfiguredAuthenticator();
+
+/**
+ * Middleware que exige do principal ao menos o papel informado (reader < operator < admin).
+ *
+ * @param {string} role - Papel mínimo da rota.
+ * @returns {import('express').RequestHandler}
+ */
+const requireRole = (role) => (req, res, next) => {
+  // Antes de um possível 401/403, que sai do router (ver utils/routePattern.js)
+  recordRoutePattern(req);
+
+  try {
+    if (!req.principal) {
+      throw new UnauthorizedException('Requisição não autenticada.');
+    }
+    assertRole(req.principal, role, `${req.method} ${req.baseUrl}${req.path}`);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  apiKeyStrategy,
+  jwtStrategy,
+  createAuthenticator,
+  authenticate,
+  requireRole,
+};
@@ -0,0 +1,103 @@
+/**
+ * Tratamento centralizado de erros da API.
+ *
+ * Todas as falhas chegam aqui via `next(error)` e são respondidas em um corpo
+ * `application/problem+json` (RFC 7807): { type, title, status, detail, instance }.
+ * Exceções de validação também trazem a lista `errors` com os campos violados.
+ */
+const ApiException = require('../exceptions/ApiException');
+const ResourceNotFoundException = require('../exceptions/ResourceNotFoundException');
+const ValidationException = require('../exceptions/ValidationException');
+const { translateDatabaseError } = require('../utils/pgErrors');
+const logger = require('../utils/logger');
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+// Converte o nome da exceção em um identificador estável, ex: "ValidationException" -> "validation"
+const toProblemType = (exception) => {
+  const slug = exception.name
+    .replace(/Exception$/, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase();
+
+  return `/problems/${slug}`;
+};
+
+// Erros lançados pelo express.json() antes de a requisição chegar ao Controller
+const translateBodyParserError = (error) => {
+  if (error.type === 'entity.parse.failed') {
+    return new ValidationException('Corpo da requisição não é um JSON válido.', [
+      { field: 'body', message: error.message },
+    ]);
+  }
+
+  if (error.type === 'entity.too.large') {
+    const exception = new ApiException('Corpo da requisição excede o tamanho máximo permitido.', 413, 'Corpo muito grande');
+    exception.name = 'PayloadTooLargeException';
+    return exception;
+  }
+
+  return null;
+};
+
+const sendProblem = (res, status, problem) => {
+  return res.status(status).type(PROBLEM_CONTENT_TYPE).json({ status, ...problem });
+};
+
+/**
+ * Middleware de fallback para rotas inexistentes (deve ser registrado após todas as rotas).
+ */
+const notFoundHandler = (req, res, next) => {
+  next(new ResourceNotFoundException('Rota', `${req.method} ${req.originalUrl}`));
+};
+
+/**
+ * Middleware de erros (deve ser o último registrado no app).
+ *
+ * @param {Error} error - Erro repassado por um Controller ou middleware anterior.
+ * @param {import('express').Request} req - Requisição HTTP.
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @param {import('express').NextFunction} next - Próximo middleware (usado quando a resposta já começou a ser enviada).
+ */
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const exception = error instanceof ApiException
+    ? error
+    : translateBodyParserError(error) || translateDatabaseError(error);
+
+  if (!exception) {
+    logger.error('Erro não tratado', { method: req.method, path: req.originalUrl, error });
+
+    return sendProblem(res, 500, {
+      type: 'about:blank',
+      title: 'Erro interno do servidor',
+      detail: 'Ocorreu um erro inesperado ao processar a requisição.',
+      instance: req.originalUrl,
+    });
+  }
+
+  if (exception.statusCode >= 500) {
+    logger.error('Erro no processamento da requisição', { method: req.method, path: req.originalUrl, error: exception.cause || error });
+  }
+
+  // Headers exigidos pelo status (ex: WWW-Authenticate no 401)
+  if (exception.headers) {
+    res.set(exception.headers);
+  }
+
+  return sendProblem(res, exception.statusCode, {
+    type: toProblemType(exception),
+    title: exception.title,
+    detail: exception.message,
+    instance: req.originalUrl,
+    ...(exception.errors && { errors: exception.errors }),
+  });
+};
+
+module.exports = {
+  notFoundHandler,
+  errorHandler,
+};
@@ -0,0 +1,26 @@
+/**
+ * Identificador da requisição (header `X-Request-Id`).
+ *
+ * Usa o valor recebido (ex: gerado pelo balanceador ou pelo cliente) ou gera um UUID, devolve-o
+ * no header da resposta e o associa a tudo o que a requisição executar: logs, consultas ao banco
+ * e Services (utils/requestContext.js). Deve ser o primeiro middleware do app.
+ */
+const crypto = require('crypto');
+const { runWithRequestId } = require('../utils/requestContext');
+
+// Aceito do cliente apenas com caracteres seguros para logs e comentários SQL
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const requestId = (req, res, next) => {
+  const received = req.get('X-Request-Id');
+  const id = received && REQUEST_ID_PATTERN.test(received) ? received : crypto.randomUUID();
+
+  req.requestId = id;
+  res.set('X-Request-Id', id);
+
+  runWithRequestId(id, next);
+};
+
+module.exports = {
+  requestId,
+};
@@ -0,0 +1,61 @@
+/**
+ * Log e métricas de cada requisição, registrados quando a resposta termina de ser enviada:
+ * uma linha JSON com método, rota, status e latência, e as métricas http_requests_total e
+ * http_request_duration_seconds por rota (o padrão da rota, não a URL; ver utils/routePattern.js).
+ */
+const logger = require('../utils/logger');
+const { createCounter, createHistogram } = require('../utils/metrics');
+const { getRoutePattern } = require('../utils/routePattern');
+
+// Verificações periódicas do orquestrador e do Prometheus: só aparecem no log com LOG_LEVEL=debug
+const PROBE_ROUTES = ['/health', '/ready', '/metrics'];
+
+const requestsTotal = createCounter({
+  name: 'http_requests_total',
+  help: 'Requisições HTTP atendidas, por método, rota e status.',
+  labelNames: ['method', 'route', 'status'],
+});
+
+const requestDuration = createHistogram({
+  name: 'http_request_duration_seconds',
+  help: 'Latência das requisições HTTP, por método, rota e status.',
+  labelNames: ['method', 'route', 'status'],
+});
+
+const requestLogger = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  // 'close' sem 'finish': o cliente desconectou antes do fim da resposta
+  let logged = false;
+  const done = () => {
+    if (logged) return;
+    logged = true;
+
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = getRoutePattern(req);
+    const status = res.writableFinished ? res.statusCode : 499;
+
+    requestsTotal.inc({ method: req.method, route, status });
+    requestDuration.observe({ method: req.method, route, status }, seconds);
+
+    const level = status >= 500 ? 'error' : PROBE_ROUTES.includes(route) ? 'debug' : 'info';
+
+    logger[level]('Requisição concluída', {
+      requestId: req.requestId,
+      method: req.method,
+      route,
+      path: req.originalUrl.split('?')[0],
+      status,
+      durationMs: Math.round(seconds * 1000),
+      ...(req.principal && { actor: req.principal.id }),
+    });
+  };
+
+  res.on('finish', done);
+  res.on('close', done);
+  next();
+};
+
+module.exports = {
+  requestLogger,
+};
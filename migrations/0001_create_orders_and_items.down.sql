@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS Items;
+DROP TABLE IF EXISTS Orders;
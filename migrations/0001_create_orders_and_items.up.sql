@@ -0,0 +1,18 @@
+-- Tabelas originais de pedidos e itens.
+-- IF NOT EXISTS em todas as migrações: bancos criados à mão pelo script do README
+-- podem adotar as migrações sem recriar nada.
+
+CREATE TABLE IF NOT EXISTS Orders (
+    orderId VARCHAR(50) PRIMARY KEY,
+    value NUMERIC(10, 2) NOT NULL,
+    creationDate TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Chave estrangeira com deleção em cascata
+CREATE TABLE IF NOT EXISTS Items (
+    itemId SERIAL PRIMARY KEY,
+    orderId VARCHAR(50) REFERENCES Orders(orderId) ON DELETE CASCADE,
+    productId INTEGER NOT NULL,
+    quantity INTEGER NOT NULL,
+    price NUMERIC(10, 2) NOT NULL
+);
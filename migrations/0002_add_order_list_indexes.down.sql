@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_items_productid_orderid;
+DROP INDEX IF EXISTS idx_orders_value_orderid;
+DROP INDEX IF EXISTS idx_orders_creationdate_orderid;
@@ -0,0 +1,4 @@
+-- Índices usados pela paginação e pelos filtros de GET /order/list
+CREATE INDEX IF NOT EXISTS idx_orders_creationdate_orderid ON Orders (creationDate, orderId);
+CREATE INDEX IF NOT EXISTS idx_orders_value_orderid ON Orders (value, orderId);
+CREATE INDEX IF NOT EXISTS idx_items_productid_orderid ON Items (productId, orderId);
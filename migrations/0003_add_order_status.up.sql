@@ -0,0 +1,3 @@
+-- Status do pedido (as transições permitidas ficam no OrderService)
+ALTER TABLE Orders ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'paid', 'shipped', 'delivered', 'cancelled'));
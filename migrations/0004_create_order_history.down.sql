@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS OrderHistory;
+DROP FUNCTION IF EXISTS prevent_order_history_change();
@@ -0,0 +1,25 @@
+-- Histórico de alterações (append-only). Sem chave estrangeira para Orders,
+-- para que o histórico sobreviva à exclusão do pedido e de seus itens.
+CREATE TABLE IF NOT EXISTS OrderHistory (
+    historyId BIGSERIAL PRIMARY KEY,
+    orderId VARCHAR(50) NOT NULL,
+    operation VARCHAR(30) NOT NULL,
+    actor VARCHAR(100) NOT NULL,
+    changedAt TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    before JSONB,
+    after JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_orderhistory_orderid ON OrderHistory (orderId, changedAt);
+
+CREATE OR REPLACE FUNCTION prevent_order_history_change() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'OrderHistory é somente inclusão (append-only).';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_order_history_append_only ON OrderHistory;
+
+CREATE TRIGGER trg_order_history_append_only
+    BEFORE UPDATE OR DELETE ON OrderHistory
+    FOR EACH ROW EXECUTE FUNCTION prevent_order_history_change();
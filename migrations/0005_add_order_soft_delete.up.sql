@@ -0,0 +1,2 @@
+-- Preenchido na exclusão lógica; o pedido é expurgado após o período de retenção
+ALTER TABLE Orders ADD COLUMN IF NOT EXISTS deletedAt TIMESTAMP WITH TIME ZONE;
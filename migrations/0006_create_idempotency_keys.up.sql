@@ -0,0 +1,10 @@
+-- Chaves de idempotência de POST /order (header Idempotency-Key).
+-- responseBody é JSON (e não JSONB) para que a retentativa receba exatamente o corpo original.
+CREATE TABLE IF NOT EXISTS IdempotencyKeys (
+    idempotencyKey VARCHAR(255) PRIMARY KEY,
+    requestHash CHAR(64) NOT NULL,
+    responseStatus INTEGER,
+    responseBody JSON,
+    createdAt TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expiresAt TIMESTAMP WITH TIME ZONE NOT NULL
+);
@@ -0,0 +1,2 @@
+-- Incrementada a cada alteração do pedido ou dos seus itens (exposta como ETag)
+ALTER TABLE Orders ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
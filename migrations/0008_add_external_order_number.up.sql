@@ -0,0 +1,2 @@
+-- numeroPedido original (com o sufixo, ex: "v10089015vdb-01"), usado nas respostas no formato de entrada
+ALTER TABLE Orders ADD COLUMN IF NOT EXISTS externalOrderNumber VARCHAR(100);
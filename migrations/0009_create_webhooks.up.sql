@@ -0,0 +1,42 @@
+-- Assinaturas de webhooks: URL que recebe os eventos escolhidos, assinados com HMAC (secret)
+CREATE TABLE IF NOT EXISTS Webhooks (
+    webhookId SERIAL PRIMARY KEY,
+    url VARCHAR(2048) NOT NULL,
+    events TEXT[] NOT NULL,
+    secret VARCHAR(255) NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    createdAt TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updatedAt TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Outbox transacional: gravado na mesma transação da alteração do pedido.
+-- dispatchedAt é preenchido quando o evento é distribuído em entregas (WebhookDeliveries).
+CREATE TABLE IF NOT EXISTS OutboxEvents (
+    eventId BIGSERIAL PRIMARY KEY,
+    eventType VARCHAR(50) NOT NULL,
+    orderId VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    createdAt TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    dispatchedAt TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_outboxevents_pending ON OutboxEvents (eventId) WHERE dispatchedAt IS NULL;
+
+-- Uma entrega por evento e webhook; 'dead' após esgotar as tentativas (pode ser reenviada)
+CREATE TABLE IF NOT EXISTS WebhookDeliveries (
+    deliveryId BIGSERIAL PRIMARY KEY,
+    webhookId INTEGER NOT NULL REFERENCES Webhooks(webhookId) ON DELETE CASCADE,
+    eventId BIGINT NOT NULL REFERENCES OutboxEvents(eventId) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'delivered', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    nextAttemptAt TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    lastResponseStatus INTEGER,
+    lastError TEXT,
+    deliveredAt TIMESTAMP WITH TIME ZONE,
+    createdAt TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    UNIQUE (webhookId, eventId)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhookdeliveries_due ON WebhookDeliveries (nextAttemptAt) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhookdeliveries_webhookid ON WebhookDeliveries (webhookId, deliveryId);
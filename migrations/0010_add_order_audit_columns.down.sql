@@ -0,0 +1,2 @@
+ALTER TABLE Orders DROP COLUMN IF EXISTS updatedBy;
+ALTER TABLE Orders DROP COLUMN IF EXISTS createdBy;
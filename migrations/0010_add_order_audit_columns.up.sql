@@ -0,0 +1,3 @@
+-- Principal autenticado (chave de API ou sub do JWT) que criou e que alterou o pedido por último
+ALTER TABLE Orders ADD COLUMN IF NOT EXISTS createdBy VARCHAR(255);
+ALTER TABLE Orders ADD COLUMN IF NOT EXISTS updatedBy VARCHAR(255);
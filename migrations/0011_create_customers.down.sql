@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_orders_customerid_creationdate;
+ALTER TABLE Orders DROP COLUMN IF EXISTS customerId;
+DROP TABLE IF EXISTS Customers;
@@ -0,0 +1,18 @@
+-- Clientes que fazem pedidos; o customerId é o código do cliente no sistema de origem
+CREATE TABLE IF NOT EXISTS Customers (
+    customerId VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    document VARCHAR(20),
+    createdAt TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updatedAt TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Referência opcional ao cliente. RESTRICT: um cliente com pedidos (inclusive removidos
+-- logicamente e ainda não expurgados) não pode ser excluído
+ALTER TABLE Orders ADD COLUMN IF NOT EXISTS customerId VARCHAR(50)
+    REFERENCES Customers(customerId) ON DELETE RESTRICT;
+
+-- Usado por GET /customer/:customerId/orders (mesma paginação de GET /order/list)
+CREATE INDEX IF NOT EXISTS idx_orders_customerid_creationdate ON Orders (customerId, creationDate, orderId)
+    WHERE customerId IS NOT NULL;
@@ -0,0 +1,2 @@
+ALTER TABLE Items DROP CONSTRAINT IF EXISTS items_productid_fkey;
+DROP TABLE IF EXISTS Products;
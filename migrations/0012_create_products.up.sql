@@ -0,0 +1,15 @@
+-- Catálogo de produtos; o productId é o mesmo código informado nos itens dos pedidos
+CREATE TABLE IF NOT EXISTS Products (
+    productId INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    listPrice NUMERIC(10, 2) NOT NULL CHECK (listPrice >= 0),
+    stockOnHand INTEGER NOT NULL DEFAULT 0 CHECK (stockOnHand >= 0),
+    createdAt TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updatedAt TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Itens novos precisam referenciar um produto do catálogo. NOT VALID: itens gravados antes
+-- do catálogo existir não são verificados, mas um produto referenciado não pode ser excluído
+ALTER TABLE Items DROP CONSTRAINT IF EXISTS items_productid_fkey;
+ALTER TABLE Items ADD CONSTRAINT items_productid_fkey
+    FOREIGN KEY (productId) REFERENCES Products(productId) ON DELETE RESTRICT NOT VALID;
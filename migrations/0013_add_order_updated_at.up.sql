@@ -0,0 +1,2 @@
+-- Data da última alteração do pedido ou dos seus itens (exposta como Last-Modified em GET /order/:orderId)
+ALTER TABLE Orders ADD COLUMN IF NOT EXISTS updatedAt TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW();
@@ -0,0 +1,4 @@
+-- Um pedido não pode ter duas linhas do mesmo produto: as rotas /order/:orderId/item/:productId
+-- identificam o item pelo produto. Pedidos que já tenham produtos repetidos precisam ser
+-- corrigidos antes desta migração (o índice não é criado enquanto houver duplicidades).
+CREATE UNIQUE INDEX IF NOT EXISTS uq_items_orderid_productid ON Items (orderId, productId);
@@ -0,0 +1,4 @@
+-- Identificadores maiores que os tamanhos anteriores são truncados
+ALTER TABLE Orders ALTER COLUMN updatedBy TYPE VARCHAR(255) USING left(updatedBy, 255);
+ALTER TABLE Orders ALTER COLUMN createdBy TYPE VARCHAR(255) USING left(createdBy, 255);
+ALTER TABLE OrderHistory ALTER COLUMN actor TYPE VARCHAR(100) USING left(actor, 100);
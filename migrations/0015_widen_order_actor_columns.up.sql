@@ -0,0 +1,5 @@
+-- O principal (nome da chave de API ou sub do JWT) não tem tamanho máximo: um identificador
+-- longo não pode impedir a gravação do pedido e do histórico depois de a credencial ser aceita.
+ALTER TABLE OrderHistory ALTER COLUMN actor TYPE TEXT;
+ALTER TABLE Orders ALTER COLUMN createdBy TYPE TEXT;
+ALTER TABLE Orders ALTER COLUMN updatedBy TYPE TEXT;
@@ -0,0 +1,75 @@
+const { query, pool } = require('../config/db');
+
+const CUSTOMER_COLUMNS = 'customerId, name, email, document, createdAt, updatedAt';
+
+const insertCustomer = (customer) => {
+    const insertSql = `
+      INSERT INTO Customers (customerId, name, email, document)
+      VALUES ($1, $2, $3, $4)
+      RETURNING ${CUSTOMER_COLUMNS};
+    `;
+    return query(insertSql, [customer.customerId, customer.name, customer.email, customer.document]);
+};
+
+const findCustomerById = (customerId) => {
+    return query(`SELECT ${CUSTOMER_COLUMNS} FROM Customers WHERE customerId = $1;`, [customerId]);
+};
+
+// Lê o cliente bloqueando a linha até o fim da transação do client
+const findCustomerByIdForUpdate = (client, customerId) => {
+    return client.query(`SELECT ${CUSTOMER_COLUMNS} FROM Customers WHERE customerId = $1 FOR UPDATE;`, [customerId]);
+};
+
+// Paginação por cursor (keyset) na ordem do customerId
+const findAllCustomers = ({ limit, afterCustomerId }) => {
+    const params = [limit];
+    let afterClause = '';
+
+    if (afterCustomerId !== undefined) {
+        params.push(afterCustomerId);
+        afterClause = 'WHERE customerId > $2';
+    }
+
+    return query(`SELECT ${CUSTOMER_COLUMNS} FROM Customers ${afterClause} ORDER BY customerId LIMIT $1;`, params);
+};
+
+// Dos códigos informados, retorna os que correspondem a clientes cadastrados
+const findExistingCustomerIds = (customerIds) => {
+    return query('SELECT customerId FROM Customers WHERE customerId = ANY ($1::varchar[]);', [customerIds]);
+};
+
+const updateCustomer = (customerId, customer) => {
+    const updateSql = `
+      UPDATE Customers
+      SET name = $2, email = $3, document = $4, updatedAt = NOW()
+      WHERE customerId = $1
+      RETURNING ${CUSTOMER_COLUMNS};
+    `;
+    return query(updateSql, [customerId, customer.name, customer.email, customer.document]);
+};
+
+// Pedidos que referenciam o cliente, inclusive os removidos logicamente (ainda não expurgados)
+const countCustomerOrders = (client, customerId) => {
+    return client.query(
+        `SELECT COUNT(*) AS total,
+                COUNT(*) FILTER (WHERE deletedAt IS NOT NULL) AS deleted
+         FROM Orders WHERE customerId = $1;`,
+        [customerId]
+    );
+};
+
+const deleteCustomer = (client, customerId) => {
+    return client.query('DELETE FROM Customers WHERE customerId = $1;', [customerId]);
+};
+
+module.exports = {
+  pool,
+  insertCustomer,
+  findCustomerById,
+  findCustomerByIdForUpdate,
+  findAllCustomers,
+  findExistingCustomerIds,
+  updateCustomer,
+  countCustomerOrders,
+  deleteCustomer,
+};
@@ -0,0 +1,17 @@
+const { query, pool } = require('../config/db');
+
+// Consulta mínima: confirma que o pool consegue uma conexão e que o banco responde
+const pingDatabase = () => query('SELECT 1;');
+
+// Conexões do pool: abertas, ociosas, requisições aguardando uma conexão livre e o limite (max)
+const getPoolStats = () => ({
+    total: pool.totalCount,
+    idle: pool.idleCount,
+    waiting: pool.waitingCount,
+    max: pool.maxCount,
+});
+
+module.exports = {
+  pingDatabase,
+  getPoolStats,
+};
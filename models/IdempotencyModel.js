@@ -0,0 +1,42 @@
+const { pool } = require('../config/db');
+
+const findIdempotencyKey = (idempotencyKey, client = pool) => {
+    const keySql = `
+      SELECT idempotencyKey, requestHash, responseStatus, responseBody
+      FROM IdempotencyKeys
+      WHERE idempotencyKey = $1 AND expiresAt > NOW();
+    `;
+    return client.query(keySql, [idempotencyKey]);
+};
+
+// Reserva a chave na transação do client. Uma chave expirada é reaproveitada; se outra transação
+// estiver usando a mesma chave, o INSERT aguarda o término dela e não afeta nenhuma linha.
+const claimIdempotencyKey = (client, idempotencyKey, requestHash, expiresAt) => {
+    const claimSql = `
+      INSERT INTO IdempotencyKeys (idempotencyKey, requestHash, expiresAt)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (idempotencyKey) DO UPDATE
+        SET requestHash = EXCLUDED.requestHash,
+            responseStatus = NULL,
+            responseBody = NULL,
+            createdAt = NOW(),
+            expiresAt = EXCLUDED.expiresAt
+        WHERE IdempotencyKeys.expiresAt <= NOW();
+    `;
+    return client.query(claimSql, [idempotencyKey, requestHash, expiresAt]);
+};
+
+const saveIdempotentResponse = (client, idempotencyKey, responseStatus, responseBody) => {
+    const saveSql = `
+      UPDATE IdempotencyKeys
+      SET responseStatus = $1, responseBody = $2
+      WHERE idempotencyKey = $3;
+    `;
+    return client.query(saveSql, [responseStatus, JSON.stringify(responseBody), idempotencyKey]);
+};
+
+module.exports = {
+  findIdempotencyKey,
+  claimIdempotencyKey,
+  saveIdempotentResponse
+};
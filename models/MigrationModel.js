@@ -0,0 +1,65 @@
+const { pool } = require('../config/db');
+
+// Chave do advisory lock que impede duas execuções de migração simultâneas
+const MIGRATION_LOCK_KEY = 7216040116;
+
+const createMigrationsTable = (client) => {
+    const tableSql = `
+      CREATE TABLE IF NOT EXISTS SchemaMigrations (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        appliedAt TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+    `;
+    return client.query(tableSql);
+};
+
+// Consulta sem criar a tabela, para que a verificação de inicialização não altere o banco
+const migrationsTableExists = async (client) => {
+    const result = await client.query(`SELECT to_regclass('schemamigrations') IS NOT NULL AS exists;`);
+    return result.rows[0].exists;
+};
+
+const findAppliedMigrations = (client) => {
+    const appliedSql = `
+      SELECT version, name, checksum, appliedAt
+      FROM SchemaMigrations;
+    `;
+    return client.query(appliedSql);
+};
+
+const insertAppliedMigration = (client, migration) => {
+    const insertSql = `
+      INSERT INTO SchemaMigrations (version, name, checksum)
+      VALUES ($1, $2, $3);
+    `;
+    return client.query(insertSql, [migration.version, migration.name, migration.checksum]);
+};
+
+const deleteAppliedMigration = (client, version) => {
+    return client.query('DELETE FROM SchemaMigrations WHERE version = $1;', [version]);
+};
+
+// O SQL das migrações vem dos arquivos do repositório e pode ter vários comandos
+const runMigrationSql = (client, sql) => client.query(sql);
+
+const acquireMigrationLock = (client) => {
+    return client.query('SELECT pg_advisory_lock($1);', [MIGRATION_LOCK_KEY]);
+};
+
+const releaseMigrationLock = (client) => {
+    return client.query('SELECT pg_advisory_unlock($1);', [MIGRATION_LOCK_KEY]);
+};
+
+module.exports = {
+  pool: pool,
+  createMigrationsTable,
+  migrationsTableExists,
+  findAppliedMigrations,
+  insertAppliedMigration,
+  deleteAppliedMigration,
+  runMigrationSql,
+  acquireMigrationLock,
+  releaseMigrationLock,
+};
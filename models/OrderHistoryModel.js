@@ -0,0 +1,47 @@
+const { query } = require('../config/db');
+const { insertMultiRow } = require('../utils/sql');
+
+const insertOrderHistory = (client, entry) => {
+    const historySql = `
+      INSERT INTO OrderHistory (orderId, operation, actor, before, after)
+      VALUES ($1, $2, $3, $4, $5);
+    `;
+    return client.query(historySql, [
+        entry.orderId,
+        entry.operation,
+        entry.actor,
+        entry.before === null ? null : JSON.stringify(entry.before),
+        entry.after === null ? null : JSON.stringify(entry.after)
+    ]);
+};
+
+// Grava várias entradas com INSERTs de várias linhas (usado na importação em lote)
+const insertOrderHistoryBatch = (client, entries) => {
+    return insertMultiRow(
+        client,
+        'INSERT INTO OrderHistory (orderId, operation, actor, before, after)',
+        entries.map(entry => [
+            entry.orderId,
+            entry.operation,
+            entry.actor,
+            entry.before === null ? null : JSON.stringify(entry.before),
+            entry.after === null ? null : JSON.stringify(entry.after)
+        ])
+    );
+};
+
+const findHistoryByOrderId = (orderId) => {
+    const historySql = `
+      SELECT historyId, orderId, operation, actor, changedAt, before, after
+      FROM OrderHistory
+      WHERE orderId = $1
+      ORDER BY changedAt, historyId;
+    `;
+    return query(historySql, [orderId]);
+};
+
+module.exports = {
+  insertOrderHistory,
+  insertOrderHistoryBatch,
+  findHistoryByOrderId
+};
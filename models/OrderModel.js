@@ -1,16 +1,20 @@
 const { query, pool } = require('../config/db');
+const { insertMultiRow } = require('../utils/sql');
 
 module.exports.pool = pool;
 
 const insertOrder = (client, orderData) => {
     const orderSql = `
-      INSERT INTO Orders (orderId, value, creationDate)
-      VALUES ($1, $2, $3);
+      INSERT INTO Orders (orderId, value, creationDate, externalOrderNumber, customerId, createdBy, updatedBy)
+      VALUES ($1, $2, $3, $4, $5, $6, $6);
     `;
     return client.query(orderSql, [
         orderData.orderId, 
         orderData.value, 
-        orderData.creationDate
+        orderData.creationDate,
+        orderData.externalOrderNumber,
+        orderData.customerId ?? null,
+        orderData.createdBy
     ]);
 };
 
@@ -27,32 +31,218 @@ const insertOrderItem = (client, orderId, item) => {
     ]);
 };
 
-const findOrderById = (orderId) => {
-    return query('SELECT orderId, value, creationDate FROM Orders WHERE orderId = $1;', [orderId]);
+// Pedidos removidos logicamente (deletedAt preenchido) ficam de fora, a menos que includeDeleted seja informado
+const notDeletedClause = (includeDeleted) => (includeDeleted ? '' : ' AND deletedAt IS NULL');
+
+// Insere vários pedidos ignorando os orderId já existentes; retorna apenas os inseridos
+const insertOrdersBatch = (client, orders) => {
+    return insertMultiRow(
+        client,
+        'INSERT INTO Orders (orderId, value, creationDate, externalOrderNumber, customerId, createdBy, updatedBy)',
+        orders.map(order => [
+            order.orderId, order.value, order.creationDate, order.externalOrderNumber,
+            order.customerId ?? null, order.createdBy, order.createdBy,
+        ]),
+        'ON CONFLICT (orderId) DO NOTHING RETURNING orderId'
+    );
+};
+
+const insertOrderItemsBatch = (client, items) => {
+    return insertMultiRow(
+        client,
+        'INSERT INTO Items (orderId, productId, quantity, price)',
+        items.map(item => [item.orderId, item.productId, item.quantity, item.price])
+    );
+};
+
+const findOrderById = (orderId, client = pool, { includeDeleted = false } = {}) => {
+    return client.query(
+        `SELECT orderId, value, creationDate, status, version, externalOrderNumber, customerId, createdBy, updatedBy, deletedAt FROM Orders WHERE orderId = $1${notDeletedClause(includeDeleted)};`,
+        [orderId]
+    );
+};
+
+// Lê o pedido bloqueando a linha até o fim da transação do client
+const findOrderByIdForUpdate = (client, orderId, { includeDeleted = false } = {}) => {
+    return client.query(
+        `SELECT orderId, value, creationDate, status, version, externalOrderNumber, customerId, createdBy, updatedBy, deletedAt FROM Orders WHERE orderId = $1${notDeletedClause(includeDeleted)} FOR UPDATE;`,
+        [orderId]
+    );
+};
+
+const findItemsByOrderId = (orderId, client = pool) => {
+    return client.query('SELECT productId, quantity, price FROM Items WHERE orderId = $1;', [orderId]);
+};
+
+// Pedido e itens em uma única consulta (uma linha por item; sem itens, uma linha com as colunas
+// do item nulas), inclusive quando removido logicamente: quem chama decide se ele é visível
+const findOrderWithItems = (orderId) => {
+    const orderWithItemsSql = `
+      SELECT orderId, value, creationDate, status, version, externalOrderNumber, customerId,
+             createdBy, updatedBy, updatedAt, deletedAt, productId, quantity, price
+      FROM Orders
+      LEFT JOIN Items USING (orderId)
+      WHERE orderId = $1
+      ORDER BY productId;
+    `;
+    return query(orderWithItemsSql, [orderId]);
+};
+
+// Mapeia os campos de ordenação aceitos pela API para as colunas da tabela.
+// Apenas estes nomes são interpolados no SQL; todo valor vindo do cliente vai como parâmetro.
+const SORT_COLUMNS = {
+    creationDate: 'creationDate',
+    value: 'value',
+    orderId: 'orderId',
+};
+
+/**
+ * Monta as condições de filtro da listagem de pedidos, acumulando os valores em `params`.
+ *
+ * @param {object} filters - Filtros opcionais: from, to, minValue, maxValue, status, customerId, productId e includeDeleted.
+ * @param {Array<*>} params - Lista de parâmetros da query (é alterada).
+ * @returns {Array<string>} Condições SQL a serem unidas com AND.
+ */
+const buildOrderFilters = (filters, params) => {
+    const conditions = filters.includeDeleted ? [] : ['deletedAt IS NULL'];
+    const addParam = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    if (filters.from !== undefined) conditions.push(`creationDate >= ${addParam(filters.from)}`);
+    if (filters.to !== undefined) conditions.push(`creationDate <= ${addParam(filters.to)}`);
+    if (filters.minValue !== undefined) conditions.push(`value >= ${addParam(filters.minValue)}`);
+    if (filters.maxValue !== undefined) conditions.push(`value <= ${addParam(filters.maxValue)}`);
+    if (filters.status !== undefined) conditions.push(`status = ${addParam(filters.status)}`);
+    if (filters.customerId !== undefined) conditions.push(`customerId = ${addParam(filters.customerId)}`);
+    if (filters.productId !== undefined) {
+        conditions.push(
+            `EXISTS (SELECT 1 FROM Items i WHERE i.orderId = Orders.orderId AND i.productId = ${addParam(filters.productId)})`
+        );
+    }
+
+    return conditions;
+};
+
+const toWhereClause = (conditions) => {
+    return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+};
+
+/**
+ * Lista pedidos com paginação por cursor (keyset), filtros e ordenação.
+ *
+ * A paginação usa o par (coluna de ordenação, orderId) como chave, o que mantém
+ * o custo constante independente da página e evita duplicidades entre páginas.
+ *
+ * @param {object} options - Filtros (ver buildOrderFilters) e paginação.
+ * @param {string} options.sort - Campo de ordenação (chave de SORT_COLUMNS).
+ * @param {string} options.order - Direção: 'asc' ou 'desc'.
+ * @param {number} options.limit - Quantidade máxima de linhas retornadas.
+ * @param {{sortValue: *, orderId: string}} [options.after] - Última linha da página anterior.
+ */
+const findAllOrders = (options) => {
+    const params = [];
+    const conditions = buildOrderFilters(options, params);
+    const column = SORT_COLUMNS[options.sort];
+    const direction = options.order === 'asc' ? 'ASC' : 'DESC';
+    const comparator = options.order === 'asc' ? '>' : '<';
+
+    if (options.after) {
+        if (column === 'orderId') {
+            params.push(options.after.orderId);
+            conditions.push(`orderId ${comparator} $${params.length}`);
+        } else {
+            params.push(options.after.sortValue, options.after.orderId);
+            conditions.push(`(${column}, orderId) ${comparator} ($${params.length - 1}, $${params.length})`);
+        }
+    }
+
+    const orderBy = column === 'orderId'
+        ? `orderId ${direction}`
+        : `${column} ${direction}, orderId ${direction}`;
+
+    params.push(options.limit);
+
+    const listSql = `
+      SELECT orderId, value, creationDate, status, version, externalOrderNumber, customerId, deletedAt
+      FROM Orders
+      ${toWhereClause(conditions)}
+      ORDER BY ${orderBy}
+      LIMIT $${params.length};
+    `;
+    return query(listSql, params);
+};
+
+/**
+ * Abre, na transação do client, um cursor do PostgreSQL com os pedidos filtrados e seus itens
+ * (uma linha por item; pedidos sem itens aparecem uma vez, com as colunas do item nulas).
+ *
+ * As linhas de um mesmo pedido saem consecutivas, na ordenação pedida e por productId,
+ * e são lidas aos poucos com fetchFromCursor.
+ *
+ * @param {object} client - Cliente PostgreSQL com a transação aberta.
+ * @param {string} cursorName - Nome do cursor (identificador SQL fixo, nunca vindo do cliente).
+ * @param {object} options - Filtros (ver buildOrderFilters), `sort` e `order`.
+ */
+const declareOrderExportCursor = (client, cursorName, options) => {
+    const params = [];
+    const conditions = buildOrderFilters(options, params);
+    const column = SORT_COLUMNS[options.sort];
+    const direction = options.order === 'asc' ? 'ASC' : 'DESC';
+
+    const orderBy = column === 'orderId'
+        ? `orderId ${direction}`
+        : `${column} ${direction}, orderId ${direction}`;
+
+    // USING (orderId) mantém uma única coluna orderId, para que os filtros da listagem valham sem alias
+    const exportSql = `
+      DECLARE ${cursorName} NO SCROLL CURSOR FOR
+      SELECT orderId, value, creationDate, status, version, externalOrderNumber, customerId, deletedAt,
+             productId, quantity, price
+      FROM Orders
+      LEFT JOIN Items USING (orderId)
+      ${toWhereClause(conditions)}
+      ORDER BY ${orderBy}, productId;
+    `;
+    return client.query(exportSql, params);
 };
 
-const findItemsByOrderId = (orderId) => {
-    return query('SELECT productId, quantity, price FROM Items WHERE orderId = $1;', [orderId]);
+const fetchFromCursor = (client, cursorName, count) => {
+    return client.query(`FETCH ${Number(count)} FROM ${cursorName};`);
 };
 
-const findAllOrders = () => {
-    return query('SELECT orderId, value, creationDate FROM Orders ORDER BY creationDate DESC;');
+const countOrders = (filters) => {
+    const params = [];
+    const conditions = buildOrderFilters(filters, params);
+    return query(`SELECT COUNT(*) AS total FROM Orders ${toWhereClause(conditions)};`, params);
 };
 
+// customerId ausente (undefined) mantém o cliente atual; null desassocia o pedido do cliente
 const updateOrderHeader = (client, orderId, orderData) => {
     const updateOrderSql = `
       UPDATE Orders
-      SET value = $1, creationDate = $2
+      SET value = $1, creationDate = $2, customerId = CASE WHEN $5::boolean THEN $4 ELSE customerId END
       WHERE orderId = $3
       RETURNING orderId;
     `;
     return client.query(updateOrderSql, [
         orderData.value,
         orderData.creationDate,
-        orderId
+        orderId,
+        orderData.customerId ?? null,
+        orderData.customerId !== undefined
     ]);
 };
 
+const updateOrderValue = (client, orderId, value) => {
+    return client.query('UPDATE Orders SET value = $1 WHERE orderId = $2;', [value, orderId]);
+};
+
+const updateOrderStatus = (client, orderId, status) => {
+    return client.query('UPDATE Orders SET status = $1 WHERE orderId = $2;', [status, orderId]);
+};
+
 const updateOrderItem = (client, orderId, productId, itemData) => {
     const updateItemSql = `
       UPDATE Items
@@ -68,12 +258,53 @@ const updateOrderItem = (client, orderId, productId, itemData) => {
     ]);
 };
 
+const findOrderItem = (client, orderId, productId) => {
+    return client.query(
+        'SELECT itemId, productId, quantity, price FROM Items WHERE orderId = $1 AND productId = $2;',
+        [orderId, productId]
+    );
+};
+
+const deleteOrderItem = (client, orderId, productId) => {
+    return client.query('DELETE FROM Items WHERE orderId = $1 AND productId = $2;', [orderId, productId]);
+};
+
 const deleteOrderItems = (client, orderId) => {
     return client.query('DELETE FROM Items WHERE orderId = $1;', [orderId]);
 };
 
-const deleteOrderHeader = (orderId) => {
-    return query('DELETE FROM Orders WHERE orderId = $1;', [orderId]);
+// Controle de concorrência otimista: toda alteração no cabeçalho ou nos itens gera uma nova versão,
+// registrando quem a fez e quando
+const incrementOrderVersion = (client, orderId, updatedBy) => {
+    return client.query(
+        'UPDATE Orders SET version = version + 1, updatedBy = $2, updatedAt = NOW() WHERE orderId = $1 RETURNING version;',
+        [orderId, updatedBy]
+    );
+};
+
+// Exclusão lógica: o pedido e seus itens continuam no banco até o expurgo
+const softDeleteOrder = (client, orderId) => {
+    return client.query(
+        'UPDATE Orders SET deletedAt = NOW() WHERE orderId = $1 AND deletedAt IS NULL;',
+        [orderId]
+    );
+};
+
+const restoreOrder = (client, orderId) => {
+    return client.query('UPDATE Orders SET deletedAt = NULL WHERE orderId = $1;', [orderId]);
+};
+
+// Pedidos removidos antes de `deletedBefore`, bloqueados até o fim da transação do expurgo
+const findPurgeableOrderIdsForUpdate = (client, deletedBefore) => {
+    return client.query(
+        'SELECT orderId FROM Orders WHERE deletedAt IS NOT NULL AND deletedAt < $1 ORDER BY orderId FOR UPDATE;',
+        [deletedBefore]
+    );
+};
+
+// Exclusão definitiva dos pedidos informados (itens removidos via ON DELETE CASCADE)
+const purgeOrders = (client, orderIds) => {
+    return client.query('DELETE FROM Orders WHERE orderId = ANY($1::text[]);', [orderIds]);
 };
 
 
@@ -81,11 +312,26 @@ module.exports = {
   pool: pool,
   insertOrder,
   insertOrderItem,
+  insertOrdersBatch,
+  insertOrderItemsBatch,
   findOrderById,
+  findOrderByIdForUpdate,
   findItemsByOrderId,
+  findOrderWithItems,
   findAllOrders,
+  countOrders,
+  declareOrderExportCursor,
+  fetchFromCursor,
   updateOrderHeader,
+  updateOrderValue,
+  updateOrderStatus,
+  incrementOrderVersion,
+  findOrderItem,
+  deleteOrderItem,
   deleteOrderItems,
-  deleteOrderHeader,
+  softDeleteOrder,
+  restoreOrder,
+  findPurgeableOrderIdsForUpdate,
+  purgeOrders,
   updateOrderItem
 };
\ No newline at end of file
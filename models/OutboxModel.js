@@ -0,0 +1,47 @@
+const { query } = require('../config/db');
+const { insertMultiRow } = require('../utils/sql');
+
+// Grava os eventos na transação do chamador (a mesma da alteração do pedido)
+const insertOutboxEvents = (client, events) => {
+    return insertMultiRow(
+        client,
+        'INSERT INTO OutboxEvents (eventType, orderId, payload)',
+        events.map(event => [event.eventType, event.orderId, JSON.stringify(event.payload)])
+    );
+};
+
+/**
+ * Distribui os eventos ainda não despachados em entregas, uma para cada webhook ativo
+ * assinante do tipo do evento, e marca os eventos como despachados — tudo em um único comando.
+ *
+ * SKIP LOCKED permite que várias instâncias da API despachem ao mesmo tempo sem repetir eventos.
+ */
+const dispatchOutboxEvents = (limit) => {
+    const dispatchSql = `
+      WITH claimed AS (
+        SELECT eventId, eventType
+        FROM OutboxEvents
+        WHERE dispatchedAt IS NULL
+        ORDER BY eventId
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      ),
+      fanout AS (
+        INSERT INTO WebhookDeliveries (webhookId, eventId)
+        SELECT Webhooks.webhookId, claimed.eventId
+        FROM claimed
+        JOIN Webhooks ON Webhooks.active AND claimed.eventType = ANY (Webhooks.events)
+        ON CONFLICT (webhookId, eventId) DO NOTHING
+      )
+      UPDATE OutboxEvents
+      SET dispatchedAt = NOW()
+      WHERE eventId IN (SELECT eventId FROM claimed)
+      RETURNING eventId;
+    `;
+    return query(dispatchSql, [limit]);
+};
+
+module.exports = {
+  insertOutboxEvents,
+  dispatchOutboxEvents,
+};
@@ -0,0 +1,91 @@
+const { query, pool } = require('../config/db');
+
+const PRODUCT_COLUMNS = 'productId, name, listPrice, stockOnHand, createdAt, updatedAt';
+
+const insertProduct = (product) => {
+    const insertSql = `
+      INSERT INTO Products (productId, name, listPrice, stockOnHand)
+      VALUES ($1, $2, $3, $4)
+      RETURNING ${PRODUCT_COLUMNS};
+    `;
+    return query(insertSql, [product.productId, product.name, product.listPrice, product.stockOnHand]);
+};
+
+const findProductById = (productId) => {
+    return query(`SELECT ${PRODUCT_COLUMNS} FROM Products WHERE productId = $1;`, [productId]);
+};
+
+// Paginação por cursor (keyset) na ordem do productId
+const findAllProducts = ({ limit, afterProductId }) => {
+    const params = [limit];
+    let afterClause = '';
+
+    if (afterProductId !== undefined) {
+        params.push(afterProductId);
+        afterClause = 'WHERE productId > $2';
+    }
+
+    return query(`SELECT ${PRODUCT_COLUMNS} FROM Products ${afterClause} ORDER BY productId LIMIT $1;`, params);
+};
+
+// Dos códigos informados, retorna os que correspondem a produtos cadastrados
+const findExistingProductIds = (productIds) => {
+    return query('SELECT productId FROM Products WHERE productId = ANY ($1::int[]);', [productIds]);
+};
+
+// Lê os produtos bloqueando as linhas até o fim da transação do client. A ordem por productId
+// é a mesma em todas as transações, o que evita deadlock entre pedidos com os mesmos produtos
+const findProductsByIdsForUpdate = (client, productIds) => {
+    return client.query(
+        `SELECT ${PRODUCT_COLUMNS} FROM Products WHERE productId = ANY ($1::int[]) ORDER BY productId FOR UPDATE;`,
+        [productIds]
+    );
+};
+
+const updateProduct = (productId, product) => {
+    const updateSql = `
+      UPDATE Products
+      SET name = $2, listPrice = $3, updatedAt = NOW()
+      WHERE productId = $1
+      RETURNING ${PRODUCT_COLUMNS};
+    `;
+    return query(updateSql, [productId, product.name, product.listPrice]);
+};
+
+// Ajusta o estoque de um produto; não altera nada se o saldo ficaria negativo
+const adjustProductStock = (productId, quantity) => {
+    const adjustSql = `
+      UPDATE Products
+      SET stockOnHand = stockOnHand + $2, updatedAt = NOW()
+      WHERE productId = $1 AND stockOnHand + $2 >= 0
+      RETURNING ${PRODUCT_COLUMNS};
+    `;
+    return query(adjustSql, [productId, quantity]);
+};
+
+// Baixa (quantidade positiva) ou devolve (negativa) o estoque de vários produtos de uma vez
+const decrementStock = (client, productIds, quantities) => {
+    const updateSql = `
+      UPDATE Products p
+      SET stockOnHand = p.stockOnHand - c.quantity, updatedAt = NOW()
+      FROM unnest($1::int[], $2::int[]) AS c (productId, quantity)
+      WHERE p.productId = c.productId;
+    `;
+    return client.query(updateSql, [productIds, quantities]);
+};
+
+const deleteProduct = (productId) => {
+    return query('DELETE FROM Products WHERE productId = $1;', [productId]);
+};
+
+module.exports = {
+  insertProduct,
+  findProductById,
+  findAllProducts,
+  findExistingProductIds,
+  findProductsByIdsForUpdate,
+  updateProduct,
+  adjustProductStock,
+  decrementStock,
+  deleteProduct,
+};
@@ -0,0 +1,82 @@
+const { query } = require('../config/db');
+
+/*
+ * Todas as consultas recebem $1 = from, $2 = to (datas locais, inclusivas) e $3 = fuso horário.
+ * Os limites são convertidos para instantes no fuso informado, para que o índice em
+ * creationDate continue sendo usado. Pedidos removidos ou cancelados não entram nas vendas.
+ */
+const salesPeriodClause = `
+      creationDate >= ($1::date)::timestamp AT TIME ZONE $3
+      AND creationDate < ($2::date + 1)::timestamp AT TIME ZONE $3
+      AND deletedAt IS NULL
+      AND status <> 'cancelled'
+`;
+
+// Colunas de ordenação do ranking de produtos (whitelist, nunca interpolar valor do cliente)
+const PRODUCT_METRIC_COLUMNS = {
+    quantity: 'quantity',
+    revenue: 'revenue',
+};
+
+// Faturamento e quantidade de pedidos por período, incluindo os períodos sem vendas
+const findRevenueByPeriod = ({ from, to, timezone, groupBy }) => {
+    const revenueSql = `
+      WITH periods AS (
+        SELECT generate_series(
+          date_trunc($4, $1::date::timestamp),
+          date_trunc($4, $2::date::timestamp),
+          ('1 ' || $4)::interval
+        ) AS period
+      ),
+      sales AS (
+        SELECT date_trunc($4, creationDate AT TIME ZONE $3) AS period,
+               COUNT(*) AS orderCount,
+               SUM(value) AS revenue
+        FROM Orders
+        WHERE ${salesPeriodClause}
+        GROUP BY 1
+      )
+      SELECT to_char(periods.period, 'YYYY-MM-DD') AS period,
+             COALESCE(sales.orderCount, 0)::int AS orderCount,
+             COALESCE(sales.revenue, 0) AS revenue
+      FROM periods
+      LEFT JOIN sales USING (period)
+      ORDER BY periods.period;
+    `;
+    return query(revenueSql, [from, to, timezone, groupBy]);
+};
+
+// Produtos mais vendidos no período, pela métrica informada (quantity ou revenue)
+const findTopProducts = ({ from, to, timezone, by, limit }) => {
+    const topProductsSql = `
+      SELECT productId,
+             SUM(quantity) AS quantity,
+             SUM(quantity * price) AS revenue,
+             COUNT(DISTINCT orderId)::int AS orderCount
+      FROM Items
+      JOIN Orders USING (orderId)
+      WHERE ${salesPeriodClause}
+      GROUP BY productId
+      ORDER BY ${PRODUCT_METRIC_COLUMNS[by]} DESC, productId
+      LIMIT $4;
+    `;
+    return query(topProductsSql, [from, to, timezone, limit]);
+};
+
+// Quantidade de pedidos, faturamento e ticket médio (arredondado em centavos) do período
+const findAverageOrderValue = ({ from, to, timezone }) => {
+    const averageSql = `
+      SELECT COUNT(*)::int AS orderCount,
+             COALESCE(SUM(value), 0) AS revenue,
+             ROUND(AVG(value), 2) AS averageOrderValue
+      FROM Orders
+      WHERE ${salesPeriodClause};
+    `;
+    return query(averageSql, [from, to, timezone]);
+};
+
+module.exports = {
+  findRevenueByPeriod,
+  findTopProducts,
+  findAverageOrderValue,
+};
@@ -0,0 +1,152 @@
+const { query } = require('../config/db');
+
+const WEBHOOK_COLUMNS = 'webhookId, url, events, secret, active, createdAt, updatedAt';
+
+// Qualificadas pela tabela, pois as consultas de entregas fazem JOIN com OutboxEvents
+const DELIVERY_COLUMNS = `WebhookDeliveries.deliveryId, WebhookDeliveries.webhookId, WebhookDeliveries.eventId,
+             WebhookDeliveries.status, WebhookDeliveries.attempts, WebhookDeliveries.nextAttemptAt,
+             WebhookDeliveries.lastResponseStatus, WebhookDeliveries.lastError,
+             WebhookDeliveries.deliveredAt, WebhookDeliveries.createdAt`;
+
+const insertWebhook = (webhook) => {
+    const insertSql = `
+      INSERT INTO Webhooks (url, events, secret, active)
+      VALUES ($1, $2, $3, $4)
+      RETURNING ${WEBHOOK_COLUMNS};
+    `;
+    return query(insertSql, [webhook.url, webhook.events, webhook.secret, webhook.active]);
+};
+
+const findAllWebhooks = () => {
+    return query(`SELECT ${WEBHOOK_COLUMNS} FROM Webhooks ORDER BY webhookId;`);
+};
+
+const findWebhookById = (webhookId) => {
+    return query(`SELECT ${WEBHOOK_COLUMNS} FROM Webhooks WHERE webhookId = $1;`, [webhookId]);
+};
+
+// secret = null mantém a chave atual
+const updateWebhook = (webhookId, webhook) => {
+    const updateSql = `
+      UPDATE Webhooks
+      SET url = $2, events = $3, secret = COALESCE($4, secret), active = $5, updatedAt = NOW()
+      WHERE webhookId = $1
+      RETURNING ${WEBHOOK_COLUMNS};
+    `;
+    return query(updateSql, [webhookId, webhook.url, webhook.events, webhook.secret, webhook.active]);
+};
+
+// As entregas do webhook são removidas em cascata
+const deleteWebhook = (webhookId) => {
+    return query('DELETE FROM Webhooks WHERE webhookId = $1;', [webhookId]);
+};
+
+const findDeliveriesByWebhookId = (webhookId, { status, limit }) => {
+    const params = [webhookId, limit];
+    let statusClause = '';
+
+    if (status !== undefined) {
+        params.push(status);
+        statusClause = 'AND WebhookDeliveries.status = $3';
+    }
+
+    const deliveriesSql = `
+      SELECT ${DELIVERY_COLUMNS}, OutboxEvents.eventType, OutboxEvents.orderId
+      FROM WebhookDeliveries
+      JOIN OutboxEvents USING (eventId)
+      WHERE WebhookDeliveries.webhookId = $1 ${statusClause}
+      ORDER BY WebhookDeliveries.deliveryId DESC
+      LIMIT $2;
+    `;
+    return query(deliveriesSql, params);
+};
+
+/**
+ * Reserva as entregas vencidas de webhooks ativos, adiando a próxima tentativa pelo tempo
+ * da reserva (`leaseSeconds`), para que outra instância não as envie em paralelo.
+ * Se o processo cair durante o envio, a entrega volta a ficar disponível ao fim da reserva.
+ *
+ * Retorna, junto de cada entrega, a URL e o secret do webhook e o evento a ser enviado.
+ */
+const claimDueDeliveries = (limit, leaseSeconds) => {
+    const claimSql = `
+      WITH claimed AS (
+        UPDATE WebhookDeliveries
+        SET nextAttemptAt = NOW() + make_interval(secs => $2)
+        WHERE deliveryId IN (
+          SELECT deliveryId
+          FROM WebhookDeliveries
+          WHERE status = 'pending'
+            AND nextAttemptAt <= NOW()
+            AND webhookId IN (SELECT webhookId FROM Webhooks WHERE active)
+          ORDER BY nextAttemptAt
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING deliveryId, webhookId, eventId, attempts
+      )
+      SELECT claimed.deliveryId, claimed.attempts, Webhooks.webhookId, Webhooks.url, Webhooks.secret,
+             OutboxEvents.eventId, OutboxEvents.eventType, OutboxEvents.payload, OutboxEvents.createdAt
+      FROM claimed
+      JOIN Webhooks ON Webhooks.webhookId = claimed.webhookId
+      JOIN OutboxEvents ON OutboxEvents.eventId = claimed.eventId
+      ORDER BY claimed.deliveryId;
+    `;
+    return query(claimSql, [limit, leaseSeconds]);
+};
+
+const markDeliverySucceeded = (deliveryId, responseStatus) => {
+    const updateSql = `
+      UPDATE WebhookDeliveries
+      SET status = 'delivered', attempts = attempts + 1, lastResponseStatus = $2,
+          lastError = NULL, deliveredAt = NOW()
+      WHERE deliveryId = $1;
+    `;
+    return query(updateSql, [deliveryId, responseStatus]);
+};
+
+// retryInSeconds = null encerra as tentativas (estado "dead")
+const markDeliveryFailed = (deliveryId, { responseStatus, error, retryInSeconds }) => {
+    const updateSql = `
+      UPDATE WebhookDeliveries
+      SET attempts = attempts + 1,
+          lastResponseStatus = $2,
+          lastError = $3,
+          status = CASE WHEN $4::integer IS NULL THEN 'dead' ELSE 'pending' END,
+          nextAttemptAt = CASE WHEN $4::integer IS NULL THEN nextAttemptAt ELSE NOW() + make_interval(secs => $4::integer) END
+      WHERE deliveryId = $1;
+    `;
+    return query(updateSql, [deliveryId, responseStatus, error, retryInSeconds]);
+};
+
+// Volta as entregas "dead" do webhook (todas ou as informadas) para a fila, com as tentativas zeradas
+const replayDeadDeliveries = (webhookId, deliveryIds) => {
+    const params = [webhookId];
+    let idsClause = '';
+
+    if (deliveryIds !== undefined) {
+        params.push(deliveryIds);
+        idsClause = 'AND deliveryId = ANY ($2::bigint[])';
+    }
+
+    const replaySql = `
+      UPDATE WebhookDeliveries
+      SET status = 'pending', attempts = 0, nextAttemptAt = NOW(), lastError = NULL, lastResponseStatus = NULL
+      WHERE webhookId = $1 AND status = 'dead' ${idsClause}
+      RETURNING deliveryId;
+    `;
+    return query(replaySql, params);
+};
+
+module.exports = {
+  insertWebhook,
+  findAllWebhooks,
+  findWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  findDeliveriesByWebhookId,
+  claimDueDeliveries,
+  markDeliverySucceeded,
+  markDeliveryFailed,
+  replayDeadDeliveries,
+};
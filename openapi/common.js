@@ -0,0 +1,222 @@
+/**
+ * Componentes e funções auxiliares compartilhados pelos módulos da especificação OpenAPI.
+ *
+ * Os schemas de entrada (corpo, query string e parâmetros de rota) são os mesmos objetos usados
+ * pelos Services (schemas/): a especificação é validada pelo Ajv a cada requisição
+ * (openapi/validateRequest.js), por isso eles não recebem palavras-chave exclusivas da
+ * documentação (ex: `example`). Os schemas de resposta ficam em `components` e são referenciados
+ * por `$ref`.
+ */
+
+// Parâmetros de query string a partir de um schema de objeto (ex: listOrdersQuerySchema)
+const queryParameters = (schema, { exclude = [], descriptions = {} } = {}) => {
+  const required = schema.required || [];
+
+  return Object.entries(schema.properties)
+    .filter(([name]) => !exclude.includes(name))
+    .map(([name, propertySchema]) => ({
+      name,
+      in: 'query',
+      required: required.includes(name),
+      schema: propertySchema,
+      ...(descriptions[name] && { description: descriptions[name] }),
+    }));
+};
+
+/**
+ * Parâmetro de rota. A mensagem é a usada na ValidationException quando o valor não respeita o schema.
+ *
+ * @param {string} name - Nome do parâmetro (ex: orderId).
+ * @param {object} schema - JSON Schema do valor (convertido do texto da URL).
+ * @param {string} description - Descrição exibida na documentação.
+ * @param {string} [message] - Mensagem geral do erro de validação.
+ * @returns {object} Parameter Object.
+ */
+const pathParameter = (name, schema, description, message = 'Parâmetros da rota inválidos.') => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema,
+  'x-validation-message': message,
+});
+
+/**
+ * Corpo JSON validado contra `schema`, com a mesma mensagem de erro usada pelo Service.
+ *
+ * @param {object} schema - JSON Schema do corpo.
+ * @param {string} message - Mensagem geral da ValidationException.
+ * @param {{description?: string, required?: boolean}} [options]
+ * @returns {object} Request Body Object.
+ */
+const jsonBody = (schema, message, { description, required = true } = {}) => ({
+  required,
+  ...(description && { description }),
+  content: { 'application/json': { schema } },
+  'x-validation-message': message,
+});
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Resposta JSON com o schema de `components`
+const jsonResponse = (description, schemaName, headers) => ({
+  description,
+  ...(headers && { headers }),
+  content: { 'application/json': { schema: ref(schemaName) } },
+});
+
+// Respostas de erro (application/problem+json) de `components/responses`, por status
+const PROBLEM_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  412: 'PreconditionFailed',
+  413: 'PayloadTooLarge',
+  422: 'UnprocessableEntity',
+  500: 'InternalError',
+};
+
+/**
+ * Monta as respostas de uma operação: as de sucesso informadas e as de erro pelos status.
+ * 401, 403 e 500 valem para todas as operações autenticadas e são incluídos sempre.
+ *
+ * @param {object} success - Respostas de sucesso, por status.
+ * @param {number[]} [errorStatuses] - Status de erro específicos da operação.
+ * @param {{public?: boolean}} [options] - Operações públicas não respondem 401/403.
+ * @returns {object} Responses Object.
+ */
+const responses = (success, errorStatuses = [], { public: isPublic = false } = {}) => {
+  const statuses = new Set([...errorStatuses, ...(isPublic ? [] : [401, 403]), 500]);
+
+  const errors = Object.fromEntries([...statuses].map(status => [
+    status,
+    { $ref: `#/components/responses/${PROBLEM_RESPONSES[status]}` },
+  ]));
+
+  return { ...success, ...errors };
+};
+
+/**
+ * Operação com o papel mínimo exigido na descrição e em `x-required-role`.
+ *
+ * @param {string} role - reader, operator ou admin.
+ * @param {object} operation - Demais campos do Operation Object.
+ * @returns {object} Operation Object.
+ */
+const withRole = (role, { description, ...operation }) => ({
+  ...operation,
+  description: [description, `Papel mínimo: \`${role}\`.`].filter(Boolean).join('\n\n'),
+  'x-required-role': role,
+});
+
+const dateTime = { type: 'string', format: 'date-time' };
+
+const problemSchema = {
+  type: 'object',
+  description: 'Erro no formato application/problem+json (RFC 7807).',
+  required: ['type', 'title', 'status', 'detail', 'instance'],
+  properties: {
+    type: { type: 'string', description: 'Identificador do problema (ex: /problems/validation) ou about:blank.' },
+    title: { type: 'string' },
+    status: { type: 'integer' },
+    detail: { type: 'string', description: 'Mensagem para o cliente.' },
+    instance: { type: 'string', description: 'URL da requisição.' },
+    errors: {
+      type: 'array',
+      description: 'Campos inválidos (erros de validação, 400).',
+      items: ref('FieldMessage'),
+    },
+  },
+};
+
+const problemResponse = (description, headers) => ({
+  description,
+  ...(headers && { headers }),
+  content: { 'application/problem+json': { schema: ref('Problem') } },
+});
+
+const components = {
+  securitySchemes: {
+    ApiKeyAuth: {
+      type: 'apiKey',
+      in: 'header',
+      name: 'X-API-Key',
+      description: 'Chave de API configurada em API_KEYS (nome:papel:chave).',
+    },
+    BearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT',
+      description: 'JWT assinado com JWT_SECRET (HS*) ou verificado com a chave pública de JWT_PUBLIC_KEY_FILE (RS*/ES*).',
+    },
+  },
+  headers: {
+    ETag: {
+      description: 'Versão atual do pedido, para uso em If-Match. Em GET /order/:orderId, as representações '
+        + 'diferentes da interna acrescentam o nome do formato (ex: "3-input").',
+      schema: { type: 'string' },
+    },
+  },
+  parameters: {
+    IfMatch: {
+      name: 'If-Match',
+      in: 'header',
+      required: false,
+      description: 'ETag (versão) esperado do pedido; outra versão resulta em 412.',
+      schema: { type: 'string' },
+    },
+    OrderChannel: {
+      name: 'X-Order-Channel',
+      in: 'header',
+      required: false,
+      description: 'Canal de vendas (mapeador) do corpo. Sem ele, o formato é detectado pelo próprio corpo.',
+      schema: { type: 'string' },
+    },
+  },
+  responses: {
+    BadRequest: problemResponse('Dados inválidos (ver `errors`) ou corpo que não é JSON.'),
+    Unauthorized: problemResponse('Credencial ausente ou inválida.', {
+      'WWW-Authenticate': { schema: { type: 'string' } },
+    }),
+    Forbidden: problemResponse('O papel da credencial não permite a operação.'),
+    NotFound: problemResponse('Recurso não encontrado.'),
+    Conflict: problemResponse('Conflito com o estado atual do recurso.'),
+    PreconditionFailed: problemResponse('If-Match não corresponde à versão atual do pedido.'),
+    PayloadTooLarge: problemResponse('Corpo maior que JSON_BODY_LIMIT.'),
+    UnprocessableEntity: problemResponse('Requisição bem formada, mas que não pode ser processada.'),
+    InternalError: problemResponse('Erro interno do servidor.'),
+  },
+  schemas: {
+    Problem: problemSchema,
+    FieldMessage: {
+      type: 'object',
+      required: ['field', 'message'],
+      properties: {
+        field: { type: 'string', description: 'Caminho do campo, ex: items[0].idItem.' },
+        message: { type: 'string' },
+      },
+    },
+    Message: {
+      type: 'object',
+      required: ['message'],
+      properties: {
+        message: { type: 'string' },
+        warnings: { type: 'array', items: ref('FieldMessage') },
+      },
+    },
+  },
+};
+
+module.exports = {
+  queryParameters,
+  pathParameter,
+  jsonBody,
+  ref,
+  jsonResponse,
+  responses,
+  withRole,
+  dateTime,
+  components,
+};
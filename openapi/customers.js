@@ -0,0 +1,114 @@
+/**
+ * Especificação OpenAPI das rotas de clientes (routes/CustomerRoutes.js).
+ */
+const {
+  customerIdStringSchema,
+  customerCreateSchema,
+  customerUpdateSchema,
+  listCustomersQuerySchema,
+} = require('../schemas/CustomerSchema');
+const { listOrdersQuerySchema } = require('../schemas/OrderSchema');
+const { buildFormatParameter, formattedContent, orderPage } = require('./orders');
+const {
+  queryParameters,
+  pathParameter,
+  jsonBody,
+  ref,
+  jsonResponse,
+  responses,
+  withRole,
+  dateTime,
+} = require('./common');
+
+const customerIdParameter = pathParameter('customerId', customerIdStringSchema, 'Código do cliente no sistema de origem.');
+
+const schemas = {
+  Customer: {
+    type: 'object',
+    required: ['customerId', 'name', 'email', 'document', 'createdAt', 'updatedAt'],
+    properties: {
+      customerId: { type: 'string' },
+      name: { type: 'string' },
+      email: { type: ['string', 'null'] },
+      document: { type: ['string', 'null'], description: 'CPF ou CNPJ, apenas dígitos.' },
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+  CustomerPage: {
+    type: 'object',
+    required: ['data', 'nextCursor'],
+    properties: {
+      data: { type: 'array', items: ref('Customer') },
+      nextCursor: { type: ['string', 'null'] },
+    },
+  },
+};
+
+/**
+ * Paths e schemas de clientes.
+ *
+ * @returns {{paths: object, schemas: object, tags: Array<object>}}
+ */
+const buildCustomersSpec = () => {
+  const operation = (role, fields) => withRole(role, { tags: ['Clientes'], ...fields });
+
+  return {
+    tags: [{ name: 'Clientes', description: 'Clientes referenciados pelos pedidos (idCliente).' }],
+    paths: {
+      '/customer/list': {
+        get: operation('reader', {
+          summary: 'Lista os clientes',
+          parameters: queryParameters(listCustomersQuerySchema),
+          'x-query-validation-message': 'Parâmetros de listagem inválidos.',
+          responses: responses({ 200: jsonResponse('Página de clientes.', 'CustomerPage') }, [400]),
+        }),
+      },
+      '/customer': {
+        post: operation('operator', {
+          summary: 'Cadastra um cliente',
+          requestBody: jsonBody(customerCreateSchema, 'Dados do cliente inválidos.'),
+          responses: responses({ 201: jsonResponse('Cliente cadastrado.', 'Customer') }, [400, 409]),
+        }),
+      },
+      '/customer/{customerId}': {
+        get: operation('reader', {
+          summary: 'Obtém um cliente',
+          parameters: [customerIdParameter],
+          responses: responses({ 200: jsonResponse('Cliente.', 'Customer') }, [404]),
+        }),
+        put: operation('operator', {
+          summary: 'Atualiza um cliente',
+          description: 'O customerId não pode ser alterado.',
+          parameters: [customerIdParameter],
+          requestBody: jsonBody(customerUpdateSchema, 'Dados do cliente inválidos.'),
+          responses: responses({ 200: jsonResponse('Cliente atualizado.', 'Customer') }, [400, 404]),
+        }),
+        delete: operation('admin', {
+          summary: 'Exclui um cliente',
+          description: 'Clientes com pedidos não podem ser excluídos.',
+          parameters: [customerIdParameter],
+          responses: responses({ 204: { description: 'Cliente excluído.' } }, [404, 409]),
+        }),
+      },
+      '/customer/{customerId}/orders': {
+        get: operation('reader', {
+          summary: 'Lista os pedidos do cliente',
+          description: 'Mesmos parâmetros de GET /order/list (o cliente vem da rota).',
+          parameters: [
+            customerIdParameter,
+            ...queryParameters(listOrdersQuerySchema, { exclude: ['customerId'] }),
+            buildFormatParameter(),
+          ],
+          'x-query-validation-message': 'Parâmetros de listagem inválidos.',
+          responses: responses({ 200: { description: 'Página de pedidos.', content: formattedContent(orderPage) } }, [400, 404]),
+        }),
+      },
+    },
+    schemas,
+  };
+};
+
+module.exports = {
+  buildCustomersSpec,
+};
@@ -0,0 +1,81 @@
+/**
+ * Especificação OpenAPI 3.1 da API, servida em GET /openapi.json e lida pela documentação em /docs.
+ *
+ * O documento é montado a partir dos mesmos JSON Schemas usados pelos Services e é também a
+ * referência da validação das requisições (openapi/validateRequest.js): toda rota montada em app.js
+ * precisa estar descrita aqui (conferido na inicialização), e o middleware validateRequest confere
+ * os parâmetros e corpos contra ela.
+ * A versão 3.1 usa JSON Schema 2020-12, que aceita os schemas do Ajv sem conversão
+ * (ex: `type: ['integer', 'string']`).
+ */
+const { version } = require('../package.json');
+const { components } = require('./common');
+const { buildSystemSpec } = require('./system');
+const { buildOrdersSpec } = require('./orders');
+const { buildReportsSpec } = require('./reports');
+const { buildCustomersSpec } = require('./customers');
+const { buildProductsSpec } = require('./products');
+const { buildWebhooksSpec } = require('./webhooks');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+const buildDocument = () => {
+  const sections = [
+    buildSystemSpec(),
+    buildOrdersSpec(),
+    buildReportsSpec(),
+    buildCustomersSpec(),
+    buildProductsSpec(),
+    buildWebhooksSpec(),
+  ];
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Gerenciador de Pedidos',
+      version,
+      description: 'API de pedidos, itens, clientes, produtos, relatórios e webhooks. '
+        + 'Erros seguem o formato application/problem+json (RFC 7807); erros de validação trazem a lista `errors` com os campos inválidos.',
+    },
+    tags: sections.flatMap(section => section.tags),
+    // Qualquer uma das credenciais; sem API_KEYS nem JWT configurados, a autenticação fica desligada
+    security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
+    paths: Object.assign({}, ...sections.map(section => section.paths)),
+    components: {
+      ...components,
+      schemas: Object.assign({}, components.schemas, ...sections.map(section => section.schemas)),
+    },
+  };
+};
+
+let document = null;
+
+/**
+ * Devolve a especificação, montada na primeira chamada (depois do registro dos mapeadores,
+ * que definem os canais e formatos documentados).
+ *
+ * @returns {object} Documento OpenAPI.
+ */
+const getOpenApiDocument = () => {
+  if (!document) document = buildDocument();
+  return document;
+};
+
+/**
+ * Busca a operação de uma rota da especificação.
+ *
+ * @param {string} method - Método HTTP (HEAD é atendido como GET, como no Express).
+ * @param {string} path - Caminho no formato da especificação (ex: /order/{orderId}).
+ * @returns {object|undefined} Operation Object.
+ */
+const findOperation = (method, path) => {
+  const pathItem = getOpenApiDocument().paths[path];
+  const name = method.toLowerCase() === 'head' ? 'get' : method.toLowerCase();
+
+  return pathItem && HTTP_METHODS.includes(name) ? pathItem[name] : undefined;
+};
+
+module.exports = {
+  getOpenApiDocument,
+  findOperation,
+};
@@ -0,0 +1,461 @@
+/**
+ * Especificação OpenAPI das rotas de pedidos (routes/OrderRoutes.js), publicadas em /order e,
+ * com o canal de vendas fixado na URL, em /channels/{channel}/order.
+ */
+const {
+  BULK_MAX_ORDERS,
+  ORDER_STATUSES,
+  bulkOrdersSchema,
+  orderItemSchema,
+  itemUpdateRequestSchema,
+  statusUpdateSchema,
+  listOrdersQuerySchema,
+  exportOrdersQuerySchema,
+  getOrderQuerySchema,
+  purgeOrdersSchema,
+} = require('../schemas/OrderSchema');
+const { listMappers } = require('../mappers');
+const { listResponseFormats } = require('../utils/responseFormat');
+const {
+  queryParameters,
+  pathParameter,
+  jsonBody,
+  ref,
+  jsonResponse,
+  responses,
+  withRole,
+  dateTime,
+} = require('./common');
+
+// Nome do schema (em components) do payload de um canal, ex: ChannelOrder.input
+const channelOrderSchemaName = (mapper) => `ChannelOrder.${mapper.name}`;
+
+// Nome do schema de um pedido na representação de resposta (interna ou de um canal)
+const orderSchemaNameOf = (format) => (format.name === 'internal' ? 'Order' : `ChannelOrder.${format.name}`);
+
+/**
+ * Corpo de resposta em cada representação aceita por `?format=` / `Accept` (utils/responseFormat.js).
+ *
+ * @param {function(object, object): object} wrap - Monta o schema da resposta a partir do schema de um pedido e da representação.
+ * @returns {object} Content Object, por media type.
+ */
+const formattedContent = (wrap) => Object.fromEntries(
+  listResponseFormats().map(format => [format.mediaType, { schema: wrap(ref(orderSchemaNameOf(format)), format) }])
+);
+
+/**
+ * Página de pedidos (GET /order/list e GET /customer/{customerId}/orders). A listagem traz
+ * apenas os campos principais de cada pedido, sem os itens.
+ *
+ * @param {object} order - Schema de um pedido na representação escolhida.
+ * @param {object} format - Representação escolhida.
+ * @returns {object} Schema da página.
+ */
+const orderPage = (order, format) => ({
+  type: 'object',
+  required: ['data', 'nextCursor'],
+  properties: {
+    data: {
+      type: 'array',
+      items: format.name === 'internal'
+        ? order
+        : { type: 'object', description: `Pedido no formato ${order.$ref.split('/').pop()}, sem a lista de itens.` },
+    },
+    nextCursor: { type: ['string', 'null'], description: 'Cursor da próxima página (null na última).' },
+    total: { type: 'integer', description: 'Total de pedidos do filtro (com includeTotal=true).' },
+  },
+});
+
+// Parâmetro ?format= das rotas que devolvem pedidos (utils/responseFormat.js)
+const buildFormatParameter = () => ({
+  name: 'format',
+  in: 'query',
+  required: false,
+  description: 'Representação dos pedidos na resposta (tem prioridade sobre o header Accept).',
+  schema: { type: 'string', enum: listResponseFormats().map(format => format.name) },
+});
+
+const orderIdParameter = pathParameter('orderId', { type: 'string', minLength: 1 }, 'Identificador do pedido (numeroPedido sem o sufixo, ex: v10089015vdb).');
+
+const productIdParameter = pathParameter(
+  'productId',
+  { type: 'integer', minimum: 1 },
+  'Código do produto (idItem).',
+  'O ID do produto deve ser um número válido.'
+);
+
+const ifMatch = { $ref: '#/components/parameters/IfMatch' };
+const orderChannel = { $ref: '#/components/parameters/OrderChannel' };
+const etagHeaders = { ETag: { $ref: '#/components/headers/ETag' } };
+
+// Corpo de criação/atualização no formato de qualquer canal (validado pelo mapeador escolhido)
+const orderPayloadBody = (description) => ({
+  required: true,
+  description,
+  content: {
+    'application/json': { schema: { anyOf: listMappers().map(mapper => ref(channelOrderSchemaName(mapper))) } },
+  },
+  // Validado pelo mapeador do canal (mappers/) no OrderService, e não por validateRequest
+  'x-order-payload': true,
+});
+
+const buildComponents = () => ({
+  OrderItem: {
+    type: 'object',
+    required: ['productId', 'quantity', 'price'],
+    properties: {
+      productId: { type: 'integer' },
+      quantity: { type: 'integer' },
+      price: { type: 'number' },
+    },
+  },
+  Order: {
+    type: 'object',
+    description: 'Pedido no formato interno. `status` e `version` não constam em `data` da criação; `items` não consta nas listagens.',
+    required: ['orderId', 'value', 'creationDate'],
+    properties: {
+      orderId: { type: 'string' },
+      value: { type: 'number' },
+      creationDate: dateTime,
+      status: { type: 'string', enum: ORDER_STATUSES },
+      version: { type: 'integer', description: 'Incrementada a cada alteração (ETag).' },
+      items: { type: 'array', items: ref('OrderItem') },
+      externalOrderNumber: { type: 'string', description: 'numeroPedido recebido (com o sufixo).' },
+      customerId: { type: 'string' },
+      createdBy: { type: 'string' },
+      updatedBy: { type: 'string' },
+      updatedAt: dateTime,
+      deletedAt: { ...dateTime, description: 'Presente apenas em pedidos removidos logicamente.' },
+    },
+  },
+  // Formato de cada canal, aceito na criação/atualização e devolvido com ?format=<canal>
+  ...Object.fromEntries(listMappers().map(mapper => [
+    channelOrderSchemaName(mapper),
+    { ...mapper.schema, description: `Pedido no formato do canal "${mapper.name}" (${mapper.mediaType}).` },
+  ])),
+  OrderCreated: {
+    type: 'object',
+    required: ['message', 'orderId', 'data'],
+    properties: {
+      message: { type: 'string' },
+      orderId: { type: 'string' },
+      data: ref('Order'),
+      warnings: { type: 'array', items: ref('FieldMessage') },
+    },
+  },
+  BulkResult: {
+    type: 'object',
+    required: ['atomic', 'committed', 'summary', 'results'],
+    properties: {
+      atomic: { type: 'boolean' },
+      committed: { type: 'boolean' },
+      summary: {
+        type: 'object',
+        required: ['created', 'duplicate', 'invalid', 'rolled_back'],
+        properties: {
+          created: { type: 'integer' },
+          duplicate: { type: 'integer' },
+          invalid: { type: 'integer' },
+          rolled_back: { type: 'integer' },
+        },
+      },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['index', 'status'],
+          properties: {
+            index: { type: 'integer', description: 'Posição do pedido no lote.' },
+            orderId: { type: 'string' },
+            status: { type: 'string', enum: ['created', 'duplicate', 'invalid', 'rolled_back'] },
+            reason: { type: 'string' },
+            errors: { type: 'array', items: ref('FieldMessage') },
+            warnings: { type: 'array', items: ref('FieldMessage') },
+          },
+        },
+      },
+    },
+  },
+  ItemAdded: {
+    type: 'object',
+    required: ['message', 'data'],
+    properties: {
+      message: { type: 'string' },
+      data: ref('OrderItem'),
+      warnings: { type: 'array', items: ref('FieldMessage') },
+    },
+  },
+  StatusChanged: {
+    type: 'object',
+    required: ['message', 'data'],
+    properties: {
+      message: { type: 'string' },
+      data: {
+        type: 'object',
+        required: ['orderId', 'previousStatus', 'status', 'version'],
+        properties: {
+          orderId: { type: 'string' },
+          previousStatus: { type: 'string', enum: ORDER_STATUSES },
+          status: { type: 'string', enum: ORDER_STATUSES },
+          version: { type: 'integer' },
+        },
+      },
+    },
+  },
+  OrderRestored: {
+    type: 'object',
+    required: ['message', 'data'],
+    properties: {
+      message: { type: 'string' },
+      data: ref('Order'),
+    },
+  },
+  PurgeResult: {
+    type: 'object',
+    required: ['message', 'data'],
+    properties: {
+      message: { type: 'string' },
+      data: {
+        type: 'object',
+        required: ['deletedBefore', 'purged', 'orderIds'],
+        properties: {
+          deletedBefore: dateTime,
+          purged: { type: 'integer' },
+          orderIds: { type: 'array', items: { type: 'string' } },
+        },
+      },
+    },
+  },
+});
+
+/**
+ * Monta as operações de pedidos sob um prefixo.
+ *
+ * @param {string} prefix - /order ou /channels/{channel}/order.
+ * @param {{tag: string, parameters?: Array<object>}} options - Tag das operações e parâmetros do prefixo (ex: channel).
+ * @returns {object} Paths Object.
+ */
+const buildOrderPaths = (prefix, { tag, parameters = [] }) => {
+  const formatParameter = buildFormatParameter();
+
+  // Parâmetros do prefixo (ex: channel) aparecem em todas as operações
+  const operation = (role, { parameters: own = [], ...rest }) => withRole(role, {
+    tags: [tag],
+    ...rest,
+    parameters: [...parameters, ...own],
+  });
+
+  return {
+    [`${prefix}/list`]: {
+      get: operation('reader', {
+        summary: 'Lista os pedidos',
+        description: 'Paginação por cursor, filtros e ordenação. Pedidos removidos só aparecem com includeDeleted=true.',
+        parameters: [...queryParameters(listOrdersQuerySchema), formatParameter],
+        'x-query-validation-message': 'Parâmetros de listagem inválidos.',
+        responses: responses({
+          200: { description: 'Página de pedidos.', content: formattedContent(orderPage) },
+        }, [400]),
+      }),
+    },
+    [`${prefix}/export`]: {
+      get: operation('reader', {
+        summary: 'Exporta os pedidos filtrados',
+        description: 'CSV (uma linha por item) ou NDJSON (um pedido por linha), enviado em streaming. Sem `format`, o header Accept decide; o padrão é CSV.',
+        parameters: queryParameters(exportOrdersQuerySchema),
+        'x-query-validation-message': 'Parâmetros de exportação inválidos.',
+        responses: responses({
+          200: {
+            description: 'Arquivo de exportação.',
+            headers: { 'Content-Disposition': { schema: { type: 'string' } } },
+            content: {
+              'text/csv': { schema: { type: 'string' } },
+              'application/x-ndjson': { schema: { type: 'string' } },
+            },
+          },
+        }, [400]),
+      }),
+    },
+    [prefix]: {
+      post: operation('operator', {
+        summary: 'Cria um pedido',
+        description: 'O corpo segue o formato do canal (rota /channels/{channel}, header X-Order-Channel ou detecção pelo corpo). '
+          + 'O formato de entrada original usa numeroPedido, valorTotal, dataCriacao, idCliente (opcional) e items (idItem, quantidadeItem, valorItem); '
+          + 'o orderId é o numeroPedido sem o sufixo (ex: v10089015vdb-01 → v10089015vdb).',
+        parameters: [
+          orderChannel,
+          {
+            name: 'Idempotency-Key',
+            in: 'header',
+            required: false,
+            description: 'Retentativas com a mesma chave e o mesmo corpo recebem a resposta original (header Idempotent-Replayed: true).',
+            schema: { type: 'string', minLength: 1, maxLength: 255 },
+          },
+        ],
+        requestBody: orderPayloadBody('Pedido no formato de um dos canais.'),
+        responses: responses({
+          201: jsonResponse('Pedido criado (ou resposta original de uma retentativa).', 'OrderCreated'),
+        }, [400, 409, 413, 422]),
+      }),
+    },
+    [`${prefix}/bulk`]: {
+      post: operation('operator', {
+        summary: 'Importa um lote de pedidos',
+        description: `Lista de 1 a ${BULK_MAX_ORDERS} pedidos, cada um no formato de um dos canais (ChannelOrder.*) e validado individualmente: `
+          + 'os inválidos são reportados em `results`. Com atomic=true, o lote é tudo ou nada.',
+        parameters: [
+          orderChannel,
+          { name: 'atomic', in: 'query', required: false, schema: { type: 'boolean', default: false } },
+        ],
+        requestBody: jsonBody(bulkOrdersSchema, 'Lote de pedidos inválido.'),
+        responses: responses({
+          200: jsonResponse('Lote processado em modo best-effort.', 'BulkResult'),
+          201: jsonResponse('Lote atômico criado integralmente.', 'BulkResult'),
+          422: jsonResponse('Lote atômico cancelado por pedidos inválidos ou duplicados.', 'BulkResult'),
+        }, [400, 413]),
+      }),
+    },
+    [`${prefix}/purge`]: {
+      post: operation('admin', {
+        summary: 'Expurga pedidos removidos',
+        description: 'Remove definitivamente os pedidos removidos logicamente há mais de retentionDays dias (padrão: ORDER_RETENTION_DAYS).',
+        requestBody: jsonBody(purgeOrdersSchema, 'Parâmetros de expurgo inválidos.', { required: false }),
+        responses: responses({ 200: jsonResponse('Pedidos expurgados.', 'PurgeResult') }, [400]),
+      }),
+    },
+    [`${prefix}/{orderId}`]: {
+      get: operation('reader', {
+        summary: 'Obtém um pedido',
+        description: 'Devolve ETag (versão) e Last-Modified; com If-None-Match ainda válido, responde 304. '
+          + 'If-Modified-Since é ignorado: o Last-Modified tem resolução de um segundo.',
+        parameters: [orderIdParameter, ...queryParameters(getOrderQuerySchema), formatParameter],
+        responses: responses({
+          200: {
+            description: 'Pedido.',
+            headers: { ...etagHeaders, 'Last-Modified': { schema: { type: 'string' } } },
+            content: formattedContent(order => order),
+          },
+          304: { description: 'O cliente já tem a versão atual do pedido.' },
+        }, [400, 404]),
+      }),
+      put: operation('operator', {
+        summary: 'Atualiza um pedido',
+        description: 'Atualiza o cabeçalho; com replaceItems=true, substitui também os itens na mesma transação. '
+          + 'Sem replaceItems, apenas o cabeçalho é validado e os itens enviados são ignorados, com um aviso em `warnings`.',
+        parameters: [
+          orderIdParameter,
+          { name: 'replaceItems', in: 'query', required: false, schema: { type: 'boolean', default: false } },
+          ifMatch,
+          orderChannel,
+        ],
+        requestBody: orderPayloadBody('Pedido no formato de um dos canais.'),
+        responses: responses({ 200: jsonResponse('Pedido atualizado.', 'Message', etagHeaders) }, [400, 404, 409, 412, 413]),
+      }),
+      delete: operation('admin', {
+        summary: 'Remove um pedido (logicamente)',
+        description: 'O pedido pode ser restaurado até ser expurgado.',
+        parameters: [orderIdParameter, ifMatch],
+        responses: responses({ 204: { description: 'Pedido removido.' } }, [404, 409, 412]),
+      }),
+    },
+    [`${prefix}/{orderId}/status`]: {
+      post: operation('operator', {
+        summary: 'Altera o status do pedido',
+        description: `Status: ${ORDER_STATUSES.join(', ')}. Apenas as transições da máquina de estados são aceitas.`,
+        parameters: [orderIdParameter, ifMatch],
+        requestBody: jsonBody(statusUpdateSchema, 'Dados de status inválidos.'),
+        responses: responses({ 200: jsonResponse('Status alterado.', 'StatusChanged', etagHeaders) }, [400, 404, 409, 412]),
+      }),
+    },
+    [`${prefix}/{orderId}/history`]: {
+      get: operation('reader', {
+        summary: 'Histórico de alterações do pedido',
+        description: 'Inclui pedidos já removidos. `before` e `after` seguem a representação escolhida.',
+        parameters: [orderIdParameter, formatParameter],
+        responses: responses({
+          200: {
+            description: 'Entradas do histórico, da mais antiga para a mais recente.',
+            content: formattedContent(order => ({
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['historyId', 'orderId', 'operation', 'actor', 'changedAt', 'before', 'after'],
+                properties: {
+                  historyId: { type: 'integer' },
+                  orderId: { type: 'string' },
+                  operation: { type: 'string', description: 'create, update, status_change, item_add, item_update, item_remove, delete ou restore.' },
+                  actor: { type: 'string' },
+                  changedAt: dateTime,
+                  before: { anyOf: [order, { type: 'null' }] },
+                  after: { anyOf: [order, { type: 'null' }] },
+                },
+              },
+            })),
+          },
+        }, [400, 404]),
+      }),
+    },
+    [`${prefix}/{orderId}/restore`]: {
+      post: operation('admin', {
+        summary: 'Restaura um pedido removido',
+        parameters: [orderIdParameter],
+        responses: responses({ 200: jsonResponse('Pedido restaurado.', 'OrderRestored', etagHeaders) }, [404, 409]),
+      }),
+    },
+    [`${prefix}/{orderId}/item`]: {
+      post: operation('operator', {
+        summary: 'Adiciona um item ao pedido',
+        description: 'Item no formato de entrada (idItem, quantidadeItem, valorItem).',
+        parameters: [orderIdParameter, ifMatch],
+        requestBody: jsonBody(orderItemSchema, 'Dados do item inválidos.'),
+        responses: responses({ 201: jsonResponse('Item adicionado.', 'ItemAdded', etagHeaders) }, [400, 404, 409, 412]),
+      }),
+    },
+    [`${prefix}/{orderId}/item/{productId}`]: {
+      put: operation('operator', {
+        summary: 'Atualiza um item do pedido',
+        description: 'Aceita quantidadeItem/valorItem (formato de entrada) ou quantity/price (formato interno); quando os dois chegam, vale o de entrada.',
+        parameters: [orderIdParameter, productIdParameter, ifMatch],
+        requestBody: jsonBody(itemUpdateRequestSchema, 'Dados de atualização do item inválidos.'),
+        responses: responses({ 200: jsonResponse('Item atualizado.', 'Message', etagHeaders) }, [400, 404, 409, 412]),
+      }),
+      delete: operation('admin', {
+        summary: 'Remove um item do pedido',
+        parameters: [orderIdParameter, productIdParameter, ifMatch],
+        responses: responses({ 200: jsonResponse('Item removido.', 'Message', etagHeaders) }, [400, 404, 409, 412]),
+      }),
+    },
+  };
+};
+
+/**
+ * Paths e schemas de pedidos: as rotas de /order e as mesmas rotas em /channels/{channel}/order.
+ *
+ * @returns {{paths: object, schemas: object, tags: Array<object>}}
+ */
+const buildOrdersSpec = () => {
+  const channelParameter = pathParameter(
+    'channel',
+    { type: 'string', enum: listMappers().map(mapper => mapper.name) },
+    'Canal de vendas (mapeador): define o formato do corpo e a representação padrão das respostas.',
+    'Canal de vendas desconhecido.'
+  );
+
+  return {
+    tags: [
+      { name: 'Pedidos', description: 'Pedidos e seus itens.' },
+      { name: 'Pedidos por canal', description: 'As mesmas rotas de /order, com o canal de vendas fixado na URL.' },
+    ],
+    paths: {
+      ...buildOrderPaths('/order', { tag: 'Pedidos' }),
+      ...buildOrderPaths('/channels/{channel}/order', { tag: 'Pedidos por canal', parameters: [channelParameter] }),
+    },
+    schemas: buildComponents(),
+  };
+};
+
+module.exports = {
+  buildFormatParameter,
+  formattedContent,
+  orderPage,
+  buildOrdersSpec,
+};
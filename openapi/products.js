@@ -0,0 +1,114 @@
+/**
+ * Especificação OpenAPI das rotas do catálogo de produtos (routes/ProductRoutes.js).
+ */
+const {
+  productIdSchema,
+  productCreateSchema,
+  productUpdateSchema,
+  stockAdjustmentSchema,
+  listProductsQuerySchema,
+} = require('../schemas/ProductSchema');
+const {
+  queryParameters,
+  pathParameter,
+  jsonBody,
+  ref,
+  jsonResponse,
+  responses,
+  withRole,
+  dateTime,
+} = require('./common');
+
+const productIdParameter = pathParameter(
+  'productId',
+  productIdSchema,
+  'Código do produto, o mesmo informado nos itens dos pedidos (idItem).',
+  'O ID do produto deve ser um número válido.'
+);
+
+const schemas = {
+  Product: {
+    type: 'object',
+    required: ['productId', 'name', 'listPrice', 'stockOnHand', 'createdAt', 'updatedAt'],
+    properties: {
+      productId: { type: 'integer' },
+      name: { type: 'string' },
+      listPrice: { type: 'number' },
+      stockOnHand: { type: 'integer', description: 'Saldo disponível, já descontadas as reservas dos pedidos.' },
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+  ProductPage: {
+    type: 'object',
+    required: ['data', 'nextCursor'],
+    properties: {
+      data: { type: 'array', items: ref('Product') },
+      nextCursor: { type: ['string', 'null'] },
+    },
+  },
+};
+
+/**
+ * Paths e schemas de produtos.
+ *
+ * @returns {{paths: object, schemas: object, tags: Array<object>}}
+ */
+const buildProductsSpec = () => {
+  const operation = (role, fields) => withRole(role, { tags: ['Produtos'], ...fields });
+
+  return {
+    tags: [{ name: 'Produtos', description: 'Catálogo de produtos e estoque.' }],
+    paths: {
+      '/product/list': {
+        get: operation('reader', {
+          summary: 'Lista os produtos',
+          parameters: queryParameters(listProductsQuerySchema),
+          'x-query-validation-message': 'Parâmetros de listagem inválidos.',
+          responses: responses({ 200: jsonResponse('Página de produtos.', 'ProductPage') }, [400]),
+        }),
+      },
+      '/product': {
+        post: operation('operator', {
+          summary: 'Cadastra um produto',
+          requestBody: jsonBody(productCreateSchema, 'Dados do produto inválidos.'),
+          responses: responses({ 201: jsonResponse('Produto cadastrado.', 'Product') }, [400, 409]),
+        }),
+      },
+      '/product/{productId}': {
+        get: operation('reader', {
+          summary: 'Obtém um produto',
+          parameters: [productIdParameter],
+          responses: responses({ 200: jsonResponse('Produto.', 'Product') }, [400, 404]),
+        }),
+        put: operation('operator', {
+          summary: 'Atualiza um produto',
+          description: 'O estoque só muda por ajustes (POST /product/{productId}/stock).',
+          parameters: [productIdParameter],
+          requestBody: jsonBody(productUpdateSchema, 'Dados do produto inválidos.'),
+          responses: responses({ 200: jsonResponse('Produto atualizado.', 'Product') }, [400, 404]),
+        }),
+        delete: operation('admin', {
+          summary: 'Exclui um produto',
+          description: 'Produtos presentes em pedidos não podem ser excluídos.',
+          parameters: [productIdParameter],
+          responses: responses({ 204: { description: 'Produto excluído.' } }, [400, 404, 409]),
+        }),
+      },
+      '/product/{productId}/stock': {
+        post: operation('operator', {
+          summary: 'Ajusta o estoque',
+          description: 'Entrada (quantity positiva) ou baixa (negativa) de estoque.',
+          parameters: [productIdParameter],
+          requestBody: jsonBody(stockAdjustmentSchema, 'Ajuste de estoque inválido.'),
+          responses: responses({ 200: jsonResponse('Produto com o novo saldo.', 'Product') }, [400, 404, 409]),
+        }),
+      },
+    },
+    schemas,
+  };
+};
+
+module.exports = {
+  buildProductsSpec,
+};
@@ -0,0 +1,123 @@
+/**
+ * Especificação OpenAPI dos relatórios de vendas (routes/ReportRoutes.js).
+ */
+const {
+  revenueReportQuerySchema,
+  topProductsReportQuerySchema,
+  averageOrderValueReportQuerySchema,
+} = require('../schemas/ReportSchema');
+const { queryParameters, jsonResponse, responses, withRole } = require('./common');
+
+const PERIOD_DESCRIPTIONS = {
+  from: 'Primeiro dia do período (YYYY-MM-DD, inclusivo), no fuso `timezone`.',
+  to: 'Último dia do período (YYYY-MM-DD, inclusivo), no fuso `timezone`.',
+  timezone: 'Fuso horário IANA (ex: America/Sao_Paulo).',
+};
+
+// Período aplicado, devolvido em todos os relatórios
+const periodProperties = {
+  from: { type: 'string', format: 'date' },
+  to: { type: 'string', format: 'date' },
+  timezone: { type: 'string' },
+};
+
+const schemas = {
+  RevenueReport: {
+    type: 'object',
+    required: ['from', 'to', 'timezone', 'groupBy', 'data'],
+    properties: {
+      ...periodProperties,
+      groupBy: { type: 'string' },
+      data: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['period', 'orderCount', 'revenue'],
+          properties: {
+            period: { type: 'string', format: 'date', description: 'Primeiro dia do período agrupado.' },
+            orderCount: { type: 'integer' },
+            revenue: { type: 'number' },
+          },
+        },
+      },
+    },
+  },
+  TopProductsReport: {
+    type: 'object',
+    required: ['from', 'to', 'timezone', 'by', 'data'],
+    properties: {
+      ...periodProperties,
+      by: { type: 'string' },
+      data: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['productId', 'quantity', 'revenue', 'orderCount'],
+          properties: {
+            productId: { type: 'integer' },
+            quantity: { type: 'integer' },
+            revenue: { type: 'number' },
+            orderCount: { type: 'integer' },
+          },
+        },
+      },
+    },
+  },
+  AverageOrderValueReport: {
+    type: 'object',
+    required: ['from', 'to', 'timezone', 'orderCount', 'revenue', 'averageOrderValue'],
+    properties: {
+      ...periodProperties,
+      orderCount: { type: 'integer' },
+      revenue: { type: 'number' },
+      averageOrderValue: { type: ['number', 'null'], description: 'null quando não há pedidos no período.' },
+    },
+  },
+};
+
+/**
+ * Paths e schemas dos relatórios (somente leitura, papel reader). Pedidos cancelados e
+ * removidos ficam de fora.
+ *
+ * @returns {{paths: object, schemas: object, tags: Array<object>}}
+ */
+const buildReportsSpec = () => {
+  const operation = (fields) => withRole('reader', {
+    tags: ['Relatórios'],
+    'x-query-validation-message': 'Parâmetros do relatório inválidos.',
+    ...fields,
+  });
+
+  return {
+    tags: [{ name: 'Relatórios', description: 'Relatórios de vendas por período.' }],
+    paths: {
+      '/order/reports/revenue': {
+        get: operation({
+          summary: 'Faturamento por período',
+          description: 'Faturamento e quantidade de pedidos por dia, semana (iniciada na segunda-feira) ou mês. Períodos sem vendas aparecem zerados.',
+          parameters: queryParameters(revenueReportQuerySchema, { descriptions: PERIOD_DESCRIPTIONS }),
+          responses: responses({ 200: jsonResponse('Relatório de faturamento.', 'RevenueReport') }, [400]),
+        }),
+      },
+      '/order/reports/top-products': {
+        get: operation({
+          summary: 'Produtos mais vendidos',
+          parameters: queryParameters(topProductsReportQuerySchema, { descriptions: PERIOD_DESCRIPTIONS }),
+          responses: responses({ 200: jsonResponse('Ranking de produtos.', 'TopProductsReport') }, [400]),
+        }),
+      },
+      '/order/reports/average-order-value': {
+        get: operation({
+          summary: 'Ticket médio',
+          parameters: queryParameters(averageOrderValueReportQuerySchema, { descriptions: PERIOD_DESCRIPTIONS }),
+          responses: responses({ 200: jsonResponse('Ticket médio do período.', 'AverageOrderValueReport') }, [400]),
+        }),
+      },
+    },
+    schemas,
+  };
+};
+
+module.exports = {
+  buildReportsSpec,
+};
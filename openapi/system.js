@@ -0,0 +1,104 @@
+/**
+ * Especificação OpenAPI das rotas operacionais: verificações do orquestrador (routes/HealthRoutes.js),
+ * métricas (routes/MetricsRoutes.js) e a própria documentação (routes/DocsRoutes.js).
+ */
+const { jsonResponse, responses, withRole } = require('./common');
+
+const schemas = {
+  Liveness: {
+    type: 'object',
+    required: ['status', 'uptimeSeconds'],
+    properties: {
+      status: { type: 'string', enum: ['ok'] },
+      uptimeSeconds: { type: 'integer' },
+    },
+  },
+  Readiness: {
+    type: 'object',
+    required: ['status', 'pool'],
+    properties: {
+      status: { type: 'string', enum: ['ready', 'unavailable', 'shutting_down'] },
+      database: {
+        type: 'object',
+        required: ['status'],
+        properties: {
+          status: { type: 'string', enum: ['up', 'down'] },
+          latencyMs: { type: 'number' },
+        },
+      },
+      pool: {
+        type: 'object',
+        required: ['total', 'idle', 'waiting', 'max'],
+        properties: {
+          total: { type: 'integer' },
+          idle: { type: 'integer' },
+          waiting: { type: 'integer' },
+          max: { type: 'integer' },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Paths e schemas das rotas operacionais. /health, /ready, /openapi.json e /docs não exigem credenciais.
+ *
+ * @returns {{paths: object, schemas: object, tags: Array<object>}}
+ */
+const buildSystemSpec = () => {
+  const publicOperation = (fields) => ({ tags: ['Operação'], security: [], ...fields });
+
+  return {
+    tags: [{ name: 'Operação', description: 'Verificações de saúde, métricas e documentação.' }],
+    paths: {
+      '/health': {
+        get: publicOperation({
+          summary: 'Liveness',
+          description: 'O processo está respondendo. Não consulta o banco.',
+          responses: responses({ 200: jsonResponse('Processo no ar.', 'Liveness') }, [], { public: true }),
+        }),
+      },
+      '/ready': {
+        get: publicOperation({
+          summary: 'Readiness',
+          description: 'Pronta para receber tráfego: banco respondendo dentro de READINESS_TIMEOUT_MS e fora do encerramento.',
+          responses: responses({
+            200: jsonResponse('Pronta.', 'Readiness'),
+            503: jsonResponse('Indisponível (banco fora do ar ou encerramento em andamento).', 'Readiness'),
+          }, [], { public: true }),
+        }),
+      },
+      '/metrics': {
+        get: withRole('reader', {
+          tags: ['Operação'],
+          summary: 'Métricas no formato do Prometheus',
+          responses: responses({
+            200: { description: 'Métricas (formato de texto 0.0.4).', content: { 'text/plain': { schema: { type: 'string' } } } },
+          }),
+        }),
+      },
+      '/openapi.json': {
+        get: publicOperation({
+          summary: 'Esta especificação (OpenAPI 3.1)',
+          responses: responses({
+            200: { description: 'Documento OpenAPI.', content: { 'application/json': { schema: { type: 'object' } } } },
+          }, [], { public: true }),
+        }),
+      },
+      '/docs': {
+        get: publicOperation({
+          summary: 'Documentação interativa',
+          description: 'Página HTML que lê /openapi.json e permite testar as rotas com uma credencial.',
+          responses: responses({
+            200: { description: 'Página da documentação.', content: { 'text/html': { schema: { type: 'string' } } } },
+          }, [], { public: true }),
+        }),
+      },
+    },
+    schemas,
+  };
+};
+
+module.exports = {
+  buildSystemSpec,
+};
@@ -0,0 +1,120 @@
+/**
+ * Validação das requisições contra a especificação OpenAPI (openapi/index.js), pelo middleware
+ * validateRequest montado nas rotas, depois da autorização (requireRole) e antes do Controller.
+ *
+ * São conferidos os parâmetros de rota, a query string e o corpo JSON, com as mensagens
+ * declaradas na especificação (`x-validation-message` e `x-query-validation-message`), as mesmas
+ * usadas pelos Services: para o cliente, um erro é igual venha ele daqui ou do Service.
+ * Os valores convertidos ficam em cópias; `req.params`, `req.query` e `req.body` não são alterados.
+ * Corpos de pedido (`x-order-payload`) ficam para o mapeador do canal, no OrderService.
+ *
+ * Rotas sem descrição na especificação são recusadas na inicialização (assertRoutesDocumented).
+ */
+const { getOpenApiDocument, findOperation } = require('./index');
+const { validate, validateAndCoerce } = require('../utils/validator');
+const { recordRoutePattern } = require('../utils/routePattern');
+
+const DEFAULT_QUERY_MESSAGE = 'Parâmetros de consulta inválidos.';
+
+// Schemas montados por operação (o Ajv guarda a função compilada por objeto de schema)
+const plans = new Map();
+
+// Padrão do Express (ex: /order/:orderId) no formato da especificação (/order/{orderId})
+const toSpecPath = (routePattern) => routePattern.replace(/:(\w+)/g, '{$1}');
+
+const resolveParameter = (parameter) => {
+  if (!parameter.$ref) return parameter;
+  return getOpenApiDocument().components.parameters[parameter.$ref.split('/').pop()];
+};
+
+const buildPlan = (operation) => {
+  const parameters = (operation.parameters || []).map(resolveParameter);
+  const query = parameters.filter(parameter => parameter.in === 'query');
+  const requiredQuery = query.filter(parameter => parameter.required).map(parameter => parameter.name);
+
+  return {
+    // Um schema por parâmetro de rota, cada um com a sua mensagem (ex: ID do produto inválido)
+    path: parameters.filter(parameter => parameter.in === 'path').map(parameter => ({
+      name: parameter.name,
+      message: parameter['x-validation-message'],
+      schema: { type: 'object', required: [parameter.name], properties: { [parameter.name]: parameter.schema } },
+    })),
+    query: query.length > 0 && {
+      message: operation['x-query-validation-message'] || DEFAULT_QUERY_MESSAGE,
+      schema: {
+        type: 'object',
+        properties: Object.fromEntries(query.map(parameter => [parameter.name, parameter.schema])),
+        ...(requiredQuery.length > 0 && { required: requiredQuery }),
+      },
+    },
+    body: operation.requestBody,
+  };
+};
+
+// Confere a requisição contra a operação; lança ValidationException com as mensagens da especificação
+const checkRequest = (req, operation) => {
+  if (!plans.has(operation)) plans.set(operation, buildPlan(operation));
+  const { path: pathParameters, query, body } = plans.get(operation);
+
+  pathParameters.forEach(({ name, message, schema }) => {
+    validateAndCoerce(schema, { [name]: req.params[name] }, message);
+  });
+
+  if (query) validateAndCoerce(query.schema, req.query, query.message);
+
+  // Pedidos: o formato depende do canal e é validado uma única vez, pelo mapeador que o OrderService escolhe
+  if (!body || body['x-order-payload']) return;
+
+  validate(body.content['application/json'].schema, req.body, body['x-validation-message']);
+};
+
+/**
+ * Middleware que valida a requisição contra a operação da especificação que corresponde à rota
+ * atendida. Deve ser montado na própria rota (após requireRole), onde `req.route` já é conhecido.
+ *
+ * Parâmetros ou corpo fora da especificação seguem para o middleware de erros como ValidationException.
+ */
+const validateRequest = (req, res, next) => {
+  recordRoutePattern(req);
+
+  try {
+    const path = toSpecPath(req.routePattern);
+    const operation = findOperation(req.method, path);
+
+    // Routers montados fora de app.js não passam por assertRoutesDocumented
+    if (!operation) throw new Error(`Rota sem descrição na especificação OpenAPI: ${req.method} ${path}.`);
+
+    checkRequest(req, operation);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confere, na inicialização, que todas as rotas dos routers montados estão descritas na
+ * especificação, para que nenhuma requisição chegue a uma rota sem operação correspondente.
+ *
+ * @param {Array<[string, import('express').Router]>} mountedRouters - Ponto de montagem no formato
+ * do Express (ex: /channels/:channel/order) e router de cada `app.use`.
+ * @throws {Error} Quando alguma rota não está descrita na especificação.
+ */
+const assertRoutesDocumented = (mountedRouters) => {
+  const undocumented = mountedRouters.flatMap(([mountPath, router]) => router.stack
+    .filter(layer => layer.route)
+    .flatMap(({ route }) => Object.keys(route.methods).map(method => {
+      const prefix = mountPath === '/' ? '' : mountPath;
+      const path = toSpecPath(route.path === '/' && prefix ? prefix : `${prefix}${route.path}`);
+      return findOperation(method, path) ? null : `${method.toUpperCase()} ${path}`;
+    }))
+    .filter(Boolean));
+
+  if (undocumented.length > 0) {
+    throw new Error(`Rotas sem descrição na especificação OpenAPI: ${undocumented.join(', ')}.`);
+  }
+};
+
+module.exports = {
+  validateRequest,
+  assertRoutesDocumented,
+};
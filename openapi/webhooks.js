@@ -0,0 +1,141 @@
+/**
+ * Especificação OpenAPI das rotas de webhooks (routes/WebhookRoutes.js).
+ */
+const {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  webhookSchema,
+  listDeliveriesQuerySchema,
+  replayDeliveriesSchema,
+} = require('../schemas/WebhookSchema');
+const {
+  queryParameters,
+  pathParameter,
+  jsonBody,
+  ref,
+  jsonResponse,
+  responses,
+  withRole,
+  dateTime,
+} = require('./common');
+
+const webhookIdParameter = pathParameter(
+  'webhookId',
+  { type: 'integer', minimum: 1 },
+  'Identificador do webhook.',
+  'O ID do webhook deve ser um número válido.'
+);
+
+const schemas = {
+  Webhook: {
+    type: 'object',
+    required: ['webhookId', 'url', 'events', 'active', 'createdAt', 'updatedAt'],
+    properties: {
+      webhookId: { type: 'integer' },
+      url: { type: 'string' },
+      events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+      active: { type: 'boolean' },
+      createdAt: dateTime,
+      updatedAt: dateTime,
+      secret: { type: 'string', description: 'Chave do HMAC (X-Webhook-Signature); devolvida apenas no cadastro.' },
+    },
+  },
+  WebhookDelivery: {
+    type: 'object',
+    required: ['deliveryId', 'eventId', 'eventType', 'orderId', 'status', 'attempts', 'nextAttemptAt', 'lastResponseStatus', 'lastError', 'deliveredAt', 'createdAt'],
+    properties: {
+      deliveryId: { type: 'integer' },
+      eventId: { type: 'integer' },
+      eventType: { type: 'string', enum: WEBHOOK_EVENTS },
+      orderId: { type: 'string' },
+      status: { type: 'string', enum: DELIVERY_STATUSES },
+      attempts: { type: 'integer' },
+      nextAttemptAt: { type: ['string', 'null'], format: 'date-time' },
+      lastResponseStatus: { type: ['integer', 'null'] },
+      lastError: { type: ['string', 'null'] },
+      deliveredAt: { type: ['string', 'null'], format: 'date-time' },
+      createdAt: dateTime,
+    },
+  },
+  ReplayResult: {
+    type: 'object',
+    required: ['replayed', 'deliveryIds'],
+    properties: {
+      replayed: { type: 'integer' },
+      deliveryIds: { type: 'array', items: { type: 'integer' } },
+    },
+  },
+};
+
+/**
+ * Paths e schemas de webhooks. Todas as rotas exigem o papel admin (os webhooks recebem
+ * todos os pedidos).
+ *
+ * @returns {{paths: object, schemas: object, tags: Array<object>}}
+ */
+const buildWebhooksSpec = () => {
+  const operation = (fields) => withRole('admin', { tags: ['Webhooks'], ...fields });
+
+  return {
+    tags: [{ name: 'Webhooks', description: `Assinaturas de eventos de pedidos (${WEBHOOK_EVENTS.join(', ')}).` }],
+    paths: {
+      '/webhooks': {
+        get: operation({
+          summary: 'Lista os webhooks',
+          responses: responses({
+            200: { description: 'Webhooks (sem os secrets).', content: { 'application/json': { schema: { type: 'array', items: ref('Webhook') } } } },
+          }),
+        }),
+        post: operation({
+          summary: 'Cadastra um webhook',
+          description: 'A URL precisa ser https e apontar para um endereço público (o host é conferido também a cada entrega). '
+            + 'Sem `secret`, a API gera um; ele só é exibido nesta resposta.',
+          requestBody: jsonBody(webhookSchema, 'Dados do webhook inválidos.'),
+          responses: responses({ 201: jsonResponse('Webhook cadastrado (com o secret).', 'Webhook') }, [400]),
+        }),
+      },
+      '/webhooks/{webhookId}': {
+        get: operation({
+          summary: 'Obtém um webhook',
+          parameters: [webhookIdParameter],
+          responses: responses({ 200: jsonResponse('Webhook (sem o secret).', 'Webhook') }, [400, 404]),
+        }),
+        put: operation({
+          summary: 'Atualiza um webhook',
+          description: '`active` ausente equivale a true; o secret só muda quando informado e não é devolvido.',
+          parameters: [webhookIdParameter],
+          requestBody: jsonBody(webhookSchema, 'Dados do webhook inválidos.'),
+          responses: responses({ 200: jsonResponse('Webhook atualizado (sem o secret).', 'Webhook') }, [400, 404]),
+        }),
+        delete: operation({
+          summary: 'Remove um webhook',
+          parameters: [webhookIdParameter],
+          responses: responses({ 204: { description: 'Webhook removido.' } }, [400, 404]),
+        }),
+      },
+      '/webhooks/{webhookId}/deliveries': {
+        get: operation({
+          summary: 'Lista as entregas do webhook',
+          parameters: [webhookIdParameter, ...queryParameters(listDeliveriesQuerySchema)],
+          responses: responses({
+            200: { description: 'Entregas, das mais recentes para as mais antigas.', content: { 'application/json': { schema: { type: 'array', items: ref('WebhookDelivery') } } } },
+          }, [400, 404]),
+        }),
+      },
+      '/webhooks/{webhookId}/deliveries/replay': {
+        post: operation({
+          summary: 'Reenvia entregas esgotadas',
+          description: 'Entregas "dead" voltam para a fila com as tentativas zeradas. Sem deliveryIds, todas as do webhook.',
+          parameters: [webhookIdParameter],
+          requestBody: jsonBody(replayDeliveriesSchema, 'Parâmetros de reenvio inválidos.', { required: false }),
+          responses: responses({ 202: jsonResponse('Entregas colocadas de volta na fila.', 'ReplayResult') }, [400, 404]),
+        }),
+      },
+    },
+    schemas,
+  };
+};
+
+module.exports = {
+  buildWebhooksSpec,
+};
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const CustomerController = require('../controller/CustomerController');
+const asyncHandler = require('../utils/asyncHandler');
+const { validateRequest } = require('../openapi/validateRequest');
+const { requireRole } = require('../middlewares/auth');
+
+// Mesmos papéis dos pedidos: reader consulta, operator cadastra e altera, admin exclui
+const reader = requireRole('reader');
+const operator = requireRole('operator');
+const admin = requireRole('admin');
+
+router.get('/list', reader, validateRequest, asyncHandler(CustomerController.listCustomers));
+
+router.post('/', operator, validateRequest, asyncHandler(CustomerController.createCustomer));
+
+router.route('/:customerId')
+    .get(reader, validateRequest, asyncHandler(CustomerController.getCustomer))
+    .put(operator, validateRequest, asyncHandler(CustomerController.updateCustomer))
+    .delete(admin, validateRequest, asyncHandler(CustomerController.deleteCustomer));
+
+router.get('/:customerId/orders', reader, validateRequest, asyncHandler(CustomerController.listCustomerOrders));
+
+module.exports = router;
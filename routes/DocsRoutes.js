@@ -0,0 +1,15 @@
+const express = require('express');
+const swaggerUiDist = require('swagger-ui-dist');
+const router = express.Router();
+const DocsController = require('../controller/DocsController');
+const asyncHandler = require('../utils/asyncHandler');
+
+// Sem requireRole: a documentação é pública (as rotas documentadas continuam exigindo credenciais)
+router.get('/openapi.json', asyncHandler(DocsController.getOpenApiSpec));
+
+router.get('/docs', asyncHandler(DocsController.getDocsPage));
+
+// Arquivos do Swagger UI (JS e CSS) usados pela página, direto de node_modules
+router.use('/docs', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false, redirect: false }));
+
+module.exports = router;
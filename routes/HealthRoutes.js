@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const HealthController = require('../controller/HealthController');
+const asyncHandler = require('../utils/asyncHandler');
+
+// Sem requireRole: o orquestrador consulta estas rotas sem credenciais
+router.get('/health', asyncHandler(HealthController.getHealth));
+
+router.get('/ready', asyncHandler(HealthController.getReadiness));
+
+module.exports = router;
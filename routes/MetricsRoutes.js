@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const MetricsController = require('../controller/MetricsController');
+const asyncHandler = require('../utils/asyncHandler');
+const { requireRole } = require('../middlewares/auth');
+
+// O coletor do Prometheus se autentica como qualquer cliente (basta o papel reader)
+router.get('/metrics', requireRole('reader'), asyncHandler(MetricsController.getMetrics));
+
+module.exports = router;
@@ -1,16 +1,41 @@
 const express = require('express');
-const router = express.Router();
+// mergeParams: as rotas também são montadas em /channels/:channel/order
+const router = express.Router({ mergeParams: true });
 const OrderController = require('../controller/OrderController');
+const asyncHandler = require('../utils/asyncHandler');
+const { validateRequest } = require('../openapi/validateRequest');
+const { requireRole } = require('../middlewares/auth');
 
-router.get('/list', OrderController.listAllOrders);
+// Papéis: reader consulta, operator cria e altera, admin remove (pedidos e itens), restaura e expurga
+const reader = requireRole('reader');
+const operator = requireRole('operator');
+const admin = requireRole('admin');
 
-router.post('/', OrderController.createNewOrder);
+router.get('/list', reader, validateRequest, asyncHandler(OrderController.listAllOrders));
+
+router.get('/export', reader, validateRequest, asyncHandler(OrderController.exportOrders));
+
+router.post('/', operator, validateRequest, asyncHandler(OrderController.createNewOrder));
+
+router.post('/bulk', operator, validateRequest, asyncHandler(OrderController.createOrdersBulk));
+
+router.post('/purge', admin, validateRequest, asyncHandler(OrderController.purgeDeletedOrders));
 
 router.route('/:orderId')
-    .get(OrderController.getOrder)
-    .put(OrderController.updateExistingOrder)
-    .delete(OrderController.deleteExistingOrder); 
+    .get(reader, validateRequest, asyncHandler(OrderController.getOrder))
+    .put(operator, validateRequest, asyncHandler(OrderController.updateExistingOrder))
+    .delete(admin, validateRequest, asyncHandler(OrderController.deleteExistingOrder));
+
+router.post('/:orderId/status', operator, validateRequest, asyncHandler(OrderController.changeOrderStatus));
+
+router.get('/:orderId/history', reader, validateRequest, asyncHandler(OrderController.getOrderHistory));
+
+router.post('/:orderId/restore', admin, validateRequest, asyncHandler(OrderController.restoreDeletedOrder));
+
+router.post('/:orderId/item', operator, validateRequest, asyncHandler(OrderController.addOrderItem));
 
-router.put('/:orderId/item/:productId', OrderController.updateOrderItem);
+router.route('/:orderId/item/:productId')
+    .put(operator, validateRequest, asyncHandler(OrderController.updateOrderItem))
+    .delete(admin, validateRequest, asyncHandler(OrderController.deleteOrderItem));
 
 module.exports = router;
\ No newline at end of file
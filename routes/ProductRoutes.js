@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const ProductController = require('../controller/ProductController');
+const asyncHandler = require('../utils/asyncHandler');
+const { validateRequest } = require('../openapi/validateRequest');
+const { requireRole } = require('../middlewares/auth');
+
+// Mesmos papéis dos pedidos: reader consulta, operator cadastra e ajusta o estoque, admin exclui
+const reader = requireRole('reader');
+const operator = requireRole('operator');
+const admin = requireRole('admin');
+
+router.get('/list', reader, validateRequest, asyncHandler(ProductController.listProducts));
+
+router.post('/', operator, validateRequest, asyncHandler(ProductController.createProduct));
+
+router.route('/:productId')
+    .get(reader, validateRequest, asyncHandler(ProductController.getProduct))
+    .put(operator, validateRequest, asyncHandler(ProductController.updateProduct))
+    .delete(admin, validateRequest, asyncHandler(ProductController.deleteProduct));
+
+router.post('/:productId/stock', operator, validateRequest, asyncHandler(ProductController.adjustStock));
+
+module.exports = router;
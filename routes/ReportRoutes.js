@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const ReportController = require('../controller/ReportController');
+const asyncHandler = require('../utils/asyncHandler');
+const { validateRequest } = require('../openapi/validateRequest');
+const { requireRole } = require('../middlewares/auth');
+
+// Relatórios são somente leitura
+router.use(requireRole('reader'));
+
+router.get('/revenue', validateRequest, asyncHandler(ReportController.getRevenueReport));
+
+router.get('/top-products', validateRequest, asyncHandler(ReportController.getTopProductsReport));
+
+router.get('/average-order-value', validateRequest, asyncHandler(ReportController.getAverageOrderValueReport));
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const WebhookController = require('../controller/WebhookController');
+const asyncHandler = require('../utils/asyncHandler');
+const { validateRequest } = require('../openapi/validateRequest');
+const { requireRole } = require('../middlewares/auth');
+
+// Webhooks recebem todos os pedidos: somente admin
+router.use(requireRole('admin'));
+
+router.route('/')
+    .get(validateRequest, asyncHandler(WebhookController.listWebhooks))
+    .post(validateRequest, asyncHandler(WebhookController.createWebhook));
+
+router.route('/:webhookId')
+    .get(validateRequest, asyncHandler(WebhookController.getWebhook))
+    .put(validateRequest, asyncHandler(WebhookController.updateWebhook))
+    .delete(validateRequest, asyncHandler(WebhookController.deleteWebhook));
+
+router.get('/:webhookId/deliveries', validateRequest, asyncHandler(WebhookController.listDeliveries));
+
+router.post('/:webhookId/deliveries/replay', validateRequest, asyncHandler(WebhookController.replayDeliveries));
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * Schemas (JSON Schema) dos payloads do recurso /customer.
+ */
+
+// Código do cliente no sistema de origem
+const customerIdStringSchema = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 50,
+  pattern: '^[A-Za-z0-9._-]+$',
+};
+
+// No payload dos pedidos, o código também é aceito como número (ex: 1050); null desassocia o cliente
+const customerIdSchema = {
+  ...customerIdStringSchema,
+  type: ['string', 'integer', 'null'],
+  minimum: 0,
+};
+
+const customerProperties = {
+  name: { type: 'string', minLength: 1, maxLength: 255 },
+  email: { type: 'string', maxLength: 255, pattern: '^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$' },
+  // CPF ou CNPJ, apenas dígitos
+  document: { type: 'string', pattern: '^(\\d{11}|\\d{14})$' },
+};
+
+// Payload de POST /customer
+const customerCreateSchema = {
+  type: 'object',
+  required: ['customerId', 'name'],
+  additionalProperties: false,
+  properties: {
+    customerId: customerIdStringSchema,
+    ...customerProperties,
+  },
+};
+
+// Payload de PUT /customer/:customerId (o customerId não pode ser alterado)
+const customerUpdateSchema = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: customerProperties,
+};
+
+// Query string de GET /customer/list
+const listCustomersQuerySchema = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+    cursor: { type: 'string', minLength: 1 },
+  },
+};
+
+// Conteúdo decodificado do cursor de GET /customer/list: o customerId do último cliente da página
+const customerCursorSchema = {
+  type: 'object',
+  required: ['cursor'],
+  properties: {
+    cursor: customerIdStringSchema,
+  },
+};
+
+module.exports = {
+  customerIdStringSchema,
+  customerIdSchema,
+  customerCreateSchema,
+  customerUpdateSchema,
+  listCustomersQuerySchema,
+  customerCursorSchema,
+};
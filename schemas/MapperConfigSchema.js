@@ -0,0 +1,104 @@
+/**
+ * Schema (JSON Schema) do arquivo de configuração dos mapeadores declarativos
+ * (ORDER_MAPPERS_CONFIG), que permite receber pedidos de um novo canal de vendas
+ * apenas descrevendo onde cada campo interno está no payload do canal.
+ */
+
+// Caminho com pontos dentro do payload do canal (ex: "totais.valor")
+const pathSchema = { type: 'string', pattern: '^[^.\\s]+(\\.[^.\\s]+)*$' };
+
+// Valores monetários podem chegar em reais ("unit": "decimal", padrão) ou em centavos
+const moneyFieldSchema = {
+  type: 'object',
+  required: ['from'],
+  additionalProperties: false,
+  properties: {
+    from: pathSchema,
+    unit: { type: 'string', enum: ['decimal', 'cents'] },
+  },
+};
+
+const plainFieldSchema = {
+  type: 'object',
+  required: ['from'],
+  additionalProperties: false,
+  properties: {
+    from: pathSchema,
+  },
+};
+
+const mapperConfigSchema = {
+  type: 'object',
+  required: ['name', 'detect', 'order', 'items'],
+  additionalProperties: false,
+  properties: {
+    // Nome do canal: usado no header X-Order-Channel, na rota /channels/:channel e em ?format=
+    name: { type: 'string', pattern: '^[a-z][a-z0-9-]*$', not: { enum: ['internal'] } },
+    mediaType: { type: 'string', pattern: '^application/[a-z0-9.+-]+$' },
+    // Regra de detecção automática: todas as condições informadas precisam ser atendidas
+    detect: {
+      type: 'object',
+      minProperties: 1,
+      additionalProperties: false,
+      properties: {
+        hasFields: { type: 'array', minItems: 1, items: pathSchema },
+        equals: {
+          type: 'object',
+          minProperties: 1,
+          additionalProperties: { type: ['string', 'number', 'boolean'] },
+        },
+      },
+    },
+    order: {
+      type: 'object',
+      required: ['orderId', 'value', 'creationDate'],
+      additionalProperties: false,
+      properties: {
+        orderId: {
+          type: 'object',
+          required: ['from'],
+          additionalProperties: false,
+          properties: {
+            from: pathSchema,
+            // Expressão regular cujo primeiro grupo é o orderId interno (ex: "^([^-]+)")
+            pattern: { type: 'string', format: 'regex' },
+          },
+        },
+        value: moneyFieldSchema,
+        // Opcional: código do cliente (cadastrado em /customer)
+        customerId: plainFieldSchema,
+        creationDate: {
+          type: 'object',
+          required: ['from'],
+          additionalProperties: false,
+          properties: {
+            from: pathSchema,
+            dateFormat: { type: 'string', minLength: 1 },
+            timezone: { type: 'string', pattern: '^[+-]\\d{2}:\\d{2}$' },
+          },
+        },
+      },
+    },
+    items: {
+      type: 'object',
+      required: ['from', 'productId', 'quantity', 'price'],
+      additionalProperties: false,
+      properties: {
+        from: pathSchema,
+        productId: plainFieldSchema,
+        quantity: plainFieldSchema,
+        price: moneyFieldSchema,
+      },
+    },
+  },
+};
+
+const mappersConfigSchema = {
+  type: 'array',
+  items: mapperConfigSchema,
+};
+
+module.exports = {
+  mapperConfigSchema,
+  mappersConfigSchema,
+};
@@ -0,0 +1,194 @@
+/**
+ * Schemas (JSON Schema) dos payloads de pedido aceitos pela API.
+ *
+ * Centraliza em um único lugar as regras de tipo e obrigatoriedade dos campos
+ * do formato de entrada (numeroPedido/valorTotal/dataCriacao/items), para que
+ * o Service possa rejeitar dados inválidos antes de abrir qualquer conexão com o banco.
+ */
+const { customerIdSchema } = require('./CustomerSchema');
+
+// idItem pode chegar como número ou como string numérica (ex: "2434"); em ambos os casos,
+// até o limite de Items.productId (INTEGER)
+const idItemSchema = {
+  type: ['integer', 'string'],
+  minimum: 1,
+  maximum: 2147483647,
+  pattern: '^[1-9][0-9]*$',
+  format: 'int32',
+};
+
+const quantidadeItemSchema = { type: 'integer', minimum: 0 };
+
+// Valores monetários cabem em NUMERIC(10, 2): até 8 dígitos inteiros e centavos
+const moneySchema = { type: 'number', minimum: 0, maximum: 99999999.99, multipleOf: 0.01 };
+
+const valorItemSchema = moneySchema;
+
+// numeroPedido: o orderId é a parte antes do primeiro "-" (1 a 50 caracteres, Orders.orderId)
+// e o número completo é guardado em Orders.externalOrderNumber (VARCHAR(100))
+const numeroPedidoSchema = {
+  type: 'string',
+  maxLength: 100,
+  pattern: '^[^-]{1,50}(-.*)?$',
+};
+
+const orderItemSchema = {
+  type: 'object',
+  required: ['idItem', 'quantidadeItem', 'valorItem'],
+  properties: {
+    idItem: idItemSchema,
+    quantidadeItem: quantidadeItemSchema,
+    valorItem: valorItemSchema,
+  },
+};
+
+const orderHeaderProperties = {
+  numeroPedido: numeroPedidoSchema,
+  valorTotal: moneySchema,
+  dataCriacao: { type: 'string', format: 'parseable-date' },
+  // Opcional: código de um cliente cadastrado em /customer
+  idCliente: customerIdSchema,
+};
+
+const orderInputSchema = {
+  type: 'object',
+  required: ['numeroPedido', 'valorTotal', 'dataCriacao', 'items'],
+  properties: {
+    ...orderHeaderProperties,
+    items: {
+      type: 'array',
+      minItems: 1,
+      items: orderItemSchema,
+    },
+  },
+};
+
+// Payload de PUT /order/:orderId sem replaceItems: apenas o cabeçalho é validado e `items` é ignorado
+const orderHeaderInputSchema = {
+  type: 'object',
+  required: ['numeroPedido', 'valorTotal', 'dataCriacao'],
+  properties: orderHeaderProperties,
+};
+
+// Quantidade máxima de pedidos aceita em uma única importação em lote
+const BULK_MAX_ORDERS = 1000;
+
+// Envelope de POST /order/bulk; cada pedido é validado individualmente com orderInputSchema
+const bulkOrdersSchema = {
+  type: 'array',
+  minItems: 1,
+  maxItems: BULK_MAX_ORDERS,
+};
+
+// Payload utilizado por PUT /order/:orderId/item/:productId
+const itemUpdateSchema = {
+  type: 'object',
+  required: ['quantidadeItem', 'valorItem'],
+  properties: {
+    quantidadeItem: quantidadeItemSchema,
+    valorItem: valorItemSchema,
+  },
+};
+
+// Corpo recebido por PUT /order/:orderId/item/:productId: formato de entrada (quantidadeItem/valorItem)
+// ou interno (quantity/price). Quando os dois chegam, vale o de entrada; o Service valida o resultado
+// com itemUpdateSchema
+const itemUpdateRequestSchema = {
+  type: 'object',
+  properties: {
+    quantidadeItem: quantidadeItemSchema,
+    valorItem: valorItemSchema,
+    quantity: quantidadeItemSchema,
+    price: valorItemSchema,
+  },
+  allOf: [
+    { anyOf: [{ required: ['quantidadeItem'] }, { required: ['quantity'] }] },
+    { anyOf: [{ required: ['valorItem'] }, { required: ['price'] }] },
+  ],
+};
+
+// Status possíveis de um pedido (as transições permitidas ficam no OrderService)
+const ORDER_STATUSES = ['pending', 'paid', 'shipped', 'delivered', 'cancelled'];
+
+// Payload utilizado por POST /order/:orderId/status
+const statusUpdateSchema = {
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: { type: 'string', enum: ORDER_STATUSES },
+  },
+};
+
+// Campos aceitos para ordenação da listagem (whitelist)
+const ORDER_SORT_FIELDS = ['creationDate', 'value', 'orderId'];
+
+// Filtros e ordenação comuns à listagem e à exportação de pedidos
+const orderFilterProperties = {
+  from: { type: 'string', format: 'parseable-date' },
+  to: { type: 'string', format: 'parseable-date' },
+  minValue: { type: 'number', minimum: 0 },
+  maxValue: { type: 'number', minimum: 0 },
+  productId: { type: 'integer', minimum: 1 },
+  status: { type: 'string', enum: ORDER_STATUSES },
+  customerId: { type: 'string', minLength: 1, maxLength: 50 },
+  sort: { type: 'string', enum: ORDER_SORT_FIELDS, default: 'creationDate' },
+  order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+  includeDeleted: { type: 'boolean', default: false },
+};
+
+// Query string de GET /order/list (valores chegam como texto e são convertidos)
+const listOrdersQuerySchema = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+    cursor: { type: 'string', minLength: 1 },
+    ...orderFilterProperties,
+    includeTotal: { type: 'boolean', default: false },
+  },
+};
+
+// Formatos de arquivo aceitos por GET /order/export
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+// Query string de GET /order/export: mesmos filtros da listagem, sem paginação
+const exportOrdersQuerySchema = {
+  type: 'object',
+  properties: {
+    ...orderFilterProperties,
+    format: { type: 'string', enum: EXPORT_FORMATS, default: 'csv' },
+  },
+};
+
+// Query string de GET /order/:orderId
+const getOrderQuerySchema = {
+  type: 'object',
+  properties: {
+    includeDeleted: { type: 'boolean', default: false },
+  },
+};
+
+// Corpo (opcional) de POST /order/purge
+const purgeOrdersSchema = {
+  type: 'object',
+  properties: {
+    retentionDays: { type: 'integer', minimum: 0 },
+  },
+};
+
+module.exports = {
+  orderItemSchema,
+  orderInputSchema,
+  orderHeaderInputSchema,
+  BULK_MAX_ORDERS,
+  bulkOrdersSchema,
+  itemUpdateSchema,
+  itemUpdateRequestSchema,
+  ORDER_STATUSES,
+  statusUpdateSchema,
+  ORDER_SORT_FIELDS,
+  listOrdersQuerySchema,
+  EXPORT_FORMATS,
+  exportOrdersQuerySchema,
+  getOrderQuerySchema,
+  purgeOrdersSchema,
+};
@@ -0,0 +1,59 @@
+/**
+ * Schemas (JSON Schema) dos payloads do recurso /product.
+ */
+
+// Código do produto, o mesmo informado nos itens dos pedidos (idItem)
+const productIdSchema = { type: 'integer', minimum: 1, maximum: 2147483647 };
+
+const productProperties = {
+  name: { type: 'string', minLength: 1, maxLength: 255 },
+  listPrice: { type: 'number', minimum: 0, maximum: 99999999.99 },
+};
+
+// Payload de POST /product
+const productCreateSchema = {
+  type: 'object',
+  required: ['productId', 'name', 'listPrice'],
+  additionalProperties: false,
+  properties: {
+    productId: productIdSchema,
+    ...productProperties,
+    stockOnHand: { type: 'integer', minimum: 0, maximum: 2147483647 },
+  },
+};
+
+// Payload de PUT /product/:productId. O estoque só muda por ajustes (POST /product/:productId/stock),
+// para não sobrescrever reservas feitas por pedidos gravados em paralelo
+const productUpdateSchema = {
+  type: 'object',
+  required: ['name', 'listPrice'],
+  additionalProperties: false,
+  properties: productProperties,
+};
+
+// Payload de POST /product/:productId/stock: entrada (positiva) ou baixa (negativa) de estoque
+const stockAdjustmentSchema = {
+  type: 'object',
+  required: ['quantity'],
+  additionalProperties: false,
+  properties: {
+    quantity: { type: 'integer', minimum: -2147483647, maximum: 2147483647, not: { const: 0 } },
+  },
+};
+
+// Query string de GET /product/list
+const listProductsQuerySchema = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+    cursor: { type: 'string', minLength: 1 },
+  },
+};
+
+module.exports = {
+  productIdSchema,
+  productCreateSchema,
+  productUpdateSchema,
+  stockAdjustmentSchema,
+  listProductsQuerySchema,
+};
@@ -0,0 +1,54 @@
+/**
+ * Schemas (JSON Schema) das query strings dos relatórios de vendas (GET /order/reports/...).
+ *
+ * O período é informado em datas locais (YYYY-MM-DD) do fuso `timezone`, ambas inclusivas.
+ */
+
+// Agrupamentos aceitos pelo relatório de faturamento (semanas começam na segunda-feira)
+const REPORT_GROUP_BY = ['day', 'week', 'month'];
+
+// Métricas de ordenação do ranking de produtos
+const TOP_PRODUCTS_METRICS = ['quantity', 'revenue'];
+
+// Período e fuso comuns a todos os relatórios
+const reportPeriodProperties = {
+  from: { type: 'string', format: 'date' },
+  to: { type: 'string', format: 'date' },
+  timezone: { type: 'string', format: 'time-zone', default: 'UTC' },
+};
+
+// Query string de GET /order/reports/revenue
+const revenueReportQuerySchema = {
+  type: 'object',
+  required: ['from', 'to'],
+  properties: {
+    ...reportPeriodProperties,
+    groupBy: { type: 'string', enum: REPORT_GROUP_BY, default: 'day' },
+  },
+};
+
+// Query string de GET /order/reports/top-products
+const topProductsReportQuerySchema = {
+  type: 'object',
+  required: ['from', 'to'],
+  properties: {
+    ...reportPeriodProperties,
+    by: { type: 'string', enum: TOP_PRODUCTS_METRICS, default: 'quantity' },
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+  },
+};
+
+// Query string de GET /order/reports/average-order-value
+const averageOrderValueReportQuerySchema = {
+  type: 'object',
+  required: ['from', 'to'],
+  properties: reportPeriodProperties,
+};
+
+module.exports = {
+  REPORT_GROUP_BY,
+  TOP_PRODUCTS_METRICS,
+  revenueReportQuerySchema,
+  topProductsReportQuerySchema,
+  averageOrderValueReportQuerySchema,
+};
@@ -0,0 +1,59 @@
+/**
+ * Schemas (JSON Schema) dos payloads do recurso /webhooks.
+ */
+
+// Eventos do ciclo de vida do pedido publicados pelo OrderService
+const WEBHOOK_EVENTS = ['order.created', 'order.updated', 'order.item_updated', 'order.deleted'];
+
+// Situações de uma entrega: aguardando (nova ou em retentativa), entregue ou esgotada (dead-letter)
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+const webhookProperties = {
+  url: { type: 'string', format: 'http-url', maxLength: 2048 },
+  events: {
+    type: 'array',
+    minItems: 1,
+    uniqueItems: true,
+    items: { type: 'string', enum: WEBHOOK_EVENTS },
+  },
+  // Chave do HMAC; gerada pela API quando não informada
+  secret: { type: 'string', minLength: 16, maxLength: 255 },
+  active: { type: 'boolean' },
+};
+
+// Payload de POST /webhooks e PUT /webhooks/:webhookId
+const webhookSchema = {
+  type: 'object',
+  required: ['url', 'events'],
+  properties: webhookProperties,
+};
+
+// Query string de GET /webhooks/:webhookId/deliveries
+const listDeliveriesQuerySchema = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: DELIVERY_STATUSES },
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+  },
+};
+
+// Corpo (opcional) de POST /webhooks/:webhookId/deliveries/replay
+const replayDeliveriesSchema = {
+  type: 'object',
+  properties: {
+    deliveryIds: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: { type: 'integer', minimum: 1 },
+    },
+  },
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  webhookSchema,
+  listDeliveriesQuerySchema,
+  replayDeliveriesSchema,
+};
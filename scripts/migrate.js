@@ -0,0 +1,66 @@
+// ./scripts/migrate.js
+// Aplica ou desfaz as migrações do diretório migrations/ no banco configurado no .env.
+//   npm run migrate              -> aplica todas as pendentes
+//   npm run migrate:down [-- N]  -> desfaz as N últimas aplicadas (padrão 1)
+//   npm run migrate:status       -> lista aplicadas e pendentes
+const MigrationService = require('../services/MigrationService');
+const { pool } = require('../config/db');
+
+const up = async () => {
+  const applied = await MigrationService.migrateUp();
+
+  if (applied.length === 0) {
+    console.log('Nenhuma migração pendente.');
+    return;
+  }
+  applied.forEach(name => console.log(`Aplicada: ${name}`));
+};
+
+const down = async (stepsArg = '1') => {
+  const steps = parseInt(stepsArg, 10);
+
+  if (isNaN(steps) || steps < 1) {
+    throw new Error(`Quantidade de migrações a desfazer inválida: "${stepsArg}".`);
+  }
+
+  const reverted = await MigrationService.migrateDown(steps);
+
+  if (reverted.length === 0) {
+    console.log('Nenhuma migração aplicada para desfazer.');
+    return;
+  }
+  reverted.forEach(name => console.log(`Desfeita: ${name}`));
+};
+
+const status = async () => {
+  const { applied, pending, modified, unknown } = await MigrationService.getMigrationStatus();
+  const modifiedVersions = new Set(modified.map(migration => migration.version));
+  const unknownVersions = new Set(unknown.map(migration => migration.version));
+
+  applied.forEach(migration => {
+    const note = modifiedVersions.has(migration.version) ? ' (ALTERADA depois de aplicada)'
+      : unknownVersions.has(migration.version) ? ' (sem arquivo no código)' : '';
+    console.log(`[aplicada] ${migration.version}_${migration.name} em ${migration.appliedAt.toISOString()}${note}`);
+  });
+  pending.forEach(migration => console.log(`[pendente] ${migration.version}_${migration.name}`));
+};
+
+const COMMANDS = { up, down, status };
+
+const run = async () => {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  try {
+    if (!COMMANDS[command]) {
+      throw new Error(`Comando desconhecido: "${command}". Use: ${Object.keys(COMMANDS).join(', ')}.`);
+    }
+    await COMMANDS[command](...args);
+  } catch (error) {
+    console.error('Erro ao executar as migrações:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+run();
@@ -0,0 +1,22 @@
+// ./scripts/purgeDeletedOrders.js
+// Expurga os pedidos removidos logicamente há mais de ORDER_RETENTION_DAYS dias.
+// Pensado para execução agendada (cron): npm run purge
+const OrderService = require('../services/OrderService');
+const { pool } = require('../config/db');
+const { orderCache } = require('../cache');
+
+const run = async () => {
+  try {
+    const result = await OrderService.purgeDeletedOrders({}, { actor: 'purge-job' });
+    console.log(`${result.purged} pedido(s) removido(s) antes de ${result.deletedBefore} expurgado(s).`);
+  } catch (error) {
+    console.error('Erro ao expurgar pedidos:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+    // Com ORDER_CACHE_BACKEND=redis, a conexão aberta pela invalidação manteria o processo vivo
+    await orderCache.close();
+  }
+};
+
+run();
@@ -1,21 +1,53 @@
 // ./server.js
-const express = require('express');
-const dotenv = require('dotenv');
-const orderRoutes = require('./routes/OrderRoutes');
+const app = require('./app');
+const { pool } = require('./config/db');
+const MigrationService = require('./services/MigrationService');
+const { startWebhookDispatcher, stopWebhookDispatcher } = require('./services/WebhookDispatcher');
+const { shutdownGracefully } = require('./utils/gracefulShutdown');
+const logger = require('./utils/logger');
+const { checkMigrationsOnStartup, webhookDispatcherEnabled, shutdownTimeoutMs } = require('./config/app');
 
-// Deve ser a primeira linha executada para carregar o .env!
-dotenv.config(); 
-
-const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(express.json()); // Middleware para parsear JSON
-app.use('/order', orderRoutes); // Rota base
+const start = async () => {
+  // Com CHECK_MIGRATIONS_ON_STARTUP=true, o servidor não sobe com o esquema do banco desatualizado
+  if (checkMigrationsOnStartup) {
+    try {
+      await MigrationService.assertSchemaUpToDate();
+    } catch (error) {
+      logger.error(error.message);
+      process.exit(1);
+    }
+  }
+
+  const server = app.listen(PORT, () => {
+    logger.info(`Servidor rodando na porta ${PORT}`);
+  });
+
+  // Envio dos eventos do outbox aos webhooks cadastrados (WEBHOOK_DISPATCHER_ENABLED=false para desligar)
+  if (webhookDispatcherEnabled) startWebhookDispatcher();
+
+  // Para de aceitar conexões, aguarda as requisições (e transações) em andamento até
+  // SHUTDOWN_TIMEOUT_MS e fecha o pool do banco antes de sair
+  const stop = async (signal) => {
+    logger.info('Encerrando o servidor', { signal });
+
+    try {
+      const clean = await shutdownGracefully({
+        server,
+        pool,
+        timeoutMs: shutdownTimeoutMs,
+        tasks: [stopWebhookDispatcher],
+      });
+      process.exit(clean ? 0 : 1);
+    } catch (error) {
+      logger.error('Erro no encerramento do servidor', { error });
+      process.exit(1);
+    }
+  };
 
-app.use((req, res, next) => {
-    res.status(404).json({ message: 'Recurso não encontrado' });
-});
+  process.on('SIGTERM', stop);
+  process.on('SIGINT', stop);
+};
 
-app.listen(PORT, () => {
-  console.log(`Servidor rodando na porta ${PORT}`);
-});
\ No newline at end of file
+start();
@@ -0,0 +1,203 @@
+const CustomerModel = require('../models/CustomerModel');
+const OrderService = require('./OrderService');
+const { validate, validateAndCoerce } = require('../utils/validator');
+const {
+    customerCreateSchema,
+    customerUpdateSchema,
+    listCustomersQuerySchema,
+    customerCursorSchema,
+} = require('../schemas/CustomerSchema');
+const { PG_ERROR_CODES } = require('../utils/pgErrors');
+const ResourceNotFoundException = require('../exceptions/ResourceNotFoundException');
+const ConflictException = require('../exceptions/ConflictException');
+
+const formatCustomer = (row) => ({
+    customerId: row.customerid,
+    name: row.name,
+    email: row.email,
+    document: row.document,
+    createdAt: row.createdat.toISOString(),
+    updatedAt: row.updatedat.toISOString(),
+});
+
+// Busca o cliente ou lança 404
+const findCustomerOrFail = async (customerId) => {
+    const result = await CustomerModel.findCustomerById(customerId);
+
+    if (result.rows.length === 0) {
+        throw new ResourceNotFoundException('Cliente', customerId);
+    }
+    return result.rows[0];
+};
+
+/**
+ * Cadastra um cliente. O `customerId` é o código do cliente no sistema de origem,
+ * o mesmo informado nos pedidos (`idCliente`).
+ *
+ * @param {object} inputBody - `customerId`, `name` e, opcionalmente, `email` e `document`.
+ * @returns {Promise<object>} Cliente cadastrado.
+ * @throws {ValidationException} Quando o payload é inválido.
+ * @throws {ConflictException} Quando já existe um cliente com o mesmo customerId.
+ */
+const createCustomer = async (inputBody) => {
+    validate(customerCreateSchema, inputBody, 'Dados do cliente inválidos.');
+
+    try {
+        const result = await CustomerModel.insertCustomer({
+            customerId: inputBody.customerId,
+            name: inputBody.name,
+            email: inputBody.email ?? null,
+            document: inputBody.document ?? null,
+        });
+        return formatCustomer(result.rows[0]);
+
+    } catch (error) {
+        if (error.code === PG_ERROR_CODES.UNIQUE_VIOLATION && error.table === 'customers') {
+            throw new ConflictException(`O cliente ${inputBody.customerId} já existe.`);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Lista os clientes em ordem de customerId, com paginação por cursor.
+ *
+ * Parâmetros aceitos (query string): limit (1 a 100, padrão 20) e cursor.
+ *
+ * @param {object} queryParams - Parâmetros recebidos na query string.
+ * @returns {Promise<{data: Array<object>, nextCursor: string|null}>}
+ * @throws {ValidationException} Quando algum parâmetro é inválido.
+ */
+const listCustomers = async (queryParams = {}) => {
+    const { limit, cursor } = validateAndCoerce(listCustomersQuerySchema, queryParams, 'Parâmetros de listagem inválidos.');
+
+    let afterCustomerId;
+    if (cursor !== undefined) {
+        afterCustomerId = Buffer.from(cursor, 'base64url').toString('utf8');
+
+        // O cursor carrega um customerId; qualquer outro conteúdo (ex: "AA" = "\u0000") foi adulterado
+        validate(customerCursorSchema, { cursor: afterCustomerId }, 'Parâmetros de listagem inválidos.');
+    }
+
+    // Busca uma linha a mais para saber se existe próxima página
+    const result = await CustomerModel.findAllCustomers({ limit: limit + 1, afterCustomerId });
+    const rows = result.rows.slice(0, limit);
+    const hasNextPage = result.rows.length > limit;
+
+    return {
+        data: rows.map(formatCustomer),
+        nextCursor: hasNextPage ? Buffer.from(rows[rows.length - 1].customerid).toString('base64url') : null,
+    };
+};
+
+/**
+ * Obtém um cliente.
+ *
+ * @param {string} customerId - Identificador do cliente.
+ * @returns {Promise<object>}
+ * @throws {ResourceNotFoundException} Quando o cliente não existe.
+ */
+const getCustomer = async (customerId) => {
+    return formatCustomer(await findCustomerOrFail(customerId));
+};
+
+/**
+ * Substitui os dados cadastrais de um cliente (o customerId não muda).
+ * Campos opcionais ausentes são apagados.
+ *
+ * @param {string} customerId - Identificador do cliente.
+ * @param {object} inputBody - `name` e, opcionalmente, `email` e `document`.
+ * @returns {Promise<object>} Cliente atualizado.
+ * @throws {ValidationException} Quando o payload é inválido.
+ * @throws {ResourceNotFoundException} Quando o cliente não existe.
+ */
+const updateCustomer = async (customerId, inputBody) => {
+    validate(customerUpdateSchema, inputBody, 'Dados do cliente inválidos.');
+
+    const result = await CustomerModel.updateCustomer(customerId, {
+        name: inputBody.name,
+        email: inputBody.email ?? null,
+        document: inputBody.document ?? null,
+    });
+
+    if (result.rows.length === 0) {
+        throw new ResourceNotFoundException('Cliente', customerId);
+    }
+
+    return formatCustomer(result.rows[0]);
+};
+
+/**
+ * Exclui um cliente.
+ *
+ * Regra: a exclusão é bloqueada (nunca em cascata) enquanto algum pedido referenciar o cliente,
+ * inclusive pedidos removidos logicamente que ainda não foram expurgados. Os pedidos são um
+ * registro de vendas e não devem desaparecer junto com o cadastro do cliente.
+ *
+ * A linha do cliente fica bloqueada durante a verificação, e a chave estrangeira
+ * (ON DELETE RESTRICT) garante a regra mesmo para pedidos gravados em paralelo.
+ *
+ * @param {string} customerId - Identificador do cliente.
+ * @returns {Promise<void>}
+ * @throws {ResourceNotFoundException} Quando o cliente não existe.
+ * @throws {ConflictException} Quando o cliente ainda tem pedidos.
+ */
+const deleteCustomer = async (customerId) => {
+    const client = await CustomerModel.pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const customerResult = await CustomerModel.findCustomerByIdForUpdate(client, customerId);
+
+        if (customerResult.rows.length === 0) {
+            throw new ResourceNotFoundException('Cliente', customerId);
+        }
+
+        const countResult = await CustomerModel.countCustomerOrders(client, customerId);
+        const total = parseInt(countResult.rows[0].total, 10);
+        const deleted = parseInt(countResult.rows[0].deleted, 10);
+
+        if (total > 0) {
+            throw new ConflictException(
+                `O cliente ${customerId} tem ${total} pedido(s)` +
+                (deleted > 0 ? `, dos quais ${deleted} removido(s) aguardando expurgo,` : '') +
+                ' e não pode ser excluído.'
+            );
+        }
+
+        await CustomerModel.deleteCustomer(client, customerId);
+
+        await client.query('COMMIT');
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Lista os pedidos de um cliente, com a mesma paginação, filtros e ordenação de GET /order/list.
+ *
+ * @param {string} customerId - Identificador do cliente.
+ * @param {object} queryParams - Parâmetros recebidos na query string (ver OrderService.listAllOrders).
+ * @param {object} [context] - Contexto da requisição (includeDeleted exige o papel admin).
+ * @returns {Promise<{data: Array<object>, nextCursor: string|null, total?: number}>}
+ * @throws {ValidationException} Quando algum parâmetro é inválido.
+ * @throws {ResourceNotFoundException} Quando o cliente não existe.
+ */
+const listCustomerOrders = async (customerId, queryParams = {}, context = {}) => {
+    await findCustomerOrFail(customerId);
+    return OrderService.listAllOrders({ ...queryParams, customerId }, context);
+};
+
+module.exports = {
+  createCustomer,
+  listCustomers,
+  getCustomer,
+  updateCustomer,
+  deleteCustomer,
+  listCustomerOrders,
+};
@@ -0,0 +1,67 @@
+const HealthModel = require('../models/HealthModel');
+const { readinessTimeoutMs } = require('../config/app');
+const { isShuttingDown } = require('../utils/gracefulShutdown');
+const logger = require('../utils/logger');
+
+const startedAt = Date.now();
+
+/**
+ * Liveness: o processo está de pé e respondendo. Não consulta o banco, para que uma
+ * indisponibilidade dele não leve o orquestrador a reiniciar a API.
+ *
+ * @returns {{status: string, uptimeSeconds: number}}
+ */
+const getLiveness = () => ({
+    status: 'ok',
+    uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000),
+});
+
+// Executa a consulta de verificação, falhando quando ela passa do prazo
+const pingDatabase = async (timeoutMs) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`sem resposta em ${timeoutMs} ms`)), timeoutMs);
+    });
+
+    const start = process.hrtime.bigint();
+    try {
+        await Promise.race([HealthModel.pingDatabase(), timeout]);
+        return Number((process.hrtime.bigint() - start) / 1000000n);
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Readiness: a API pode receber tráfego. Exige que o banco responda a uma consulta simples
+ * dentro de READINESS_TIMEOUT_MS e que o servidor não esteja em encerramento.
+ *
+ * @returns {Promise<{ready: boolean, report: object}>} Situação e relatório com o banco e as
+ * estatísticas do pool de conexões.
+ */
+const checkReadiness = async () => {
+    if (isShuttingDown()) {
+        return { ready: false, report: { status: 'shutting_down', pool: HealthModel.getPoolStats() } };
+    }
+
+    let database;
+    try {
+        database = { status: 'up', latencyMs: await pingDatabase(readinessTimeoutMs) };
+    } catch (error) {
+        // O detalhe fica no log: a rota é pública e não deve expor a configuração do banco
+        logger.error('Verificação de prontidão: banco de dados indisponível', { error });
+        database = { status: 'down' };
+    }
+
+    const ready = database.status === 'up';
+
+    return {
+        ready,
+        report: { status: ready ? 'ready' : 'unavailable', database, pool: HealthModel.getPoolStats() },
+    };
+};
+
+module.exports = {
+  getLiveness,
+  checkReadiness,
+};
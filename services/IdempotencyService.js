@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const IdempotencyModel = require('../models/IdempotencyModel');
+const { idempotencyKeyTtlHours } = require('../config/app');
+const ValidationException = require('../exceptions/ValidationException');
+const IdempotencyKeyMismatchException = require('../exceptions/IdempotencyKeyMismatchException');
+
+const MAX_KEY_LENGTH = 255;
+
+// Ordena as chaves dos objetos para que o mesmo corpo gere sempre o mesmo hash
+const canonicalize = (value) => {
+    if (Array.isArray(value)) return value.map(canonicalize);
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((sorted, key) => {
+            sorted[key] = canonicalize(value[key]);
+            return sorted;
+        }, {});
+    }
+    return value;
+};
+
+/**
+ * Calcula o hash (SHA-256) do corpo da requisição, independente da ordem das chaves.
+ *
+ * @param {object} body - Corpo da requisição.
+ * @returns {string} Hash em hexadecimal.
+ */
+const hashRequest = (body) => {
+    return crypto.createHash('sha256').update(JSON.stringify(canonicalize(body ?? null))).digest('hex');
+};
+
+/**
+ * Garante que o valor do header Idempotency-Key é utilizável.
+ *
+ * @param {string} idempotencyKey - Valor recebido no header.
+ * @throws {ValidationException} Quando a chave está vazia ou é longa demais.
+ */
+const assertValidKey = (idempotencyKey) => {
+    if (idempotencyKey.length === 0 || idempotencyKey.length > MAX_KEY_LENGTH) {
+        throw new ValidationException('Header Idempotency-Key inválido.', [
+            { field: 'Idempotency-Key', message: `deve ter entre 1 e ${MAX_KEY_LENGTH} caracteres` },
+        ]);
+    }
+};
+
+/**
+ * Busca a resposta original de uma requisição já concluída com a mesma chave (ainda não expirada).
+ *
+ * @param {string} idempotencyKey - Chave recebida no header.
+ * @param {string} requestHash - Hash do corpo da requisição atual.
+ * @param {object} [client] - Cliente PostgreSQL (para leitura dentro de uma transação).
+ * @returns {Promise<object|null>} Corpo original acrescido de `replayed: true`, ou `null` se a chave é nova.
+ * @throws {IdempotencyKeyMismatchException} Quando a chave foi usada com outro corpo.
+ */
+const findStoredResponse = async (idempotencyKey, requestHash, client) => {
+    const keyResult = await IdempotencyModel.findIdempotencyKey(idempotencyKey, client);
+
+    if (keyResult.rows.length === 0) {
+        return null;
+    }
+
+    const stored = keyResult.rows[0];
+
+    if (stored.requesthash !== requestHash) {
+        throw new IdempotencyKeyMismatchException(idempotencyKey);
+    }
+
+    if (stored.responsebody === null) {
+        return null;
+    }
+
+    return { ...stored.responsebody, replayed: true };
+};
+
+/**
+ * Reserva a chave dentro da transação do chamador, com validade de IDEMPOTENCY_KEY_TTL_HOURS.
+ *
+ * @param {object} client - Cliente PostgreSQL com a transação aberta.
+ * @param {string} idempotencyKey - Chave recebida no header.
+ * @param {string} requestHash - Hash do corpo da requisição.
+ * @returns {Promise<boolean>} `false` quando outra requisição já usou (ou está usando) a mesma chave.
+ */
+const claimKey = async (client, idempotencyKey, requestHash) => {
+    const expiresAt = new Date(Date.now() + idempotencyKeyTtlHours * 60 * 60 * 1000);
+    const claimResult = await IdempotencyModel.claimIdempotencyKey(client, idempotencyKey, requestHash, expiresAt);
+    return claimResult.rowCount > 0;
+};
+
+/**
+ * Grava a resposta original associada à chave, na mesma transação da operação.
+ *
+ * @param {object} client - Cliente PostgreSQL com a transação aberta.
+ * @param {string} idempotencyKey - Chave recebida no header.
+ * @param {number} responseStatus - Status HTTP da resposta original.
+ * @param {object} responseBody - Resultado da operação devolvido nas retentativas.
+ */
+const saveResponse = (client, idempotencyKey, responseStatus, responseBody) => {
+    return IdempotencyModel.saveIdempotentResponse(client, idempotencyKey, responseStatus, responseBody);
+};
+
+module.exports = {
+  hashRequest,
+  assertValidKey,
+  findStoredResponse,
+  claimKey,
+  saveResponse
+};
@@ -0,0 +1,41 @@
+const HealthModel = require('../models/HealthModel');
+const { createGauge, renderMetrics } = require('../utils/metrics');
+
+/*
+ * Saturação do pool do banco, lida no momento da coleta. As demais métricas (requisições,
+ * consultas e pedidos) são atualizadas pelos módulos que as produzem.
+ */
+createGauge({
+    name: 'db_pool_connections',
+    help: 'Conexões abertas no pool do banco, por estado (active: em uso; idle: ociosas).',
+    collect: () => {
+        const { total, idle } = HealthModel.getPoolStats();
+        return [
+            { labels: { state: 'active' }, value: total - idle },
+            { labels: { state: 'idle' }, value: idle },
+        ];
+    },
+});
+
+createGauge({
+    name: 'db_pool_waiting_clients',
+    help: 'Requisições aguardando uma conexão livre do pool.',
+    collect: () => [{ value: HealthModel.getPoolStats().waiting }],
+});
+
+createGauge({
+    name: 'db_pool_max_connections',
+    help: 'Limite de conexões do pool.',
+    collect: () => [{ value: HealthModel.getPoolStats().max }],
+});
+
+/**
+ * Todas as métricas do processo no formato de texto do Prometheus.
+ *
+ * @returns {string}
+ */
+const getMetrics = () => renderMetrics();
+
+module.exports = {
+  getMetrics,
+};
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const MigrationModel = require('../models/MigrationModel');
+
+// Diretório com os arquivos de migração: NNNN_descricao.up.sql e NNNN_descricao.down.sql
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+// Hash do SQL de aplicação; quebras de linha são normalizadas para não depender do sistema operacional
+const checksumOf = (sql) => {
+    return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+};
+
+/**
+ * Lê as migrações do diretório, em ordem crescente de versão.
+ *
+ * @param {string} [directory] - Diretório dos arquivos (padrão: migrations/ na raiz do projeto).
+ * @returns {Array<{version: string, name: string, upSql: string, downSql: string|null, checksum: string}>}
+ * @throws {Error} Quando um arquivo .sql não segue o padrão de nome, uma versão se repete
+ * ou falta o arquivo .up.sql de uma versão.
+ */
+const loadMigrations = (directory = MIGRATIONS_DIR) => {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(directory).filter(name => name.endsWith('.sql'))) {
+        const match = MIGRATION_FILE_PATTERN.exec(file);
+
+        if (!match) {
+            throw new Error(`Arquivo de migração com nome inválido: "${file}" (esperado NNNN_descricao.up.sql ou .down.sql).`);
+        }
+
+        const [, version, name, direction] = match;
+        const migration = migrations.get(version) || { version, name, upSql: null, downSql: null };
+
+        if (migration.name !== name) {
+            throw new Error(`Versão de migração repetida: ${version} ("${migration.name}" e "${name}").`);
+        }
+
+        migration[direction === 'up' ? 'upSql' : 'downSql'] = fs.readFileSync(path.join(directory, file), 'utf8');
+        migrations.set(version, migration);
+    }
+
+    return [...migrations.values()]
+        .map(migration => {
+            if (migration.upSql === null) {
+                throw new Error(`Migração ${migration.version}_${migration.name} sem arquivo .up.sql.`);
+            }
+            return { ...migration, checksum: checksumOf(migration.upSql) };
+        })
+        .sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+// Migrações já registradas no banco (vazio quando a tabela de controle ainda não existe)
+const findApplied = async (client) => {
+    if (!(await MigrationModel.migrationsTableExists(client))) return [];
+
+    const result = await MigrationModel.findAppliedMigrations(client);
+    return result.rows
+        .map(row => ({ version: row.version, name: row.name, checksum: row.checksum, appliedAt: row.appliedat }))
+        .sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+// Compara os arquivos com as migrações registradas no banco
+const compareMigrations = (migrations, applied) => {
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+    const fileVersions = new Set(migrations.map(migration => migration.version));
+
+    return {
+        applied,
+        pending: migrations.filter(migration => !appliedByVersion.has(migration.version)),
+        // Arquivo alterado depois de aplicado: o banco não corresponde mais ao SQL do repositório
+        modified: migrations.filter(migration => {
+            const row = appliedByVersion.get(migration.version);
+            return row && row.checksum !== migration.checksum;
+        }),
+        // Aplicadas no banco, mas sem arquivo (ex: banco migrado por uma versão mais nova da API)
+        unknown: applied.filter(row => !fileVersions.has(row.version)),
+    };
+};
+
+const migrationLabel = (migration) => `${migration.version}_${migration.name}`;
+
+/**
+ * Executa `work` com uma conexão exclusiva e o advisory lock das migrações,
+ * para que duas execuções simultâneas (ex: dois deploys) não apliquem a mesma migração.
+ */
+const withMigrationLock = async (work) => {
+    const client = await MigrationModel.pool.connect();
+
+    try {
+        await MigrationModel.acquireMigrationLock(client);
+
+        try {
+            await MigrationModel.createMigrationsTable(client);
+            return await work(client);
+        } finally {
+            await MigrationModel.releaseMigrationLock(client);
+        }
+
+    } finally {
+        client.release();
+    }
+};
+
+// Executa o SQL da migração e o registro (ou remoção) na tabela de controle na mesma transação
+const runInTransaction = async (client, migration, sql, record) => {
+    try {
+        await client.query('BEGIN');
+        await MigrationModel.runMigrationSql(client, sql);
+        await record();
+        await client.query('COMMIT');
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Falha na migração ${migrationLabel(migration)}: ${error.message}`, { cause: error });
+    }
+};
+
+/**
+ * Situação das migrações no banco configurado em config/db.js.
+ *
+ * @returns {Promise<{applied: Array, pending: Array, modified: Array, unknown: Array}>}
+ */
+const getMigrationStatus = async () => {
+    const migrations = loadMigrations();
+    const client = await MigrationModel.pool.connect();
+
+    try {
+        return compareMigrations(migrations, await findApplied(client));
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Aplica, em ordem, todas as migrações pendentes (cada uma em sua própria transação).
+ *
+ * @returns {Promise<string[]>} Migrações aplicadas (NNNN_descricao).
+ * @throws {Error} Quando alguma migração aplicada foi alterada ou quando uma migração falha
+ * (as anteriores permanecem aplicadas).
+ */
+const migrateUp = async () => {
+    const migrations = loadMigrations();
+
+    return withMigrationLock(async (client) => {
+        const { pending, modified } = compareMigrations(migrations, await findApplied(client));
+
+        if (modified.length > 0) {
+            throw new Error(`Migrações alteradas depois de aplicadas: ${modified.map(migrationLabel).join(', ')}.`);
+        }
+
+        for (const migration of pending) {
+            await runInTransaction(client, migration, migration.upSql,
+                () => MigrationModel.insertAppliedMigration(client, migration));
+        }
+
+        return pending.map(migrationLabel);
+    });
+};
+
+/**
+ * Desfaz as últimas migrações aplicadas, da mais recente para a mais antiga.
+ *
+ * @param {number} [steps=1] - Quantidade de migrações a desfazer.
+ * @returns {Promise<string[]>} Migrações desfeitas (NNNN_descricao).
+ * @throws {Error} Quando uma migração a desfazer não tem arquivo .down.sql ou quando o SQL falha.
+ */
+const migrateDown = async (steps = 1) => {
+    const migrations = loadMigrations();
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+    return withMigrationLock(async (client) => {
+        const toRevert = (await findApplied(client)).reverse().slice(0, steps);
+
+        for (const row of toRevert) {
+            const migration = byVersion.get(row.version);
+
+            if (!migration || migration.downSql === null) {
+                throw new Error(`Migração ${migrationLabel(row)} não tem arquivo .down.sql para ser desfeita.`);
+            }
+
+            await runInTransaction(client, migration, migration.downSql,
+                () => MigrationModel.deleteAppliedMigration(client, migration.version));
+        }
+
+        return toRevert.map(migrationLabel);
+    });
+};
+
+/**
+ * Confere se o banco está com todas as migrações do repositório aplicadas, sem alterá-lo.
+ * Usada na inicialização do servidor (CHECK_MIGRATIONS_ON_STARTUP).
+ *
+ * @throws {Error} Quando há migrações pendentes, alteradas ou desconhecidas.
+ */
+const assertSchemaUpToDate = async () => {
+    const { pending, modified, unknown } = await getMigrationStatus();
+
+    const problems = [
+        pending.length > 0 && `pendentes: ${pending.map(migrationLabel).join(', ')}`,
+        modified.length > 0 && `alteradas depois de aplicadas: ${modified.map(migrationLabel).join(', ')}`,
+        unknown.length > 0 && `aplicadas no banco, mas ausentes no código: ${unknown.map(migrationLabel).join(', ')}`,
+    ].filter(Boolean);
+
+    if (problems.length > 0) {
+        // Só as pendentes se resolvem aplicando as migrações; as demais exigem conferência manual
+        const hint = modified.length === 0 && unknown.length === 0 ? ' Execute: npm run migrate' : '';
+        throw new Error(`Esquema do banco desatualizado (${problems.join('; ')}).${hint}`);
+    }
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  assertSchemaUpToDate,
+};
@@ -1,5 +1,54 @@
 const OrderModel = require('../models/OrderModel');
-const { mapToDatabaseFormat } = require('../utils/mapper');
+const OrderHistoryModel = require('../models/OrderHistoryModel');
+const CustomerModel = require('../models/CustomerModel');
+const ProductService = require('./ProductService');
+const IdempotencyService = require('./IdempotencyService');
+const WebhookService = require('./WebhookService');
+const { getMapper, resolveMapper } = require('../mappers');
+const { orderCache } = require('../cache');
+const { validate, validateAndCoerce } = require('../utils/validator');
+const { getPath } = require('../utils/objectPath');
+const {
+    bulkOrdersSchema,
+    orderItemSchema,
+    itemUpdateSchema,
+    statusUpdateSchema,
+    listOrdersQuerySchema,
+    exportOrdersQuerySchema,
+    getOrderQuerySchema,
+    purgeOrdersSchema,
+} = require('../schemas/OrderSchema');
+const { toCents, fromCents, sumItemsInCents } = require('../utils/decimal');
+const { orderTotalPolicy, orderRetentionDays } = require('../config/app');
+const { PG_ERROR_CODES } = require('../utils/pgErrors');
+const ValidationException = require('../exceptions/ValidationException');
+const ResourceNotFoundException = require('../exceptions/ResourceNotFoundException');
+const ConflictException = require('../exceptions/ConflictException');
+const InvalidStateException = require('../exceptions/InvalidStateException');
+const PreconditionFailedException = require('../exceptions/PreconditionFailedException');
+const { ifMatchSatisfied } = require('../utils/etag');
+const { assertRole } = require('../utils/roles');
+const logger = require('../utils/logger');
+const { createCounter } = require('../utils/metrics');
+
+/**
+ * Máquina de estados do pedido: para cada status, os status para os quais ele pode seguir.
+ * Status sem transições de saída são terminais (o pedido não pode mais ser alterado ou removido).
+ */
+const ORDER_STATUS_TRANSITIONS = {
+    pending: ['paid', 'cancelled'],
+    paid: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: [],
+};
+
+const isTerminalStatus = (status) => ORDER_STATUS_TRANSITIONS[status].length === 0;
+
+// Pedidos gravados com sucesso (contados após o COMMIT), expostos em GET /metrics
+const ordersCreated = createCounter({ name: 'orders_created_total', help: 'Pedidos criados (POST /order e lotes).' });
+const ordersUpdated = createCounter({ name: 'orders_updated_total', help: 'Pedidos alterados: dados, itens, status ou restauração.' });
+const ordersDeleted = createCounter({ name: 'orders_deleted_total', help: 'Pedidos removidos logicamente.' });
 
 /**
  * Formata os dados de um pedido e seus itens para o padrão de resposta utilizado pela aplicação.
@@ -9,6 +58,11 @@ const { mapToDatabaseFormat } = require('../utils/mapper');
  * - Converte a data de criação (`creationdate`) para ISO string
  * - Padroniza os nomes dos campos para camelCase
  * - Monta o array de itens no formato esperado pelo Controller/API
+ * - Inclui `externalOrderNumber` (numeroPedido original) quando ele foi armazenado
+ * - Inclui `customerId` quando o pedido está associado a um cliente
+ * - Inclui `createdBy` e `updatedBy` (principais que criaram e alteraram o pedido) quando registrados
+ * - Inclui `updatedAt` (data da última alteração) quando a consulta traz a coluna
+ * - Inclui `deletedAt` apenas para pedidos removidos logicamente
  *
  * @param {object} orderRow - Linha retornada do banco representando o pedido.
  * @param {Array<object>} itemRows - Lista de linhas retornadas do banco representando os itens do pedido.
@@ -19,12 +73,291 @@ const formatOrderResponse = (orderRow, itemRows) => {
         orderId: orderRow.orderid,
         value: parseFloat(orderRow.value),
         creationDate: orderRow.creationdate.toISOString(),
+        status: orderRow.status,
+        version: orderRow.version,
         items: itemRows.map(item => ({
             productId: item.productid,
             quantity: item.quantity,
             price: parseFloat(item.price),
         })),
+        ...(orderRow.externalordernumber && { externalOrderNumber: orderRow.externalordernumber }),
+        ...(orderRow.customerid && { customerId: orderRow.customerid }),
+        ...(orderRow.createdby && { createdBy: orderRow.createdby }),
+        ...(orderRow.updatedby && { updatedBy: orderRow.updatedby }),
+        ...(orderRow.updatedat && { updatedAt: orderRow.updatedat.toISOString() }),
+        ...(orderRow.deletedat && { deletedAt: orderRow.deletedat.toISOString() }),
+    };
+};
+
+/**
+ * Confere se o valor total do pedido corresponde à soma de quantidade × preço dos itens,
+ * usando aritmética decimal exata, e aplica a política definida em ORDER_TOTAL_POLICY:
+ * - reject: lança ValidationException
+ * - recompute: substitui o valor informado pelo total calculado
+ * - warn: mantém o valor informado e devolve um aviso
+ *
+ * @param {number|string} value - Valor total informado (ou armazenado) do pedido.
+ * @param {Array<{quantity: number, price: number|string}>} items - Itens do pedido no formato interno.
+ * @param {string} [policy] - Política a aplicar; padrão ORDER_TOTAL_POLICY.
+ * @returns {{ value: number|string, warnings: Array<{field: string, message: string}> }}
+ * Valor que deve ser persistido e eventuais avisos de divergência.
+ * @throws {ValidationException} Quando a política é `reject` e os valores divergem.
+ */
+const applyTotalPolicy = (value, items, policy = orderTotalPolicy) => {
+    const informedCents = toCents(value);
+    const expectedCents = sumItemsInCents(items);
+
+    if (informedCents === expectedCents) {
+        return { value, warnings: [] };
+    }
+
+    const divergence = {
+        field: 'valorTotal',
+        message: `O valor total (${fromCents(informedCents)}) difere da soma dos itens (${fromCents(expectedCents)}).`,
     };
+
+    if (policy === 'reject') {
+        throw new ValidationException('Valor total do pedido inconsistente com os itens.', [divergence]);
+    }
+
+    if (policy === 'recompute') {
+        return { value: Number(fromCents(expectedCents)), warnings: [] };
+    }
+
+    logger.warn('Pedido com valor total divergente', { detail: divergence.message });
+    return { value, warnings: [divergence] };
+};
+
+/**
+ * Impede que o mesmo produto apareça em mais de uma linha do pedido: as rotas de itens
+ * identificam a linha pelo produto (ver também o índice único em Items).
+ *
+ * @param {Array<{productId: number}>} items - Itens do pedido no formato interno.
+ * @throws {ValidationException} Quando algum produto se repete.
+ */
+const assertUniqueProducts = (items) => {
+    const seen = new Set();
+    const errors = [];
+
+    items.forEach((item, index) => {
+        const productId = Number(item.productId);
+
+        if (seen.has(productId)) {
+            errors.push({ field: `items[${index}].idItem`, message: `produto ${productId} repetido no pedido` });
+        }
+        seen.add(productId);
+    });
+
+    if (errors.length > 0) {
+        throw new ValidationException('Dados do pedido inválidos.', errors);
+    }
+};
+
+/**
+ * Valida e converte o payload de um pedido para o formato interno, usando o mapeador
+ * do canal informado ou, na ausência dele, o detectado a partir do próprio payload.
+ *
+ * @param {object} inputBody - Pedido no formato do canal de vendas.
+ * @param {string} [channel] - Nome do canal (mapeador) escolhido pelo cliente.
+ * @param {object} [options]
+ * @param {boolean} [options.withItems=true] - Com `false`, valida e converte apenas o cabeçalho (sem `items`).
+ * @returns {object} Pedido no formato interno (orderId, value, creationDate, items, externalOrderNumber).
+ * @throws {ValidationException} Quando o canal não existe, o payload não respeita o schema do canal
+ * ou repete um produto entre os itens.
+ */
+const mapOrderInput = (inputBody, channel, { withItems = true } = {}) => {
+    const mapper = resolveMapper(inputBody, channel);
+
+    mapper.validate(inputBody, { withItems });
+    const mappedData = mapper.toInternal(inputBody, { withItems });
+
+    if (withItems) assertUniqueProducts(mappedData.items);
+    return mappedData;
+};
+
+/**
+ * Busca o pedido bloqueando a linha (SELECT ... FOR UPDATE) dentro da transação do chamador,
+ * garantindo que o status e a versão verificados não mudem até o COMMIT.
+ *
+ * Quando `ifMatch` é informado, a versão atual precisa corresponder ao ETag enviado pelo
+ * cliente; como a linha já está bloqueada, a verificação e a escrita que a segue são atômicas.
+ *
+ * @param {object} client - Cliente PostgreSQL com a transação aberta.
+ * @param {string} orderId - Identificador do pedido.
+ * @param {object} [options]
+ * @param {boolean} [options.includeDeleted=false] - Considera também pedidos removidos logicamente.
+ * @param {string} [options.ifMatch] - Valor do header `If-Match` da requisição.
+ * @returns {Promise<object>} Linha do pedido.
+ * @throws {ResourceNotFoundException} Lançada quando o pedido não existe.
+ * @throws {PreconditionFailedException} Quando o pedido foi alterado desde a versão informada.
+ */
+const findOrderForUpdate = async (client, orderId, { includeDeleted = false, ifMatch } = {}) => {
+    const orderResult = await OrderModel.findOrderByIdForUpdate(client, orderId, { includeDeleted });
+
+    if (orderResult.rows.length === 0) {
+        throw new ResourceNotFoundException("Pedido", orderId);
+    }
+
+    const order = orderResult.rows[0];
+
+    if (!ifMatchSatisfied(ifMatch, order.version)) {
+        throw new PreconditionFailedException(
+            `O Pedido ${orderId} foi alterado por outra requisição (versão atual: ${order.version}). Recarregue o pedido e tente novamente.`
+        );
+    }
+
+    return order;
+};
+
+// Erro de um pedido que referencia um cliente não cadastrado
+const unknownCustomerError = (customerId) => new ValidationException('Dados do pedido inválidos.', [
+    { field: 'customerId', message: `cliente "${customerId}" não cadastrado` },
+]);
+
+/**
+ * Dos clientes referenciados pelos pedidos, retorna os que não estão cadastrados.
+ *
+ * @param {Array<string|null|undefined>} customerIds - customerId de cada pedido (ausente ou null sem cliente).
+ * @returns {Promise<Set<string>>}
+ */
+const findUnknownCustomerIds = async (customerIds) => {
+    const referenced = [...new Set(customerIds.filter(customerId => customerId !== undefined && customerId !== null))];
+
+    if (referenced.length === 0) {
+        return new Set();
+    }
+
+    const result = await CustomerModel.findExistingCustomerIds(referenced);
+    const existing = new Set(result.rows.map(row => row.customerid));
+
+    return new Set(referenced.filter(customerId => !existing.has(customerId)));
+};
+
+/**
+ * Confere, antes de abrir a transação, se o cliente referenciado pelo pedido está cadastrado.
+ * A chave estrangeira de Orders.customerId garante a regra caso ele seja removido em seguida.
+ *
+ * @param {string} [customerId] - Cliente do pedido (opcional).
+ * @throws {ValidationException} Quando o cliente não está cadastrado.
+ */
+const assertCustomerExists = async (customerId) => {
+    const unknown = await findUnknownCustomerIds([customerId]);
+
+    if (unknown.size > 0) {
+        throw unknownCustomerError(customerId);
+    }
+};
+
+// Itens a conferir contra o preço de catálogo, com o campo do payload que recebe o aviso
+const toPriceEntries = (items) => items.map((item, index) => ({
+    field: `items[${index}].valorItem`,
+    productId: item.productId,
+    price: item.price,
+}));
+
+// Quantidades negativas: devolvem ao estoque os itens informados
+const toStockReleases = (items) => items.map(item => ({ productId: item.productId, quantity: -item.quantity }));
+
+// Identificador do principal que executa a operação (gravado no histórico e no pedido)
+const actorOf = (context) => context.actor || 'anonymous';
+
+/**
+ * Gera uma nova versão do pedido, na mesma transação da alteração, e registra o autor dela.
+ *
+ * @param {object} client - Cliente PostgreSQL com a transação aberta.
+ * @param {string} orderId - Identificador do pedido.
+ * @param {object} context - Contexto da requisição (autor da alteração).
+ * @returns {Promise<number>} Nova versão do pedido.
+ */
+const bumpOrderVersion = async (client, orderId, context) => {
+    const versionResult = await OrderModel.incrementOrderVersion(client, orderId, actorOf(context));
+    return versionResult.rows[0].version;
+};
+
+/**
+ * Impede alterações em pedidos que já atingiram um status terminal.
+ *
+ * @param {object} orderRow - Linha do pedido.
+ * @throws {InvalidStateException} Quando o pedido está em status terminal.
+ */
+const assertOrderEditable = (orderRow) => {
+    if (isTerminalStatus(orderRow.status)) {
+        throw new InvalidStateException(
+            `O Pedido ${orderRow.orderid} está com status "${orderRow.status}" e não pode mais ser alterado.`
+        );
+    }
+};
+
+/**
+ * Lê o estado completo do pedido (cabeçalho e itens) dentro da transação do chamador,
+ * no mesmo formato da resposta da API, para ser gravado no histórico.
+ *
+ * @param {object} client - Cliente PostgreSQL com a transação aberta.
+ * @param {string} orderId - Identificador do pedido.
+ * @param {object} [options]
+ * @param {boolean} [options.includeDeleted=false] - Considera também pedidos removidos logicamente.
+ * @returns {Promise<object|null>} Pedido formatado ou `null` se ele não existir (ou estiver removido).
+ */
+const loadOrderSnapshot = async (client, orderId, { includeDeleted = false } = {}) => {
+    const orderResult = await OrderModel.findOrderById(orderId, client, { includeDeleted });
+
+    if (orderResult.rows.length === 0) {
+        return null;
+    }
+
+    const itemsResult = await OrderModel.findItemsByOrderId(orderId, client);
+    return formatOrderResponse(orderResult.rows[0], itemsResult.rows);
+};
+
+/**
+ * Registra uma entrada no histórico (append-only) do pedido, na mesma transação da alteração,
+ * e grava no outbox o evento de webhook correspondente (ver WebhookService).
+ *
+ * @param {object} client - Cliente PostgreSQL com a transação aberta.
+ * @param {string} orderId - Identificador do pedido.
+ * @param {string} operation - Operação executada (create, update, item_add, item_update, item_remove,
+ * status_change, delete, restore, purge).
+ * @param {object|null} before - Estado do pedido antes da operação.
+ * @param {object|null} context - Contexto da requisição (autor da operação).
+ * @returns {Promise<void>}
+ */
+const recordHistory = async (client, orderId, operation, before, context) => {
+    const after = await loadOrderSnapshot(client, orderId);
+
+    const entry = {
+        orderId,
+        operation,
+        actor: actorOf(context),
+        before,
+        after,
+    };
+
+    await OrderHistoryModel.insertOrderHistory(client, entry);
+    await WebhookService.enqueueOrderEvents(client, [entry]);
+};
+
+/**
+ * Reaplica a política de valor total após alterações nas linhas do pedido,
+ * dentro da transação do chamador. Com a política `recompute`, o cabeçalho é atualizado.
+ *
+ * As rotas de itens não recebem um novo valor total, então o valor gravado nunca satisfaria
+ * a política `reject`: nela, o cabeçalho também passa a acompanhar a soma dos itens.
+ *
+ * @param {object} client - Cliente PostgreSQL com a transação aberta.
+ * @param {string} orderId - Identificador do pedido.
+ * @param {string} currentValue - Valor total atualmente gravado no cabeçalho.
+ * @returns {Promise<Array<object>>} Eventuais avisos de divergência.
+ */
+const reconcileOrderTotal = async (client, orderId, currentValue) => {
+    const itemsResult = await OrderModel.findItemsByOrderId(orderId, client);
+    const policy = orderTotalPolicy === 'reject' ? 'recompute' : orderTotalPolicy;
+    const { value, warnings } = applyTotalPolicy(currentValue, itemsResult.rows, policy);
+
+    if (value !== currentValue) {
+        await OrderModel.updateOrderValue(client, orderId, value);
+    }
+
+    return warnings;
 };
 
 /**
@@ -38,14 +371,47 @@ const formatOrderResponse = (orderRow, itemRows) => {
  * Regras de negócio:
  * - A criação do pedido e de seus itens deve ser atômica (tudo ou nada)
  * - Mantém a consistência entre pedido e itens
+ * - O valor total é conferido contra os itens conforme a política configurada
+ * - Os produtos precisam estar no catálogo; o estoque é baixado na mesma transação, com as
+ *   linhas dos produtos bloqueadas, e os preços são conferidos contra CATALOG_PRICE_POLICY
+ * - Com `idempotencyKey`, uma retentativa com o mesmo corpo devolve o resultado original
+ *   (com `replayed: true`) em vez de criar o pedido novamente
  *
  * @param {object} inputBody - Dados brutos do pedido recebidos da camada Controller.
- * @returns {Promise<{orderId: string, data: object}>} Objeto contendo o ID do pedido criado e os dados mapeados.
+ * @param {object} [options]
+ * @param {string} [options.idempotencyKey] - Valor do header Idempotency-Key.
+ * @param {string} [options.channel] - Canal de vendas (mapeador); detectado pelo payload quando ausente.
+ * @param {object} [context] - Contexto da requisição (autor registrado no histórico).
+ * @returns {Promise<{orderId: string, data: object, warnings: Array<object>, replayed?: boolean}>}
+ * Objeto contendo o ID do pedido criado, os dados mapeados e eventuais avisos.
+ * @throws {ValidationException} Quando o payload não respeita o schema de entrada, referencia
+ * um cliente ou produto não cadastrado, ou quando o valor total ou o preço de catálogo
+ * divergem com a política `reject`.
+ * @throws {IdempotencyKeyMismatchException} Quando a chave já foi usada com outro corpo.
+ * @throws {ConflictException} Quando já existe um pedido com o mesmo orderId, falta estoque ou
+ * outra requisição com a mesma Idempotency-Key ainda está em andamento.
  * @throws {Error} Caso ocorra erro em qualquer etapa da transação.
  */
-const createOrder = async (inputBody) => {
-    //Realizando mapping dos dados recebidos
-    const mappedData = mapToDatabaseFormat(inputBody);
+const createOrder = async (inputBody, { idempotencyKey, channel } = {}, context = {}) => {
+    let requestHash;
+
+    if (idempotencyKey !== undefined) {
+        IdempotencyService.assertValidKey(idempotencyKey);
+        requestHash = IdempotencyService.hashRequest(inputBody);
+
+        // Retentativa de uma requisição já concluída: devolve a resposta original
+        const replay = await IdempotencyService.findStoredResponse(idempotencyKey, requestHash);
+        if (replay) return replay;
+    }
+
+    // Validando o payload e realizando o mapping antes de abrir conexão com o banco
+    const mappedData = mapOrderInput(inputBody, channel);
+
+    const { value, warnings } = applyTotalPolicy(mappedData.value, mappedData.items);
+    mappedData.value = value;
+
+    await assertCustomerExists(mappedData.customerId);
+    await ProductService.assertProductsExist(mappedData.items);
     
     const client = await OrderModel.pool.connect();
     
@@ -53,108 +419,612 @@ const createOrder = async (inputBody) => {
         // Iniciando para salvar no banco
         await client.query('BEGIN'); 
 
-        await OrderModel.insertOrder(client, mappedData);
+        if (idempotencyKey !== undefined) {
+            const claimed = await IdempotencyService.claimKey(client, idempotencyKey, requestHash);
+
+            if (!claimed) {
+                // Outra requisição com a mesma chave foi concluída enquanto esta aguardava
+                const replay = await IdempotencyService.findStoredResponse(idempotencyKey, requestHash, client);
+
+                // Sem resposta gravada, a outra requisição ainda não terminou: o cliente deve tentar de novo
+                if (!replay) {
+                    throw new ConflictException(
+                        `A requisição com a Idempotency-Key "${idempotencyKey}" ainda está sendo processada. Tente novamente em instantes.`
+                    );
+                }
+
+                await client.query('ROLLBACK');
+                return replay;
+            }
+        }
+
+        await OrderModel.insertOrder(client, { ...mappedData, createdBy: actorOf(context) });
 
         for (const item of mappedData.items) {
             await OrderModel.insertOrderItem(client, mappedData.orderId, item);
         }
 
+        // Baixa o estoque com os produtos bloqueados: pedidos concorrentes não vendem além do saldo
+        const productsById = await ProductService.reserveStock(client, mappedData.items);
+        const priceWarnings = ProductService.checkCatalogPrices(toPriceEntries(mappedData.items), productsById);
+
+        await recordHistory(client, mappedData.orderId, 'create', null, context);
+
+        const result = { 
+            orderId: mappedData.orderId, 
+            data: mappedData,
+            warnings: [...warnings, ...priceWarnings]
+        };
+
+        if (idempotencyKey !== undefined) {
+            await IdempotencyService.saveResponse(client, idempotencyKey, 201, result);
+        }
+
         // Caso todas sejam salvos realiza o commit no banco garantindo que a transação atomica foi salva
         await client.query('COMMIT'); 
+        ordersCreated.inc();
         
         // Retorna os dados transformados e o ID
-        return { 
-            orderId: mappedData.orderId, 
-            data: mappedData 
-        };
+        return result;
 
     } catch (error) {
         // Caso dê algum erro volta todos os dados alterados ao estado inicial garantindo atomicidade na transação
         await client.query('ROLLBACK'); 
+
+        if (error.code === PG_ERROR_CODES.UNIQUE_VIOLATION && error.table === 'orders') {
+            throw new ConflictException(`O número de pedido ${mappedData.orderId} já existe.`);
+        }
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Monta, a partir dos dados mapeados de um pedido recém-criado, o mesmo formato
+ * de snapshot gravado no histórico, sem precisar reler o pedido do banco.
+ */
+const toCreatedOrderSnapshot = (mappedData, actor) => ({
+    orderId: mappedData.orderId,
+    value: Number(mappedData.value),
+    creationDate: mappedData.creationDate,
+    status: 'pending',
+    version: 1,
+    items: mappedData.items.map(item => ({
+        productId: item.productId,
+        quantity: item.quantity,
+        price: Number(item.price),
+    })),
+    externalOrderNumber: mappedData.externalOrderNumber,
+    ...(mappedData.customerId && { customerId: mappedData.customerId }),
+    createdBy: actor,
+    updatedBy: actor,
+});
+
+/**
+ * Importa um lote de pedidos no formato de entrada (numeroPedido/valorTotal/dataCriacao/items)
+ * ou no formato de outro canal de vendas.
+ *
+ * Cada pedido passa pela mesma validação, mapeamento e política de valor total de `createOrder`;
+ * sem canal informado, o mapeador é detectado individualmente para cada pedido.
+ * Os válidos são gravados com INSERTs de várias linhas (pedidos, itens e histórico) em uma
+ * única transação; orderId já existentes são detectados pelo próprio INSERT (ON CONFLICT).
+ *
+ * Modos:
+ * - best-effort (padrão): grava os pedidos válidos e reporta os demais
+ * - atômico (`atomic`): qualquer pedido inválido ou duplicado cancela o lote inteiro
+ *
+ * @param {Array<object>} inputOrders - Pedidos no formato de entrada.
+ * @param {object} [options]
+ * @param {boolean} [options.atomic=false] - Tudo ou nada.
+ * @param {string} [options.channel] - Canal de vendas (mapeador) de todos os pedidos do lote.
+ * @param {object} [context] - Contexto da requisição (autor registrado no histórico).
+ *
+ * @returns {Promise<{atomic: boolean, committed: boolean, summary: object, results: Array<object>}>}
+ * Resultado por registro (na ordem recebida): `created`, `duplicate`, `invalid` (inclusive por
+ * referenciar um cliente ou produto não cadastrado ou por falta de estoque) ou, no modo atômico
+ * com falhas, `rolled_back` para os pedidos que seriam criados.
+ *
+ * @throws {ValidationException} Quando o corpo não é uma lista de 1 a BULK_MAX_ORDERS pedidos.
+ */
+const createOrdersBulk = async (inputOrders, { atomic = false, channel } = {}, context = {}) => {
+    validate(bulkOrdersSchema, inputOrders, 'Lote de pedidos inválido.');
+
+    // Um canal inexistente invalida o lote inteiro, e não cada pedido
+    if (channel !== undefined) getMapper(channel);
+
+    const results = new Array(inputOrders.length);
+    const candidates = [];
+    const seenOrderIds = new Set();
+
+    inputOrders.forEach((inputBody, index) => {
+        try {
+            const mappedData = mapOrderInput(inputBody, channel);
+            const { value, warnings } = applyTotalPolicy(mappedData.value, mappedData.items);
+            mappedData.value = value;
+
+            if (seenOrderIds.has(mappedData.orderId)) {
+                results[index] = { index, orderId: mappedData.orderId, status: 'duplicate', reason: 'orderId repetido no lote.' };
+                return;
+            }
+
+            seenOrderIds.add(mappedData.orderId);
+            candidates.push({ index, mappedData, warnings });
+
+        } catch (error) {
+            if (!(error instanceof ValidationException)) throw error;
+            results[index] = { index, status: 'invalid', reason: error.message, errors: error.errors };
+        }
+    });
+
+    // Pedidos que referenciam clientes não cadastrados são inválidos (uma única consulta para o lote)
+    const unknownCustomerIds = await findUnknownCustomerIds(candidates.map(({ mappedData }) => mappedData.customerId));
+
+    if (unknownCustomerIds.size > 0) {
+        const valid = candidates.filter(({ index, mappedData }) => {
+            if (!unknownCustomerIds.has(mappedData.customerId)) return true;
+
+            const error = unknownCustomerError(mappedData.customerId);
+            results[index] = { index, orderId: mappedData.orderId, status: 'invalid', reason: error.message, errors: error.errors };
+            return false;
+        });
+        candidates.splice(0, candidates.length, ...valid);
+    }
+
+    const buildResponse = (committed) => {
+        const summary = { created: 0, duplicate: 0, invalid: 0, rolled_back: 0 };
+        results.forEach(result => { summary[result.status] += 1; });
+        return { atomic, committed, summary, results };
+    };
+
+    // No modo atômico, qualquer falha cancela o lote
+    const rollBackCandidates = () => {
+        for (const { index, mappedData } of candidates) {
+            if (!results[index]) {
+                results[index] = { index, orderId: mappedData.orderId, status: 'rolled_back', reason: 'Lote atômico cancelado por falha em outro pedido.' };
+            }
+        }
+        return buildResponse(false);
+    };
+
+    if (atomic && candidates.length < inputOrders.length) {
+        return rollBackCandidates();
+    }
+
+    if (candidates.length === 0) {
+        return buildResponse(false);
+    }
+
+    const client = await OrderModel.pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        // Reserva o estoque na ordem do lote, com os produtos bloqueados até o COMMIT. Pedidos sem
+        // estoque (ou com preço recusado pelo catálogo) são inválidos; a baixa só é aplicada aos
+        // pedidos efetivamente criados
+        const productsById = await ProductService.lockProducts(
+            client,
+            candidates.flatMap(({ mappedData }) => mappedData.items.map(item => Number(item.productId)))
+        );
+        const available = new Map([...productsById].map(([productId, row]) => [productId, { ...row }]));
+
+        const reserved = candidates.filter(candidate => {
+            const { index, mappedData } = candidate;
+
+            try {
+                const quantities = ProductService.sumQuantitiesByProduct(mappedData.items);
+                ProductService.checkStock(available, quantities);
+
+                const priceWarnings = ProductService.checkCatalogPrices(toPriceEntries(mappedData.items), productsById);
+
+                for (const [productId, quantity] of quantities) {
+                    available.get(productId).stockonhand -= quantity;
+                }
+                candidate.warnings = [...candidate.warnings, ...priceWarnings];
+                return true;
+
+            } catch (error) {
+                if (!(error instanceof ValidationException || error instanceof ConflictException)) throw error;
+                results[index] = { index, orderId: mappedData.orderId, status: 'invalid', reason: error.message, errors: error.errors };
+                return false;
+            }
+        });
+
+        if (atomic && reserved.length < candidates.length) {
+            await client.query('ROLLBACK');
+            return rollBackCandidates();
+        }
+
+        if (reserved.length === 0) {
+            await client.query('ROLLBACK');
+            return buildResponse(false);
+        }
+
+        const insertedRows = await OrderModel.insertOrdersBatch(
+            client,
+            reserved.map(candidate => ({ ...candidate.mappedData, createdBy: actorOf(context) }))
+        );
+        const insertedIds = new Set(insertedRows.map(row => row.orderid));
+
+        const created = [];
+        for (const candidate of reserved) {
+            if (insertedIds.has(candidate.mappedData.orderId)) {
+                created.push(candidate);
+            } else {
+                results[candidate.index] = { index: candidate.index, orderId: candidate.mappedData.orderId, status: 'duplicate', reason: 'O número de pedido já existe.' };
+            }
+        }
+
+        if (atomic && created.length < candidates.length) {
+            await client.query('ROLLBACK');
+            return rollBackCandidates();
+        }
+
+        const items = created.flatMap(({ mappedData }) =>
+            mappedData.items.map(item => ({ orderId: mappedData.orderId, ...item }))
+        );
+        await OrderModel.insertOrderItemsBatch(client, items);
+
+        await ProductService.applyStock(client, productsById, ProductService.sumQuantitiesByProduct(items));
+
+        const historyEntries = created.map(({ mappedData }) => ({
+            orderId: mappedData.orderId,
+            operation: 'create',
+            actor: actorOf(context),
+            before: null,
+            after: toCreatedOrderSnapshot(mappedData, actorOf(context)),
+        }));
+
+        await OrderHistoryModel.insertOrderHistoryBatch(client, historyEntries);
+        await WebhookService.enqueueOrderEvents(client, historyEntries);
+
+        await client.query('COMMIT');
+        ordersCreated.inc({}, created.length);
+
+        for (const { index, mappedData, warnings } of created) {
+            results[index] = {
+                index,
+                orderId: mappedData.orderId,
+                status: 'created',
+                ...(warnings.length > 0 && { warnings }),
+            };
+        }
+
+        return buildResponse(true);
+
+    } catch (error) {
+        await client.query('ROLLBACK');
         throw error;
     } finally {
         client.release();
     }
 };
 
+// Pedido e itens em uma única consulta; null quando o pedido não existe (nem removido logicamente)
+const loadOrderDetails = async (orderId) => {
+    const result = await OrderModel.findOrderWithItems(orderId);
+
+    if (result.rows.length === 0) return null;
+
+    // Pedido sem itens: o LEFT JOIN devolve as colunas do item nulas
+    return formatOrderResponse(result.rows[0], result.rows.filter(row => row.productid !== null));
+};
+
 /**
  * Recupera os detalhes completos de um pedido, incluindo seu cabeçalho e os itens associados.
  *
+ * A leitura passa pelo cache de pedidos (cache/index.js), invalidado após o COMMIT de cada
+ * alteração. O cache guarda também os pedidos removidos logicamente, que só são retornados
+ * com `includeDeleted=true`.
+ *
  * @param {string} orderId - Identificador único do pedido que será consultado.
+ * @param {object} [queryParams] - Parâmetros da query string (includeDeleted).
+ * @param {object} [context] - Contexto da requisição (includeDeleted exige o papel admin).
  * @returns {Promise<object|null>} Objeto contendo os dados do pedido e sua lista de itens, 
  *                                 ou `null` caso nenhum pedido seja encontrado.
  *  
+ * @throws {ValidationException} Quando algum parâmetro é inválido.
+ * @throws {ForbiddenException} Quando includeDeleted é pedido sem o papel admin.
  * @throws {ResourceNotFoundException} Lançada quando o pedido não existe.
  */
-const getOrderDetails = async (orderId) => {
-    const orderResult = await OrderModel.findOrderById(orderId);
-    
-    // Caso verifique que a quantidade de linhas retornadas do banco seja 0 lança a exception personalizada
-    if (orderResult.rows.length === 0) {
+const getOrderDetails = async (orderId, queryParams = {}, context = {}) => {
+    const { includeDeleted } = validateAndCoerce(getOrderQuerySchema, queryParams, 'Parâmetros de consulta inválidos.');
+    if (includeDeleted) assertRole(context.principal, 'admin', 'consultar pedidos removidos');
+
+    const order = await orderCache.getOrLoad(orderId, () => loadOrderDetails(orderId));
+
+    // Pedido inexistente, ou removido logicamente sem includeDeleted, lança a exception personalizada
+    if (!order || (order.deletedAt && !includeDeleted)) {
         throw new ResourceNotFoundException("Pedido", orderId);
     }
 
-    const orderRow = orderResult.rows[0];
+    return order;
+};
 
-    const itemsResult = await OrderModel.findItemsByOrderId(orderId);
-    
-    return formatOrderResponse(orderRow, itemsResult.rows); 
+// Valor da coluna de ordenação de uma linha, no formato guardado no cursor
+const getSortValue = (orderRow, sort) => {
+    if (sort === 'creationDate') return orderRow.creationdate.toISOString();
+    if (sort === 'value') return orderRow.value;
+    return orderRow.orderid;
+};
+
+/**
+ * Gera o cursor opaco (base64url) que aponta para a última linha de uma página.
+ * O cursor carrega a ordenação usada, para que não seja reaproveitado com outra.
+ */
+const encodeCursor = (orderRow, sort, order) => {
+    const payload = [sort, order, getSortValue(orderRow, sort), orderRow.orderid];
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Identificador de pedido aceito no cursor: até 50 caracteres (Orders.orderId), sem o byte nulo que o PostgreSQL recusa
+const isCursorOrderId = (value) => typeof value === 'string' && /^[^\u0000]{1,50}$/.test(value);
+
+// Formato de cada valor de ordenação no cursor (ver getSortValue), conferido antes de chegar ao SQL
+const CURSOR_SORT_VALUE_CHECKS = {
+    creationDate: (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value))
+        && new Date(value).toISOString() === value,
+    // NUMERIC(10, 2), como devolvido pelo driver
+    value: (value) => typeof value === 'string' && /^\d{1,8}(\.\d{1,2})?$/.test(value),
+    orderId: isCursorOrderId,
+};
+
+/**
+ * Decodifica o cursor recebido na query string.
+ *
+ * O cursor vem do cliente: o valor de ordenação e o orderId são conferidos contra o tipo
+ * da coluna, para que um cursor adulterado resulte em 400, e não em erro do banco.
+ *
+ * @throws {ValidationException} Quando o cursor é ilegível, foi adulterado ou gerado com outra ordenação.
+ */
+const decodeCursor = (cursor, sort, order) => {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        payload = null;
+    }
+
+    const isValid = Array.isArray(payload) && payload.length === 4 && payload[0] === sort && payload[1] === order
+        && CURSOR_SORT_VALUE_CHECKS[sort](payload[2]) && isCursorOrderId(payload[3]);
+
+    if (!isValid) {
+        throw new ValidationException('Parâmetros de listagem inválidos.', [
+            { field: 'cursor', message: 'cursor inválido ou gerado com outra ordenação' },
+        ]);
+    }
+
+    return { sortValue: payload[2], orderId: payload[3] };
 };
 
 /**
- * Recupera todos os pedidos registrados no banco de dados e retorna uma lista
- * simplificada contendo apenas os campos essenciais mapeados na resposta.
+ * Lista os pedidos registrados com paginação por cursor, filtros e ordenação,
+ * retornando apenas os campos essenciais de cada pedido.
  *
- * @returns {Promise<Array<{ orderId: string, value: number, creationDate: string }>>}
- * Uma lista de pedidos contendo ID, valor e data de criação.
+ * Parâmetros aceitos (query string): limit, cursor, from, to, minValue, maxValue,
+ * productId, status, customerId, sort (creationDate | value | orderId), order (asc | desc), includeTotal
+ * e includeDeleted (inclui pedidos removidos logicamente).
  *
+ * @param {object} queryParams - Parâmetros recebidos na query string.
+ * @param {object} [context] - Contexto da requisição (includeDeleted exige o papel admin).
+ * @returns {Promise<{ data: Array<{ orderId: string, value: number, creationDate: string, status: string, version: number }>, nextCursor: string|null, total?: number }>}
+ * Página de pedidos, cursor para a próxima página (null na última) e, se solicitado, o total filtrado.
+ *
+ * @throws {ValidationException} Quando algum parâmetro é inválido.
+ * @throws {ForbiddenException} Quando includeDeleted é pedido sem o papel admin.
  * @throws {Error} Propaga qualquer erro ocorrido durante a consulta ao banco.
  */
-const listAllOrders = async () => {
-    const result = await OrderModel.findAllOrders();
-    // Formata a lista para incluir apenas os campos principais
-    return result.rows.map(order => ({
-        orderId: order.orderid,
-        value: parseFloat(order.value),
-        creationDate: order.creationdate.toISOString(),
-    }));
+const listAllOrders = async (queryParams = {}, context = {}) => {
+    const options = validateAndCoerce(listOrdersQuerySchema, queryParams, 'Parâmetros de listagem inválidos.');
+    if (options.includeDeleted) assertRole(context.principal, 'admin', 'listar pedidos removidos');
+
+    if (options.cursor) {
+        options.after = decodeCursor(options.cursor, options.sort, options.order);
+    }
+
+    // Busca uma linha a mais para saber se existe próxima página
+    const result = await OrderModel.findAllOrders({ ...options, limit: options.limit + 1 });
+    const hasNextPage = result.rows.length > options.limit;
+    const rows = result.rows.slice(0, options.limit);
+
+    const page = {
+        // Formata a lista para incluir apenas os campos principais
+        data: rows.map(order => ({
+            orderId: order.orderid,
+            value: parseFloat(order.value),
+            creationDate: order.creationdate.toISOString(),
+            status: order.status,
+            version: order.version,
+            ...(order.externalordernumber && { externalOrderNumber: order.externalordernumber }),
+            ...(order.customerid && { customerId: order.customerid }),
+            ...(order.deletedat && { deletedAt: order.deletedat.toISOString() }),
+        })),
+        nextCursor: hasNextPage ? encodeCursor(rows[rows.length - 1], options.sort, options.order) : null,
+    };
+
+    if (options.includeTotal) {
+        const countResult = await OrderModel.countOrders(options);
+        page.total = parseInt(countResult.rows[0].total, 10);
+    }
+
+    return page;
 };
 
 
+// Cursor usado pela exportação; o nome só precisa ser único dentro da transação
+const EXPORT_CURSOR_NAME = 'order_export';
+
+// Linhas (itens) lidas do cursor a cada FETCH
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Percorre o cursor de exportação agrupando as linhas (uma por item) em pedidos,
+ * de forma que apenas um lote de linhas e um pedido fiquem em memória por vez.
+ *
+ * Ao terminar (ou se o consumidor interromper a leitura), a transação é encerrada
+ * e a conexão devolvida ao pool.
+ *
+ * @param {object} client - Cliente PostgreSQL com a transação e o cursor abertos.
+ * @returns {AsyncGenerator<object>} Pedidos no formato de resposta da API, com os itens.
+ */
+async function* readOrderExportCursor(client) {
+    let orderRow = null;
+    let itemRows = [];
+    let completed = false;
+
+    try {
+        while (true) {
+            const { rows } = await OrderModel.fetchFromCursor(client, EXPORT_CURSOR_NAME, EXPORT_BATCH_SIZE);
+
+            for (const row of rows) {
+                if (orderRow && orderRow.orderid !== row.orderid) {
+                    yield formatOrderResponse(orderRow, itemRows);
+                    itemRows = [];
+                }
+
+                orderRow = row;
+                // Pedido sem itens: o LEFT JOIN devolve as colunas do item nulas
+                if (row.productid !== null) itemRows.push(row);
+            }
+
+            if (rows.length < EXPORT_BATCH_SIZE) break;
+        }
+
+        if (orderRow) yield formatOrderResponse(orderRow, itemRows);
+
+        await client.query('COMMIT');
+        completed = true;
+
+    } finally {
+        if (!completed) await client.query('ROLLBACK');
+        client.release();
+    }
+}
+
+/**
+ * Prepara a exportação dos pedidos filtrados com seus itens, lida do banco por um cursor
+ * do PostgreSQL para que exportações grandes usem memória constante.
+ *
+ * Os parâmetros são validados e o cursor é aberto antes do retorno, para que erros
+ * cheguem ao Controller antes de a resposta começar a ser enviada.
+ *
+ * Parâmetros aceitos (query string): os mesmos filtros e ordenação de listAllOrders
+ * (sem limit/cursor/includeTotal) e format (csv | ndjson).
+ *
+ * @param {object} queryParams - Parâmetros recebidos na query string.
+ * @param {object} [context] - Contexto da requisição (includeDeleted exige o papel admin).
+ * @returns {Promise<{format: string, orders: AsyncGenerator<object>}>} Formato pedido e os pedidos,
+ * que devem ser percorridos até o fim (ou interrompidos) para liberar a conexão.
+ *
+ * @throws {ValidationException} Quando algum parâmetro é inválido.
+ * @throws {ForbiddenException} Quando includeDeleted é pedido sem o papel admin.
+ */
+const exportOrders = async (queryParams = {}, context = {}) => {
+    const options = validateAndCoerce(exportOrdersQuerySchema, queryParams, 'Parâmetros de exportação inválidos.');
+    if (options.includeDeleted) assertRole(context.principal, 'admin', 'exportar pedidos removidos');
+
+    const client = await OrderModel.pool.connect();
+
+    try {
+        // Somente leitura: o cursor enxerga um único snapshot durante toda a exportação
+        await client.query('BEGIN READ ONLY');
+        await OrderModel.declareOrderExportCursor(client, EXPORT_CURSOR_NAME, options);
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        client.release();
+        throw error;
+    }
+
+    return { format: options.format, orders: readOrderExportCursor(client) };
+};
+
 /**
  * Atualiza o cabeçalho de um pedido existente no banco de dados.
  *
+ * Por padrão apenas o cabeçalho é alterado e o novo valor total é conferido contra os itens
+ * já gravados: só o cabeçalho do payload é validado, e uma lista de itens enviada mesmo assim
+ * é ignorada e apontada nos avisos. Com `replaceItems`, o conjunto de itens do pedido é substituído
+ * pelos itens do payload na mesma transação, de forma que cabeçalho e linhas mudam atomicamente.
+ * O cliente do pedido só é trocado quando o payload informa um; sem ele, o atual é mantido,
+ * e com `idCliente: null` o pedido deixa de ter cliente.
+ * Na substituição dos itens, o estoque reservado passa a refletir os itens novos.
  * Em caso de falha em qualquer etapa, a transação é revertida e o erro é propagado
  * para que o controller possa retornar o status HTTP adequado.
  *
  * @param {string} orderId - Identificador único do pedido que será atualizado.
  * @param {object} inputBody - Dados enviados pelo cliente contendo novas informações do pedido.
+ * @param {object} [options]
+ * @param {boolean} [options.replaceItems=false] - Substitui todos os itens do pedido pelos do payload.
+ * @param {string} [options.ifMatch] - ETag da versão que o cliente leu (header `If-Match`).
+ * @param {string} [options.channel] - Canal de vendas (mapeador); detectado pelo payload quando ausente.
+ * @param {object} [context] - Contexto da requisição (autor registrado no histórico).
  *
- * @returns {Promise<boolean>} Retorna `true` quando a atualização ocorre com sucesso.
+ * @returns {Promise<{version: number, warnings: Array<object>}>} Nova versão do pedido e eventuais avisos.
  *
+ * @throws {ValidationException} Quando o payload não respeita o schema de entrada, referencia
+ * um cliente ou produto não cadastrado, ou quando o valor total ou o preço de catálogo
+ * divergem com a política `reject`.
  * @throws {ResourceNotFoundException} Lançada quando o pedido não existe.
+ * @throws {ConflictException} Quando falta estoque para os itens novos.
+ * @throws {InvalidStateException} Quando o pedido está em status terminal.
+ * @throws {PreconditionFailedException} Quando o pedido foi alterado desde a versão informada em `ifMatch`.
  * @throws {Error} Qualquer falha de banco ou erro interno é propagada.
  */
 
-const updateOrder = async (orderId, inputBody) => {
-    //Realizando mapping dos dados recebidos
-    const mappedData = mapToDatabaseFormat(inputBody);
+const updateOrder = async (orderId, inputBody, { replaceItems = false, ifMatch, channel } = {}, context = {}) => {
+    // Validando o payload e realizando o mapping antes de abrir conexão com o banco
+    const mapper = resolveMapper(inputBody, channel);
+    const mappedData = mapOrderInput(inputBody, mapper.name, { withItems: replaceItems });
+
+    const ignoredItemsWarnings = !replaceItems && getPath(inputBody, mapper.itemsPath) !== undefined
+        ? [{ field: mapper.itemsPath, message: 'Itens ignorados: sem replaceItems=true apenas o cabeçalho do pedido é alterado.' }]
+        : [];
+
+    await assertCustomerExists(mappedData.customerId);
+    if (replaceItems) await ProductService.assertProductsExist(mappedData.items);
 
     const client = await OrderModel.pool.connect();
     
     try {
         await client.query('BEGIN');
 
-        const order = await OrderModel.findOrderById(orderId)
+        const order = await findOrderForUpdate(client, orderId, { ifMatch });
+        assertOrderEditable(order);
 
-        if (order.rows.length === 0) {
-            throw new ResourceNotFoundException("Pedido", orderId);
+        const before = await loadOrderSnapshot(client, orderId);
+
+        let items = mappedData.items;
+        let priceWarnings = [];
+
+        if (replaceItems) {
+            await OrderModel.deleteOrderItems(client, orderId);
+            for (const item of mappedData.items) {
+                await OrderModel.insertOrderItem(client, orderId, item);
+            }
+
+            // Reserva apenas a diferença entre os itens novos e os substituídos
+            const productsById = await ProductService.reserveStock(client, [...toStockReleases(before.items), ...mappedData.items]);
+            priceWarnings = ProductService.checkCatalogPrices(toPriceEntries(mappedData.items), productsById);
+        } else {
+            const itemsResult = await OrderModel.findItemsByOrderId(orderId, client);
+            items = itemsResult.rows;
         }
 
+        const { value, warnings } = applyTotalPolicy(mappedData.value, items);
+        mappedData.value = value;
+
         await OrderModel.updateOrderHeader(client, orderId, mappedData);
 
+        const version = await bumpOrderVersion(client, orderId, context);
+
+        await recordHistory(client, orderId, 'update', before, context);
+
         await client.query('COMMIT');
-        return true;
+        ordersUpdated.inc();
+        await orderCache.invalidate(orderId);
+        return { version, warnings: [...ignoredItemsWarnings, ...warnings, ...priceWarnings] };
 
     } catch (error) {
         await client.query('ROLLBACK');
@@ -167,39 +1037,53 @@ const updateOrder = async (orderId, inputBody) => {
 /**
  * Atualiza um item específico de um pedido no banco de dados.
  *
- * Caso quantity ou price não sejam fornecidos, uma exceção é lançada imediatamente.
+ * Aceita tanto o formato de entrada (quantidadeItem/valorItem) quanto o interno (quantity/price).
+ * O payload é validado antes de qualquer acesso ao banco e, após a alteração da linha,
+ * o valor total do pedido é conferido contra os itens conforme a política configurada.
+ * A diferença de quantidade é reservada (ou devolvida) no estoque do produto.
  * Em qualquer erro durante a atualização, a transação é revertida antes de propagar a exceção.
  *
  * @param {string} orderId - Identificador do pedido ao qual o item pertence.
  * @param {string} productId - Identificador do produto que será atualizado dentro do pedido.
  * @param {object} inputItemBody - Dados enviados pelo cliente contendo os novos valores do item.
+ * @param {object} [options]
+ * @param {string} [options.ifMatch] - ETag da versão que o cliente leu (header `If-Match`).
+ * @param {object} [context] - Contexto da requisição (autor registrado no histórico).
  *
- * @returns {Promise<boolean>} `true` se o item foi atualizado, `false` se não houve alteração.
+ * @returns {Promise<{version: number, warnings: Array<object>}>} Nova versão do pedido e eventuais avisos.
  *
+ * @throws {ValidationException} Quando quantidadeItem ou valorItem estão ausentes ou inválidos,
+ * ou quando o preço de catálogo diverge com a política `reject`.
  * @throws {ResourceNotFoundException} Lançada quando o pedido não existe.
- * @throws {Error} Quando os dados enviados são inválidos ou ocorre algum erro durante a transação.
+ * @throws {ConflictException} Quando falta estoque para a nova quantidade.
+ * @throws {InvalidStateException} Quando o pedido está em status terminal.
+ * @throws {PreconditionFailedException} Quando o pedido foi alterado desde a versão informada em `ifMatch`.
+ * @throws {Error} Quando ocorre algum erro durante a transação.
  */
 
-const updateItemOrder = async (orderId, productId, inputItemBody) => {
-    const itemData = {
-        quantity: inputItemBody.quantidadeItem || inputItemBody.quantity, // Aceita os dois formatos
-        price: inputItemBody.valorItem || inputItemBody.price,
+const updateItemOrder = async (orderId, productId, inputItemBody = {}, { ifMatch } = {}, context = {}) => {
+    // Aceita os dois formatos, priorizando o formato de entrada
+    const normalizedBody = {
+        quantidadeItem: inputItemBody.quantidadeItem ?? inputItemBody.quantity,
+        valorItem: inputItemBody.valorItem ?? inputItemBody.price,
     };
 
-    if (itemData.quantity === undefined || itemData.price === undefined) {
-        throw new Error("Dados de atualização do item inválidos: 'quantidadeItem' ou 'valorItem' são obrigatórios.");
-    }
+    validate(itemUpdateSchema, normalizedBody, 'Dados de atualização do item inválidos.');
 
-    const orderResult = await OrderModel.findOrderById(orderId); 
+    const itemData = {
+        quantity: normalizedBody.quantidadeItem,
+        price: normalizedBody.valorItem,
+    };
 
-    if (orderResult.rows.length === 0) {
-        throw new ResourceNotFoundException("Pedido", orderId);
-    }
-    
     const client = await OrderModel.pool.connect();
     
     try {
         await client.query('BEGIN');
+
+        const order = await findOrderForUpdate(client, orderId, { ifMatch });
+        assertOrderEditable(order);
+
+        const before = await loadOrderSnapshot(client, orderId);
         
         const updateResult = await OrderModel.updateOrderItem(client, orderId, productId, itemData);
 
@@ -208,9 +1092,227 @@ const updateItemOrder = async (orderId, productId, inputItemBody) => {
             throw new ResourceNotFoundException(`Item ${productId} no Pedido`, orderId);
         }
 
+        // Reserva (ou devolve) a diferença de quantidade; o produto é bloqueado mesmo sem diferença,
+        // para a conferência do preço de catálogo
+        const previous = before.items.find(item => item.productId === Number(productId));
+        const productsById = await ProductService.reserveStock(client, [
+            { productId: previous.productId, quantity: itemData.quantity - previous.quantity },
+        ]);
+        const priceWarnings = ProductService.checkCatalogPrices(
+            [{ field: 'valorItem', productId: previous.productId, price: itemData.price }],
+            productsById
+        );
+
+        // Confere o valor total do pedido contra os itens já com a linha alterada
+        const warnings = [...await reconcileOrderTotal(client, orderId, order.value), ...priceWarnings];
+
+        const version = await bumpOrderVersion(client, orderId, context);
+
+        await recordHistory(client, orderId, 'item_update', before, context);
+
         await client.query('COMMIT');
+        ordersUpdated.inc();
+        await orderCache.invalidate(orderId);
         
-        return updateResult.rowCount > 0;
+        return { version, warnings };
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Adiciona um novo item (linha) a um pedido existente.
+ *
+ * O item é recebido no formato de entrada (idItem/quantidadeItem/valorItem) e, após a inclusão,
+ * o valor total do pedido é conferido contra os itens conforme a política configurada.
+ *
+ * @param {string} orderId - Identificador do pedido que receberá o item.
+ * @param {object} inputItemBody - Item no formato de entrada.
+ * @param {object} [options]
+ * @param {string} [options.ifMatch] - ETag da versão que o cliente leu (header `If-Match`).
+ * @param {object} [context] - Contexto da requisição (autor registrado no histórico).
+ *
+ * @returns {Promise<{item: object, version: number, warnings: Array<object>}>} Item incluído (formato interno),
+ * nova versão do pedido e eventuais avisos.
+ *
+ * @throws {ValidationException} Quando o item é inválido, o produto não está no catálogo ou o
+ * preço de catálogo diverge com a política `reject`.
+ * @throws {ResourceNotFoundException} Lançada quando o pedido não existe.
+ * @throws {ConflictException} Quando o pedido já possui um item com o mesmo produto ou falta estoque.
+ * @throws {InvalidStateException} Quando o pedido está em status terminal.
+ * @throws {PreconditionFailedException} Quando o pedido foi alterado desde a versão informada em `ifMatch`.
+ */
+const addItemOrder = async (orderId, inputItemBody, { ifMatch } = {}, context = {}) => {
+    validate(orderItemSchema, inputItemBody, 'Dados do item inválidos.');
+
+    const item = {
+        productId: parseInt(inputItemBody.idItem, 10),
+        quantity: inputItemBody.quantidadeItem,
+        price: inputItemBody.valorItem,
+    };
+
+    await ProductService.assertProductsExist([item]);
+
+    const client = await OrderModel.pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const order = await findOrderForUpdate(client, orderId, { ifMatch });
+        assertOrderEditable(order);
+
+        const existing = await OrderModel.findOrderItem(client, orderId, item.productId);
+
+        if (existing.rows.length > 0) {
+            throw new ConflictException(`O Pedido ${orderId} já possui o item ${item.productId}.`);
+        }
+
+        const before = await loadOrderSnapshot(client, orderId);
+
+        await OrderModel.insertOrderItem(client, orderId, item);
+
+        const productsById = await ProductService.reserveStock(client, [item]);
+        const priceWarnings = ProductService.checkCatalogPrices(
+            [{ field: 'valorItem', productId: item.productId, price: item.price }],
+            productsById
+        );
+
+        const warnings = [...await reconcileOrderTotal(client, orderId, order.value), ...priceWarnings];
+
+        const version = await bumpOrderVersion(client, orderId, context);
+
+        await recordHistory(client, orderId, 'item_add', before, context);
+
+        await client.query('COMMIT');
+        ordersUpdated.inc();
+        await orderCache.invalidate(orderId);
+
+        return { item, version, warnings };
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Remove um item (linha) de um pedido existente.
+ *
+ * Após a remoção, o item volta ao estoque e o valor total do pedido é conferido
+ * contra os itens restantes conforme a política configurada.
+ *
+ * @param {string} orderId - Identificador do pedido.
+ * @param {number} productId - Produto cujo item será removido.
+ * @param {object} [options]
+ * @param {string} [options.ifMatch] - ETag da versão que o cliente leu (header `If-Match`).
+ * @param {object} [context] - Contexto da requisição (autor registrado no histórico).
+ *
+ * @returns {Promise<{version: number, warnings: Array<object>}>} Nova versão do pedido e eventuais avisos.
+ *
+ * @throws {ResourceNotFoundException} Lançada quando o pedido ou o item não existe.
+ * @throws {InvalidStateException} Quando o pedido está em status terminal.
+ * @throws {PreconditionFailedException} Quando o pedido foi alterado desde a versão informada em `ifMatch`.
+ */
+const removeItemOrder = async (orderId, productId, { ifMatch } = {}, context = {}) => {
+    const client = await OrderModel.pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const order = await findOrderForUpdate(client, orderId, { ifMatch });
+        assertOrderEditable(order);
+
+        const before = await loadOrderSnapshot(client, orderId);
+
+        const deleteResult = await OrderModel.deleteOrderItem(client, orderId, productId);
+
+        if (deleteResult.rowCount === 0) {
+            throw new ResourceNotFoundException(`Item ${productId} no Pedido`, orderId);
+        }
+
+        await ProductService.reserveStock(client, toStockReleases(before.items.filter(item => item.productId === Number(productId))));
+
+        const warnings = await reconcileOrderTotal(client, orderId, order.value);
+
+        const version = await bumpOrderVersion(client, orderId, context);
+
+        await recordHistory(client, orderId, 'item_remove', before, context);
+
+        await client.query('COMMIT');
+        ordersUpdated.inc();
+        await orderCache.invalidate(orderId);
+
+        return { version, warnings };
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Altera o status de um pedido respeitando a máquina de estados (ORDER_STATUS_TRANSITIONS).
+ *
+ * A linha do pedido é bloqueada durante a transação, de forma que duas transições
+ * concorrentes não partam do mesmo status de origem. O cancelamento devolve os itens ao estoque.
+ *
+ * @param {string} orderId - Identificador do pedido.
+ * @param {object} inputBody - Corpo da requisição contendo o novo `status`.
+ * @param {object} [options]
+ * @param {string} [options.ifMatch] - ETag da versão que o cliente leu (header `If-Match`).
+ * @param {object} [context] - Contexto da requisição (autor registrado no histórico).
+ *
+ * @returns {Promise<{orderId: string, previousStatus: string, status: string, version: number}>}
+ * Status anterior e atual e a nova versão do pedido.
+ *
+ * @throws {ValidationException} Quando o status informado não existe.
+ * @throws {ResourceNotFoundException} Lançada quando o pedido não existe.
+ * @throws {InvalidStateException} Quando a transição não é permitida a partir do status atual.
+ * @throws {PreconditionFailedException} Quando o pedido foi alterado desde a versão informada em `ifMatch`.
+ */
+const changeOrderStatus = async (orderId, inputBody, { ifMatch } = {}, context = {}) => {
+    validate(statusUpdateSchema, inputBody, 'Dados de status inválidos.');
+
+    const client = await OrderModel.pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const order = await findOrderForUpdate(client, orderId, { ifMatch });
+        const allowed = ORDER_STATUS_TRANSITIONS[order.status];
+
+        if (!allowed.includes(inputBody.status)) {
+            throw new InvalidStateException(
+                `Transição de status "${order.status}" para "${inputBody.status}" não permitida para o Pedido ${orderId}.`
+            );
+        }
+
+        const before = await loadOrderSnapshot(client, orderId);
+
+        await OrderModel.updateOrderStatus(client, orderId, inputBody.status);
+
+        // Pedido cancelado devolve os itens ao estoque
+        if (inputBody.status === 'cancelled') {
+            await ProductService.reserveStock(client, toStockReleases(before.items));
+        }
+
+        const version = await bumpOrderVersion(client, orderId, context);
+
+        await recordHistory(client, orderId, 'status_change', before, context);
+
+        await client.query('COMMIT');
+        ordersUpdated.inc();
+        await orderCache.invalidate(orderId);
+
+        return { orderId, previousStatus: order.status, status: inputBody.status, version };
 
     } catch (error) {
         await client.query('ROLLBACK');
@@ -221,30 +1323,207 @@ const updateItemOrder = async (orderId, productId, inputItemBody) => {
 };
 
 /**
- * Remove um pedido do banco de dados com base no seu identificador.
+ * Remove logicamente um pedido com base no seu identificador.
  *
- * A função delega ao OrderModel a exclusão do cabeçalho do pedido.  
- * Como a tabela de itens já deve estar configurada com ON DELETE CASCADE
- * (ou lógica equivalente no Model), não é necessário remover os itens manualmente.
+ * O pedido não é apagado: recebe a data de remoção em `deletedAt` e passa a ser ignorado
+ * pelas consultas. Os itens são mantidos, permitindo a restauração (restoreDeletedOrder),
+ * até que o expurgo (purgeDeletedOrders) os remova definitivamente, e voltam ao estoque.
+ * Pedidos em status terminal não podem ser removidos.
  *
  * @param {string} orderId - Identificador único do pedido que será deletado.
+ * @param {object} [options]
+ * @param {string} [options.ifMatch] - ETag da versão que o cliente leu (header `If-Match`).
+ * @param {object} [context] - Contexto da requisição (autor registrado no histórico).
  *
- * @returns {Promise<boolean>}
- * Retorna `true` se o pedido foi encontrado e removido, 
- * ou `false` caso nenhum registro tenha sido afetado.
+ * @returns {Promise<void>}
  *
+ * @throws {ResourceNotFoundException} Lançada quando o pedido não existe (ou já foi removido).
+ * @throws {InvalidStateException} Quando o pedido está em status terminal.
+ * @throws {PreconditionFailedException} Quando o pedido foi alterado desde a versão informada em `ifMatch`.
  * @throws {Error} Propaga erros provenientes da operação no banco de dados.
  */
-const deleteOrder = async (orderId) => {
-    const result = await OrderModel.deleteOrderHeader(orderId);
-    if (result.rowCount === 0) throw new ResourceNotFoundException("Pedido", orderId);
+const deleteOrder = async (orderId, { ifMatch } = {}, context = {}) => {
+    const client = await OrderModel.pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const order = await findOrderForUpdate(client, orderId, { ifMatch });
+        assertOrderEditable(order);
+
+        const before = await loadOrderSnapshot(client, orderId);
+
+        await OrderModel.softDeleteOrder(client, orderId);
+
+        // Os itens voltam ao estoque; restoreDeletedOrder os reserva novamente
+        await ProductService.reserveStock(client, toStockReleases(before.items));
+
+        await bumpOrderVersion(client, orderId, context);
+
+        await recordHistory(client, orderId, 'delete', before, context);
+
+        await client.query('COMMIT');
+        ordersDeleted.inc();
+        await orderCache.invalidate(orderId);
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Restaura um pedido removido logicamente, tornando-o novamente visível com seus itens,
+ * que voltam a ser reservados no estoque.
+ *
+ * @param {string} orderId - Identificador do pedido.
+ * @param {object} [context] - Contexto da requisição (autor registrado no histórico).
+ *
+ * @returns {Promise<object>} Pedido restaurado, no formato de resposta da API.
+ *
+ * @throws {ResourceNotFoundException} Lançada quando o pedido não existe (ou já foi expurgado).
+ * @throws {InvalidStateException} Quando o pedido não está removido.
+ * @throws {ConflictException} Quando não há mais estoque para os itens do pedido.
+ */
+const restoreDeletedOrder = async (orderId, context = {}) => {
+    const client = await OrderModel.pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const order = await findOrderForUpdate(client, orderId, { includeDeleted: true });
+
+        if (!order.deletedat) {
+            throw new InvalidStateException(`O Pedido ${orderId} não está removido.`);
+        }
+
+        const before = await loadOrderSnapshot(client, orderId, { includeDeleted: true });
+
+        await OrderModel.restoreOrder(client, orderId);
+
+        await ProductService.reserveStock(client, before.items);
+
+        await bumpOrderVersion(client, orderId, context);
+
+        await recordHistory(client, orderId, 'restore', before, context);
+
+        const restored = await loadOrderSnapshot(client, orderId);
+
+        await client.query('COMMIT');
+        ordersUpdated.inc();
+        await orderCache.invalidate(orderId);
+
+        return restored;
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Expurga (remove definitivamente) os pedidos removidos logicamente há mais tempo
+ * que o período de retenção, junto com seus itens (ON DELETE CASCADE).
+ *
+ * O histórico dos pedidos é mantido e recebe uma entrada `purge` para cada pedido expurgado,
+ * com o último estado do pedido em `before`.
+ *
+ * @param {object} [inputBody] - Opcionalmente `retentionDays`; padrão ORDER_RETENTION_DAYS.
+ * @param {object} [context] - Contexto da requisição (autor registrado no histórico).
+ *
+ * @returns {Promise<{deletedBefore: string, purged: number, orderIds: Array<string>}>}
+ * Data de corte utilizada e pedidos expurgados.
+ *
+ * @throws {ValidationException} Quando retentionDays é inválido.
+ */
+const purgeDeletedOrders = async (inputBody = {}, context = {}) => {
+    validate(purgeOrdersSchema, inputBody, 'Parâmetros de expurgo inválidos.');
+
+    const retentionDays = inputBody.retentionDays ?? orderRetentionDays;
+    const deletedBefore = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+    const client = await OrderModel.pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const purgeableResult = await OrderModel.findPurgeableOrderIdsForUpdate(client, deletedBefore);
+        const orderIds = purgeableResult.rows.map(row => row.orderid);
+
+        // Último estado de cada pedido, gravado como `before` da entrada `purge` do histórico
+        const snapshots = [];
+        for (const orderId of orderIds) {
+            snapshots.push(await loadOrderSnapshot(client, orderId, { includeDeleted: true }));
+        }
+
+        await OrderModel.purgeOrders(client, orderIds);
+
+        for (const [index, orderId] of orderIds.entries()) {
+            await recordHistory(client, orderId, 'purge', snapshots[index], context);
+        }
+
+        await client.query('COMMIT');
+        await orderCache.invalidate(...orderIds);
+
+        return { deletedBefore: deletedBefore.toISOString(), purged: orderIds.length, orderIds };
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Recupera o histórico de alterações de um pedido, em ordem cronológica.
+ *
+ * O histórico continua disponível mesmo após a exclusão do pedido.
+ *
+ * @param {string} orderId - Identificador do pedido.
+ * @returns {Promise<Array<{operation: string, actor: string, changedAt: string, before: object|null, after: object|null}>>}
+ * Entradas do histórico com o estado anterior e posterior de cada operação.
+ *
+ * @throws {ResourceNotFoundException} Quando o pedido não existe e não possui histórico.
+ */
+const getOrderHistory = async (orderId) => {
+    const historyResult = await OrderHistoryModel.findHistoryByOrderId(orderId);
+
+    if (historyResult.rows.length === 0) {
+        const orderResult = await OrderModel.findOrderById(orderId, OrderModel.pool, { includeDeleted: true });
+        if (orderResult.rows.length === 0) {
+            throw new ResourceNotFoundException("Pedido", orderId);
+        }
+    }
+
+    return historyResult.rows.map(entry => ({
+        historyId: Number(entry.historyid),
+        orderId: entry.orderid,
+        operation: entry.operation,
+        actor: entry.actor,
+        changedAt: entry.changedat.toISOString(),
+        before: entry.before,
+        after: entry.after,
+    }));
 };
 
 module.exports = {
   createOrder,
+  createOrdersBulk,
   getOrderDetails,
   listAllOrders,
+  exportOrders,
   updateOrder,
   deleteOrder,
-  updateItemOrder
+  updateItemOrder,
+  addItemOrder,
+  removeItemOrder,
+  changeOrderStatus,
+  getOrderHistory,
+  restoreDeletedOrder,
+  purgeDeletedOrders
 };
\ No newline at end of file
@@ -0,0 +1,364 @@
+const ProductModel = require('../models/ProductModel');
+const { validate, validateAndCoerce } = require('../utils/validator');
+const {
+    productCreateSchema,
+    productUpdateSchema,
+    stockAdjustmentSchema,
+    listProductsQuerySchema,
+} = require('../schemas/ProductSchema');
+const { toCents, fromCents } = require('../utils/decimal');
+const { PG_ERROR_CODES } = require('../utils/pgErrors');
+const { catalogPricePolicy } = require('../config/app');
+const ValidationException = require('../exceptions/ValidationException');
+const ResourceNotFoundException = require('../exceptions/ResourceNotFoundException');
+const ConflictException = require('../exceptions/ConflictException');
+
+const formatProduct = (row) => ({
+    productId: row.productid,
+    name: row.name,
+    listPrice: parseFloat(row.listprice),
+    stockOnHand: row.stockonhand,
+    createdAt: row.createdat.toISOString(),
+    updatedAt: row.updatedat.toISOString(),
+});
+
+// O productId da URL precisa ser um inteiro positivo (mesma faixa da coluna INTEGER)
+const parseProductId = (productId) => {
+    const parsed = Number(productId);
+
+    if (!/^\d+$/.test(String(productId)) || parsed < 1 || parsed > 2147483647) {
+        throw new ResourceNotFoundException('Produto', productId);
+    }
+    return parsed;
+};
+
+/**
+ * Cadastra um produto no catálogo. O `productId` é o mesmo código informado nos
+ * itens dos pedidos (`idItem`).
+ *
+ * @param {object} inputBody - `productId`, `name`, `listPrice` e, opcionalmente, `stockOnHand` (padrão 0).
+ * @returns {Promise<object>} Produto cadastrado.
+ * @throws {ValidationException} Quando o payload é inválido.
+ * @throws {ConflictException} Quando já existe um produto com o mesmo productId.
+ */
+const createProduct = async (inputBody) => {
+    validate(productCreateSchema, inputBody, 'Dados do produto inválidos.');
+
+    try {
+        const result = await ProductModel.insertProduct({
+            productId: inputBody.productId,
+            name: inputBody.name,
+            listPrice: inputBody.listPrice,
+            stockOnHand: inputBody.stockOnHand ?? 0,
+        });
+        return formatProduct(result.rows[0]);
+
+    } catch (error) {
+        if (error.code === PG_ERROR_CODES.UNIQUE_VIOLATION && error.table === 'products') {
+            throw new ConflictException(`O produto ${inputBody.productId} já existe.`);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Lista os produtos em ordem de productId, com paginação por cursor.
+ *
+ * Parâmetros aceitos (query string): limit (1 a 100, padrão 20) e cursor.
+ *
+ * @param {object} queryParams - Parâmetros recebidos na query string.
+ * @returns {Promise<{data: Array<object>, nextCursor: string|null}>}
+ * @throws {ValidationException} Quando algum parâmetro é inválido.
+ */
+const listProducts = async (queryParams = {}) => {
+    const { limit, cursor } = validateAndCoerce(listProductsQuerySchema, queryParams, 'Parâmetros de listagem inválidos.');
+
+    let afterProductId;
+    if (cursor !== undefined) {
+        afterProductId = Number(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+        if (!Number.isInteger(afterProductId)) {
+            throw new ValidationException('Parâmetros de listagem inválidos.', [
+                { field: 'cursor', message: 'cursor inválido' },
+            ]);
+        }
+    }
+
+    // Busca uma linha a mais para saber se existe próxima página
+    const result = await ProductModel.findAllProducts({ limit: limit + 1, afterProductId });
+    const rows = result.rows.slice(0, limit);
+    const hasNextPage = result.rows.length > limit;
+
+    return {
+        data: rows.map(formatProduct),
+        nextCursor: hasNextPage ? Buffer.from(String(rows[rows.length - 1].productid)).toString('base64url') : null,
+    };
+};
+
+/**
+ * Obtém um produto.
+ *
+ * @param {string|number} productId - Identificador do produto.
+ * @returns {Promise<object>}
+ * @throws {ResourceNotFoundException} Quando o produto não existe.
+ */
+const getProduct = async (productId) => {
+    const result = await ProductModel.findProductById(parseProductId(productId));
+
+    if (result.rows.length === 0) {
+        throw new ResourceNotFoundException('Produto', productId);
+    }
+    return formatProduct(result.rows[0]);
+};
+
+/**
+ * Substitui o nome e o preço de catálogo de um produto. O estoque não é alterado aqui
+ * (ver adjustStock). Pedidos já gravados mantêm o preço de cada item.
+ *
+ * @param {string|number} productId - Identificador do produto.
+ * @param {object} inputBody - `name` e `listPrice`.
+ * @returns {Promise<object>} Produto atualizado.
+ * @throws {ValidationException} Quando o payload é inválido.
+ * @throws {ResourceNotFoundException} Quando o produto não existe.
+ */
+const updateProduct = async (productId, inputBody) => {
+    const id = parseProductId(productId);
+    validate(productUpdateSchema, inputBody, 'Dados do produto inválidos.');
+
+    const result = await ProductModel.updateProduct(id, { name: inputBody.name, listPrice: inputBody.listPrice });
+
+    if (result.rows.length === 0) {
+        throw new ResourceNotFoundException('Produto', productId);
+    }
+    return formatProduct(result.rows[0]);
+};
+
+/**
+ * Registra uma entrada (quantidade positiva) ou baixa (negativa) de estoque. O ajuste é
+ * relativo ao saldo atual, então não desfaz reservas de pedidos gravados em paralelo.
+ *
+ * @param {string|number} productId - Identificador do produto.
+ * @param {object} inputBody - `quantity`, diferente de zero.
+ * @returns {Promise<object>} Produto com o novo saldo.
+ * @throws {ValidationException} Quando o payload é inválido.
+ * @throws {ResourceNotFoundException} Quando o produto não existe.
+ * @throws {ConflictException} Quando a baixa deixaria o estoque negativo.
+ */
+const adjustStock = async (productId, inputBody) => {
+    const id = parseProductId(productId);
+    validate(stockAdjustmentSchema, inputBody, 'Ajuste de estoque inválido.');
+
+    const result = await ProductModel.adjustProductStock(id, inputBody.quantity);
+
+    if (result.rows.length === 0) {
+        // Sem linha atualizada: ou o produto não existe, ou o saldo não cobre a baixa
+        const product = await getProduct(id);
+        throw new ConflictException(
+            `Estoque insuficiente para o produto ${id}: disponível ${product.stockOnHand}, baixa de ${-inputBody.quantity}.`
+        );
+    }
+    return formatProduct(result.rows[0]);
+};
+
+/**
+ * Exclui um produto do catálogo. Produtos referenciados por itens de pedidos (inclusive
+ * de pedidos removidos aguardando expurgo) não podem ser excluídos; a chave estrangeira
+ * de Items garante a regra.
+ *
+ * @param {string|number} productId - Identificador do produto.
+ * @returns {Promise<void>}
+ * @throws {ResourceNotFoundException} Quando o produto não existe.
+ * @throws {ConflictException} Quando o produto está em algum pedido.
+ */
+const deleteProduct = async (productId) => {
+    const id = parseProductId(productId);
+
+    try {
+        const result = await ProductModel.deleteProduct(id);
+
+        if (result.rowCount === 0) {
+            throw new ResourceNotFoundException('Produto', productId);
+        }
+
+    } catch (error) {
+        if ([PG_ERROR_CODES.FOREIGN_KEY_VIOLATION, PG_ERROR_CODES.RESTRICT_VIOLATION].includes(error.code)) {
+            throw new ConflictException(`O produto ${id} está em pedidos e não pode ser excluído.`);
+        }
+        throw error;
+    }
+};
+
+// Erro de itens que referenciam produtos fora do catálogo
+const unknownProductsError = (productIds) => new ValidationException('Dados do pedido inválidos.', productIds.map(productId => ({
+    field: 'productId',
+    message: `produto ${productId} não cadastrado`,
+})));
+
+/**
+ * Confere, antes de abrir a transação, se os produtos dos itens estão no catálogo.
+ * A chave estrangeira de Items.productId garante a regra caso algum seja excluído em seguida.
+ *
+ * @param {Array<{productId: number}>} items - Itens no formato interno.
+ * @returns {Promise<void>}
+ * @throws {ValidationException} Quando algum produto não está cadastrado.
+ */
+const assertProductsExist = async (items) => {
+    const productIds = [...new Set(items.map(item => Number(item.productId)))];
+    if (productIds.length === 0) return;
+
+    const result = await ProductModel.findExistingProductIds(productIds);
+    const existing = new Set(result.rows.map(row => row.productid));
+    const unknown = productIds.filter(productId => !existing.has(productId));
+
+    if (unknown.length > 0) {
+        throw unknownProductsError(unknown);
+    }
+};
+
+/**
+ * Soma as quantidades por produto.
+ *
+ * @param {Array<{productId: number, quantity: number}>} items - Itens no formato interno.
+ * @returns {Map<number, number>} Quantidade total de cada produto.
+ */
+const sumQuantitiesByProduct = (items) => {
+    const quantities = new Map();
+
+    for (const item of items) {
+        const productId = Number(item.productId);
+        quantities.set(productId, (quantities.get(productId) || 0) + Number(item.quantity));
+    }
+    return quantities;
+};
+
+/**
+ * Bloqueia (SELECT ... FOR UPDATE) os produtos informados até o fim da transação do
+ * chamador. Pedidos concorrentes com os mesmos produtos esperam o COMMIT um do outro,
+ * então o saldo conferido não muda antes da baixa.
+ *
+ * @param {import('pg').PoolClient} client - Conexão com a transação aberta.
+ * @param {Iterable<number>} productIds - Produtos a bloquear.
+ * @returns {Promise<Map<number, object>>} Linhas dos produtos encontrados, por productId.
+ */
+const lockProducts = async (client, productIds) => {
+    const ids = [...new Set(productIds)];
+    if (ids.length === 0) return new Map();
+
+    const result = await ProductModel.findProductsByIdsForUpdate(client, ids);
+    return new Map(result.rows.map(row => [row.productid, row]));
+};
+
+/**
+ * Confere se o catálogo cobre as quantidades a reservar. Devoluções (quantidade negativa)
+ * e produtos sem reserva não são conferidos.
+ *
+ * @param {Map<number, object>} productsById - Produtos bloqueados (ver lockProducts).
+ * @param {Map<number, number>} quantities - Quantidade a reservar por produto.
+ * @throws {ValidationException} Quando algum produto não está cadastrado.
+ * @throws {ConflictException} Quando o estoque de algum produto é insuficiente.
+ */
+const checkStock = (productsById, quantities) => {
+    const reserved = [...quantities].filter(([, quantity]) => quantity > 0);
+
+    const unknown = reserved.filter(([productId]) => !productsById.has(productId));
+    if (unknown.length > 0) {
+        throw unknownProductsError(unknown.map(([productId]) => productId));
+    }
+
+    for (const [productId, quantity] of reserved) {
+        const { stockonhand: available } = productsById.get(productId);
+
+        if (available < quantity) {
+            throw new ConflictException(
+                `Estoque insuficiente para o produto ${productId}: disponível ${available}, solicitado ${quantity}.`
+            );
+        }
+    }
+};
+
+/**
+ * Aplica a baixa (quantidade positiva) ou a devolução (negativa) de estoque dos produtos
+ * cadastrados, na transação do chamador. Produtos fora do catálogo (itens gravados antes
+ * dele existir) são ignorados.
+ *
+ * @param {import('pg').PoolClient} client - Conexão com a transação aberta.
+ * @param {Map<number, object>} productsById - Produtos bloqueados (ver lockProducts).
+ * @param {Map<number, number>} quantities - Quantidade por produto.
+ * @returns {Promise<void>}
+ */
+const applyStock = async (client, productsById, quantities) => {
+    const changes = [...quantities].filter(([productId, quantity]) => quantity !== 0 && productsById.has(productId));
+    if (changes.length === 0) return;
+
+    await ProductModel.decrementStock(client, changes.map(([productId]) => productId), changes.map(([, quantity]) => quantity));
+};
+
+/**
+ * Reserva (quantidade positiva) ou devolve (negativa) o estoque dos itens, na transação do
+ * chamador: bloqueia os produtos, confere o saldo e aplica a diferença.
+ *
+ * @param {import('pg').PoolClient} client - Conexão com a transação aberta.
+ * @param {Array<{productId: number, quantity: number}>} items - Itens no formato interno.
+ * @returns {Promise<Map<number, object>>} Produtos envolvidos, por productId (antes da baixa).
+ * @throws {ValidationException} Quando algum produto a reservar não está cadastrado.
+ * @throws {ConflictException} Quando o estoque de algum produto é insuficiente.
+ */
+const reserveStock = async (client, items) => {
+    const quantities = sumQuantitiesByProduct(items);
+    const productsById = await lockProducts(client, quantities.keys());
+
+    checkStock(productsById, quantities);
+    await applyStock(client, productsById, quantities);
+
+    return productsById;
+};
+
+/**
+ * Compara o preço de cada item com o preço de catálogo do produto e aplica a política
+ * definida em CATALOG_PRICE_POLICY:
+ * - reject: lança ValidationException
+ * - warn: aceita o item e devolve um aviso por divergência
+ * - ignore: aceita o item sem avisos
+ *
+ * @param {Array<{field: string, productId: number, price: number|string}>} entries - Itens a conferir,
+ * com o campo do payload que recebe o aviso (ex: `items[0].valorItem`).
+ * @param {Map<number, object>} productsById - Produtos do catálogo (ver lockProducts).
+ * @param {string} [policy] - Política a aplicar; padrão CATALOG_PRICE_POLICY.
+ * @returns {Array<{field: string, message: string}>} Avisos de divergência.
+ * @throws {ValidationException} Quando a política é `reject` e algum preço diverge.
+ */
+const checkCatalogPrices = (entries, productsById, policy = catalogPricePolicy) => {
+    if (policy === 'ignore') return [];
+
+    const divergences = entries
+        .filter(entry => {
+            const product = productsById.get(Number(entry.productId));
+            return product && toCents(entry.price) !== toCents(product.listprice);
+        })
+        .map(entry => ({
+            field: entry.field,
+            message: `O preço do item (${fromCents(toCents(entry.price))}) difere do preço de catálogo ` +
+                `do produto ${entry.productId} (${fromCents(toCents(productsById.get(Number(entry.productId)).listprice))}).`,
+        }));
+
+    if (divergences.length > 0 && policy === 'reject') {
+        throw new ValidationException('Preço de item diferente do preço de catálogo.', divergences);
+    }
+    return divergences;
+};
+
+module.exports = {
+  createProduct,
+  listProducts,
+  getProduct,
+  updateProduct,
+  adjustStock,
+  deleteProduct,
+  assertProductsExist,
+  sumQuantitiesByProduct,
+  lockProducts,
+  checkStock,
+  applyStock,
+  reserveStock,
+  checkCatalogPrices,
+};
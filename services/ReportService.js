@@ -0,0 +1,144 @@
+const ReportModel = require('../models/ReportModel');
+const { validateAndCoerce } = require('../utils/validator');
+const {
+    revenueReportQuerySchema,
+    topProductsReportQuerySchema,
+    averageOrderValueReportQuerySchema,
+} = require('../schemas/ReportSchema');
+const ValidationException = require('../exceptions/ValidationException');
+
+// Limite de períodos do relatório de faturamento (ex: ~2 anos e meio agrupados por dia)
+const REPORT_MAX_PERIODS = 1000;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Quantidade (máxima) de períodos entre duas datas YYYY-MM-DD no agrupamento informado
+const countPeriods = (from, to, groupBy) => {
+    const days = (Date.parse(to) - Date.parse(from)) / MS_PER_DAY;
+
+    if (groupBy === 'day') return days + 1;
+    // Uma semana parcial em cada ponta
+    if (groupBy === 'week') return Math.floor(days / 7) + 2;
+
+    const [fromYear, fromMonth] = from.split('-').map(Number);
+    const [toYear, toMonth] = to.split('-').map(Number);
+    return (toYear - fromYear) * 12 + (toMonth - fromMonth) + 1;
+};
+
+/**
+ * Valida os parâmetros de um relatório e confere se o período é coerente.
+ *
+ * @param {object} schema - Schema da query string do relatório.
+ * @param {object} queryParams - Parâmetros recebidos na query string.
+ * @returns {object} Parâmetros convertidos, com os valores padrão preenchidos.
+ * @throws {ValidationException} Quando algum parâmetro é inválido ou `to` é anterior a `from`.
+ */
+const validateReportQuery = (schema, queryParams) => {
+    const options = validateAndCoerce(schema, queryParams, 'Parâmetros do relatório inválidos.');
+
+    if (options.to < options.from) {
+        throw new ValidationException('Parâmetros do relatório inválidos.', [
+            { field: 'to', message: 'deve ser igual ou posterior a from' },
+        ]);
+    }
+
+    return options;
+};
+
+// Período e fuso aplicados, devolvidos junto de cada relatório
+const toReportPeriod = ({ from, to, timezone }) => ({ from, to, timezone });
+
+/**
+ * Calcula o faturamento e a quantidade de pedidos por dia, semana (iniciada na segunda-feira)
+ * ou mês, no fuso horário informado. Períodos sem vendas aparecem com valores zerados.
+ *
+ * Parâmetros aceitos (query string): from e to (YYYY-MM-DD, obrigatórios e inclusivos),
+ * timezone (padrão UTC) e groupBy (day | week | month, padrão day).
+ *
+ * @param {object} queryParams - Parâmetros recebidos na query string.
+ * @returns {Promise<object>} Período aplicado, `groupBy` e `data` ([{ period, orderCount, revenue }]).
+ *
+ * @throws {ValidationException} Quando algum parâmetro é inválido ou o período tem
+ * mais de REPORT_MAX_PERIODS agrupamentos.
+ */
+const getRevenueReport = async (queryParams = {}) => {
+    const options = validateReportQuery(revenueReportQuerySchema, queryParams);
+
+    if (countPeriods(options.from, options.to, options.groupBy) > REPORT_MAX_PERIODS) {
+        throw new ValidationException('Parâmetros do relatório inválidos.', [
+            { field: 'to', message: `o período não pode ter mais de ${REPORT_MAX_PERIODS} agrupamentos (${options.groupBy})` },
+        ]);
+    }
+
+    const result = await ReportModel.findRevenueByPeriod(options);
+
+    return {
+        ...toReportPeriod(options),
+        groupBy: options.groupBy,
+        data: result.rows.map(row => ({
+            period: row.period,
+            orderCount: row.ordercount,
+            revenue: parseFloat(row.revenue),
+        })),
+    };
+};
+
+/**
+ * Lista os produtos mais vendidos no período, por quantidade ou por faturamento
+ * (soma de quantidade × preço dos itens).
+ *
+ * Parâmetros aceitos (query string): from, to, timezone, by (quantity | revenue,
+ * padrão quantity) e limit (1 a 100, padrão 10).
+ *
+ * @param {object} queryParams - Parâmetros recebidos na query string.
+ * @returns {Promise<object>} Período aplicado, `by` e `data` ([{ productId, quantity, revenue, orderCount }]).
+ *
+ * @throws {ValidationException} Quando algum parâmetro é inválido.
+ */
+const getTopProductsReport = async (queryParams = {}) => {
+    const options = validateReportQuery(topProductsReportQuerySchema, queryParams);
+
+    const result = await ReportModel.findTopProducts(options);
+
+    return {
+        ...toReportPeriod(options),
+        by: options.by,
+        data: result.rows.map(row => ({
+            productId: row.productid,
+            quantity: Number(row.quantity),
+            revenue: parseFloat(row.revenue),
+            orderCount: row.ordercount,
+        })),
+    };
+};
+
+/**
+ * Calcula o ticket médio (valor médio por pedido) do período.
+ *
+ * Parâmetros aceitos (query string): from, to e timezone.
+ *
+ * @param {object} queryParams - Parâmetros recebidos na query string.
+ * @returns {Promise<object>} Período aplicado, `orderCount`, `revenue` e `averageOrderValue`
+ * (null quando não há pedidos no período).
+ *
+ * @throws {ValidationException} Quando algum parâmetro é inválido.
+ */
+const getAverageOrderValueReport = async (queryParams = {}) => {
+    const options = validateReportQuery(averageOrderValueReportQuerySchema, queryParams);
+
+    const result = await ReportModel.findAverageOrderValue(options);
+    const row = result.rows[0];
+
+    return {
+        ...toReportPeriod(options),
+        orderCount: row.ordercount,
+        revenue: parseFloat(row.revenue),
+        averageOrderValue: row.averageordervalue === null ? null : parseFloat(row.averageordervalue),
+    };
+};
+
+module.exports = {
+  getRevenueReport,
+  getTopProductsReport,
+  getAverageOrderValueReport,
+};
@@ -0,0 +1,203 @@
+const http = require('http');
+const https = require('https');
+const WebhookModel = require('../models/WebhookModel');
+const OutboxModel = require('../models/OutboxModel');
+const { buildSignatureHeader } = require('../utils/webhookSignature');
+const { checkWebhookUrl, lookupPublicAddress } = require('../utils/webhookUrl');
+const logger = require('../utils/logger');
+const {
+    webhookPollIntervalMs,
+    webhookTimeoutMs,
+    webhookMaxAttempts,
+    webhookRetryBaseSeconds,
+    webhookRetryMaxSeconds,
+    webhookAllowPrivateUrls,
+} = require('../config/app');
+
+// Eventos do outbox distribuídos em entregas por comando
+const DISPATCH_BATCH_SIZE = 100;
+
+// Entregas enviadas em paralelo a cada rodada
+const DELIVERY_BATCH_SIZE = 20;
+
+// Tamanho máximo da mensagem de erro guardada na entrega
+const MAX_ERROR_LENGTH = 1000;
+
+const DEFAULT_OPTIONS = {
+    timeoutMs: webhookTimeoutMs,
+    maxAttempts: webhookMaxAttempts,
+    retryBaseSeconds: webhookRetryBaseSeconds,
+    retryMaxSeconds: webhookRetryMaxSeconds,
+    allowPrivateUrls: webhookAllowPrivateUrls,
+};
+
+/**
+ * Intervalo até a próxima tentativa (backoff exponencial): base × 2^(tentativa - 1), limitado ao máximo.
+ *
+ * @param {number} attempt - Número da tentativa que acabou de falhar (1 na primeira).
+ * @param {object} options - `retryBaseSeconds` e `retryMaxSeconds`.
+ * @returns {number} Segundos até a próxima tentativa.
+ */
+const retryDelaySeconds = (attempt, { retryBaseSeconds, retryMaxSeconds }) => {
+    return Math.min(retryBaseSeconds * 2 ** (attempt - 1), retryMaxSeconds);
+};
+
+// Corpo enviado ao assinante; é montado do evento gravado, idêntico em todas as tentativas
+const buildEventBody = (delivery) => JSON.stringify({
+    id: String(delivery.eventid),
+    type: delivery.eventtype,
+    occurredAt: delivery.createdat.toISOString(),
+    data: delivery.payload,
+});
+
+/**
+ * Faz o POST assinado; redirecionamentos não são seguidos e contam como falha.
+ *
+ * O destino é conferido a cada envio (ver utils/webhookUrl.js): URLs cadastradas antes da
+ * restrição ou hosts que passaram a resolver para a rede interna falham como erro de rede.
+ */
+const sendDelivery = async (delivery, { timeoutMs, allowPrivateUrls }) => {
+    const rejection = checkWebhookUrl(delivery.url, { allowPrivate: allowPrivateUrls });
+    if (rejection) {
+        throw new Error(`URL do webhook recusada: ${rejection}.`);
+    }
+
+    const url = new URL(delivery.url);
+    const body = buildEventBody(delivery);
+
+    return new Promise((resolve, reject) => {
+        const request = (url.protocol === 'https:' ? https : http).request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'gerenciadorpedidos-webhooks',
+                'X-Webhook-Id': String(delivery.eventid),
+                'X-Webhook-Event': delivery.eventtype,
+                'X-Webhook-Delivery': String(delivery.deliveryid),
+                'X-Webhook-Signature': buildSignatureHeader(delivery.secret, body),
+            },
+            signal: AbortSignal.timeout(timeoutMs),
+            ...(!allowPrivateUrls && { lookup: lookupPublicAddress }),
+        }, (response) => {
+            // O corpo da resposta não é usado; descartá-lo libera a conexão
+            response.resume();
+            resolve(response.statusCode);
+        });
+
+        request.on('error', reject);
+        request.end(body);
+    });
+};
+
+/**
+ * Envia uma entrega e registra o resultado: entregue (2xx), nova tentativa agendada
+ * ou, esgotadas as tentativas, estado "dead".
+ *
+ * @returns {Promise<'delivered'|'retry'|'dead'>}
+ */
+const attemptDelivery = async (delivery, options) => {
+    const attempt = delivery.attempts + 1;
+    let responseStatus = null;
+    let error;
+
+    try {
+        responseStatus = await sendDelivery(delivery, options);
+
+        if (responseStatus >= 200 && responseStatus < 300) {
+            await WebhookModel.markDeliverySucceeded(delivery.deliveryid, responseStatus);
+            return 'delivered';
+        }
+        error = `Resposta HTTP ${responseStatus}.`;
+
+    } catch (sendError) {
+        error = sendError.cause?.message ? `${sendError.message}: ${sendError.cause.message}` : sendError.message;
+    }
+
+    const retryInSeconds = attempt >= options.maxAttempts ? null : retryDelaySeconds(attempt, options);
+
+    await WebhookModel.markDeliveryFailed(delivery.deliveryid, {
+        responseStatus,
+        error: error.slice(0, MAX_ERROR_LENGTH),
+        retryInSeconds,
+    });
+
+    return retryInSeconds === null ? 'dead' : 'retry';
+};
+
+/**
+ * Executa uma rodada do despachante: distribui os eventos novos do outbox em entregas
+ * e envia as entregas cujo horário de tentativa já chegou.
+ *
+ * @param {object} [options] - Sobrescreve `timeoutMs`, `maxAttempts`, `retryBaseSeconds`,
+ * `retryMaxSeconds` e `allowPrivateUrls` da configuração (WEBHOOK_*).
+ * @returns {Promise<{dispatchedEvents: number, delivered: number, retry: number, dead: number}>}
+ */
+const runDispatcherOnce = async (options = {}) => {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const summary = { dispatchedEvents: 0, delivered: 0, retry: 0, dead: 0 };
+
+    let dispatched;
+    do {
+        dispatched = (await OutboxModel.dispatchOutboxEvents(DISPATCH_BATCH_SIZE)).rows.length;
+        summary.dispatchedEvents += dispatched;
+    } while (dispatched === DISPATCH_BATCH_SIZE);
+
+    // A reserva dura mais que o tempo máximo de um envio
+    const leaseSeconds = Math.ceil(settings.timeoutMs / 1000) + 30;
+    const claimed = await WebhookModel.claimDueDeliveries(DELIVERY_BATCH_SIZE, leaseSeconds);
+
+    const outcomes = await Promise.all(claimed.rows.map(delivery => attemptDelivery(delivery, settings)));
+    outcomes.forEach(outcome => { summary[outcome] += 1; });
+
+    return summary;
+};
+
+let timer = null;
+let currentRun = null;
+let running = false;
+
+/**
+ * Inicia o despachante em segundo plano, com uma rodada a cada WEBHOOK_POLL_INTERVAL_MS.
+ * Erros de uma rodada são registrados no log e não interrompem as seguintes.
+ */
+const startWebhookDispatcher = () => {
+    if (running) return;
+    running = true;
+
+    const tick = async () => {
+        currentRun = runDispatcherOnce().catch(error => {
+            logger.error('Erro no despachante de webhooks', { error });
+        });
+        await currentRun;
+        currentRun = null;
+
+        if (running) schedule();
+    };
+
+    const schedule = () => {
+        timer = setTimeout(tick, webhookPollIntervalMs);
+        // Não impede o encerramento do processo
+        timer.unref();
+    };
+
+    schedule();
+};
+
+/**
+ * Para o despachante, aguardando a rodada em andamento terminar.
+ *
+ * @returns {Promise<void>}
+ */
+const stopWebhookDispatcher = async () => {
+    running = false;
+    clearTimeout(timer);
+    await currentRun;
+};
+
+module.exports = {
+  retryDelaySeconds,
+  runDispatcherOnce,
+  startWebhookDispatcher,
+  stopWebhookDispatcher,
+};
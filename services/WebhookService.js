@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const WebhookModel = require('../models/WebhookModel');
+const OutboxModel = require('../models/OutboxModel');
+const { validate, validateAndCoerce } = require('../utils/validator');
+const {
+    webhookSchema,
+    listDeliveriesQuerySchema,
+    replayDeliveriesSchema,
+} = require('../schemas/WebhookSchema');
+const { checkWebhookUrl } = require('../utils/webhookUrl');
+const { webhookAllowPrivateUrls } = require('../config/app');
+const ValidationException = require('../exceptions/ValidationException');
+const ResourceNotFoundException = require('../exceptions/ResourceNotFoundException');
+
+/**
+ * Evento publicado para cada operação registrada no histórico do pedido.
+ * O expurgo não gera evento: o pedido já havia sido removido (order.deleted).
+ */
+const WEBHOOK_EVENT_BY_OPERATION = {
+    create: 'order.created',
+    update: 'order.updated',
+    status_change: 'order.updated',
+    restore: 'order.updated',
+    item_add: 'order.item_updated',
+    item_update: 'order.item_updated',
+    item_remove: 'order.item_updated',
+    delete: 'order.deleted',
+};
+
+// Bytes aleatórios do secret gerado quando o assinante não informa um
+const GENERATED_SECRET_BYTES = 32;
+
+const formatWebhook = (row, { includeSecret = false } = {}) => ({
+    webhookId: row.webhookid,
+    url: row.url,
+    events: row.events,
+    active: row.active,
+    createdAt: row.createdat.toISOString(),
+    updatedAt: row.updatedat.toISOString(),
+    // O secret só é devolvido no cadastro (quando pode ter sido gerado pela API)
+    ...(includeSecret && { secret: row.secret }),
+});
+
+const formatDelivery = (row) => ({
+    deliveryId: Number(row.deliveryid),
+    eventId: Number(row.eventid),
+    eventType: row.eventtype,
+    orderId: row.orderid,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.status === 'pending' ? row.nextattemptat.toISOString() : null,
+    lastResponseStatus: row.lastresponsestatus,
+    lastError: row.lasterror,
+    deliveredAt: row.deliveredat ? row.deliveredat.toISOString() : null,
+    createdAt: row.createdat.toISOString(),
+});
+
+/**
+ * Grava no outbox os eventos de webhook das alterações de pedidos, na transação do chamador:
+ * o evento só existe se a alteração for confirmada (COMMIT), e é enviado depois pelo
+ * despachante (WebhookDispatcher).
+ *
+ * @param {object} client - Cliente PostgreSQL com a transação aberta.
+ * @param {Array<{orderId: string, operation: string, actor: string, before: object|null, after: object|null}>} changes
+ * Alterações no mesmo formato das entradas do histórico.
+ * @returns {Promise<void>}
+ */
+const enqueueOrderEvents = async (client, changes) => {
+    const events = changes
+        .filter(change => WEBHOOK_EVENT_BY_OPERATION[change.operation])
+        .map(change => ({
+            eventType: WEBHOOK_EVENT_BY_OPERATION[change.operation],
+            orderId: change.orderId,
+            payload: {
+                operation: change.operation,
+                actor: change.actor,
+                // Na remoção, o estado enviado é o último antes dela
+                order: change.after ?? change.before,
+            },
+        }));
+
+    await OutboxModel.insertOutboxEvents(client, events);
+};
+
+// Payload de cadastro/alteração: schema e destino permitido (https e endereço público, ver utils/webhookUrl.js)
+const validateWebhookInput = (inputBody) => {
+    validate(webhookSchema, inputBody, 'Dados do webhook inválidos.');
+
+    const rejection = checkWebhookUrl(inputBody.url, { allowPrivate: webhookAllowPrivateUrls });
+    if (rejection) {
+        throw new ValidationException('Dados do webhook inválidos.', [{ field: 'url', message: rejection }]);
+    }
+};
+
+// Busca o webhook ou lança 404
+const findWebhookOrFail = async (webhookId) => {
+    const result = await WebhookModel.findWebhookById(webhookId);
+
+    if (result.rows.length === 0) {
+        throw new ResourceNotFoundException('Webhook', webhookId);
+    }
+    return result.rows[0];
+};
+
+/**
+ * Cadastra um webhook. Sem `secret`, a API gera um, devolvido apenas nesta resposta.
+ *
+ * @param {object} inputBody - `url`, `events` e, opcionalmente, `secret` e `active`.
+ * @returns {Promise<object>} Webhook cadastrado, com o secret.
+ * @throws {ValidationException} Quando o payload é inválido ou a URL não é https de um endereço público.
+ */
+const createWebhook = async (inputBody) => {
+    validateWebhookInput(inputBody);
+
+    const result = await WebhookModel.insertWebhook({
+        url: inputBody.url,
+        events: inputBody.events,
+        secret: inputBody.secret ?? crypto.randomBytes(GENERATED_SECRET_BYTES).toString('hex'),
+        active: inputBody.active ?? true,
+    });
+
+    return formatWebhook(result.rows[0], { includeSecret: true });
+};
+
+/**
+ * Lista os webhooks cadastrados (sem os secrets).
+ *
+ * @returns {Promise<Array<object>>}
+ */
+const listWebhooks = async () => {
+    const result = await WebhookModel.findAllWebhooks();
+    return result.rows.map(row => formatWebhook(row));
+};
+
+/**
+ * Obtém um webhook (sem o secret).
+ *
+ * @param {number} webhookId - Identificador do webhook.
+ * @returns {Promise<object>}
+ * @throws {ResourceNotFoundException} Quando o webhook não existe.
+ */
+const getWebhook = async (webhookId) => {
+    return formatWebhook(await findWebhookOrFail(webhookId));
+};
+
+/**
+ * Substitui a configuração de um webhook. O secret só muda quando informado
+ * (e não é devolvido na resposta); `active` ausente equivale a `true`.
+ *
+ * @param {number} webhookId - Identificador do webhook.
+ * @param {object} inputBody - `url`, `events` e, opcionalmente, `secret` e `active`.
+ * @returns {Promise<object>} Webhook atualizado (sem o secret).
+ * @throws {ValidationException} Quando o payload é inválido ou a URL não é https de um endereço público.
+ * @throws {ResourceNotFoundException} Quando o webhook não existe.
+ */
+const updateWebhook = async (webhookId, inputBody) => {
+    validateWebhookInput(inputBody);
+
+    const result = await WebhookModel.updateWebhook(webhookId, {
+        url: inputBody.url,
+        events: inputBody.events,
+        secret: inputBody.secret ?? null,
+        active: inputBody.active ?? true,
+    });
+
+    if (result.rows.length === 0) {
+        throw new ResourceNotFoundException('Webhook', webhookId);
+    }
+
+    return formatWebhook(result.rows[0]);
+};
+
+/**
+ * Remove um webhook e o histórico de entregas dele.
+ *
+ * @param {number} webhookId - Identificador do webhook.
+ * @returns {Promise<void>}
+ * @throws {ResourceNotFoundException} Quando o webhook não existe.
+ */
+const deleteWebhook = async (webhookId) => {
+    const result = await WebhookModel.deleteWebhook(webhookId);
+
+    if (result.rowCount === 0) {
+        throw new ResourceNotFoundException('Webhook', webhookId);
+    }
+};
+
+/**
+ * Lista as entregas mais recentes de um webhook.
+ *
+ * Parâmetros aceitos (query string): status (pending | delivered | dead) e limit (1 a 100, padrão 20).
+ *
+ * @param {number} webhookId - Identificador do webhook.
+ * @param {object} queryParams - Parâmetros recebidos na query string.
+ * @returns {Promise<Array<object>>} Entregas, da mais recente para a mais antiga.
+ * @throws {ValidationException} Quando algum parâmetro é inválido.
+ * @throws {ResourceNotFoundException} Quando o webhook não existe.
+ */
+const listDeliveries = async (webhookId, queryParams = {}) => {
+    const options = validateAndCoerce(listDeliveriesQuerySchema, queryParams, 'Parâmetros de consulta inválidos.');
+    await findWebhookOrFail(webhookId);
+
+    const result = await WebhookModel.findDeliveriesByWebhookId(webhookId, options);
+    return result.rows.map(formatDelivery);
+};
+
+/**
+ * Reenvia entregas que esgotaram as tentativas (estado "dead"): voltam para a fila
+ * com as tentativas zeradas e são enviadas na próxima rodada do despachante.
+ *
+ * @param {number} webhookId - Identificador do webhook.
+ * @param {object} [inputBody] - `deliveryIds` opcional; sem ele, todas as entregas "dead" do webhook.
+ * @returns {Promise<{replayed: number, deliveryIds: number[]}>}
+ * @throws {ValidationException} Quando o payload é inválido.
+ * @throws {ResourceNotFoundException} Quando o webhook não existe.
+ */
+const replayDeliveries = async (webhookId, inputBody = {}) => {
+    validate(replayDeliveriesSchema, inputBody, 'Parâmetros de reenvio inválidos.');
+    await findWebhookOrFail(webhookId);
+
+    const result = await WebhookModel.replayDeadDeliveries(webhookId, inputBody.deliveryIds);
+    const deliveryIds = result.rows.map(row => Number(row.deliveryid));
+
+    return { replayed: deliveryIds.length, deliveryIds };
+};
+
+module.exports = {
+  WEBHOOK_EVENT_BY_OPERATION,
+  enqueueOrderEvents,
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  replayDeliveries,
+};
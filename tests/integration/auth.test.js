@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const supertest = require('supertest');
+const app = require('../../app');
+const { request, signTestJwt, TEST_API_KEYS } = require('../support/auth');
+const { buildOrderInput } = require('../support/fixtures');
+const { verifyJwt } = require('../../utils/jwt');
+
+const ORDER_ID = 'v10089015vdb';
+
+const withBearer = (token) => supertest(app).get('/order/list').set('Authorization', `Bearer ${token}`);
+
+describe('Autenticação', () => {
+  it('responde 401 com WWW-Authenticate quando não há credenciais', async () => {
+    const response = await supertest(app).get('/order/list');
+
+    expect(response.status).toBe(401);
+    expect(response.headers['www-authenticate']).toBe('Bearer, ApiKey');
+    expect(response.body).toMatchObject({ type: '/problems/unauthorized', status: 401 });
+  });
+
+  it('rejeita chave de API desconhecida', async () => {
+    const response = await supertest(app).get('/order/list').set('X-API-Key', 'chave-que-nao-existe-000');
+
+    expect(response.status).toBe(401);
+    expect(response.body.detail).toBe('Chave de API inválida.');
+  });
+
+  it('aceita JWT HS256 válido e usa o sub como principal', async () => {
+    const token = signTestJwt({ sub: 'integracao-erp', role: 'operator' });
+
+    const created = await supertest(app).post('/order')
+      .set('Authorization', `Bearer ${token}`)
+      .send(buildOrderInput());
+    const order = await request(app).get(`/order/${ORDER_ID}`);
+
+    expect(created.status).toBe(201);
+    expect(order.body).toMatchObject({ createdBy: 'integracao-erp', updatedBy: 'integracao-erp' });
+  });
+
+  it('aceita principal com identificador longo e o grava no pedido e no histórico', async () => {
+    const sub = `integracao-${'x'.repeat(300)}`;
+    const token = signTestJwt({ sub, role: 'operator' });
+
+    const created = await supertest(app).post('/order')
+      .set('Authorization', `Bearer ${token}`)
+      .send(buildOrderInput());
+    const order = await request(app).get(`/order/${ORDER_ID}`);
+    const history = await request(app).get(`/order/${ORDER_ID}/history`);
+
+    expect(created.status).toBe(201);
+    expect(order.body.createdBy).toBe(sub);
+    expect(history.body[0].actor).toBe(sub);
+  });
+
+  it.each([
+    ['expirado', signTestJwt({ sub: 'x', role: 'reader', exp: Math.floor(Date.now() / 1000) - 3600 }), /expirado/],
+    ['com outro segredo', signTestJwt({ sub: 'x', role: 'reader' }, { secret: 'outro-segredo-0000000000000000' }), /assinatura/],
+    ['sem assinatura (alg none)', signTestJwt({ sub: 'x', role: 'reader' }, { header: { alg: 'none' } }), /não suportado/],
+    ['com papel desconhecido', signTestJwt({ sub: 'x', role: 'superuser' }), /papéis/],
+    ['sem sub', signTestJwt({ role: 'reader' }), /sub/],
+    ['malformado', 'abc.def', /formato/],
+  ])('rejeita token %s', async (_, token, detail) => {
+    const response = await withBearer(token);
+
+    expect(response.status).toBe(401);
+    expect(response.body.detail).toMatch(detail);
+  });
+});
+
+describe('Autorização por papel', () => {
+  beforeEach(async () => {
+    await request(app, 'operator').post('/order').send(buildOrderInput());
+  });
+
+  it('reader consulta, mas não cria nem altera pedidos', async () => {
+    const list = await request(app, 'reader').get('/order/list');
+    const created = await request(app, 'reader').post('/order').send(buildOrderInput({ numeroPedido: 'outro-01' }));
+    const status = await request(app, 'reader').post(`/order/${ORDER_ID}/status`).send({ status: 'paid' });
+
+    expect(list.status).toBe(200);
+    expect(created.status).toBe(403);
+    expect(created.body).toMatchObject({ type: '/problems/forbidden', title: 'Acesso negado' });
+    expect(status.status).toBe(403);
+  });
+
+  it('operator altera, mas somente admin remove o pedido', async () => {
+    const updated = await request(app, 'operator').post(`/order/${ORDER_ID}/status`).send({ status: 'paid' });
+    const deniedDelete = await request(app, 'operator').delete(`/order/${ORDER_ID}`);
+    const deleted = await request(app, 'admin').delete(`/order/${ORDER_ID}`);
+
+    expect(updated.status).toBe(200);
+    expect(deniedDelete.status).toBe(403);
+    expect(deleted.status).toBe(204);
+  });
+
+  it('somente admin remove itens do pedido', async () => {
+    const deniedDelete = await request(app, 'operator').delete(`/order/${ORDER_ID}/item/2435`);
+    const deleted = await request(app, 'admin').delete(`/order/${ORDER_ID}/item/2435`);
+
+    expect(deniedDelete.status).toBe(403);
+    expect(deniedDelete.body).toMatchObject({ type: '/problems/forbidden' });
+    expect(deleted.status).toBe(200);
+  });
+
+  it('registra no pedido quem criou e quem alterou por último', async () => {
+    await request(app, 'admin').post(`/order/${ORDER_ID}/status`).send({ status: 'paid' });
+    const order = await request(app, 'reader').get(`/order/${ORDER_ID}`);
+
+    expect(order.body).toMatchObject({ createdBy: 'test-operator', updatedBy: 'test-admin', version: 2 });
+  });
+
+  it('includeDeleted, restauração e expurgo exigem admin', async () => {
+    await request(app, 'admin').delete(`/order/${ORDER_ID}`);
+
+    const operatorGet = await request(app, 'operator').get(`/order/${ORDER_ID}?includeDeleted=true`);
+    const operatorList = await request(app, 'operator').get('/order/list?includeDeleted=true');
+    const operatorRestore = await request(app, 'operator').post(`/order/${ORDER_ID}/restore`);
+    const operatorPurge = await request(app, 'operator').post('/order/purge').send({});
+    const adminGet = await request(app, 'admin').get(`/order/${ORDER_ID}?includeDeleted=true`);
+
+    expect([operatorGet.status, operatorList.status, operatorRestore.status, operatorPurge.status])
+      .toEqual([403, 403, 403, 403]);
+    expect(adminGet.status).toBe(200);
+    expect(adminGet.body.deletedAt).toEqual(expect.any(String));
+  });
+
+  it('webhooks são restritos a admin e relatórios liberados para reader', async () => {
+    const operatorWebhooks = await request(app, 'operator').get('/webhooks');
+    const adminWebhooks = await request(app, 'admin').get('/webhooks');
+    const report = await request(app, 'reader').get('/order/reports/revenue?from=2023-07-01&to=2023-07-31');
+
+    expect(operatorWebhooks.status).toBe(403);
+    expect(adminWebhooks.status).toBe(200);
+    expect(report.status).toBe(200);
+  });
+
+  it('aceita a chave de API de cada papel', async () => {
+    for (const key of Object.values(TEST_API_KEYS)) {
+      const response = await supertest(app).get(`/order/${ORDER_ID}`).set('X-API-Key', key);
+      expect(response.status).toBe(200);
+    }
+  });
+});
+
+describe('verifyJwt com chave pública', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  const signJws = (alg, hash, key, claims) => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const signingInput = `${encode({ alg, typ: 'JWT' })}.${encode(claims)}`;
+    const signature = crypto.sign(hash, Buffer.from(signingInput), { key, dsaEncoding: 'ieee-p1363' });
+    return `${signingInput}.${signature.toString('base64url')}`;
+  };
+
+  const signEs256 = (claims) => signJws('ES256', 'sha256', privateKey, claims);
+
+  const exp = () => Math.floor(Date.now() / 1000) + 60;
+
+  it('verifica ES256 e confere emissor e público', () => {
+    const token = signEs256({ sub: 'svc', role: 'reader', iss: 'auth.local', aud: ['pedidos'], exp: exp() });
+
+    expect(verifyJwt(token, { publicKey, issuer: 'auth.local', audience: 'pedidos' })).toMatchObject({ sub: 'svc' });
+    expect(() => verifyJwt(token, { publicKey, issuer: 'outro' })).toThrow(/emissor/);
+    expect(() => verifyJwt(token, { publicKey, audience: 'outro' })).toThrow(/público/);
+  });
+
+  it('não aceita HS256 quando só há chave pública configurada', () => {
+    const token = signTestJwt({ sub: 'svc', role: 'admin' });
+
+    expect(() => verifyJwt(token, { publicKey })).toThrow(/HMAC/);
+  });
+
+  it('verifica RS256 com chave RSA', () => {
+    const token = signJws('RS256', 'sha256', rsa.privateKey, { sub: 'svc', exp: exp() });
+
+    expect(verifyJwt(token, { publicKey: rsa.publicKey })).toMatchObject({ sub: 'svc' });
+    expect(() => verifyJwt(token, { publicKey })).toThrow(/não corresponde à chave/);
+  });
+
+  it('recusa ES* assinado em curva diferente da definida para o algoritmo', () => {
+    // Assinatura válida com a chave P-256, mas ES512 exige P-521
+    const token = signJws('ES512', 'sha512', privateKey, { sub: 'svc', exp: exp() });
+
+    expect(() => verifyJwt(token, { publicKey })).toThrow(/não corresponde à chave/);
+    expect(() => verifyJwt(signEs256({ sub: 'svc', exp: exp() }), { publicKey: rsa.publicKey })).toThrow(/não corresponde à chave/);
+  });
+
+  it('exige exp', () => {
+    expect(() => verifyJwt(signEs256({ sub: 'svc' }), { publicKey })).toThrow(/exp/);
+  });
+});
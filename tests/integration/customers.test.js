@@ -0,0 +1,152 @@
+const { request } = require('../support/auth');
+const app = require('../../app');
+const { buildOrderInput } = require('../support/fixtures');
+
+const CUSTOMER = { customerId: 'C-100', name: 'Maria Souza', email: 'maria@exemplo.com' };
+
+const createOrder = (overrides) => request(app).post('/order').send(buildOrderInput(overrides));
+
+beforeEach(async () => {
+  await request(app).post('/customer').send(CUSTOMER);
+});
+
+describe('/customer', () => {
+  it('cadastra, consulta, altera e lista clientes', async () => {
+    const created = await request(app).post('/customer').send({ customerId: 'C-200', name: 'João' });
+    const updated = await request(app).put('/customer/C-200').send({ name: 'João Lima', document: '12345678901' });
+    const fetched = await request(app, 'reader').get('/customer/C-200');
+    const firstPage = await request(app).get('/customer/list?limit=1');
+    const secondPage = await request(app).get(`/customer/list?limit=1&cursor=${firstPage.body.nextCursor}`);
+
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ customerId: 'C-200', name: 'João', email: null, document: null });
+    expect(updated.status).toBe(200);
+    expect(fetched.body).toMatchObject({ name: 'João Lima', document: '12345678901' });
+    expect(firstPage.body.data.map(customer => customer.customerId)).toEqual(['C-100']);
+    expect(secondPage.body.data.map(customer => customer.customerId)).toEqual(['C-200']);
+    expect(secondPage.body.nextCursor).toBeNull();
+  });
+
+  it('responde 409 para customerId repetido e 400 para dados inválidos', async () => {
+    const duplicate = await request(app).post('/customer').send(CUSTOMER);
+    const invalid = await request(app).post('/customer').send({ customerId: 'com espaço', email: 'x' });
+
+    expect(duplicate.status).toBe(409);
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors.map(error => error.field).sort()).toEqual(['customerId', 'email', 'name']);
+  });
+
+  it('responde 400 para cursor adulterado e customerId fora do formato', async () => {
+    // "AA" decodifica para "\u0000", que o PostgreSQL recusa em colunas de texto
+    const cursor = await request(app).get('/customer/list?cursor=AA');
+    const nullByte = await request(app, 'reader').get('/customer/%00');
+    const orders = await request(app, 'reader').get('/customer/%00/orders');
+
+    expect(cursor.status).toBe(400);
+    expect(cursor.body.errors.map(error => error.field)).toEqual(['cursor']);
+    expect(nullByte.status).toBe(400);
+    expect(nullByte.body.errors.map(error => error.field)).toEqual(['customerId']);
+    expect(orders.status).toBe(400);
+  });
+
+  it('responde 404 para cliente inexistente', async () => {
+    const response = await request(app).get('/customer/nao-existe');
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('pedidos do cliente', () => {
+  it('associa o pedido ao cliente informado em idCliente', async () => {
+    await createOrder({ idCliente: 'C-100' });
+    const internal = await request(app).get('/order/v10089015vdb');
+    const input = await request(app).get('/order/v10089015vdb?format=input');
+
+    expect(internal.body.customerId).toBe('C-100');
+    expect(input.body.idCliente).toBe('C-100');
+  });
+
+  it('recusa pedido de cliente não cadastrado', async () => {
+    const created = await createOrder({ idCliente: 'C-999' });
+    const bulk = await request(app).post('/order/bulk').send([
+      buildOrderInput({ numeroPedido: 'a-01', idCliente: 'C-100' }),
+      buildOrderInput({ numeroPedido: 'b-01', idCliente: 'C-999' }),
+    ]);
+
+    expect(created.status).toBe(400);
+    expect(created.body.errors).toEqual([{ field: 'customerId', message: 'cliente "C-999" não cadastrado' }]);
+    expect(bulk.body.results.map(result => result.status)).toEqual(['created', 'invalid']);
+  });
+
+  it('GET /customer/:customerId/orders pagina como GET /order/list', async () => {
+    await createOrder({ numeroPedido: 'a-01', dataCriacao: '2024-01-01T00:00:00Z', idCliente: 'C-100' });
+    await createOrder({ numeroPedido: 'b-01', dataCriacao: '2024-01-02T00:00:00Z' });
+    await createOrder({ numeroPedido: 'c-01', dataCriacao: '2024-01-03T00:00:00Z', idCliente: 'C-100' });
+
+    const first = await request(app, 'reader').get('/customer/C-100/orders?limit=1&includeTotal=true');
+    const second = await request(app, 'reader').get(`/customer/C-100/orders?limit=1&cursor=${first.body.nextCursor}`);
+    const missing = await request(app).get('/customer/nao-existe/orders');
+
+    expect(first.body.data.map(order => order.orderId)).toEqual(['c']);
+    expect(first.body.total).toBe(2);
+    expect(second.body.data.map(order => order.orderId)).toEqual(['a']);
+    expect(second.body.nextCursor).toBeNull();
+    expect(missing.status).toBe(404);
+  });
+
+  it('PUT /order/:orderId troca o cliente apenas quando idCliente é informado', async () => {
+    await request(app).post('/customer').send({ customerId: 'C-200', name: 'João' });
+    await createOrder({ idCliente: 'C-100' });
+
+    await request(app).put('/order/v10089015vdb').send(buildOrderInput({ valorTotal: 30 }));
+    const kept = await request(app).get('/order/v10089015vdb');
+    await request(app).put('/order/v10089015vdb').send(buildOrderInput({ idCliente: 'C-200' }));
+    const changed = await request(app).get('/order/v10089015vdb');
+
+    expect(kept.body.customerId).toBe('C-100');
+    expect(changed.body.customerId).toBe('C-200');
+  });
+
+  it('PUT /order/:orderId desassocia o cliente com idCliente null', async () => {
+    await createOrder({ idCliente: 'C-100' });
+
+    const response = await request(app).put('/order/v10089015vdb').send(buildOrderInput({ idCliente: null }));
+    const internal = await request(app).get('/order/v10089015vdb');
+    const input = await request(app).get('/order/v10089015vdb?format=input');
+
+    expect(response.status).toBe(200);
+    expect(internal.body.customerId).toBeUndefined();
+    expect(input.body).not.toHaveProperty('idCliente');
+  });
+});
+
+describe('DELETE /customer/:customerId', () => {
+  it('exclui cliente sem pedidos', async () => {
+    const response = await request(app).delete('/customer/C-100');
+
+    expect(response.status).toBe(204);
+    expect((await request(app).get('/customer/C-100')).status).toBe(404);
+  });
+
+  it('bloqueia a exclusão enquanto houver pedidos, inclusive removidos ainda não expurgados', async () => {
+    await createOrder({ idCliente: 'C-100' });
+    const withOrder = await request(app).delete('/customer/C-100');
+
+    await request(app).delete('/order/v10089015vdb');
+    const withDeletedOrder = await request(app).delete('/customer/C-100');
+
+    await request(app).post('/order/purge').send({ retentionDays: 0 });
+    const afterPurge = await request(app).delete('/customer/C-100');
+
+    expect(withOrder.status).toBe(409);
+    expect(withDeletedOrder.status).toBe(409);
+    expect(withDeletedOrder.body.detail).toMatch(/aguardando expurgo/);
+    expect(afterPurge.status).toBe(204);
+  });
+
+  it('exige o papel admin', async () => {
+    const response = await request(app, 'operator').delete('/customer/C-100');
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,40 @@
+const supertest = require('supertest');
+const app = require('../../app');
+const HealthModel = require('../../models/HealthModel');
+
+describe('GET /health', () => {
+  it('responde sem credenciais', async () => {
+    const response = await supertest(app).get('/health');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ status: 'ok' });
+  });
+});
+
+describe('GET /ready', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('confere o banco e informa as estatísticas do pool', async () => {
+    const response = await supertest(app).get('/ready');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      status: 'ready',
+      database: { status: 'up' },
+      pool: { total: expect.any(Number), idle: expect.any(Number), waiting: expect.any(Number), max: expect.any(Number) },
+    });
+  });
+
+  it('responde 503 sem expor o erro quando o banco não responde', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(HealthModel, 'pingDatabase').mockRejectedValue(new Error('password authentication failed'));
+
+    const response = await supertest(app).get('/ready');
+
+    expect(response.status).toBe(503);
+    expect(response.body).toMatchObject({ status: 'unavailable', database: { status: 'down' } });
+    expect(JSON.stringify(response.body)).not.toMatch(/password/);
+  });
+});
@@ -0,0 +1,84 @@
+const supertest = require('supertest');
+const { request } = require('../support/auth');
+const app = require('../../app');
+const { db } = require('../../config/db');
+const { buildOrderInput } = require('../support/fixtures');
+
+const metricValue = (text, series) => {
+  const line = text.split('\n').find(entry => entry.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+};
+
+describe('X-Request-Id', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('devolve o identificador recebido e o repassa às consultas SQL', async () => {
+    const sent = jest.spyOn(db, 'query');
+
+    const response = await request(app).get('/order/list').set('X-Request-Id', 'pedido-abc.123');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['x-request-id']).toBe('pedido-abc.123');
+    expect(sent.mock.calls.some(([text]) => text.startsWith('/* requestId=pedido-abc.123 */'))).toBe(true);
+  });
+
+  it('gera um identificador quando o recebido é ausente ou inválido', async () => {
+    const missing = await supertest(app).get('/health');
+    const invalid = await supertest(app).get('/health').set('X-Request-Id', 'abc */ DROP TABLE orders; --');
+
+    expect(missing.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(invalid.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('registra uma linha JSON por requisição com rota, status e latência', async () => {
+    const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(db, 'query').mockRejectedValueOnce(new Error('falha simulada'));
+
+    const response = await request(app).get('/order/nao-existe').set('X-Request-Id', 'req-500');
+
+    expect(response.status).toBe(500);
+    const entries = log.mock.calls.map(([line]) => JSON.parse(line));
+    expect(entries).toContainEqual(expect.objectContaining({
+      level: 'error',
+      msg: 'Requisição concluída',
+      requestId: 'req-500',
+      method: 'GET',
+      route: '/order/:orderId',
+      path: '/order/nao-existe',
+      status: 500,
+      durationMs: expect.any(Number),
+    }));
+  });
+});
+
+describe('GET /metrics', () => {
+  it('exige credencial', async () => {
+    const response = await supertest(app).get('/metrics');
+
+    expect(response.status).toBe(401);
+  });
+
+  it('expõe requisições por rota, consultas ao banco, pool e pedidos no formato do Prometheus', async () => {
+    await request(app).post('/order').send(buildOrderInput());
+    await request(app).get('/order/v10089015vdb');
+    await request(app).post('/order/v10089015vdb/status').send({ status: 'paid' });
+    await request(app).get('/channels/input/order/v10089015vdb');
+
+    const response = await request(app, 'reader').get('/metrics');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(metricValue(response.text, 'http_requests_total{method="GET",route="/order/:orderId",status="200"}')).toBe(1);
+    expect(metricValue(response.text, 'http_requests_total{method="GET",route="/channels/:channel/order/:orderId",status="200"}')).toBe(1);
+    expect(metricValue(response.text, 'http_request_duration_seconds_count{method="POST",route="/order",status="201"}')).toBe(1);
+    expect(response.text).toMatch(/^db_query_duration_seconds_bucket\{operation="insert",outcome="success",le="\+Inf"\} \d+$/m);
+    expect(metricValue(response.text, 'db_pool_connections{state="active"}')).toEqual(expect.any(Number));
+    expect(metricValue(response.text, 'db_pool_waiting_clients')).toBe(0);
+    expect(metricValue(response.text, 'db_pool_max_connections')).toBe(1);
+    expect(metricValue(response.text, 'orders_created_total')).toBe(1);
+    expect(metricValue(response.text, 'orders_updated_total')).toBe(1);
+    expect(metricValue(response.text, 'orders_deleted_total')).toBe(0);
+  });
+});
@@ -0,0 +1,19 @@
+const MigrationService = require('../../services/MigrationService');
+
+describe('migrações', () => {
+  it('estão todas aplicadas após o setup', async () => {
+    await expect(MigrationService.assertSchemaUpToDate()).resolves.toBeUndefined();
+  });
+
+  it('podem ser desfeitas e reaplicadas', async () => {
+    const all = MigrationService.loadMigrations().map(migration => `${migration.version}_${migration.name}`);
+
+    const reverted = await MigrationService.migrateDown(all.length);
+    expect(reverted).toEqual([...all].reverse());
+    await expect(MigrationService.assertSchemaUpToDate()).rejects.toThrow(/pendentes/);
+
+    const applied = await MigrationService.migrateUp();
+    expect(applied).toEqual(all);
+    await expect(MigrationService.assertSchemaUpToDate()).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,160 @@
+const express = require('express');
+const supertest = require('supertest');
+const Ajv2020 = require('ajv/dist/2020');
+const { request } = require('../support/auth');
+const app = require('../../app');
+const { buildOrderInput } = require('../support/fixtures');
+const { validateRequest, assertRoutesDocumented } = require('../../openapi/validateRequest');
+const inputMapper = require('../../mappers/inputMapper');
+
+const ORDER_ID = 'v10089015vdb';
+
+// Routers e os pontos de montagem de app.js, no formato da especificação
+const MOUNTED_ROUTERS = [
+  ['', require('../../routes/HealthRoutes')],
+  ['', require('../../routes/DocsRoutes')],
+  ['', require('../../routes/MetricsRoutes')],
+  ['/order/reports', require('../../routes/ReportRoutes')],
+  ['/order', require('../../routes/OrderRoutes')],
+  ['/channels/{channel}/order', require('../../routes/OrderRoutes')],
+  ['/webhooks', require('../../routes/WebhookRoutes')],
+  ['/customer', require('../../routes/CustomerRoutes')],
+  ['/product', require('../../routes/ProductRoutes')],
+];
+
+const listRegisteredOperations = () => MOUNTED_ROUTERS.flatMap(([prefix, router]) => router.stack
+  .filter(layer => layer.route)
+  .flatMap(({ route }) => Object.keys(route.methods).map(method => {
+    const path = route.path === '/' && prefix ? prefix : `${prefix}${route.path}`;
+    return `${method.toUpperCase()} ${path.replace(/:(\w+)/g, '{$1}')}`;
+  })));
+
+const listDocumentedOperations = (spec) => Object.entries(spec.paths)
+  .flatMap(([path, pathItem]) => Object.keys(pathItem).map(method => `${method.toUpperCase()} ${path}`));
+
+describe('GET /openapi.json e GET /docs', () => {
+  it('servem a especificação e a documentação sem credenciais', async () => {
+    const spec = await supertest(app).get('/openapi.json');
+    const docs = await supertest(app).get('/docs');
+
+    expect(spec.status).toBe(200);
+    expect(spec.body).toMatchObject({ openapi: '3.1.0', info: { title: expect.any(String) } });
+    expect(docs.status).toBe(200);
+    expect(docs.headers['content-type']).toMatch(/^text\/html/);
+    expect(docs.text).toContain('openapi.json');
+    // Swagger UI servido pela própria API: nenhum script ou estilo carregado de fora
+    expect(docs.text).not.toMatch(/<(script|link)[^>]+(src|href)=["']?https?:/);
+  });
+
+  it('servem os arquivos do Swagger UI usados por /docs', async () => {
+    const bundle = await supertest(app).get('/docs/swagger-ui-bundle.js');
+    const styles = await supertest(app).get('/docs/swagger-ui.css');
+
+    expect(bundle.status).toBe(200);
+    expect(bundle.headers['content-type']).toMatch(/javascript/);
+    expect(styles.status).toBe(200);
+  });
+
+  it('descreve todas as rotas registradas, e apenas elas', async () => {
+    const { body: spec } = await supertest(app).get('/openapi.json');
+
+    expect(listDocumentedOperations(spec).sort()).toEqual([...new Set(listRegisteredOperations())].sort());
+  });
+
+  it('descreve o formato de entrada dos pedidos e os dois formatos de atualização de item', async () => {
+    const { body: spec } = await supertest(app).get('/openapi.json');
+    const itemUpdate = spec.paths['/order/{orderId}/item/{productId}'].put.requestBody.content['application/json'].schema;
+
+    expect(spec.components.schemas['ChannelOrder.input'].required).toEqual(['numeroPedido', 'valorTotal', 'dataCriacao', 'items']);
+    expect(Object.keys(itemUpdate.properties)).toEqual(['quantidadeItem', 'valorItem', 'quantity', 'price']);
+  });
+});
+
+describe('validação das requisições pela especificação', () => {
+  beforeEach(async () => {
+    await request(app).post('/order').send(buildOrderInput());
+  });
+
+  it('rejeita parâmetros de rota e de query fora da especificação', async () => {
+    const product = await request(app).get('/product/abc');
+    const bulk = await request(app).post('/order/bulk?atomic=talvez').send([buildOrderInput()]);
+    const format = await request(app).get(`/order/${ORDER_ID}?format=xml`);
+
+    expect(product.status).toBe(400);
+    expect(product.body).toMatchObject({
+      detail: 'O ID do produto deve ser um número válido.',
+      errors: [{ field: 'productId', message: 'deve ser um número inteiro' }],
+    });
+    expect(bulk.status).toBe(400);
+    expect(bulk.body.errors).toEqual([{ field: 'atomic', message: 'deve ser um booleano' }]);
+    expect(format.status).toBe(400);
+    expect(format.body.errors[0].field).toBe('format');
+  });
+
+  it('aceita os dois formatos de atualização de item e rejeita corpos incompletos', async () => {
+    const internal = await request(app).put(`/order/${ORDER_ID}/item/2434`).send({ quantity: 4, price: 10 });
+    const incomplete = await request(app).put(`/order/${ORDER_ID}/item/2434`).send({ quantity: 4 });
+    const order = await request(app).get(`/order/${ORDER_ID}`);
+
+    expect(internal.status).toBe(200);
+    expect(incomplete.status).toBe(400);
+    expect(incomplete.body.detail).toBe('Dados de atualização do item inválidos.');
+    expect(order.body.items[0]).toMatchObject({ productId: 2434, quantity: 4 });
+  });
+
+  it('valida o corpo do pedido uma única vez, pelo mapeador do canal', async () => {
+    const validate = jest.spyOn(inputMapper, 'validate');
+
+    const created = await request(app).post('/order').send(buildOrderInput({ numeroPedido: 'outro-01' }));
+    const invalid = await request(app).post('/order').send(buildOrderInput({ valorTotal: 'trinta' }));
+
+    expect(created.status).toBe(201);
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.detail).toBe('Dados do pedido inválidos.');
+    expect(validate).toHaveBeenCalledTimes(2);
+    validate.mockRestore();
+  });
+
+  it('valida a autorização antes do corpo', async () => {
+    const response = await request(app, 'reader').post('/order').send({});
+
+    expect(response.status).toBe(403);
+  });
+
+  it('recusa na inicialização rotas sem descrição na especificação', () => {
+    const router = express.Router();
+    router.get('/:orderId/nao-documentada', validateRequest, (req, res) => res.end());
+
+    expect(() => assertRoutesDocumented([['/order', require('../../routes/OrderRoutes')]])).not.toThrow();
+    expect(() => assertRoutesDocumented([['/order', router]]))
+      .toThrow('Rotas sem descrição na especificação OpenAPI: GET /order/{orderId}/nao-documentada.');
+  });
+});
+
+describe('respostas', () => {
+  it('seguem os schemas documentados', async () => {
+    const { body: spec } = await supertest(app).get('/openapi.json');
+    const ajv = new Ajv2020({ strict: false, validateFormats: false });
+    ajv.addSchema(spec, 'openapi.json');
+    const schemaOf = (path, method, status) => {
+      const content = spec.paths[path][method].responses[status].content;
+      return ajv.compile({ $ref: `openapi.json#/paths/${path.replace(/\//g, '~1')}/${method}/responses/${status}/content/${Object.keys(content)[0].replace(/\//g, '~1')}/schema` });
+    };
+
+    const created = await request(app).post('/order').send(buildOrderInput());
+    const order = await request(app).get(`/order/${ORDER_ID}`);
+    const page = await request(app).get('/order/list?includeTotal=true');
+    const invalid = await request(app).post('/order').send({ numeroPedido: 'x-01' });
+
+    const checks = [
+      [schemaOf('/order', 'post', 201), created.body],
+      [schemaOf('/order/{orderId}', 'get', 200), order.body],
+      [schemaOf('/order/list', 'get', 200), page.body],
+      [ajv.compile({ $ref: 'openapi.json#/components/schemas/Problem' }), invalid.body],
+    ];
+
+    checks.forEach(([check, body]) => {
+      expect(check(body) ? null : check.errors).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const { request } = require('../support/auth');
+const app = require('../../app');
+const OrderModel = require('../../models/OrderModel');
+const { createCacheBackend, createReadThroughCache } = require('../../cache');
+const { buildOrderInput } = require('../support/fixtures');
+const { startFakeRedis } = require('../support/fakeRedis');
+
+const ORDER_ID = 'v10089015vdb';
+
+beforeEach(async () => {
+  await request(app).post('/order').send(buildOrderInput());
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('cache de GET /order/:orderId', () => {
+  it('busca o pedido e os itens em uma única consulta e reaproveita o resultado', async () => {
+    const load = jest.spyOn(OrderModel, 'findOrderWithItems');
+
+    const first = await request(app).get(`/order/${ORDER_ID}`);
+    const second = await request(app, 'reader').get(`/order/${ORDER_ID}`);
+
+    expect(load).toHaveBeenCalledTimes(1);
+    expect(second.status).toBe(200);
+    expect(second.body).toEqual(first.body);
+    expect(first.body.items.map(item => item.productId)).toEqual([2434, 2435]);
+  });
+
+  it('é invalidado pelas alterações do pedido, dos itens e pela remoção', async () => {
+    await request(app).get(`/order/${ORDER_ID}`);
+
+    await request(app).put(`/order/${ORDER_ID}/item/2434`).send({ quantidadeItem: 3, valorItem: 10 });
+    const afterItemUpdate = await request(app).get(`/order/${ORDER_ID}`);
+
+    await request(app).put(`/order/${ORDER_ID}`).send(buildOrderInput({ valorTotal: 50 }));
+    const afterUpdate = await request(app).get(`/order/${ORDER_ID}`);
+
+    await request(app).delete(`/order/${ORDER_ID}`);
+    const afterDelete = await request(app).get(`/order/${ORDER_ID}`);
+    const withDeleted = await request(app).get(`/order/${ORDER_ID}?includeDeleted=true`);
+
+    expect(afterItemUpdate.body).toMatchObject({ version: 2, items: [{ productId: 2434, quantity: 3 }, { productId: 2435 }] });
+    expect(afterUpdate.body).toMatchObject({ version: 3, value: 50 });
+    expect(afterDelete.status).toBe(404);
+    expect(withDeleted.body.deletedAt).toEqual(expect.any(String));
+  });
+
+  it('responde 304 para If-None-Match ainda válido e ignora If-Modified-Since', async () => {
+    const first = await request(app).get(`/order/${ORDER_ID}`);
+    const { etag, 'last-modified': lastModified } = first.headers;
+
+    const byETag = await request(app).get(`/order/${ORDER_ID}`).set('If-None-Match', etag);
+    const byDate = await request(app).get(`/order/${ORDER_ID}`).set('If-Modified-Since', lastModified);
+
+    await request(app).post(`/order/${ORDER_ID}/status`).send({ status: 'paid' });
+    const changed = await request(app).get(`/order/${ORDER_ID}`).set('If-None-Match', etag);
+    // Alterado no mesmo segundo: If-Modified-Since não pode esconder a nova versão
+    const changedSameSecond = await request(app).get(`/order/${ORDER_ID}`).set('If-Modified-Since', lastModified);
+
+    expect(first.headers['cache-control']).toBe('private, no-cache');
+    expect(lastModified).toBe(new Date(first.body.updatedAt).toUTCString());
+    expect(byETag.status).toBe(304);
+    expect(byETag.text).toBe('');
+    expect(byETag.headers.etag).toBe(etag);
+    expect(byDate.status).toBe(200);
+    expect(changed.status).toBe(200);
+    expect(changed.headers.etag).toBe('"2"');
+    expect(changedSameSecond.status).toBe(200);
+    expect(changedSameSecond.body.status).toBe('paid');
+  });
+
+  it('usa um ETag por representação e não responde 304 com o ETag de outra', async () => {
+    const internal = await request(app).get(`/order/${ORDER_ID}`);
+    const input = await request(app).get(`/order/${ORDER_ID}`).set('Accept', 'application/vnd.pedido+json');
+
+    const crossed = await request(app).get(`/order/${ORDER_ID}`)
+      .set('Accept', 'application/vnd.pedido+json').set('If-None-Match', internal.headers.etag);
+    const same = await request(app).get(`/order/${ORDER_ID}?format=input`).set('If-None-Match', input.headers.etag);
+
+    expect(internal.headers.etag).toBe('"1"');
+    expect(input.headers.etag).toBe('"1-input"');
+    expect(crossed.status).toBe(200);
+    expect(crossed.headers.vary).toBe('Accept');
+    expect(same.status).toBe(304);
+    expect(same.headers.vary).toBe('Accept');
+  });
+
+  it('aceita em If-Match o ETag de qualquer representação da versão atual', async () => {
+    const { etag } = (await request(app).get(`/order/${ORDER_ID}?format=input`)).headers;
+
+    const response = await request(app).post(`/order/${ORDER_ID}/status`).set('If-Match', etag).send({ status: 'paid' });
+    const stale = await request(app).post(`/order/${ORDER_ID}/status`).set('If-Match', etag).send({ status: 'shipped' });
+
+    expect(response.status).toBe(200);
+    expect(stale.status).toBe(412);
+  });
+});
+
+describe('leitura concorrente com uma alteração', () => {
+  it('não grava no cache o valor carregado antes de uma invalidação', async () => {
+    const cache = createReadThroughCache({ name: 'teste', backend: createCacheBackend('memory', { maxEntries: 10 }), ttlSeconds: 60 });
+
+    // O escritor faz COMMIT e invalida enquanto a leitura ainda carrega a versão antiga
+    const stale = await cache.getOrLoad(ORDER_ID, async () => {
+      await cache.invalidate(ORDER_ID);
+      return { version: 1 };
+    });
+    const fresh = await cache.getOrLoad(ORDER_ID, async () => ({ version: 2 }));
+    const cached = await cache.getOrLoad(ORDER_ID, async () => ({ version: 3 }));
+
+    expect(stale).toEqual({ version: 1 });
+    expect(fresh).toEqual({ version: 2 });
+    expect(cached).toEqual({ version: 2 });
+  });
+});
+
+describe('backend redis', () => {
+  let redis;
+
+  beforeEach(async () => {
+    redis = await startFakeRedis({ password: 'segredo' });
+  });
+
+  afterEach(async () => {
+    await redis.close();
+  });
+
+  it('autentica, seleciona o banco e guarda os valores com prefixo e TTL', async () => {
+    const backend = createCacheBackend('redis', { url: `redis://:segredo@${redis.url.slice('redis://'.length)}/2`, timeoutMs: 500 });
+
+    await backend.set('order:1', '{"a":1}', 60);
+    await backend.set('order:2', '{"b":2}', 60);
+    const cached = await backend.get('order:1');
+    await backend.delete(['order:1']);
+    const deleted = await backend.get('order:1');
+    await backend.clear();
+    await backend.close();
+
+    expect(cached).toBe('{"a":1}');
+    expect(deleted).toBeUndefined();
+    expect(redis.store.size).toBe(0);
+    // CLIENT e INFO são a identificação e a verificação de prontidão feitas pelo cliente ao conectar
+    expect(redis.commands.filter(([command]) => !['CLIENT', 'INFO'].includes(command)).slice(0, 3)).toEqual([
+      ['AUTH', 'segredo'],
+      ['SELECT', '2'],
+      ['SET', 'gerenciador-pedidos:order:1', '{"a":1}', 'EX', '60'],
+    ]);
+  });
+
+  it('consulta a origem quando o Redis recusa os comandos', async () => {
+    const cache = createReadThroughCache({
+      name: 'teste',
+      backend: createCacheBackend('redis', { url: redis.url, timeoutMs: 500 }),
+      ttlSeconds: 60,
+    });
+    const load = jest.fn(async () => ({ orderId: ORDER_ID }));
+
+    const first = await cache.getOrLoad(ORDER_ID, load);
+    const second = await cache.getOrLoad(ORDER_ID, load);
+    await cache.close();
+
+    expect(first).toEqual({ orderId: ORDER_ID });
+    expect(second).toEqual({ orderId: ORDER_ID });
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+});
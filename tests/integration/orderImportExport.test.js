@@ -0,0 +1,148 @@
+const { request } = require('../support/auth');
+const app = require('../../app');
+const { buildOrderInput } = require('../support/fixtures');
+const { createDeclarativeMapper } = require('../../mappers/declarativeMapper');
+const mappersExample = require('../../config/mappers.example.json');
+const OrderModel = require('../../models/OrderModel');
+const logger = require('../../utils/logger');
+
+describe('POST /order/bulk', () => {
+  beforeEach(async () => {
+    await request(app).post('/order').send(buildOrderInput({ numeroPedido: 'existente-01' }));
+  });
+
+  const batch = [
+    buildOrderInput({ numeroPedido: 'novo-01' }),
+    buildOrderInput({ numeroPedido: 'existente-01' }),
+    { numeroPedido: 'invalido-01' },
+  ];
+
+  it('grava os válidos e informa o resultado de cada registro', async () => {
+    const response = await request(app).post('/order/bulk').send(batch);
+
+    expect(response.status).toBe(200);
+    expect(response.body.summary).toEqual({ created: 1, duplicate: 1, invalid: 1, rolled_back: 0 });
+    expect(response.body.results.map(result => result.status)).toEqual(['created', 'duplicate', 'invalid']);
+    expect((await request(app).get('/order/novo')).status).toBe(200);
+  });
+
+  it('cancela o lote inteiro no modo atômico', async () => {
+    const response = await request(app).post('/order/bulk?atomic=true').send(batch);
+
+    expect(response.status).toBe(422);
+    expect(response.body.committed).toBe(false);
+    expect((await request(app).get('/order/novo')).status).toBe(404);
+  });
+
+  it('responde 400 quando o corpo não é uma lista', async () => {
+    const response = await request(app).post('/order/bulk').send(buildOrderInput());
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('GET /order/export', () => {
+  beforeEach(async () => {
+    await request(app).post('/order').send(buildOrderInput({ numeroPedido: 'a-01', dataCriacao: '2024-01-01T00:00:00Z' }));
+    await request(app).post('/order').send(buildOrderInput({
+      numeroPedido: 'b-01', dataCriacao: '2024-01-02T00:00:00Z', valorTotal: 5,
+      items: [{ idItem: 9, quantidadeItem: 1, valorItem: 5 }],
+    }));
+  });
+
+  it('exporta CSV com uma linha por item', async () => {
+    const response = await request(app).get('/order/export');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="pedidos-.*\.csv"$/);
+
+    const lines = response.text.replace(/^\uFEFF/, '').trim().split('\r\n');
+    expect(lines).toEqual([
+      'orderId,numeroPedido,creationDate,status,value,deletedAt,productId,quantity,price',
+      'b,b-01,2024-01-02T00:00:00.000Z,pending,5,,9,1,5',
+      'a,a-01,2024-01-01T00:00:00.000Z,pending,30,,2434,1,10',
+      'a,a-01,2024-01-01T00:00:00.000Z,pending,30,,2435,2,10',
+    ]);
+  });
+
+  it('exporta NDJSON com um pedido por linha, aplicando os filtros da listagem', async () => {
+    const response = await request(app).get('/order/export?format=ndjson&minValue=10');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+
+    const orders = response.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(orders).toHaveLength(1);
+    expect(orders[0]).toMatchObject({ orderId: 'a', items: [{ productId: 2434 }, { productId: 2435 }] });
+  });
+
+  it('encerra a conexão sem concluir a resposta quando a leitura falha no meio do envio', async () => {
+    const fetch = jest.spyOn(OrderModel, 'fetchFromCursor').mockRejectedValueOnce(new Error('conexão perdida'));
+    const logged = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    const truncated = await request(app).get('/order/export').then(() => null, error => error);
+    const next = await request(app).get('/order/export');
+
+    expect(truncated).toMatchObject({ code: 'ECONNRESET' });
+    expect(logged).toHaveBeenCalledWith('Exportação interrompida por erro', expect.objectContaining({ path: '/order/export' }));
+    // A conexão com o banco foi devolvida ao pool
+    expect(next.status).toBe(200);
+    fetch.mockRestore();
+    logged.mockRestore();
+  });
+
+  it('responde 400 para formato desconhecido', async () => {
+    const response = await request(app).get('/order/export?format=xml');
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('/channels/:channel/order', () => {
+  it('aceita as mesmas rotas com o canal fixado na URL', async () => {
+    const created = await request(app).post('/channels/input/order').send(buildOrderInput());
+    const fetched = await request(app).get('/channels/input/order/v10089015vdb');
+
+    expect(created.status).toBe(201);
+    expect(fetched.status).toBe(200);
+    expect(fetched.body.numeroPedido).toBe('v10089015vdb-01');
+  });
+
+  it('responde 400 para canal desconhecido', async () => {
+    const response = await request(app).post('/channels/desconhecido/order').send(buildOrderInput());
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].field).toBe('channel');
+  });
+});
+
+describe('mapeadores declarativos', () => {
+  const marketplace = createDeclarativeMapper(mappersExample.find(config => config.name === 'marketplace'));
+  const buildMarketplaceOrder = (createdAt) => ({
+    order_code: 'MKT-1001',
+    totals: { grand_total: 1000 },
+    created_at: createdAt,
+    lines: [{ product: { sku: '2434' }, qty: 1, unit_price: 1000 }],
+  });
+
+  it('converte datas epoch para o formato interno', () => {
+    expect(marketplace.toInternal(buildMarketplaceOrder(1689769451)).creationDate).toBe('2023-07-19T12:24:11.000Z');
+  });
+
+  it('recusa com 400 datas epoch fora do intervalo representável', () => {
+    expect(() => marketplace.validate(buildMarketplaceOrder(1e13))).toThrow(expect.objectContaining({
+      statusCode: 400,
+      errors: [expect.objectContaining({ field: 'created_at' })],
+    }));
+  });
+
+  it('valida e converte apenas o cabeçalho com withItems: false', () => {
+    const { lines, ...header } = buildMarketplaceOrder(1689769451);
+
+    expect(() => marketplace.validate(header)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => marketplace.validate({ ...header, lines: 'x' }, { withItems: false })).not.toThrow();
+    expect(marketplace.itemsPath).toBe('lines');
+    expect(marketplace.toInternal({ ...header, lines: 'x' }, { withItems: false })).not.toHaveProperty('items');
+  });
+});
@@ -0,0 +1,145 @@
+const { request } = require('../support/auth');
+const app = require('../../app');
+const { buildOrderInput } = require('../support/fixtures');
+
+const ORDER_ID = 'v10089015vdb';
+
+const getOrder = async () => (await request(app).get(`/order/${ORDER_ID}`)).body;
+
+beforeEach(async () => {
+  await request(app).post('/order').send(buildOrderInput());
+});
+
+describe('POST /order/:orderId/item', () => {
+  it('adiciona o item e atualiza a versão do pedido', async () => {
+    const response = await request(app).post(`/order/${ORDER_ID}/item`)
+      .send({ idItem: 99, quantidadeItem: 3, valorItem: 2.5 });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toEqual({ productId: 99, quantity: 3, price: 2.5 });
+    expect(response.headers.etag).toBe('"2"');
+    expect((await getOrder()).items).toContainEqual({ productId: 99, quantity: 3, price: 2.5 });
+  });
+
+  it('responde 409 quando o produto já está no pedido', async () => {
+    const response = await request(app).post(`/order/${ORDER_ID}/item`)
+      .send({ idItem: 2434, quantidadeItem: 1, valorItem: 10 });
+
+    expect(response.status).toBe(409);
+  });
+
+  it('responde 400 para item inválido', async () => {
+    const response = await request(app).post(`/order/${ORDER_ID}/item`).send({ idItem: 'abc', quantidadeItem: -1 });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('responde 404 para pedido inexistente', async () => {
+    const response = await request(app).post('/order/nao-existe/item')
+      .send({ idItem: 1, quantidadeItem: 1, valorItem: 1 });
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('PUT /order/:orderId/item/:productId', () => {
+  it('atualiza quantidade e preço do item', async () => {
+    const response = await request(app).put(`/order/${ORDER_ID}/item/2434`).send({ quantidadeItem: 5, valorItem: 1 });
+
+    expect(response.status).toBe(200);
+    expect((await getOrder()).items).toContainEqual({ productId: 2434, quantity: 5, price: 1 });
+  });
+
+  it('responde 404 para item que não está no pedido', async () => {
+    const response = await request(app).put(`/order/${ORDER_ID}/item/1`).send({ quantidadeItem: 5, valorItem: 1 });
+
+    expect(response.status).toBe(404);
+  });
+
+  it('responde 400 para productId não numérico', async () => {
+    const response = await request(app).put(`/order/${ORDER_ID}/item/abc`).send({ quantidadeItem: 5, valorItem: 1 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([{ field: 'productId', message: 'deve ser um número inteiro' }]);
+  });
+
+  it('responde 412 quando o If-Match é de uma versão antiga', async () => {
+    await request(app).put(`/order/${ORDER_ID}/item/2434`).send({ quantidadeItem: 5, valorItem: 1 });
+    const response = await request(app).put(`/order/${ORDER_ID}/item/2434`).set('If-Match', '"1"')
+      .send({ quantidadeItem: 6, valorItem: 1 });
+
+    expect(response.status).toBe(412);
+  });
+});
+
+describe('DELETE /order/:orderId/item/:productId', () => {
+  it('remove o item do pedido', async () => {
+    const response = await request(app).delete(`/order/${ORDER_ID}/item/2435`);
+
+    expect(response.status).toBe(200);
+    expect((await getOrder()).items.map(item => item.productId)).toEqual([2434]);
+  });
+
+  it('responde 404 para item inexistente', async () => {
+    const response = await request(app).delete(`/order/${ORDER_ID}/item/1`);
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('política de valor total', () => {
+  it('devolve aviso quando o total diverge dos itens (ORDER_TOTAL_POLICY=warn)', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const response = await request(app).put(`/order/${ORDER_ID}/item/2434`).send({ quantidadeItem: 1, valorItem: 50 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.warnings).toHaveLength(1);
+    warn.mockRestore();
+  });
+});
+
+describe('política de valor total reject', () => {
+  let rejectApp;
+  let rejectCache;
+
+  beforeAll(() => {
+    // Nova instância da aplicação com ORDER_TOTAL_POLICY=reject, usando o mesmo banco de teste
+    const db = require('../../config/db');
+    process.env.ORDER_TOTAL_POLICY = 'reject';
+
+    jest.isolateModules(() => {
+      jest.doMock('../../config/db', () => db);
+      rejectApp = require('../../app');
+      rejectCache = require('../../cache').orderCache;
+    });
+
+    delete process.env.ORDER_TOTAL_POLICY;
+  });
+
+  beforeEach(() => rejectCache.clear());
+
+  const getRejectOrder = async () => (await request(rejectApp).get(`/order/${ORDER_ID}`)).body;
+
+  it('adiciona o item e recalcula o valor total do pedido', async () => {
+    const response = await request(rejectApp).post(`/order/${ORDER_ID}/item`)
+      .send({ idItem: 99, quantidadeItem: 3, valorItem: 2.5 });
+
+    expect(response.status).toBe(201);
+    expect(response.body.warnings).toBeUndefined();
+    expect((await getRejectOrder()).value).toBe(37.5);
+  });
+
+  it('remove o item e recalcula o valor total do pedido', async () => {
+    const response = await request(rejectApp).delete(`/order/${ORDER_ID}/item/2435`);
+
+    expect(response.status).toBe(200);
+    expect((await getRejectOrder()).value).toBe(10);
+  });
+
+  it('continua recusando POST /order com total divergente', async () => {
+    const response = await request(rejectApp).post('/order').send(buildOrderInput({ numeroPedido: 'outro-01', valorTotal: 99 }));
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,123 @@
+const { request } = require('../support/auth');
+const app = require('../../app');
+const { pool } = require('../../config/db');
+const { buildOrderInput } = require('../support/fixtures');
+
+const ORDER_ID = 'v10089015vdb';
+
+beforeEach(async () => {
+  await request(app, 'operator').post('/order').send(buildOrderInput());
+});
+
+describe('POST /order/:orderId/status', () => {
+  it('segue as transições permitidas', async () => {
+    const paid = await request(app).post(`/order/${ORDER_ID}/status`).send({ status: 'paid' });
+    const shipped = await request(app).post(`/order/${ORDER_ID}/status`).send({ status: 'shipped' });
+
+    expect(paid.status).toBe(200);
+    expect(shipped.status).toBe(200);
+    expect(shipped.body.data.status).toBe('shipped');
+  });
+
+  it('responde 409 para transição não permitida', async () => {
+    const response = await request(app).post(`/order/${ORDER_ID}/status`).send({ status: 'delivered' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.type).toBe('/problems/invalid-state');
+  });
+
+  it('responde 400 para status desconhecido', async () => {
+    const response = await request(app).post(`/order/${ORDER_ID}/status`).send({ status: 'lost' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('impede alterar pedidos em status terminal', async () => {
+    await request(app).post(`/order/${ORDER_ID}/status`).send({ status: 'cancelled' });
+    const response = await request(app).post(`/order/${ORDER_ID}/item`).send({ idItem: 1, quantidadeItem: 1, valorItem: 1 });
+
+    expect(response.status).toBe(409);
+  });
+});
+
+describe('GET /order/:orderId/history', () => {
+  it('registra cada operação com o autor e os estados anterior e posterior', async () => {
+    await request(app, 'operator').post(`/order/${ORDER_ID}/status`).send({ status: 'paid' });
+    const response = await request(app).get(`/order/${ORDER_ID}/history`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.map(entry => entry.operation)).toEqual(['create', 'status_change']);
+    expect(response.body[1]).toMatchObject({
+      actor: 'test-operator',
+      before: { status: 'pending', version: 1 },
+      after: { status: 'paid', version: 2 },
+    });
+  });
+
+  it('responde 404 para pedido sem histórico', async () => {
+    const response = await request(app).get('/order/nao-existe/history');
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('DELETE /order/:orderId e POST /order/:orderId/restore', () => {
+  it('remove logicamente e restaura o pedido', async () => {
+    const deleted = await request(app).delete(`/order/${ORDER_ID}`);
+
+    expect(deleted.status).toBe(204);
+    expect((await request(app).get(`/order/${ORDER_ID}`)).status).toBe(404);
+    expect((await request(app).get(`/order/${ORDER_ID}?includeDeleted=true`)).body.deletedAt).toBeDefined();
+
+    const restored = await request(app).post(`/order/${ORDER_ID}/restore`);
+
+    expect(restored.status).toBe(200);
+    expect((await request(app).get(`/order/${ORDER_ID}`)).status).toBe(200);
+  });
+
+  it('responde 404 ao remover pedido inexistente', async () => {
+    const response = await request(app).delete('/order/nao-existe');
+
+    expect(response.status).toBe(404);
+  });
+
+  it('responde 409 ao restaurar pedido que não está removido', async () => {
+    const response = await request(app).post(`/order/${ORDER_ID}/restore`);
+
+    expect(response.status).toBe(409);
+  });
+});
+
+describe('POST /order/purge', () => {
+  it('expurga apenas os pedidos removidos antes do período de retenção', async () => {
+    await request(app).post('/order').send(buildOrderInput({ numeroPedido: 'recente-01' }));
+    await request(app).delete(`/order/${ORDER_ID}`);
+    await request(app).delete('/order/recente');
+    await pool.query(`UPDATE Orders SET deletedAt = NOW() - INTERVAL '10 days' WHERE orderId = $1`, [ORDER_ID]);
+
+    const response = await request(app).post('/order/purge').send({ retentionDays: 5 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ purged: 1, orderIds: [ORDER_ID] });
+    expect((await request(app).get(`/order/${ORDER_ID}?includeDeleted=true`)).status).toBe(404);
+    expect((await request(app).get('/order/recente?includeDeleted=true')).status).toBe(200);
+  });
+
+  it('registra no histórico o último estado do pedido expurgado', async () => {
+    await request(app).delete(`/order/${ORDER_ID}`);
+
+    await request(app).post('/order/purge').send({ retentionDays: 0 });
+    const history = await request(app).get(`/order/${ORDER_ID}/history`);
+    const purgeEntry = history.body[history.body.length - 1];
+
+    expect(purgeEntry).toMatchObject({ operation: 'purge', after: null });
+    expect(purgeEntry.before).toMatchObject({ orderId: ORDER_ID, deletedAt: expect.any(String) });
+    expect(purgeEntry.before.items).toHaveLength(2);
+  });
+
+  it('responde 400 para retentionDays inválido', async () => {
+    const response = await request(app).post('/order/purge').send({ retentionDays: -1 });
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,319 @@
+const { request } = require('../support/auth');
+const app = require('../../app');
+const { buildOrderInput } = require('../support/fixtures');
+const { pool } = require('../../config/db');
+const IdempotencyService = require('../../services/IdempotencyService');
+
+const ORDER_ID = 'v10089015vdb';
+
+const createOrder = (overrides) => request(app).post('/order').send(buildOrderInput(overrides));
+
+describe('POST /order', () => {
+  it('cria o pedido com os itens mapeados para o formato interno', async () => {
+    const response = await createOrder();
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({
+      orderId: ORDER_ID,
+      value: 30,
+      creationDate: '2023-07-19T12:24:11.529Z',
+      items: [
+        { productId: 2434, quantity: 1, price: 10 },
+        { productId: 2435, quantity: 2, price: 10 },
+      ],
+    });
+  });
+
+  it('rejeita payload inválido com 400 e a lista de campos', async () => {
+    const response = await request(app).post('/order').send({ numeroPedido: 'x-01', items: [] });
+
+    expect(response.status).toBe(400);
+    expect(response.headers['content-type']).toMatch(/application\/problem\+json/);
+    expect(response.body.errors.map(error => error.field)).toEqual(
+      expect.arrayContaining(['valorTotal', 'dataCriacao', 'items'])
+    );
+  });
+
+  it.each([
+    ['numeroPedido sem orderId', { numeroPedido: '-01' }, 'numeroPedido'],
+    ['orderId com mais de 50 caracteres', { numeroPedido: `${'x'.repeat(60)}-01` }, 'numeroPedido'],
+    ['valorTotal acima de NUMERIC(10, 2)', { valorTotal: 1e12 }, 'valorTotal'],
+    ['valorTotal com frações de centavo', { valorTotal: 30.001 }, 'valorTotal'],
+    ['valorItem acima de NUMERIC(10, 2)', { items: [{ idItem: 2434, quantidadeItem: 1, valorItem: 100000000 }] }, 'items[0].valorItem'],
+    ['idItem numérico acima de INTEGER', { items: [{ idItem: 2147483648, quantidadeItem: 1, valorItem: 10 }] }, 'items[0].idItem'],
+    ['idItem em texto acima de INTEGER', { items: [{ idItem: '99999999999', quantidadeItem: 1, valorItem: 10 }] }, 'items[0].idItem'],
+    ['dataCriacao fora do ISO 8601', { dataCriacao: '1' }, 'dataCriacao'],
+  ])('responde 400 no campo para %s, sem chegar ao banco', async (_, overrides, field) => {
+    const connect = jest.spyOn(pool, 'connect');
+
+    const response = await createOrder(overrides);
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors.map(error => error.field)).toContain(field);
+    expect(connect).not.toHaveBeenCalled();
+    connect.mockRestore();
+  });
+
+  it('aceita valores com centavos e datas com fração de segundo estendida', async () => {
+    const response = await createOrder({
+      valorTotal: 0.07,
+      dataCriacao: '2023-07-19T12:24:11.5299601+00:00',
+      items: [{ idItem: '2434', quantidadeItem: 1, valorItem: 0.07 }],
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({ value: 0.07, creationDate: '2023-07-19T12:24:11.529Z' });
+  });
+
+  it('responde 400 quando o mesmo produto aparece em dois itens', async () => {
+    const response = await createOrder({
+      items: [
+        { idItem: '2434', quantidadeItem: 1, valorItem: 10 },
+        { idItem: 2434, quantidadeItem: 2, valorItem: 10 },
+      ],
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([{ field: 'items[1].idItem', message: 'produto 2434 repetido no pedido' }]);
+    expect((await request(app).get(`/order/${ORDER_ID}`)).status).toBe(404);
+  });
+
+  it('impede no banco dois itens do mesmo produto no pedido', async () => {
+    await createOrder();
+
+    await expect(pool.query(
+      `INSERT INTO Items (orderId, productId, quantity, price) VALUES ($1, 2434, 1, 10);`,
+      [ORDER_ID]
+    )).rejects.toMatchObject({ code: '23505' });
+  });
+
+  it('responde 409 para orderId duplicado', async () => {
+    await createOrder();
+    const response = await createOrder();
+
+    expect(response.status).toBe(409);
+    expect(response.body.detail).toBe(`O número de pedido ${ORDER_ID} já existe.`);
+  });
+
+  it('desfaz a criação do pedido quando a inserção de um item falha', async () => {
+    // quantity é INTEGER: o INSERT do segundo item estoura o limite da coluna
+    const response = await createOrder({
+      items: [
+        { idItem: 1, quantidadeItem: 1, valorItem: 10 },
+        { idItem: 2, quantidadeItem: 3000000000, valorItem: 0 },
+      ],
+      valorTotal: 10,
+    });
+
+    expect(response.status).toBe(400);
+    expect((await request(app).get(`/order/${ORDER_ID}`)).status).toBe(404);
+    expect((await request(app).get('/order/list')).body.data).toEqual([]);
+  });
+
+  it('devolve a resposta original ao repetir a mesma Idempotency-Key', async () => {
+    const first = await request(app).post('/order').set('Idempotency-Key', 'chave-1').send(buildOrderInput());
+    const replay = await request(app).post('/order').set('Idempotency-Key', 'chave-1').send(buildOrderInput());
+
+    expect(first.status).toBe(201);
+    expect(replay.status).toBe(201);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(replay.body).toEqual(first.body);
+  });
+
+  it('responde 422 ao reutilizar a Idempotency-Key com outro corpo', async () => {
+    await request(app).post('/order').set('Idempotency-Key', 'chave-1').send(buildOrderInput());
+    const response = await request(app).post('/order').set('Idempotency-Key', 'chave-1')
+      .send(buildOrderInput({ numeroPedido: 'outro-01' }));
+
+    expect(response.status).toBe(422);
+  });
+
+  it('cria um único pedido para duas requisições concorrentes com a mesma Idempotency-Key', async () => {
+    const responses = await Promise.all([1, 2].map(() =>
+      request(app).post('/order').set('Idempotency-Key', 'chave-1').send(buildOrderInput())
+    ));
+
+    // A segunda recebe a resposta original ou, se a primeira ainda não terminou, 409 (nunca 500)
+    const statuses = responses.map(response => response.status);
+    expect(statuses).toContain(201);
+    statuses.forEach(status => expect([201, 409]).toContain(status));
+    expect((await request(app).get('/order/list')).body.data).toHaveLength(1);
+  });
+
+  it('responde 409 enquanto outra requisição com a mesma Idempotency-Key está em andamento', async () => {
+    // Chave reservada por uma requisição que ainda não gravou a resposta
+    await pool.query(
+      `INSERT INTO IdempotencyKeys (idempotencyKey, requestHash, expiresAt) VALUES ($1, $2, NOW() + INTERVAL '1 hour');`,
+      ['chave-1', IdempotencyService.hashRequest(buildOrderInput())]
+    );
+
+    const response = await request(app).post('/order').set('Idempotency-Key', 'chave-1').send(buildOrderInput());
+
+    expect(response.status).toBe(409);
+    expect(response.body.detail).toMatch(/ainda está sendo processada/);
+    expect((await request(app).get(`/order/${ORDER_ID}`)).status).toBe(404);
+  });
+});
+
+describe('GET /order/:orderId', () => {
+  it('retorna o pedido com os itens e o ETag da versão', async () => {
+    await createOrder();
+    const response = await request(app).get(`/order/${ORDER_ID}`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.etag).toBe('"1"');
+    expect(response.body).toMatchObject({ orderId: ORDER_ID, status: 'pending', version: 1 });
+    expect(response.body.items).toHaveLength(2);
+  });
+
+  it('retorna no formato de entrada com ?format=input', async () => {
+    await createOrder();
+    const response = await request(app).get(`/order/${ORDER_ID}?format=input`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ numeroPedido: 'v10089015vdb-01', valorTotal: 30 });
+  });
+
+  it('responde 404 para pedido inexistente', async () => {
+    const response = await request(app).get('/order/nao-existe');
+
+    expect(response.status).toBe(404);
+    expect(response.body).toMatchObject({ status: 404, type: '/problems/resource-not-found' });
+  });
+});
+
+describe('GET /order/list', () => {
+  beforeEach(async () => {
+    await createOrder({ numeroPedido: 'a-01', dataCriacao: '2024-01-01T00:00:00Z' });
+    await createOrder({ numeroPedido: 'b-01', dataCriacao: '2024-01-02T00:00:00Z' });
+    await createOrder({ numeroPedido: 'c-01', dataCriacao: '2024-01-03T00:00:00Z', valorTotal: 5,
+      items: [{ idItem: 9, quantidadeItem: 1, valorItem: 5 }] });
+  });
+
+  it('pagina com cursor na ordem mais recente primeiro', async () => {
+    const first = await request(app).get('/order/list?limit=2&includeTotal=true');
+
+    expect(first.status).toBe(200);
+    expect(first.body.data.map(order => order.orderId)).toEqual(['c', 'b']);
+    expect(first.body.total).toBe(3);
+
+    const second = await request(app).get(`/order/list?limit=2&cursor=${first.body.nextCursor}`);
+
+    expect(second.body.data.map(order => order.orderId)).toEqual(['a']);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  it('aplica filtros de valor e produto', async () => {
+    const byValue = await request(app).get('/order/list?maxValue=10');
+    const byProduct = await request(app).get('/order/list?productId=2434&sort=orderId&order=asc');
+
+    expect(byValue.body.data.map(order => order.orderId)).toEqual(['c']);
+    expect(byProduct.body.data.map(order => order.orderId)).toEqual(['a', 'b']);
+  });
+
+  it.each([
+    ['data', ['creationDate', 'desc', '2024-99-99', 'a']],
+    ['valor', ['value', 'desc', 'dez', 'a']],
+    ['valor fora de NUMERIC(10, 2)', ['value', 'desc', '123456789.001', 'a']],
+    ['orderId', ['orderId', 'desc', 'b', { id: 1 }]],
+    ['orderId com byte nulo', ['creationDate', 'desc', '2024-01-02T00:00:00.000Z', 'a\u0000']],
+  ])('responde 400 para cursor adulterado (%s)', async (_, payload) => {
+    const [sort, order] = payload;
+    const cursor = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    const response = await request(app).get(`/order/list?sort=${sort}&order=${order}&cursor=${cursor}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([{ field: 'cursor', message: expect.stringMatching(/^cursor inválido/) }]);
+  });
+
+  it('responde 400 para parâmetros inválidos', async () => {
+    const response = await request(app).get('/order/list?limit=0&sort=nome');
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors.map(error => error.field)).toEqual(['limit', 'sort']);
+  });
+});
+
+describe('PUT /order/:orderId', () => {
+  beforeEach(async () => {
+    await createOrder();
+  });
+
+  it('atualiza valor e data e incrementa a versão', async () => {
+    const response = await request(app).put(`/order/${ORDER_ID}`)
+      .send(buildOrderInput({ dataCriacao: '2024-05-01T10:00:00Z' }));
+
+    expect(response.status).toBe(200);
+    expect(response.headers.etag).toBe('"2"');
+
+    const order = (await request(app).get(`/order/${ORDER_ID}`)).body;
+    expect(order.creationDate).toBe('2024-05-01T10:00:00.000Z');
+    expect(order.items).toHaveLength(2);
+  });
+
+  it('sem replaceItems valida só o cabeçalho e avisa quando os itens enviados são ignorados', async () => {
+    const { items, ...header } = buildOrderInput({ valorTotal: 30 });
+    const headerOnly = await request(app).put(`/order/${ORDER_ID}`).send(header);
+    const withItems = await request(app).put(`/order/${ORDER_ID}`)
+      .send({ ...header, items: [{ idItem: 'x', quantidadeItem: 0 }] });
+
+    expect(headerOnly.status).toBe(200);
+    expect(headerOnly.body.warnings).toBeUndefined();
+    expect(withItems.status).toBe(200);
+    expect(withItems.body.warnings).toEqual([{ field: 'items', message: expect.stringContaining('replaceItems=true') }]);
+
+    const order = (await request(app).get(`/order/${ORDER_ID}`)).body;
+    expect(order.items).toEqual(items.map(item => ({ productId: Number(item.idItem), quantity: item.quantidadeItem, price: item.valorItem })));
+  });
+
+  it('responde 400 com replaceItems=true sem itens', async () => {
+    const { items, ...header } = buildOrderInput();
+    const response = await request(app).put(`/order/${ORDER_ID}?replaceItems=true`).send(header);
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors.map(error => error.field)).toEqual(['items']);
+  });
+
+  it('substitui os itens com ?replaceItems=true', async () => {
+    const response = await request(app).put(`/order/${ORDER_ID}?replaceItems=true`)
+      .send(buildOrderInput({ valorTotal: 7, items: [{ idItem: 7, quantidadeItem: 1, valorItem: 7 }] }));
+
+    expect(response.status).toBe(200);
+
+    const order = (await request(app).get(`/order/${ORDER_ID}`)).body;
+    expect(order.items).toEqual([{ productId: 7, quantity: 1, price: 7 }]);
+  });
+
+  it('responde 400 ao substituir os itens por uma lista com produto repetido', async () => {
+    const response = await request(app).put(`/order/${ORDER_ID}?replaceItems=true`)
+      .send(buildOrderInput({
+        valorTotal: 14,
+        items: [{ idItem: 7, quantidadeItem: 1, valorItem: 7 }, { idItem: 7, quantidadeItem: 1, valorItem: 7 }],
+      }));
+
+    expect(response.status).toBe(400);
+    expect((await request(app).get(`/order/${ORDER_ID}`)).body.items).toHaveLength(2);
+  });
+
+  it('responde 412 quando o If-Match não confere com a versão atual', async () => {
+    const response = await request(app).put(`/order/${ORDER_ID}`).set('If-Match', '"5"').send(buildOrderInput());
+
+    expect(response.status).toBe(412);
+  });
+
+  it('responde 404 para pedido inexistente', async () => {
+    const response = await request(app).put('/order/nao-existe').send(buildOrderInput({ numeroPedido: 'nao-existe' }));
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('rotas inexistentes', () => {
+  it('respondem 404 em application/problem+json', async () => {
+    const response = await request(app).patch(`/order/${ORDER_ID}`);
+
+    expect(response.status).toBe(404);
+    expect(response.headers['content-type']).toMatch(/application\/problem\+json/);
+  });
+});
@@ -0,0 +1,162 @@
+const { request } = require('../support/auth');
+const app = require('../../app');
+const { buildOrderInput } = require('../support/fixtures');
+const { CATALOG_STOCK } = require('../support/catalog');
+const ProductService = require('../../services/ProductService');
+
+const createOrder = (overrides) => request(app).post('/order').send(buildOrderInput(overrides));
+
+const stockOf = async (productId) => (await request(app).get(`/product/${productId}`)).body.stockOnHand;
+
+describe('/product', () => {
+  it('cadastra, consulta, altera e lista produtos', async () => {
+    const created = await request(app).post('/product').send({ productId: 5000, name: 'Caneta', listPrice: 2.5, stockOnHand: 3 });
+    const updated = await request(app).put('/product/5000').send({ name: 'Caneta azul', listPrice: 2.75 });
+    const fetched = await request(app, 'reader').get('/product/5000');
+    const firstPage = await request(app).get('/product/list?limit=7');
+    const secondPage = await request(app).get(`/product/list?cursor=${firstPage.body.nextCursor}`);
+
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ productId: 5000, name: 'Caneta', listPrice: 2.5, stockOnHand: 3 });
+    expect(updated.status).toBe(200);
+    expect(fetched.body).toMatchObject({ name: 'Caneta azul', listPrice: 2.75, stockOnHand: 3 });
+    expect(secondPage.body.data.map(product => product.productId)).toEqual([5000]);
+    expect(secondPage.body.nextCursor).toBeNull();
+  });
+
+  it('responde 409 para productId repetido e 400 para dados inválidos', async () => {
+    const duplicate = await request(app).post('/product').send({ productId: 2434, name: 'Outro', listPrice: 1 });
+    const invalid = await request(app).post('/product').send({ productId: 0, listPrice: -1 });
+
+    expect(duplicate.status).toBe(409);
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors.map(error => error.field).sort()).toEqual(['listPrice', 'name', 'productId']);
+  });
+
+  it('ajusta o estoque sem deixá-lo negativo', async () => {
+    const received = await request(app).post('/product/7/stock').send({ quantity: 5 });
+    const tooMuch = await request(app).post('/product/7/stock').send({ quantity: -(CATALOG_STOCK + 6) });
+    const unknown = await request(app).post('/product/4242/stock').send({ quantity: 1 });
+
+    expect(received.body.stockOnHand).toBe(CATALOG_STOCK + 5);
+    expect(tooMuch.status).toBe(409);
+    expect(unknown.status).toBe(404);
+    expect(await stockOf(7)).toBe(CATALOG_STOCK + 5);
+  });
+
+  it('não exclui produto que está em pedidos', async () => {
+    await createOrder();
+
+    const referenced = await request(app).delete('/product/2434');
+    const free = await request(app).delete('/product/7');
+
+    expect(referenced.status).toBe(409);
+    expect(free.status).toBe(204);
+    expect((await request(app).get('/product/7')).status).toBe(404);
+  });
+
+  it('exige operator para cadastrar e admin para excluir', async () => {
+    const created = await request(app, 'reader').post('/product').send({ productId: 5000, name: 'Caneta', listPrice: 1 });
+    const deleted = await request(app, 'operator').delete('/product/7');
+
+    expect(created.status).toBe(403);
+    expect(deleted.status).toBe(403);
+  });
+});
+
+describe('estoque dos pedidos', () => {
+  it('baixa o estoque na criação e o devolve na remoção', async () => {
+    await createOrder();
+
+    expect(await stockOf(2434)).toBe(CATALOG_STOCK - 1);
+    expect(await stockOf(2435)).toBe(CATALOG_STOCK - 2);
+
+    await request(app).delete('/order/v10089015vdb');
+    expect(await stockOf(2434)).toBe(CATALOG_STOCK);
+
+    await request(app).post('/order/v10089015vdb/restore');
+    expect(await stockOf(2434)).toBe(CATALOG_STOCK - 1);
+  });
+
+  it('devolve o estoque no cancelamento', async () => {
+    await createOrder();
+    await request(app).post('/order/v10089015vdb/status').send({ status: 'cancelled' });
+
+    expect(await stockOf(2434)).toBe(CATALOG_STOCK);
+    expect(await stockOf(2435)).toBe(CATALOG_STOCK);
+  });
+
+  it('reserva a diferença ao alterar, incluir e remover itens', async () => {
+    await createOrder();
+
+    await request(app).put('/order/v10089015vdb/item/2435').send({ quantidadeItem: 5, valorItem: 10 });
+    expect(await stockOf(2435)).toBe(CATALOG_STOCK - 5);
+
+    await request(app).post('/order/v10089015vdb/item').send({ idItem: '7', quantidadeItem: 4, valorItem: 10 });
+    expect(await stockOf(7)).toBe(CATALOG_STOCK - 4);
+
+    await request(app).delete('/order/v10089015vdb/item/7');
+    expect(await stockOf(7)).toBe(CATALOG_STOCK);
+  });
+
+  it('recusa produto fora do catálogo e quantidade acima do estoque', async () => {
+    const unknown = await createOrder({ valorTotal: 10, items: [{ idItem: '4242', quantidadeItem: 1, valorItem: 10 }] });
+    const oversold = await createOrder({
+      valorTotal: 10 * (CATALOG_STOCK + 1),
+      items: [{ idItem: '2434', quantidadeItem: CATALOG_STOCK + 1, valorItem: 10 }],
+    });
+    const itemUpdate = await createOrder().then(() =>
+      request(app).put('/order/v10089015vdb/item/2434').send({ quantidadeItem: CATALOG_STOCK + 1, valorItem: 10 })
+    );
+
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.errors[0]).toMatchObject({ field: 'productId' });
+    expect(oversold.status).toBe(409);
+    expect(itemUpdate.status).toBe(409);
+    expect(await stockOf(2434)).toBe(CATALOG_STOCK - 1);
+  });
+
+  it('não vende além do estoque com pedidos concorrentes', async () => {
+    await request(app).post('/product').send({ productId: 5000, name: 'Última unidade', listPrice: 10, stockOnHand: 1 });
+
+    const responses = await Promise.all(['a-01', 'b-01', 'c-01'].map(numeroPedido => createOrder({
+      numeroPedido, valorTotal: 10, items: [{ idItem: '5000', quantidadeItem: 1, valorItem: 10 }],
+    })));
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 409, 409]);
+    expect(await stockOf(5000)).toBe(0);
+  });
+
+  it('marca como inválidos no lote os pedidos sem estoque', async () => {
+    await request(app).post('/product').send({ productId: 5000, name: 'Última unidade', listPrice: 10, stockOnHand: 1 });
+    const item = { idItem: '5000', quantidadeItem: 1, valorItem: 10 };
+
+    const response = await request(app).post('/order/bulk').send([
+      buildOrderInput({ numeroPedido: 'a-01', valorTotal: 10, items: [item] }),
+      buildOrderInput({ numeroPedido: 'b-01', valorTotal: 10, items: [item] }),
+    ]);
+
+    expect(response.body.results.map(result => result.status)).toEqual(['created', 'invalid']);
+    expect(response.body.results[1].reason).toMatch(/Estoque insuficiente/);
+    expect(await stockOf(5000)).toBe(0);
+  });
+});
+
+describe('preço de catálogo', () => {
+  const productsById = new Map([[2434, { productid: 2434, listprice: '10.00' }]]);
+  const entries = [
+    { field: 'items[0].valorItem', productId: 2434, price: 10 },
+    { field: 'items[1].valorItem', productId: 2434, price: 12.5 },
+  ];
+
+  it('avisa sobre preços diferentes do catálogo com a política warn', () => {
+    expect(ProductService.checkCatalogPrices(entries, productsById, 'warn')).toEqual([
+      { field: 'items[1].valorItem', message: 'O preço do item (12.50) difere do preço de catálogo do produto 2434 (10.00).' },
+    ]);
+  });
+
+  it('recusa com reject e aceita sem avisos com ignore', () => {
+    expect(() => ProductService.checkCatalogPrices(entries, productsById, 'reject')).toThrow(/preço de catálogo/);
+    expect(ProductService.checkCatalogPrices(entries, productsById, 'ignore')).toEqual([]);
+  });
+});
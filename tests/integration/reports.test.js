@@ -0,0 +1,54 @@
+const { request } = require('../support/auth');
+const app = require('../../app');
+const { buildOrderInput } = require('../support/fixtures');
+
+beforeEach(async () => {
+  // 01:00 UTC de 01/01 ainda é 31/12 em São Paulo (UTC-3)
+  await request(app).post('/order').send(buildOrderInput({ numeroPedido: 'a-01', dataCriacao: '2024-01-01T01:00:00Z' }));
+  await request(app).post('/order').send(buildOrderInput({
+    numeroPedido: 'b-01', dataCriacao: '2024-01-01T12:00:00Z', valorTotal: 20,
+    items: [{ idItem: 2435, quantidadeItem: 2, valorItem: 10 }],
+  }));
+  await request(app).post('/order').send(buildOrderInput({ numeroPedido: 'c-01', dataCriacao: '2024-01-01T15:00:00Z' }));
+  await request(app).post('/order/c/status').send({ status: 'cancelled' });
+});
+
+describe('GET /order/reports/revenue', () => {
+  it('agrupa por dia no fuso informado, incluindo dias sem vendas', async () => {
+    const response = await request(app)
+      .get('/order/reports/revenue?from=2023-12-31&to=2024-01-02&timezone=America/Sao_Paulo');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual([
+      { period: '2023-12-31', orderCount: 1, revenue: 30 },
+      { period: '2024-01-01', orderCount: 1, revenue: 20 },
+      { period: '2024-01-02', orderCount: 0, revenue: 0 },
+    ]);
+  });
+
+  it('responde 400 sem o período ou com fuso inválido', async () => {
+    expect((await request(app).get('/order/reports/revenue')).status).toBe(400);
+    expect((await request(app).get('/order/reports/revenue?from=2024-01-01&to=2024-01-02&timezone=Lua/Base')).status).toBe(400);
+  });
+});
+
+describe('GET /order/reports/top-products', () => {
+  it('ordena os produtos pela métrica escolhida, sem pedidos cancelados', async () => {
+    const response = await request(app).get('/order/reports/top-products?from=2024-01-01&to=2024-01-01&by=quantity');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual([
+      { productId: 2435, quantity: 4, revenue: 40, orderCount: 2 },
+      { productId: 2434, quantity: 1, revenue: 10, orderCount: 1 },
+    ]);
+  });
+});
+
+describe('GET /order/reports/average-order-value', () => {
+  it('calcula o ticket médio do período', async () => {
+    const response = await request(app).get('/order/reports/average-order-value?from=2024-01-01&to=2024-01-01');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ orderCount: 2, revenue: 50, averageOrderValue: 25 });
+  });
+});
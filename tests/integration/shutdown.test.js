@@ -0,0 +1,68 @@
+const http = require('http');
+const supertest = require('supertest');
+const app = require('../../app');
+const { shutdownGracefully, isShuttingDown } = require('../../utils/gracefulShutdown');
+
+// Servidor cujas respostas demoram `delayMs` (null: nunca respondem)
+const startSlowServer = (delayMs) => new Promise(resolve => {
+  const server = http.createServer((req, res) => {
+    if (delayMs !== null) setTimeout(() => res.end('ok'), delayMs);
+  });
+  server.listen(0, () => resolve(server));
+});
+
+const get = (server) => new Promise((resolve, reject) => {
+  http.get(`http://localhost:${server.address().port}/`, res => {
+    let body = '';
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => resolve(body));
+  }).on('error', reject);
+});
+
+// O encerramento é único por processo (estado do módulo), por isso os casos ficam em sequência
+describe('encerramento gracioso', () => {
+  it('espera as requisições em andamento antes de fechar o pool', async () => {
+    const server = await startSlowServer(100);
+    const events = [];
+    const pool = { end: jest.fn(async () => { events.push('pool'); }) };
+
+    const inFlight = get(server).then(body => { events.push('response'); return body; });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const clean = await shutdownGracefully({ server, pool, timeoutMs: 2000 });
+
+    expect(clean).toBe(true);
+    expect(await inFlight).toBe('ok');
+    expect(events).toEqual(['response', 'pool']);
+    expect(isShuttingDown()).toBe(true);
+  });
+
+  it('passa a responder 503 em GET /ready', async () => {
+    const response = await supertest(app).get('/ready');
+
+    expect(response.status).toBe(503);
+    expect(response.body.status).toBe('shutting_down');
+    expect(response.headers.connection).toBe('close');
+  });
+});
+
+describe('prazo do encerramento', () => {
+  it('encerra as conexões restantes quando o prazo esgota', async () => {
+    // Nova instância do módulo, ainda sem encerramento em andamento
+    jest.resetModules();
+    const { shutdownGracefully: shutdown } = require('../../utils/gracefulShutdown');
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const server = await startSlowServer(null);
+    const pool = { end: jest.fn(async () => {}) };
+
+    const inFlight = get(server);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const clean = await shutdown({ server, pool, timeoutMs: 50 });
+
+    expect(clean).toBe(false);
+    await expect(inFlight).rejects.toThrow(/socket hang up|ECONNRESET/);
+    expect(pool.end).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,216 @@
+const http = require('http');
+const { request } = require('../support/auth');
+const app = require('../../app');
+const { pool } = require('../../config/db');
+const { runDispatcherOnce } = require('../../services/WebhookDispatcher');
+const { signPayload } = require('../../utils/webhookSignature');
+const { isPublicAddress, lookupPublicAddress } = require('../../utils/webhookUrl');
+const { buildOrderInput } = require('../support/fixtures');
+
+const SECRET = 'segredo-de-teste-com-16+';
+
+// Assinante local: guarda as requisições recebidas e responde com o status configurado
+let receiver;
+let receiverUrl;
+let received;
+let responseStatus;
+
+beforeAll(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(responseStatus).end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => receiver.close(resolve));
+});
+
+beforeEach(() => {
+  received = [];
+  responseStatus = 200;
+});
+
+const createWebhook = (overrides = {}) => request(app).post('/webhooks')
+  .send({ url: receiverUrl, events: ['order.created', 'order.deleted'], secret: SECRET, ...overrides });
+
+describe('/webhooks', () => {
+  it('cadastra, consulta, altera e remove webhooks', async () => {
+    const created = await createWebhook({ secret: undefined });
+
+    expect(created.status).toBe(201);
+    expect(created.body.secret).toMatch(/^[0-9a-f]{64}$/);
+
+    const { webhookId } = created.body;
+    const fetched = await request(app).get(`/webhooks/${webhookId}`);
+
+    expect(fetched.body).toMatchObject({ webhookId, url: receiverUrl, active: true });
+    expect(fetched.body.secret).toBeUndefined();
+
+    const updated = await request(app).put(`/webhooks/${webhookId}`)
+      .send({ url: receiverUrl, events: ['order.updated'], active: false, secret: 'outro-segredo-com-16+' });
+
+    expect(updated.status).toBe(200);
+    expect(updated.body).toMatchObject({ events: ['order.updated'], active: false });
+    expect(updated.body.secret).toBeUndefined();
+    expect((await request(app).get('/webhooks')).body).toHaveLength(1);
+
+    expect((await request(app).delete(`/webhooks/${webhookId}`)).status).toBe(204);
+    expect((await request(app).get(`/webhooks/${webhookId}`)).status).toBe(404);
+  });
+
+  it('rejeita URL que não seja http(s) e eventos desconhecidos', async () => {
+    const response = await createWebhook({ url: 'ftp://exemplo.com', events: ['order.paid'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors.map(error => error.field)).toEqual(['url', 'events[0]']);
+  });
+});
+
+describe('entrega de eventos', () => {
+  it('grava o evento no outbox apenas quando a alteração é confirmada', async () => {
+    await request(app).post('/order').send(buildOrderInput());
+    await request(app).post('/order').send(buildOrderInput());
+    await request(app).post('/order/nao-existe/status').send({ status: 'paid' });
+
+    const { rows } = await pool.query('SELECT eventType, orderId FROM OutboxEvents ORDER BY eventId;');
+    expect(rows).toEqual([{ eventtype: 'order.created', orderid: 'v10089015vdb' }]);
+  });
+
+  it('envia o evento assinado com HMAC aos webhooks assinantes', async () => {
+    await createWebhook();
+    await createWebhook({ events: ['order.updated'] });
+    await request(app).post('/order').send(buildOrderInput());
+
+    const summary = await runDispatcherOnce();
+
+    expect(summary).toEqual({ dispatchedEvents: 1, delivered: 1, retry: 0, dead: 0 });
+    expect(received).toHaveLength(1);
+
+    const [{ headers, body }] = received;
+    const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(headers['x-webhook-signature']);
+
+    expect(signature).toBe(signPayload(SECRET, timestamp, body));
+    expect(headers['x-webhook-event']).toBe('order.created');
+    expect(JSON.parse(body)).toMatchObject({
+      type: 'order.created',
+      data: { operation: 'create', order: { orderId: 'v10089015vdb', status: 'pending' } },
+    });
+  });
+
+  it('publica order.updated, order.item_updated e order.deleted', async () => {
+    await createWebhook({ events: ['order.updated', 'order.item_updated', 'order.deleted'] });
+    await request(app).post('/order').send(buildOrderInput());
+    await request(app).post('/order/v10089015vdb/status').send({ status: 'paid' });
+    // Remover o item deixa o total divergente (política warn)
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await request(app).delete('/order/v10089015vdb/item/2435');
+    warn.mockRestore();
+    await request(app).post('/order/v10089015vdb/status').send({ status: 'cancelled' });
+
+    await runDispatcherOnce();
+
+    expect(received.map(delivery => JSON.parse(delivery.body).type).sort()).toEqual(
+      ['order.item_updated', 'order.updated', 'order.updated']
+    );
+  });
+
+  it('tenta novamente com backoff e, esgotadas as tentativas, marca a entrega como dead', async () => {
+    const { webhookId } = (await createWebhook()).body;
+    await request(app).post('/order').send(buildOrderInput());
+    responseStatus = 500;
+
+    const options = { maxAttempts: 2, retryBaseSeconds: 60, retryMaxSeconds: 3600 };
+    expect(await runDispatcherOnce(options)).toMatchObject({ retry: 1 });
+
+    // Ainda não chegou a hora da próxima tentativa
+    expect(await runDispatcherOnce(options)).toMatchObject({ retry: 0, dead: 0 });
+
+    await pool.query('UPDATE WebhookDeliveries SET nextAttemptAt = NOW();');
+    expect(await runDispatcherOnce(options)).toMatchObject({ dead: 1 });
+
+    const deliveries = (await request(app).get(`/webhooks/${webhookId}/deliveries?status=dead`)).body;
+    expect(deliveries).toHaveLength(1);
+    expect(deliveries[0]).toMatchObject({ attempts: 2, lastResponseStatus: 500, nextAttemptAt: null });
+
+    // Reenvio manual das entregas mortas
+    responseStatus = 200;
+    const replay = await request(app).post(`/webhooks/${webhookId}/deliveries/replay`).send({});
+
+    expect(replay.status).toBe(202);
+    expect(replay.body).toEqual({ replayed: 1, deliveryIds: [deliveries[0].deliveryId] });
+    expect(await runDispatcherOnce(options)).toMatchObject({ delivered: 1 });
+    expect(received).toHaveLength(3);
+  });
+
+  it('não envia para webhooks inativos', async () => {
+    await createWebhook({ active: false });
+    await request(app).post('/order').send(buildOrderInput());
+
+    expect(await runDispatcherOnce()).toMatchObject({ dispatchedEvents: 1, delivered: 0 });
+    expect(received).toHaveLength(0);
+  });
+});
+
+describe('destinos dos webhooks (SSRF)', () => {
+  let restrictedApp;
+
+  beforeAll(() => {
+    // Nova instância da aplicação com a configuração padrão (WEBHOOK_ALLOW_PRIVATE_URLS=false)
+    const db = require('../../config/db');
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'false';
+
+    jest.isolateModules(() => {
+      jest.doMock('../../config/db', () => db);
+      restrictedApp = require('../../app');
+    });
+
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+  });
+
+  it.each([
+    ['http', 'http://exemplo.com/hooks', 'deve usar https'],
+    ['loopback', 'https://127.0.0.1/hooks', 'deve apontar para um endereço público'],
+    ['metadados da nuvem', 'https://169.254.169.254/latest/meta-data', 'deve apontar para um endereço público'],
+    ['IPv6 com IPv4 interno', 'https://[::ffff:10.0.0.1]/hooks', 'deve apontar para um endereço público'],
+    ['localhost', 'https://localhost:8443/hooks', 'deve apontar para um endereço público'],
+  ])('recusa no cadastro URL %s', async (_, url, message) => {
+    const response = await request(restrictedApp).post('/webhooks').send({ url, events: ['order.created'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([{ field: 'url', message }]);
+  });
+
+  it('aceita URL https de host público; o endereço é conferido na entrega', async () => {
+    const response = await request(restrictedApp).post('/webhooks')
+      .send({ url: 'https://hooks.exemplo.com/pedidos', events: ['order.created'] });
+
+    expect(response.status).toBe(201);
+  });
+
+  it('recusa na entrega destinos cadastrados antes da restrição', async () => {
+    const { webhookId } = (await createWebhook()).body;
+    await request(app).post('/order').send(buildOrderInput());
+
+    expect(await runDispatcherOnce({ allowPrivateUrls: false })).toMatchObject({ delivered: 0, retry: 1 });
+
+    const [delivery] = (await request(app).get(`/webhooks/${webhookId}/deliveries`)).body;
+    expect(received).toHaveLength(0);
+    expect(delivery.lastError).toBe('URL do webhook recusada: deve usar https.');
+  });
+
+  it('recusa hosts que resolvem para endereços internos', async () => {
+    const error = await new Promise(resolve => lookupPublicAddress('localhost', {}, resolve));
+
+    expect(error.message).toMatch(/^O host localhost resolve para um endereço não público/);
+    expect([isPublicAddress('8.8.8.8'), isPublicAddress('2001:4860:4860::8888')]).toEqual([true, true]);
+    expect([isPublicAddress('10.1.2.3'), isPublicAddress('fd00::1'), isPublicAddress('::ffff:192.168.0.1')])
+      .toEqual([false, false, false]);
+  });
+});
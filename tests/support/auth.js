@@ -0,0 +1,60 @@
+/**
+ * Credenciais usadas pelos testes. As chaves de API e o segredo JWT são definidos no ambiente
+ * por setup.js, antes de a aplicação carregar a configuração.
+ */
+const crypto = require('crypto');
+const supertest = require('supertest');
+
+const TEST_API_KEYS = {
+  reader: 'test-reader-key-0000000000',
+  operator: 'test-operator-key-000000000',
+  admin: 'test-admin-key-00000000000',
+};
+
+const TEST_JWT_SECRET = 'test-jwt-secret-0000000000000000';
+
+// Formato de API_KEYS: nome:papel:chave; o nome ("test-<papel>") é o principal gravado nos pedidos
+const testApiKeysEnv = () => Object.entries(TEST_API_KEYS)
+  .map(([role, key]) => `test-${role}:${role}:${key}`)
+  .join(',');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head'];
+
+/**
+ * Equivalente ao `request(app)` do supertest, com a chave de API do papel informado
+ * já enviada em todas as requisições.
+ *
+ * @param {import('express').Application} app
+ * @param {string} [role='admin'] - Papel da chave usada (reader, operator ou admin).
+ */
+const request = (app, role = 'admin') => {
+  const agent = supertest(app);
+
+  return Object.fromEntries(HTTP_METHODS.map(method => [
+    method,
+    (url) => agent[method](url).set('X-API-Key', TEST_API_KEYS[role]),
+  ]));
+};
+
+/**
+ * Assina um JWT HS256 com o segredo de teste (exp padrão: daqui a 5 minutos).
+ *
+ * @param {object} claims - Claims do token (sub, role, ...).
+ * @param {object} [options] - `secret` e `header` para montar tokens inválidos.
+ */
+const signTestJwt = (claims, { secret = TEST_JWT_SECRET, header = { alg: 'HS256', typ: 'JWT' } } = {}) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const payload = { exp: Math.floor(Date.now() / 1000) + 300, ...claims };
+  const signingInput = `${encode(header)}.${encode(payload)}`;
+  const signature = crypto.createHmac('sha256', secret).update(signingInput).digest('base64url');
+
+  return `${signingInput}.${signature}`;
+};
+
+module.exports = {
+  TEST_API_KEYS,
+  TEST_JWT_SECRET,
+  testApiKeysEnv,
+  request,
+  signTestJwt,
+};
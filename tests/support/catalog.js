@@ -0,0 +1,22 @@
+/**
+ * Catálogo de produtos usado pelos testes de integração. Os pedidos só aceitam itens
+ * de produtos cadastrados, então o setup recria este catálogo antes de cada teste.
+ */
+const { pool } = require('../../config/db');
+
+// Produtos referenciados pelos payloads dos testes
+const CATALOG_PRODUCT_IDS = [1, 2, 7, 9, 99, 2434, 2435];
+const CATALOG_LIST_PRICE = 10;
+const CATALOG_STOCK = 1000;
+
+const seedCatalog = () => pool.query(
+  `INSERT INTO Products (productId, name, listPrice, stockOnHand)
+   SELECT id, 'Produto ' || id, $2, $3 FROM unnest($1::int[]) AS id;`,
+  [CATALOG_PRODUCT_IDS, CATALOG_LIST_PRICE, CATALOG_STOCK]
+);
+
+module.exports = {
+  CATALOG_LIST_PRICE,
+  CATALOG_STOCK,
+  seedCatalog,
+};
@@ -0,0 +1,126 @@
+/**
+ * Servidor local que imita o Redis nos comandos usados pelo backend de cache (RESP2):
+ * PING, AUTH, SELECT, CLIENT, INFO, GET, SET (com EX/PX), DEL, SCAN e QUIT. Os dados ficam em memória.
+ */
+const net = require('net');
+
+const bulk = (value) => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+const array = (values) => `*${values.length}\r\n${values.map(bulk).join('')}`;
+
+// Comandos chegam como arrays de bulk strings; devolve null enquanto o comando não chegou inteiro
+const parseCommand = (buffer, offset) => {
+  let position = offset;
+  const readLine = () => {
+    const end = buffer.indexOf('\r\n', position);
+    if (end === -1) return null;
+
+    const line = buffer.toString('utf8', position, end);
+    position = end + 2;
+    return line;
+  };
+
+  const header = readLine();
+  if (header === null) return null;
+
+  const args = [];
+  for (let index = 0; index < Number(header.slice(1)); index++) {
+    const lengthLine = readLine();
+    if (lengthLine === null) return null;
+
+    const length = Number(lengthLine.slice(1));
+    if (buffer.length < position + length + 2) return null;
+
+    args.push(buffer.toString('utf8', position, position + length));
+    position += length + 2;
+  }
+  return { args, offset: position };
+};
+
+/**
+ * Sobe o servidor em uma porta livre.
+ *
+ * @param {{password?: string}} [options] - Com password, os comandos exigem AUTH antes.
+ * @returns {Promise<{url: string, store: Map, commands: Array<Array<string>>, close: function(): Promise<void>}>}
+ */
+const startFakeRedis = async ({ password } = {}) => {
+  const store = new Map();
+  const commands = [];
+  const sockets = new Set();
+
+  const read = (key) => {
+    const entry = store.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) store.delete(key);
+    return store.get(key)?.value ?? null;
+  };
+
+  const execute = (session, [name, ...args]) => {
+    const command = name.toUpperCase();
+    commands.push([command, ...args]);
+
+    if (command === 'AUTH') {
+      session.authenticated = args[args.length - 1] === password;
+      return session.authenticated ? '+OK\r\n' : '-WRONGPASS invalid username-password pair\r\n';
+    }
+    if (password && !session.authenticated) return '-NOAUTH Authentication required.\r\n';
+
+    switch (command) {
+      case 'PING':
+      case 'SELECT':
+      case 'CLIENT':
+      case 'QUIT':
+        return command === 'PING' ? '+PONG\r\n' : '+OK\r\n';
+      case 'INFO':
+        // Verificação de prontidão do cliente: o servidor não está carregando dados do disco
+        return bulk('# Persistence\r\nloading:0\r\n');
+      case 'GET':
+        return bulk(read(args[0]));
+      case 'SET': {
+        const [key, value, unit, amount] = args;
+        const ttlMs = unit === undefined ? null : Number(amount) * (unit.toUpperCase() === 'EX' ? 1000 : 1);
+        store.set(key, { value, expiresAt: ttlMs === null ? null : Date.now() + ttlMs });
+        return '+OK\r\n';
+      }
+      case 'DEL':
+        return `:${args.filter(key => store.delete(key)).length}\r\n`;
+      case 'SCAN': {
+        const prefix = args[args.indexOf('MATCH') + 1].replace(/\*$/, '');
+        return `*2\r\n${bulk('0')}${array([...store.keys()].filter(key => key.startsWith(prefix)))}`;
+      }
+      default:
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    const session = { authenticated: false, buffer: Buffer.alloc(0) };
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+
+    socket.on('data', (chunk) => {
+      session.buffer = Buffer.concat([session.buffer, chunk]);
+
+      let parsed;
+      while ((parsed = parseCommand(session.buffer, 0)) !== null) {
+        session.buffer = session.buffer.subarray(parsed.offset);
+        socket.write(execute(session, parsed.args));
+        if (parsed.args[0].toUpperCase() === 'QUIT') socket.end();
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    store,
+    commands,
+    close: () => {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+};
+
+module.exports = {
+  startFakeRedis,
+};
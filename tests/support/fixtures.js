@@ -0,0 +1,19 @@
+/**
+ * Payloads de exemplo usados pelos testes de integração.
+ */
+
+// Pedido válido no formato de entrada; o total confere com os itens
+const buildOrderInput = (overrides = {}) => ({
+  numeroPedido: 'v10089015vdb-01',
+  valorTotal: 30,
+  dataCriacao: '2023-07-19T12:24:11.529Z',
+  items: [
+    { idItem: '2434', quantidadeItem: 1, valorItem: 10 },
+    { idItem: '2435', quantidadeItem: 2, valorItem: 10 },
+  ],
+  ...overrides,
+});
+
+module.exports = {
+  buildOrderInput,
+};
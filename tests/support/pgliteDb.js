@@ -0,0 +1,75 @@
+/**
+ * Substituto de config/db.js para os testes: um PostgreSQL em processo (PGlite),
+ * descartado ao fim de cada arquivo de teste, com a mesma interface usada pelos Models
+ * (`query` e um `pool` com connect/release).
+ *
+ * O PGlite tem uma única conexão, então `pool.connect()` entrega o acesso exclusivo
+ * até o `release()`, serializando as transações. Consultas feitas direto pelo pool
+ * não esperam essa fila (no PostgreSQL real elas usariam outra conexão do pool).
+ */
+const { PGlite, types } = require('@electric-sql/pglite');
+const { instrumentPool } = require('../../utils/dbInstrumentation');
+
+// Mesmas conversões do driver `pg`: NUMERIC e BIGINT chegam como texto
+const db = new PGlite({
+  parsers: {
+    [types.NUMERIC]: (value) => value,
+    [types.INT8]: (value) => value,
+  },
+});
+
+// Resultado no formato do `pg` (rows e rowCount)
+const toPgResult = (result) => ({
+  rows: result.rows,
+  rowCount: result.affectedRows ?? result.rows.length,
+  fields: result.fields,
+});
+
+const query = async (text, params) => {
+  // Sem parâmetros, o `pg` usa o protocolo simples, que aceita vários comandos (ex: migrações)
+  if (!params || params.length === 0) {
+    const results = await db.exec(text);
+    return toPgResult(results[results.length - 1] || { rows: [] });
+  }
+
+  return toPgResult(await db.query(text, params));
+};
+
+let queue = Promise.resolve();
+let waitingCount = 0;
+let clientCheckedOut = false;
+
+const connect = async () => {
+  let release;
+  const previous = queue;
+  queue = new Promise((resolve) => { release = resolve; });
+
+  waitingCount += 1;
+  await previous;
+  waitingCount -= 1;
+  clientCheckedOut = true;
+
+  return {
+    query,
+    release: () => {
+      clientCheckedOut = false;
+      release();
+    },
+  };
+};
+
+const pool = {
+  query,
+  connect,
+  end: () => db.close(),
+  options: { max: 1 },
+  get totalCount() { return 1; },
+  get idleCount() { return clientCheckedOut ? 0 : 1; },
+  get waitingCount() { return waitingCount; },
+};
+
+// Mesma instrumentação do config/db.js (X-Request-Id nas consultas, métricas e logs)
+module.exports = {
+  ...instrumentPool(pool),
+  db,
+};
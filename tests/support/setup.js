@@ -0,0 +1,47 @@
+/**
+ * Executado antes de cada arquivo de teste (setupFilesAfterEnv): troca o banco pelo
+ * PGlite, define as credenciais de teste, aplica as migrações e limpa as tabelas
+ * (e o cache de pedidos) entre um teste e outro, recriando o catálogo de produtos.
+ */
+jest.mock('../../config/db', () => require('./pgliteDb'));
+
+const { testApiKeysEnv, TEST_JWT_SECRET } = require('./auth');
+
+// Antes de qualquer require de config/app.js (o .env local não sobrescreve estes valores)
+process.env.AUTH_ENABLED = 'true';
+process.env.API_KEYS = testApiKeysEnv();
+process.env.JWT_SECRET = TEST_JWT_SECRET;
+// Os payloads dos testes usam preços variados; as políticas são testadas em products.test.js
+process.env.CATALOG_PRICE_POLICY = 'ignore';
+// Só os erros aparecem na saída dos testes (o log de cada requisição fica de fora)
+process.env.LOG_LEVEL = 'error';
+// Os webhooks dos testes são entregues a um servidor local (http://127.0.0.1)
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+
+const { pool } = require('../../config/db');
+const MigrationService = require('../../services/MigrationService');
+const { seedCatalog } = require('./catalog');
+const { orderCache } = require('../../cache');
+
+beforeAll(async () => {
+  await MigrationService.migrateUp();
+});
+
+beforeEach(async () => {
+  const { rows } = await pool.query(`
+    SELECT tablename FROM pg_tables
+    WHERE schemaname = 'public' AND tablename <> 'schemamigrations';
+  `);
+
+  // TRUNCATE não dispara os gatilhos por linha (ex: o de OrderHistory, que é append-only)
+  if (rows.length > 0) {
+    await pool.query(`TRUNCATE ${rows.map(row => row.tablename).join(', ')} RESTART IDENTITY CASCADE;`);
+  }
+
+  await orderCache.clear();
+  await seedCatalog();
+});
+
+afterAll(async () => {
+  await pool.end();
+});
@@ -0,0 +1,18 @@
+const { recordRoutePattern } = require('./routePattern');
+
+/**
+ * Envolve um handler assíncrono do Express para que rejeições cheguem ao middleware de erros.
+ *
+ * O Express 4 não captura promises rejeitadas; sem este wrapper, um erro lançado em um
+ * Controller `async` deixaria a requisição pendurada. O wrapper também registra o padrão
+ * da rota usado nos logs e nas métricas (utils/routePattern.js).
+ *
+ * @param {Function} handler - Handler `async (req, res, next)`.
+ * @returns {Function} Handler que repassa qualquer erro para `next`.
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+  recordRoutePattern(req);
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = asyncHandler;
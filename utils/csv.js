@@ -0,0 +1,35 @@
+/**
+ * Geração de linhas CSV (RFC 4180), usada pela exportação de pedidos.
+ */
+
+// Textos iniciados por estes caracteres seriam interpretados como fórmula por planilhas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Converte um valor em campo CSV: aspas quando necessário (vírgula, aspas ou quebra de linha)
+ * e neutralização de textos que planilhas executariam como fórmula.
+ *
+ * @param {*} value - Valor do campo (null/undefined viram campo vazio).
+ * @returns {string} Campo pronto para a linha CSV.
+ */
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Monta uma linha CSV terminada em CRLF.
+ *
+ * @param {Array<*>} values - Valores dos campos, na ordem das colunas.
+ * @returns {string} Linha CSV.
+ */
+const toCsvLine = (values) => `${values.map(toCsvField).join(',')}\r\n`;
+
+module.exports = {
+  toCsvField,
+  toCsvLine,
+};
@@ -0,0 +1,98 @@
+/**
+ * Leitura e escrita de datas nos formatos aceitos pelos mapeadores declarativos.
+ *
+ * Formatos:
+ * - "iso" (padrão): qualquer texto interpretável por Date (ex: 2023-07-19T12:24:11Z)
+ * - "epoch" / "epochMillis": número de segundos / milissegundos desde 1970-01-01 UTC
+ * - padrão com os tokens YYYY, MM, DD, HH, mm e ss (ex: "DD/MM/YYYY HH:mm"), no fuso `timezone`
+ */
+
+const DATE_TOKENS = ['YYYY', 'MM', 'DD', 'HH', 'mm', 'ss'];
+const TOKEN_REGEX = new RegExp(DATE_TOKENS.join('|'), 'g');
+
+// Converte "+HH:mm" / "-HH:mm" em minutos
+const parseOffset = (timezone = '+00:00') => {
+  const match = /^([+-])(\d{2}):(\d{2})$/.exec(timezone);
+  if (!match) throw new Error(`Fuso horário inválido: "${timezone}" (use +HH:mm ou -HH:mm).`);
+
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Monta a expressão regular equivalente a um padrão de data (ex: DD/MM/YYYY).
+ *
+ * @param {string} pattern - Padrão com tokens.
+ * @returns {string} Expressão regular (texto) que reconhece o padrão inteiro.
+ */
+const patternToRegex = (pattern) => {
+  const parts = pattern.split(TOKEN_REGEX).map(escapeRegex);
+  const tokens = pattern.match(TOKEN_REGEX) || [];
+
+  const body = parts.reduce((regex, part, index) => {
+    const token = tokens[index];
+    return regex + part + (token ? `(\\d{${token.length}})` : '');
+  }, '');
+
+  return `^${body}$`;
+};
+
+/**
+ * Converte o valor recebido em Date conforme o formato configurado.
+ *
+ * @param {string|number} value - Valor recebido.
+ * @param {{ dateFormat?: string, timezone?: string }} [options]
+ * @returns {Date} Data interpretada (inválida quando o valor não segue o formato).
+ */
+const parseDate = (value, { dateFormat = 'iso', timezone } = {}) => {
+  if (dateFormat === 'iso') return new Date(value);
+  if (dateFormat === 'epoch') return new Date(Number(value) * 1000);
+  if (dateFormat === 'epochMillis') return new Date(Number(value));
+
+  const match = new RegExp(patternToRegex(dateFormat)).exec(String(value));
+  if (!match) return new Date(NaN);
+
+  const parts = { YYYY: 1970, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0 };
+  (dateFormat.match(TOKEN_REGEX) || []).forEach((token, index) => {
+    parts[token] = Number(match[index + 1]);
+  });
+
+  const utc = Date.UTC(parts.YYYY, parts.MM - 1, parts.DD, parts.HH, parts.mm, parts.ss);
+  return new Date(utc - parseOffset(timezone) * 60 * 1000);
+};
+
+/**
+ * Formata uma data (ISO) no formato configurado; operação inversa de parseDate.
+ *
+ * @param {string|Date} value - Data no formato ISO.
+ * @param {{ dateFormat?: string, timezone?: string }} [options]
+ * @returns {string|number} Data formatada.
+ */
+const formatDate = (value, { dateFormat = 'iso', timezone } = {}) => {
+  const date = new Date(value);
+
+  if (dateFormat === 'iso') return date.toISOString();
+  if (dateFormat === 'epoch') return Math.floor(date.getTime() / 1000);
+  if (dateFormat === 'epochMillis') return date.getTime();
+
+  const local = new Date(date.getTime() + parseOffset(timezone) * 60 * 1000);
+  const parts = {
+    YYYY: String(local.getUTCFullYear()).padStart(4, '0'),
+    MM: String(local.getUTCMonth() + 1).padStart(2, '0'),
+    DD: String(local.getUTCDate()).padStart(2, '0'),
+    HH: String(local.getUTCHours()).padStart(2, '0'),
+    mm: String(local.getUTCMinutes()).padStart(2, '0'),
+    ss: String(local.getUTCSeconds()).padStart(2, '0'),
+  };
+
+  return dateFormat.replace(TOKEN_REGEX, token => parts[token]);
+};
+
+module.exports = {
+  parseOffset,
+  patternToRegex,
+  parseDate,
+  formatDate,
+};
@@ -0,0 +1,111 @@
+/**
+ * Instrumentação das consultas ao banco, aplicada ao pool exportado por config/db.js.
+ *
+ * Cada consulta (pelo `query` do módulo ou pelos clients de pool.connect()):
+ * - leva o X-Request-Id da requisição em um comentário SQL (`/* requestId=... *\/`), visível
+ *   em pg_stat_activity e nos logs do PostgreSQL;
+ * - tem a duração registrada no histograma db_query_duration_seconds;
+ * - quando falha, gera um log `warn` com o SQLSTATE e o comando (sem os parâmetros).
+ */
+const logger = require('./logger');
+const { createHistogram } = require('./metrics');
+const { getCurrentRequestId } = require('./requestContext');
+
+// Rótulos aceitos para o comando; os demais são agrupados em "other"
+const OPERATIONS = ['select', 'insert', 'update', 'delete', 'with', 'begin', 'commit', 'rollback', 'declare', 'fetch', 'close'];
+
+// Tamanho máximo do comando SQL registrado no log
+const MAX_STATEMENT_LENGTH = 500;
+
+// O X-Request-Id já é validado pelo middleware; a checagem aqui impede fechar o comentário
+const SAFE_REQUEST_ID = /^[A-Za-z0-9._:-]+$/;
+
+const queryDuration = createHistogram({
+  name: 'db_query_duration_seconds',
+  help: 'Duração das consultas ao banco, por comando e resultado.',
+  labelNames: ['operation', 'outcome'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+});
+
+const operationOf = (text) => {
+  const keyword = (/^\s*(\w+)/.exec(text)?.[1] || '').toLowerCase();
+  return OPERATIONS.includes(keyword) ? keyword : 'other';
+};
+
+const tagWithRequestId = (text, requestId) => {
+  return requestId && SAFE_REQUEST_ID.test(requestId) ? `/* requestId=${requestId} */ ${text}` : text;
+};
+
+/**
+ * Envolve uma função de consulta (`query(text, params)`) com a marcação, a medição e o log.
+ * Argumentos que não são SQL em texto (ex: objetos Submittable) passam sem instrumentação.
+ *
+ * @param {function(string, Array=): Promise<object>} runQuery - Consulta original.
+ * @returns {function(string, Array=): Promise<object>}
+ */
+const instrumentQuery = (runQuery) => (text, ...args) => {
+  if (typeof text !== 'string') return runQuery(text, ...args);
+
+  const requestId = getCurrentRequestId();
+  const operation = operationOf(text);
+  const start = process.hrtime.bigint();
+
+  const finish = (error) => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const durationMs = Math.round(seconds * 1000);
+
+    queryDuration.observe({ operation, outcome: error ? 'error' : 'success' }, seconds);
+
+    if (error) {
+      logger.warn('Consulta ao banco falhou', {
+        requestId,
+        operation,
+        durationMs,
+        sqlState: error.code,
+        error: error.message,
+        statement: text.trim().slice(0, MAX_STATEMENT_LENGTH),
+      });
+    } else {
+      logger.debug('Consulta ao banco', { requestId, operation, durationMs });
+    }
+  };
+
+  return runQuery(tagWithRequestId(text, requestId), ...args).then(
+    (result) => { finish(); return result; },
+    (error) => { finish(error); throw error; }
+  );
+};
+
+/**
+ * Devolve `query` e um `pool` com a mesma interface usada pelos Models (query, connect,
+ * end e as contagens de conexões), com as consultas instrumentadas.
+ *
+ * @param {import('pg').Pool} pool - Pool do driver `pg` (ou o substituto dos testes).
+ * @returns {{query: Function, pool: object}}
+ */
+const instrumentPool = (pool) => {
+  const query = instrumentQuery((text, params) => pool.query(text, params));
+
+  const instrumentedPool = {
+    query,
+    connect: async () => {
+      const client = await pool.connect();
+      return {
+        query: instrumentQuery(client.query.bind(client)),
+        release: (...args) => client.release(...args),
+      };
+    },
+    end: () => pool.end(),
+    get totalCount() { return pool.totalCount; },
+    get idleCount() { return pool.idleCount; },
+    get waitingCount() { return pool.waitingCount; },
+    get maxCount() { return pool.options.max; },
+  };
+
+  return { query, pool: instrumentedPool };
+};
+
+module.exports = {
+  instrumentQuery,
+  instrumentPool,
+};
@@ -0,0 +1,71 @@
+/**
+ * Aritmética decimal exata para valores monetários NUMERIC(10,2).
+ *
+ * Os valores são convertidos para centavos em BigInt, evitando os erros de
+ * arredondamento do ponto flutuante (ex: 0.1 + 0.2 !== 0.3).
+ */
+
+const SCALE = 2;
+
+/**
+ * Converte um valor monetário (number ou string vinda do banco) para centavos.
+ * Casas decimais além da segunda são arredondadas (meio para cima), como faz o PostgreSQL.
+ *
+ * @param {number|string} value - Valor monetário, ex: 10.5 ou "10.50".
+ * @returns {bigint} Valor em centavos.
+ * @throws {Error} Quando o valor não representa um número decimal válido.
+ */
+const toCents = (value) => {
+  // String(number) gera a menor representação exata do número digitado (ex: 0.1 -> "0.1");
+  // números muito pequenos viriam em notação científica (1e-7), por isso usamos toFixed neles.
+  let text = String(value).trim();
+  if (typeof value === 'number' && /e/i.test(text)) text = value.toFixed(20);
+
+  const match = /^([+-]?)(\d+)(?:\.(\d*))?$/.exec(text);
+
+  if (!match) {
+    throw new Error(`Valor decimal inválido: "${value}".`);
+  }
+
+  const [, sign, integerPart, fractionPart = ''] = match;
+  const padded = fractionPart.padEnd(SCALE + 1, '0');
+
+  let cents = BigInt(integerPart + padded.slice(0, SCALE));
+  if (Number(padded[SCALE]) >= 5) cents += 1n;
+
+  return sign === '-' ? -cents : cents;
+};
+
+/**
+ * Converte centavos para a representação decimal com duas casas.
+ *
+ * @param {bigint} cents - Valor em centavos.
+ * @returns {string} Valor formatado, ex: "10.50".
+ */
+const fromCents = (cents) => {
+  const negative = cents < 0n;
+  const digits = (negative ? -cents : cents).toString().padStart(SCALE + 1, '0');
+  const integerPart = digits.slice(0, -SCALE);
+  const fractionPart = digits.slice(-SCALE);
+
+  return `${negative ? '-' : ''}${integerPart}.${fractionPart}`;
+};
+
+/**
+ * Soma quantidade × preço de uma lista de itens no formato interno.
+ *
+ * @param {Array<{quantity: number, price: number|string}>} items - Itens do pedido.
+ * @returns {bigint} Total dos itens em centavos.
+ */
+const sumItemsInCents = (items) => {
+  return items.reduce(
+    (total, item) => total + BigInt(item.quantity) * toCents(item.price),
+    0n
+  );
+};
+
+module.exports = {
+  toCents,
+  fromCents,
+  sumItemsInCents,
+};
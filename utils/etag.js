@@ -0,0 +1,48 @@
+/**
+ * ETags de pedidos, derivadas da coluna `version` (controle de concorrência otimista).
+ *
+ * O cliente lê o pedido, guarda o ETag recebido e o devolve em `If-Match` ao alterá-lo;
+ * se outra alteração tiver sido gravada nesse meio tempo, a versão não confere mais.
+ */
+
+/**
+ * Monta o ETag (forte) correspondente a uma versão do pedido.
+ *
+ * Cada representação do pedido (ver utils/responseFormat.js) é um corpo diferente e, por isso,
+ * recebe um ETag próprio: a interna usa só a versão e as demais acrescentam o nome do formato.
+ * Assim um cache que guarda uma representação não a revalida com o ETag de outra.
+ *
+ * @param {number} version - Versão atual do pedido.
+ * @param {string} [representation='internal'] - Nome da representação enviada.
+ * @returns {string} ETag entre aspas, ex: "3" ou "3-input".
+ */
+const toETag = (version, representation = 'internal') => (
+  representation === 'internal' ? `"${version}"` : `"${version}-${representation}"`
+);
+
+// Versão identificada por um ETag forte de qualquer representação; null para ETags fracos ou desconhecidos
+const versionOf = (tag) => {
+  const match = /^"(\d+)(?:-[^"]+)?"$/.exec(tag);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Confere o header `If-Match` contra a versão atual, com comparação forte (RFC 9110):
+ * ETags fracos (W/"...") nunca satisfazem a condição. O ETag de qualquer representação
+ * da versão atual é aceito, já que todas descrevem o mesmo estado do pedido.
+ *
+ * @param {string|undefined} ifMatch - Valor do header `If-Match` (ausente = sem condição).
+ * @param {number} version - Versão atual do pedido.
+ * @returns {boolean} true quando a alteração pode prosseguir.
+ */
+const ifMatchSatisfied = (ifMatch, version) => {
+  if (ifMatch === undefined) return true;
+
+  const tags = ifMatch.split(',').map(tag => tag.trim());
+  return tags.includes('*') || tags.some(tag => versionOf(tag) === Number(version));
+};
+
+module.exports = {
+  toETag,
+  ifMatchSatisfied,
+};
@@ -0,0 +1,93 @@
+/**
+ * Encerramento gracioso do servidor HTTP (SIGTERM/SIGINT).
+ *
+ * O servidor para de aceitar conexões, as requisições em andamento (e as transações
+ * abertas por elas) terminam dentro do prazo e só então o pool do banco é fechado.
+ * Enquanto isso, GET /ready responde 503 para o orquestrador deixar de enviar tráfego.
+ */
+
+// Intervalo entre os fechamentos das conexões que ficaram ociosas durante a espera
+const IDLE_SWEEP_INTERVAL_MS = 100;
+
+const logger = require('./logger');
+
+let shuttingDown = false;
+let shutdownPromise = null;
+
+/**
+ * Indica se o encerramento já começou.
+ *
+ * @returns {boolean}
+ */
+const isShuttingDown = () => shuttingDown;
+
+// Resolve com true quando a promise termina dentro do prazo, ou false quando o prazo esgota
+const settlesWithin = (promise, timeoutMs) => {
+  let timer;
+  const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(false), timeoutMs); });
+
+  return Promise.race([promise.then(() => true), timeout]).finally(() => clearTimeout(timer));
+};
+
+const closeServer = (server) => new Promise((resolve, reject) => {
+  server.close(error => (error ? reject(error) : resolve()));
+});
+
+/**
+ * Encerra o servidor: para de aceitar conexões, aguarda as requisições em andamento e as
+ * tarefas informadas (ex: o despachante de webhooks) e fecha o pool. Chamadas repetidas
+ * (ex: um segundo sinal) devolvem o mesmo encerramento.
+ *
+ * @param {object} options
+ * @param {import('http').Server} options.server - Servidor HTTP devolvido por `app.listen`.
+ * @param {{end: function(): Promise<void>}} options.pool - Pool do banco (config/db.js).
+ * @param {number} options.timeoutMs - Prazo para as requisições e tarefas terminarem e, depois, para o pool fechar.
+ * @param {Array<function(): Promise<void>>} [options.tasks] - Tarefas a aguardar junto com as requisições.
+ * @returns {Promise<boolean>} true quando tudo terminou dentro do prazo; false quando foi preciso forçar.
+ */
+const shutdownGracefully = ({ server, pool, timeoutMs, tasks = [] }) => {
+  if (shutdownPromise) return shutdownPromise;
+  shuttingDown = true;
+
+  shutdownPromise = (async () => {
+    const drained = Promise.all([closeServer(server), ...tasks.map(task => task())]);
+
+    // Conexões keep-alive sem requisição em andamento não precisam esperar; as que terminam
+    // uma resposta durante a espera também são fechadas assim que ficam ociosas
+    server.closeIdleConnections();
+    const sweeper = setInterval(() => server.closeIdleConnections(), IDLE_SWEEP_INTERVAL_MS);
+
+    const drainedInTime = await settlesWithin(drained, timeoutMs);
+    clearInterval(sweeper);
+
+    if (!drainedInTime) {
+      logger.warn('Requisições ainda em andamento no fim do prazo: encerrando as conexões', { timeoutMs });
+      server.closeAllConnections();
+    }
+
+    const poolClosed = await settlesWithin(pool.end(), timeoutMs);
+
+    if (!poolClosed) {
+      logger.warn('O pool do banco não fechou no prazo', { timeoutMs });
+    }
+
+    return drainedInTime && poolClosed;
+  })();
+
+  return shutdownPromise;
+};
+
+/**
+ * Middleware: durante o encerramento, pede ao cliente que feche a conexão ao fim da
+ * resposta, em vez de reaproveitá-la (keep-alive) em um servidor que está saindo.
+ */
+const closeConnectionOnShutdown = (req, res, next) => {
+  if (shuttingDown) res.set('Connection', 'close');
+  next();
+};
+
+module.exports = {
+  isShuttingDown,
+  shutdownGracefully,
+  closeConnectionOnShutdown,
+};
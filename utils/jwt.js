@@ -0,0 +1,118 @@
+/**
+ * Verificação de JWT (RFC 7519) com o crypto do Node, sem dependências externas.
+ *
+ * O algoritmo do header escolhe a chave: HS* usa o segredo compartilhado e RS* ou ES* a chave
+ * pública. Assim um token HS256 nunca é verificado com a chave pública como segredo
+ * (confusão de algoritmos), e "none" não é aceito.
+ */
+const crypto = require('crypto');
+
+const ALGORITHMS = {
+    HS256: { family: 'hmac', hash: 'sha256' },
+    HS384: { family: 'hmac', hash: 'sha384' },
+    HS512: { family: 'hmac', hash: 'sha512' },
+    RS256: { family: 'rsa', hash: 'sha256' },
+    RS384: { family: 'rsa', hash: 'sha384' },
+    RS512: { family: 'rsa', hash: 'sha512' },
+    // Cada ES* é definido para uma única curva (RFC 7518, seção 3.4)
+    ES256: { family: 'ec', hash: 'sha256', namedCurve: 'prime256v1' },
+    ES384: { family: 'ec', hash: 'sha384', namedCurve: 'secp384r1' },
+    ES512: { family: 'ec', hash: 'sha512', namedCurve: 'secp521r1' },
+};
+
+// Diferença de relógio tolerada entre o emissor e a API ao conferir exp e nbf
+const DEFAULT_CLOCK_TOLERANCE_SECONDS = 30;
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const verifySignature = (algorithm, signingInput, signature, { secret, publicKey }) => {
+    if (algorithm.family === 'hmac') {
+        if (!secret) throw new Error('algoritmo HMAC não habilitado.');
+
+        const expected = crypto.createHmac(algorithm.hash, secret).update(signingInput).digest();
+        return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+
+    if (!publicKey || publicKey.asymmetricKeyType !== algorithm.family
+        || (algorithm.namedCurve && publicKey.asymmetricKeyDetails.namedCurve !== algorithm.namedCurve)) {
+        throw new Error('algoritmo não corresponde à chave pública configurada.');
+    }
+
+    // Em JWS, a assinatura ECDSA é r||s (IEEE P1363), e não DER
+    return crypto.verify(
+        algorithm.hash,
+        Buffer.from(signingInput),
+        { key: publicKey, dsaEncoding: 'ieee-p1363' },
+        signature
+    );
+};
+
+/**
+ * Confere a assinatura e as claims de tempo, emissor e público de um JWT.
+ *
+ * @param {string} token - JWT compacto (header.payload.assinatura).
+ * @param {object} options
+ * @param {string} [options.secret] - Segredo dos algoritmos HS*.
+ * @param {crypto.KeyObject} [options.publicKey] - Chave pública dos algoritmos RS* ou ES*.
+ * @param {string} [options.issuer] - Valor exigido em `iss`.
+ * @param {string} [options.audience] - Valor exigido em `aud`.
+ * @param {number} [options.clockToleranceSeconds=30] - Tolerância de relógio para `exp` e `nbf`.
+ * @returns {object} Claims do token.
+ * @throws {Error} Quando o token é malformado, a assinatura não confere, expirou (`exp` é obrigatório)
+ * ou as claims não correspondem ao esperado. A mensagem descreve o motivo.
+ */
+const verifyJwt = (token, { secret, publicKey, issuer, audience, clockToleranceSeconds = DEFAULT_CLOCK_TOLERANCE_SECONDS }) => {
+    const segments = token.split('.');
+
+    if (segments.length !== 3) {
+        throw new Error('formato inválido.');
+    }
+
+    let header;
+    let claims;
+    try {
+        header = decodeSegment(segments[0]);
+        claims = decodeSegment(segments[1]);
+    } catch {
+        throw new Error('formato inválido.');
+    }
+
+    if (!header || typeof header !== 'object' || !claims || typeof claims !== 'object') {
+        throw new Error('formato inválido.');
+    }
+
+    const algorithm = Object.hasOwn(ALGORITHMS, header.alg) ? ALGORITHMS[header.alg] : undefined;
+
+    if (!algorithm) {
+        throw new Error(`algoritmo "${header.alg}" não suportado.`);
+    }
+
+    const signature = Buffer.from(segments[2], 'base64url');
+    if (!verifySignature(algorithm, `${segments[0]}.${segments[1]}`, signature, { secret, publicKey })) {
+        throw new Error('assinatura inválida.');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+
+    if (typeof claims.exp !== 'number') {
+        throw new Error('claim "exp" ausente.');
+    }
+    if (claims.exp + clockToleranceSeconds <= now) {
+        throw new Error('token expirado.');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf - clockToleranceSeconds > now) {
+        throw new Error('token ainda não é válido (nbf).');
+    }
+    if (issuer && claims.iss !== issuer) {
+        throw new Error('emissor (iss) não aceito.');
+    }
+    if (audience && ![].concat(claims.aud).includes(audience)) {
+        throw new Error('público (aud) não aceito.');
+    }
+
+    return claims;
+};
+
+module.exports = {
+    verifyJwt,
+};
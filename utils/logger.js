@@ -0,0 +1,53 @@
+/**
+ * Logs estruturados: um objeto JSON por linha, com data, nível, mensagem e o
+ * X-Request-Id da requisição em andamento (quando houver), para que todas as linhas
+ * de uma requisição, inclusive as das consultas ao banco, possam ser agrupadas.
+ *
+ * Os níveis abaixo de LOG_LEVEL são descartados. `error` vai para o stderr.
+ */
+const { LOG_LEVELS, logLevel } = require('../config/app');
+const { getCurrentRequestId } = require('./requestContext');
+
+const minimumSeverity = LOG_LEVELS.indexOf(logLevel);
+
+// Erros não são serializáveis por JSON.stringify (message e stack não são enumeráveis)
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code && { code: error.code }),
+  stack: error.stack,
+  ...(error.cause instanceof Error && { cause: serializeError(error.cause) }),
+});
+
+const serializeFields = (fields) => Object.fromEntries(
+  Object.entries(fields).map(([key, value]) => [key, value instanceof Error ? serializeError(value) : value])
+);
+
+const CONSOLE_METHODS = {
+  debug: 'log',
+  info: 'log',
+  warn: 'warn',
+  error: 'error',
+};
+
+const write = (level, message, fields = {}) => {
+  if (LOG_LEVELS.indexOf(level) < minimumSeverity) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    requestId: getCurrentRequestId(),
+    ...serializeFields(fields),
+  };
+
+  // O método é buscado a cada log (e não guardado), para respeitar mocks de console nos testes
+  console[CONSOLE_METHODS[level]](JSON.stringify(entry));
+};
+
+module.exports = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+};
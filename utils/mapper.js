@@ -1,9 +1,10 @@
 /**
  * Transforma o JSON de entrada para o JSON de saída (Banco de Dados).
  * @param {object} inputOrder - O objeto do pedido no formato de entrada.
+ * @param {{withItems?: boolean}} [options] - `withItems: false` converte apenas o cabeçalho.
  * @returns {object} O objeto do pedido transformado para o formato do BD.
  */
-const mapToDatabaseFormat = (inputOrder) => {
+const mapToDatabaseFormat = (inputOrder, { withItems = true } = {}) => {
   // Ajuste do numeroPedido para orderId (removendo a parte '-01' se existir)
   const orderId = inputOrder.numeroPedido.split('-')[0];
 
@@ -11,20 +12,57 @@ const mapToDatabaseFormat = (inputOrder) => {
   // garantimos que o formato ISO seja preservado, usando 'Z' para UTC.
   const creationDate = new Date(inputOrder.dataCriacao).toISOString();
 
-  const transformedItems = inputOrder.items.map(item => ({
-    productId: parseInt(item.idItem, 10),
-    quantity: item.quantidadeItem,
-    price: item.valorItem,
-  }));
-
   return {
     orderId: orderId,
     value: inputOrder.valorTotal,
     creationDate: creationDate,
-    items: transformedItems,
+    // Sem os itens (withItems: false), apenas o cabeçalho é convertido
+    ...(withItems && {
+      items: inputOrder.items.map(item => ({
+        productId: parseInt(item.idItem, 10),
+        quantity: item.quantidadeItem,
+        price: item.valorItem,
+      })),
+    }),
+    // Número original (com o sufixo), usado para responder no formato de entrada
+    externalOrderNumber: inputOrder.numeroPedido,
+    // Cliente (opcional); códigos numéricos são guardados como texto e null é mantido (sem cliente)
+    ...(inputOrder.idCliente !== undefined && {
+      customerId: inputOrder.idCliente === null ? null : String(inputOrder.idCliente),
+    }),
+  };
+};
+
+/**
+ * Transforma um pedido no formato da API (orderId/value/items) de volta para o formato de entrada.
+ *
+ * O numeroPedido é devolvido exatamente como foi recebido na criação (ex: com o sufixo "-01");
+ * pedidos criados antes de o número original ser armazenado usam o próprio orderId.
+ * Pedidos sem `items` (ex: itens da listagem) são transformados apenas no cabeçalho.
+ *
+ * @param {object} order - Pedido no formato de resposta da API.
+ * @returns {object} Pedido no formato de entrada (numeroPedido/valorTotal/dataCriacao/items).
+ */
+const mapToInputFormat = (order) => {
+  const inputOrder = {
+    numeroPedido: order.externalOrderNumber || order.orderId,
+    valorTotal: order.value,
+    dataCriacao: order.creationDate,
+    ...(order.customerId && { idCliente: order.customerId }),
   };
+
+  if (order.items) {
+    inputOrder.items = order.items.map(item => ({
+      idItem: String(item.productId),
+      quantidadeItem: item.quantity,
+      valorItem: item.price,
+    }));
+  }
+
+  return inputOrder;
 };
 
 module.exports = {
   mapToDatabaseFormat,
+  mapToInputFormat,
 };
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * Métricas no formato de texto do Prometheus (exposition format 0.0.4).
+ *
+ * Cada métrica é criada uma única vez, no carregamento do módulo que a atualiza, e fica
+ * registrada no registro do processo; GET /metrics devolve todas (renderMetrics).
+ */
+
+const registry = new Map();
+
+// Buckets padrão dos histogramas de latência, em segundos
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+// Chave da série: os valores dos rótulos na ordem declarada
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+
+const pickLabels = (labelNames, labels) => Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+
+const register = (metric) => {
+  if (registry.has(metric.name)) {
+    throw new Error(`Métrica já registrada: ${metric.name}.`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+};
+
+/**
+ * Contador (só aumenta).
+ *
+ * @param {{name: string, help: string, labelNames?: Array<string>}} options
+ * @returns {{inc: function(object=, number=): void}}
+ */
+const createCounter = ({ name, help, labelNames = [] }) => {
+  const series = new Map();
+
+  return register({
+    name,
+    inc: (labels = {}, value = 1) => {
+      const key = seriesKey(labelNames, labels);
+      const current = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+      current.value += value;
+      series.set(key, current);
+    },
+    render: () => {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+
+      // Sem rótulos, o contador aparece zerado desde o início
+      if (labelNames.length === 0 && series.size === 0) lines.push(`${name} 0`);
+
+      for (const { labels, value } of series.values()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines;
+    },
+  });
+};
+
+/**
+ * Histograma com buckets cumulativos, soma e contagem.
+ *
+ * @param {{name: string, help: string, labelNames?: Array<string>, buckets?: Array<number>}} options
+ * @returns {{observe: function(object, number): void}}
+ */
+const createHistogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+  const series = new Map();
+
+  return register({
+    name,
+    observe: (labels, value) => {
+      const key = seriesKey(labelNames, labels);
+      let current = series.get(key);
+
+      if (!current) {
+        current = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, current);
+      }
+
+      buckets.forEach((bound, index) => {
+        if (value <= bound) current.counts[index] += 1;
+      });
+      current.sum += value;
+      current.count += 1;
+    },
+    render: () => {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+  });
+};
+
+/**
+ * Gauge lido no momento da coleta (ex: conexões do pool).
+ *
+ * @param {{name: string, help: string, collect: function(): Array<{labels?: object, value: number}>}} options
+ * @returns {object}
+ */
+const createGauge = ({ name, help, collect }) => {
+  return register({
+    name,
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} gauge`,
+      ...collect().map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`),
+    ],
+  });
+};
+
+/**
+ * Todas as métricas registradas, no formato de texto do Prometheus.
+ *
+ * @returns {string}
+ */
+const renderMetrics = () => {
+  return [...registry.values()].flatMap(metric => metric.render()).join('\n') + '\n';
+};
+
+module.exports = {
+  createCounter,
+  createHistogram,
+  createGauge,
+  renderMetrics,
+};
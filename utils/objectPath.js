@@ -0,0 +1,44 @@
+/**
+ * Acesso a campos aninhados por caminho com pontos (ex: "cliente.endereco.cep"),
+ * usado pelos mapeadores declarativos de pedidos.
+ */
+
+/**
+ * Lê o valor de um caminho; retorna undefined se algum nível não existir.
+ *
+ * @param {object} source - Objeto de origem.
+ * @param {string} path - Caminho com pontos.
+ * @returns {*} Valor encontrado.
+ */
+const getPath = (source, path) => {
+  return path.split('.').reduce(
+    (current, key) => (current !== null && typeof current === 'object' ? current[key] : undefined),
+    source
+  );
+};
+
+/**
+ * Grava um valor em um caminho, criando os objetos intermediários.
+ *
+ * @param {object} target - Objeto de destino (alterado).
+ * @param {string} path - Caminho com pontos.
+ * @param {*} value - Valor a gravar.
+ * @returns {object} O próprio objeto de destino.
+ */
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+
+  const parent = keys.reduce((current, key) => {
+    if (current[key] === null || typeof current[key] !== 'object') current[key] = {};
+    return current[key];
+  }, target);
+
+  parent[last] = value;
+  return target;
+};
+
+module.exports = {
+  getPath,
+  setPath,
+};
@@ -0,0 +1,86 @@
+/**
+ * Tradução dos erros do driver `pg` para as exceções de domínio da API.
+ *
+ * O PostgreSQL identifica cada erro por um SQLSTATE de cinco caracteres; as duas
+ * primeiras posições indicam a classe (ex: 23 = violação de integridade).
+ */
+const ConflictException = require('../exceptions/ConflictException');
+const ValidationException = require('../exceptions/ValidationException');
+const DatabaseException = require('../exceptions/DatabaseException');
+
+const PG_ERROR_CODES = {
+  UNIQUE_VIOLATION: '23505',
+  FOREIGN_KEY_VIOLATION: '23503',
+  RESTRICT_VIOLATION: '23001',
+  NOT_NULL_VIOLATION: '23502',
+  CHECK_VIOLATION: '23514',
+  INVALID_TEXT_REPRESENTATION: '22P02',
+  NUMERIC_VALUE_OUT_OF_RANGE: '22003',
+  STRING_DATA_RIGHT_TRUNCATION: '22001',
+  INVALID_DATETIME_FORMAT: '22007',
+  DATETIME_FIELD_OVERFLOW: '22008',
+  INVALID_PARAMETER_VALUE: '22023',
+  CHARACTER_NOT_IN_REPERTOIRE: '22021',
+  SERIALIZATION_FAILURE: '40001',
+  DEADLOCK_DETECTED: '40P01',
+};
+
+// Erros de dados enviados pelo cliente que só são detectados pelo banco
+const INVALID_DATA_CODES = [
+  PG_ERROR_CODES.NOT_NULL_VIOLATION,
+  PG_ERROR_CODES.CHECK_VIOLATION,
+  PG_ERROR_CODES.INVALID_TEXT_REPRESENTATION,
+  PG_ERROR_CODES.NUMERIC_VALUE_OUT_OF_RANGE,
+  PG_ERROR_CODES.STRING_DATA_RIGHT_TRUNCATION,
+  PG_ERROR_CODES.INVALID_DATETIME_FORMAT,
+  PG_ERROR_CODES.DATETIME_FIELD_OVERFLOW,
+  PG_ERROR_CODES.INVALID_PARAMETER_VALUE,
+  PG_ERROR_CODES.CHARACTER_NOT_IN_REPERTOIRE,
+];
+
+// Falhas transitórias: conexão (08), recursos insuficientes (53), servidor
+// sendo desligado (57P01-57P03) e conflitos de concorrência que podem ser repetidos
+const isTransientError = (error) => {
+  const code = error.code || '';
+  return code.startsWith('08')
+    || code.startsWith('53')
+    || ['57P01', '57P02', '57P03', PG_ERROR_CODES.SERIALIZATION_FAILURE, PG_ERROR_CODES.DEADLOCK_DETECTED].includes(code)
+    || ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'].includes(code)
+    || /timeout exceeded when trying to connect|Connection terminated/i.test(error.message || '');
+};
+
+/**
+ * Converte um erro do PostgreSQL na exceção de domínio equivalente.
+ *
+ * @param {Error & { code?: string }} error - Erro lançado pelo driver `pg`.
+ * @returns {import('../exceptions/ApiException') | null} Exceção traduzida ou null quando o erro não é reconhecido.
+ */
+const translateDatabaseError = (error) => {
+  if (!error || typeof error !== 'object') return null;
+
+  if (error.code === PG_ERROR_CODES.UNIQUE_VIOLATION) {
+    return new ConflictException('Já existe um registro com o mesmo identificador.');
+  }
+
+  // ON DELETE RESTRICT gera 23001 em vez de 23503
+  if (error.code === PG_ERROR_CODES.FOREIGN_KEY_VIOLATION || error.code === PG_ERROR_CODES.RESTRICT_VIOLATION) {
+    return new ConflictException('A operação viola uma referência entre registros (registro relacionado inexistente ou ainda em uso).');
+  }
+
+  if (INVALID_DATA_CODES.includes(error.code)) {
+    return new ValidationException('Dados rejeitados pelo banco de dados.', [
+      { field: error.column || 'body', message: error.message },
+    ]);
+  }
+
+  if (isTransientError(error)) {
+    return new DatabaseException(undefined, error);
+  }
+
+  return null;
+};
+
+module.exports = {
+  PG_ERROR_CODES,
+  translateDatabaseError,
+};
@@ -0,0 +1,46 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Contexto da requisição.
+ *
+ * O principal chega aos Services de forma explícita (getRequestContext). O X-Request-Id
+ * acompanha a requisição de forma implícita (AsyncLocalStorage), inclusive nas consultas
+ * feitas pelos Models e nos logs, sem precisar ser repassado em cada chamada.
+ */
+const requestStorage = new AsyncLocalStorage();
+
+/**
+ * Monta o contexto da requisição repassado aos Services (quem está executando a operação).
+ *
+ * @param {import('express').Request} req - Requisição HTTP já autenticada (middlewares/auth.js).
+ * @returns {{ actor: string, principal: {id: string, role: string, authMethod: string} }}
+ * Principal autenticado e o seu identificador (`actor`), gravado no histórico e nos pedidos.
+ */
+const getRequestContext = (req) => ({
+  actor: req.principal.id,
+  principal: req.principal,
+});
+
+/**
+ * Executa `callback` (e tudo o que ele disparar, inclusive de forma assíncrona) associado
+ * ao identificador da requisição.
+ *
+ * @param {string} requestId - Valor do X-Request-Id.
+ * @param {Function} callback - Ex: o `next` do middleware.
+ * @returns {*} Retorno do callback.
+ */
+const runWithRequestId = (requestId, callback) => requestStorage.run({ requestId }, callback);
+
+/**
+ * Identificador da requisição em andamento, ou undefined fora de uma requisição
+ * (ex: despachante de webhooks, scripts).
+ *
+ * @returns {string|undefined}
+ */
+const getCurrentRequestId = () => requestStorage.getStore()?.requestId;
+
+module.exports = {
+  getRequestContext,
+  runWithRequestId,
+  getCurrentRequestId,
+};
@@ -0,0 +1,84 @@
+/**
+ * Representações em que os pedidos podem ser devolvidos pelas rotas GET.
+ *
+ * Além do formato interno da API, cada mapeador registrado (ver mappers/) oferece a
+ * representação do seu canal. O cliente escolhe pelo parâmetro `?format=` (prioritário)
+ * ou pelo header `Accept`; nas rotas /channels/:channel, o padrão é o formato do canal.
+ * Sem nenhuma indicação, a resposta segue o formato interno.
+ */
+const { listMappers } = require('../mappers');
+const ValidationException = require('../exceptions/ValidationException');
+
+// orderId/value/creationDate/items (productId, quantity, price)
+const INTERNAL_FORMAT = {
+  name: 'internal',
+  mediaType: 'application/json',
+  mapOrder: (order) => order,
+};
+
+/**
+ * Lista as representações disponíveis: a interna e a de cada canal de vendas.
+ *
+ * @returns {Array<{ name: string, mediaType: string, mapOrder: Function }>}
+ */
+const listResponseFormats = () => [
+  INTERNAL_FORMAT,
+  ...listMappers().map(mapper => ({
+    name: mapper.name,
+    mediaType: mapper.mediaType,
+    mapOrder: mapper.toExternal,
+  })),
+];
+
+/**
+ * Define a representação da resposta a partir da requisição.
+ *
+ * @param {import('express').Request} req - Requisição HTTP.
+ * @returns {{ name: string, mediaType: string, mapOrder: Function }} Representação escolhida.
+ * @throws {ValidationException} Quando `?format=` (ou o canal da rota) não corresponde a nenhuma representação.
+ */
+const resolveResponseFormat = (req) => {
+  const formats = listResponseFormats();
+  const findByName = (name, field) => {
+    const format = formats.find(candidate => candidate.name === name);
+
+    if (!format) {
+      throw new ValidationException('Parâmetros de consulta inválidos.', [
+        { field, message: `deve ser um dos valores permitidos: ${formats.map(candidate => candidate.name).join(', ')}` },
+      ]);
+    }
+    return format;
+  };
+
+  if (req.query.format !== undefined) {
+    return findByName(req.query.format, 'format');
+  }
+
+  // Accept ausente ou genérico (*/*) resulta no primeiro tipo da lista: o do canal da rota, se houver
+  const preferred = req.params.channel !== undefined ? findByName(req.params.channel, 'channel') : INTERNAL_FORMAT;
+  const candidates = [preferred, ...formats.filter(candidate => candidate !== preferred)];
+
+  const mediaType = req.accepts(candidates.map(candidate => candidate.mediaType));
+  return candidates.find(candidate => candidate.mediaType === mediaType) || preferred;
+};
+
+/**
+ * Envia o corpo JSON com o Content-Type da representação escolhida.
+ * Como a resposta depende do header `Accept`, ele é declarado em `Vary` para os caches.
+ *
+ * @param {import('express').Response} res - Resposta HTTP.
+ * @param {{ mediaType: string }} format - Representação escolhida.
+ * @param {number} status - Status HTTP.
+ * @param {any} body - Corpo já convertido para a representação.
+ * @returns {import('express').Response}
+ */
+const sendInFormat = (res, format, status, body) => {
+  res.vary('Accept');
+  return res.status(status).type(format.mediaType).json(body);
+};
+
+module.exports = {
+  listResponseFormats,
+  resolveResponseFormat,
+  sendInFormat,
+};
@@ -0,0 +1,33 @@
+const { AUTH_ROLES } = require('../config/app');
+const ForbiddenException = require('../exceptions/ForbiddenException');
+
+/**
+ * Confere se o principal tem ao menos o papel exigido (reader < operator < admin).
+ *
+ * @param {{ role: string }} principal - Principal autenticado.
+ * @param {string} role - Papel mínimo exigido.
+ * @returns {boolean}
+ */
+const hasRole = (principal, role) => {
+  return AUTH_ROLES.indexOf(principal.role) >= AUTH_ROLES.indexOf(role);
+};
+
+/**
+ * Lança 403 quando o principal não tem o papel exigido para a ação.
+ * Chamadas internas, sem principal (ex: scripts agendados), não são restringidas.
+ *
+ * @param {object} [principal] - Principal autenticado (contexto da requisição).
+ * @param {string} role - Papel mínimo exigido.
+ * @param {string} action - Descrição da ação, usada na mensagem de erro.
+ * @throws {ForbiddenException} Quando o papel do principal é insuficiente.
+ */
+const assertRole = (principal, role, action) => {
+  if (principal && !hasRole(principal, role)) {
+    throw new ForbiddenException(`O papel "${principal.role}" não permite ${action} (exige "${role}").`);
+  }
+};
+
+module.exports = {
+  hasRole,
+  assertRole,
+};
@@ -0,0 +1,43 @@
+/**
+ * Padrão da rota que atendeu a requisição (ex: /order/:orderId/item/:productId), usado
+ * nos logs e nas métricas no lugar da URL, que traz os identificadores.
+ *
+ * O Express restaura `req.baseUrl` ao sair de um router (por exemplo, quando um erro segue
+ * para o middleware de erros), por isso o padrão é registrado ainda dentro da rota, pelos
+ * wrappers e middlewares das rotas (asyncHandler, requireRole e validateRequest).
+ */
+
+/**
+ * Registra o padrão da rota em `req.routePattern`, uma única vez por requisição.
+ *
+ * @param {import('express').Request} req - Requisição já associada a uma rota (`req.route`).
+ */
+const recordRoutePattern = (req) => {
+  if (req.routePattern || !req.route) return;
+
+  // Parâmetros da própria rota ficam como estão; os do ponto de montagem (ex: /channels/:channel)
+  // aparecem com o valor em req.baseUrl e voltam a ser o nome do parâmetro
+  const routeParams = new Set([...req.route.path.matchAll(/:(\w+)/g)].map(match => match[1]));
+  const mountParams = Object.entries(req.params).filter(([name]) => !routeParams.has(name));
+
+  const base = req.baseUrl.split('/').map(segment => {
+    const param = mountParams.find(([, value]) => value === decodeURIComponent(segment));
+    return param ? `:${param[0]}` : segment;
+  }).join('/');
+
+  req.routePattern = req.route.path === '/' && base ? base : `${base}${req.route.path}`;
+};
+
+/**
+ * Padrão registrado para a requisição, ou `unmatched` quando nenhuma rota a atendeu
+ * (404 ou falha antes do roteamento, como credencial inválida).
+ *
+ * @param {import('express').Request} req - Requisição HTTP.
+ * @returns {string}
+ */
+const getRoutePattern = (req) => req.routePattern || 'unmatched';
+
+module.exports = {
+  recordRoutePattern,
+  getRoutePattern,
+};
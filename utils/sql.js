@@ -0,0 +1,37 @@
+// Limite de parâmetros por comando do protocolo do PostgreSQL
+const MAX_QUERY_PARAMS = 65535;
+
+/**
+ * Executa um INSERT de várias linhas (VALUES (...), (...)), dividindo em lotes
+ * para não ultrapassar o limite de parâmetros por comando.
+ *
+ * @param {object} client - Cliente PostgreSQL.
+ * @param {string} insertPrefix - Início do comando, ex: "INSERT INTO Items (a, b)".
+ * @param {Array<Array<*>>} rows - Valores de cada linha, na ordem das colunas.
+ * @param {string} [suffix] - Complemento após o VALUES (ex: ON CONFLICT / RETURNING).
+ * @returns {Promise<Array<object>>} Linhas retornadas por todos os lotes.
+ */
+const insertMultiRow = async (client, insertPrefix, rows, suffix = '') => {
+  if (rows.length === 0) return [];
+
+  const columnCount = rows[0].length;
+  const rowsPerBatch = Math.floor(MAX_QUERY_PARAMS / columnCount);
+  const returned = [];
+
+  for (let start = 0; start < rows.length; start += rowsPerBatch) {
+    const batch = rows.slice(start, start + rowsPerBatch);
+    const values = batch.map((row, rowIndex) => {
+      const placeholders = row.map((_, columnIndex) => `$${rowIndex * columnCount + columnIndex + 1}`);
+      return `(${placeholders.join(', ')})`;
+    });
+
+    const result = await client.query(`${insertPrefix} VALUES ${values.join(', ')} ${suffix};`, batch.flat());
+    returned.push(...result.rows);
+  }
+
+  return returned;
+};
+
+module.exports = {
+  insertMultiRow,
+};
@@ -0,0 +1,150 @@
+const Ajv = require('ajv');
+const localize = require('ajv-i18n/localize/pt-BR');
+const ValidationException = require('../exceptions/ValidationException');
+
+// multipleOfPrecision: sem ela, `multipleOf: 0.01` recusa valores como 0.07 (erro de ponto flutuante)
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, multipleOfPrecision: 9 });
+
+// Instância usada para query strings, cujos valores chegam sempre como texto
+const coercingAjv = new Ajv({
+  allErrors: true, allowUnionTypes: true, coerceTypes: true, useDefaults: true, multipleOfPrecision: 9,
+});
+
+// Data ISO 8601 (YYYY-MM-DD), com horário e fuso opcionais; a fração de segundo pode ser
+// estendida (ex: .5299601+00:00), por isso o valor final é interpretado por Date
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?)?$/;
+
+const parseableDateFormat = {
+  type: 'string',
+  validate: (value) => ISO_DATE_PATTERN.test(value) && !isNaN(Date.parse(value)),
+};
+
+ajv.addFormat('parseable-date', parseableDateFormat);
+coercingAjv.addFormat('parseable-date', parseableDateFormat);
+
+// Inteiro em texto que cabe em uma coluna INTEGER (ex: idItem "2434"); números usam minimum/maximum
+const int32Format = {
+  type: 'string',
+  validate: (value) => /^-?\d+$/.test(value) && Number(value) >= -2147483648 && Number(value) <= 2147483647,
+};
+
+ajv.addFormat('int32', int32Format);
+coercingAjv.addFormat('int32', int32Format);
+
+// Datas de calendário sem horário (YYYY-MM-DD), como os limites de período dos relatórios
+coercingAjv.addFormat('date', {
+  type: 'string',
+  validate: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value)
+    && !isNaN(Date.parse(value))
+    && new Date(value).toISOString().startsWith(value),
+});
+
+// Fusos horários IANA (ex: America/Sao_Paulo). Deslocamentos como "+03:00" ficam de fora,
+// pois o PostgreSQL os interpreta com o sinal invertido (convenção POSIX).
+coercingAjv.addFormat('time-zone', {
+  type: 'string',
+  validate: (value) => {
+    if (!/^[A-Za-z]/.test(value)) return false;
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+});
+
+// URLs absolutas http(s), como as de destino dos webhooks
+ajv.addFormat('http-url', {
+  type: 'string',
+  validate: (value) => {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  },
+});
+
+// Expressões regulares informadas em configuração (ex: mapeadores declarativos)
+ajv.addFormat('regex', {
+  type: 'string',
+  validate: (value) => {
+    try {
+      new RegExp(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+});
+
+/**
+ * Converte o caminho JSON Pointer do Ajv (ex: /items/0/idItem) para a notação
+ * utilizada nas respostas da API (ex: items[0].idItem).
+ *
+ * @param {object} error - Erro individual retornado pelo Ajv.
+ * @returns {string} Caminho do campo que originou a violação.
+ */
+const toFieldPath = (error) => {
+  const segments = error.instancePath.split('/').slice(1);
+
+  if (error.keyword === 'required') {
+    segments.push(error.params.missingProperty);
+  }
+
+  return segments.reduce((path, segment) => {
+    if (/^\d+$/.test(segment)) return `${path}[${segment}]`;
+    return path ? `${path}.${segment}` : segment;
+  }, '');
+};
+
+// Executa a função compilada e converte os erros do Ajv em ValidationException
+const runCheck = (check, data, message) => {
+  if (check(data)) return;
+
+  localize(check.errors);
+
+  const errors = check.errors.map(error => ({
+    field: toFieldPath(error),
+    message: error.message,
+  }));
+
+  throw new ValidationException(message, errors);
+};
+
+/**
+ * Valida um payload contra um schema, lançando ValidationException com a lista
+ * de todos os campos inválidos quando houver violações.
+ *
+ * @param {object} schema - JSON Schema a ser aplicado.
+ * @param {*} data - Dados recebidos do cliente.
+ * @param {string} message - Mensagem geral da exceção.
+ * @throws {ValidationException} Quando o payload não respeita o schema.
+ */
+const validate = (schema, data, message) => {
+  // O Ajv mantém em cache a função compilada para cada objeto de schema
+  runCheck(ajv.compile(schema), data, message);
+};
+
+/**
+ * Valida parâmetros de query string, convertendo os valores para os tipos do schema
+ * (ex: "20" -> 20) e preenchendo os valores padrão declarados.
+ *
+ * @param {object} schema - JSON Schema a ser aplicado.
+ * @param {object} data - Parâmetros recebidos (não são alterados).
+ * @param {string} message - Mensagem geral da exceção.
+ * @returns {object} Cópia dos parâmetros já convertidos.
+ * @throws {ValidationException} Quando os parâmetros não respeitam o schema.
+ */
+const validateAndCoerce = (schema, data, message) => {
+  const coerced = { ...data };
+  runCheck(coercingAjv.compile(schema), coerced, message);
+  return coerced;
+};
+
+module.exports = {
+  validate,
+  validateAndCoerce,
+};
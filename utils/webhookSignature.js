@@ -0,0 +1,37 @@
+/**
+ * Assinatura HMAC-SHA256 dos webhooks.
+ *
+ * O header `X-Webhook-Signature` tem o formato `t=<timestamp>,v1=<hmac>`, em que o HMAC
+ * é calculado sobre `<timestamp>.<corpo>` com o secret do webhook. O assinante recalcula
+ * o HMAC com o corpo bruto recebido e pode recusar timestamps antigos (reenvio malicioso).
+ */
+const crypto = require('crypto');
+
+/**
+ * Calcula o HMAC do corpo de uma entrega.
+ *
+ * @param {string} secret - Secret do webhook.
+ * @param {number} timestamp - Momento da assinatura, em segundos (Unix).
+ * @param {string} body - Corpo JSON exatamente como enviado.
+ * @returns {string} HMAC em hexadecimal.
+ */
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+/**
+ * Monta o valor do header `X-Webhook-Signature`.
+ *
+ * @param {string} secret - Secret do webhook.
+ * @param {string} body - Corpo JSON exatamente como enviado.
+ * @param {number} [timestamp] - Momento da assinatura, em segundos (padrão: agora).
+ * @returns {string} Header no formato `t=<timestamp>,v1=<hmac>`.
+ */
+const buildSignatureHeader = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  return `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`;
+};
+
+module.exports = {
+  signPayload,
+  buildSignatureHeader,
+};
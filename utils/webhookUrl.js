@@ -0,0 +1,95 @@
+/**
+ * Destinos aceitos para os webhooks (proteção contra SSRF): somente URLs https de endereços públicos.
+ *
+ * No cadastro são conferidos o protocolo e, quando o host é um IP, o endereço. Nomes de host são
+ * conferidos a cada entrega, na própria resolução usada para abrir a conexão (lookupPublicAddress):
+ * um nome que passe a apontar para a rede interna depois do cadastro também é recusado.
+ */
+const dns = require('dns');
+const net = require('net');
+
+// Faixas não públicas: loopback, redes privadas, link-local (inclui o serviço de metadados das nuvens),
+// CGNAT, multicast e reservadas. IPv6 com IPv4 embutido (::ffff:a.b.c.d) segue as faixas IPv4.
+const PRIVATE_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+const privateAddresses = new net.BlockList();
+PRIVATE_RANGES.forEach(([network, prefix, type]) => privateAddresses.addSubnet(network, prefix, type));
+
+/**
+ * Indica se o endereço IP é público (fora das faixas internas e reservadas).
+ *
+ * @param {string} address - Endereço IPv4 ou IPv6.
+ * @returns {boolean}
+ */
+const isPublicAddress = (address) => {
+  return !privateAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Confere a URL de um webhook: https e, quando o host é um IP ou `localhost`, endereço público.
+ *
+ * @param {string} url - URL do webhook.
+ * @param {{allowPrivate: boolean}} options - `allowPrivate` aceita qualquer URL http(s) (WEBHOOK_ALLOW_PRIVATE_URLS).
+ * @returns {string|null} Motivo da recusa, ou null quando a URL é aceita.
+ */
+const checkWebhookUrl = (url, { allowPrivate }) => {
+  if (allowPrivate) return null;
+
+  const { protocol, hostname } = new URL(url);
+  // IPv6 aparece entre colchetes no hostname (ex: [::1])
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+
+  if (protocol !== 'https:') return 'deve usar https';
+
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && !isPublicAddress(host))) {
+    return 'deve apontar para um endereço público';
+  }
+
+  return null;
+};
+
+/**
+ * Função `lookup` para http(s).request: resolve o host e recusa a conexão quando algum dos
+ * endereços não é público. A conexão usa o endereço conferido, sem uma segunda resolução.
+ *
+ * @param {string} hostname - Host da URL.
+ * @param {object} options - Opções repassadas pelo Node (family, all, ...).
+ * @param {Function} callback - `(error, address, family)` ou, com `all`, `(error, addresses)`.
+ */
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(new Error(`O host ${hostname} resolve para um endereço não público (${blocked.address}).`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = {
+  isPublicAddress,
+  checkWebhookUrl,
+  lookupPublicAddress,
+};